@@ -1,6 +1,7 @@
 import React from 'react';
 import Header from './components/Header.jsx';
 import Footer from './components/Footer.jsx';
+import RestTimer from './components/RestTimer.jsx';
 import AppRouter from './routes/AppRouter.jsx';
 
 /**
@@ -27,6 +28,9 @@ function App() {
 
       {/* Application Footer: Displays copyright information and potentially other links */}
       <Footer />
+
+      {/* Rest Timer: floating countdown that stays visible across routes */}
+      <RestTimer />
     </div>
   );
 }
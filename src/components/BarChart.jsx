@@ -0,0 +1,94 @@
+import React from 'react';
+
+/**
+ * @typedef {object} BarChartItem
+ * @property {string} label - Category label shown left of the bar.
+ * @property {number} value - Non-negative bar value.
+ */
+
+/**
+ * @typedef {object} BarChartProps
+ * @property {BarChartItem[]} items - (Required) The bars, top to bottom.
+ * @property {string} title - (Required) Chart title, also used as the accessible label.
+ * @property {(value: number) => string} [formatValue] - (Optional) Formats the value shown after each bar.
+ * @property {string} [emptyMessage='No data in this period.'] - (Optional) Shown instead of the chart when there are no items.
+ */
+
+// Layout in SVG user units; the chart scales to the container width
+const WIDTH = 600;
+const ROW_HEIGHT = 28;
+const LABEL_WIDTH = 110;
+const VALUE_WIDTH = 70;
+
+/**
+ * BarChart Component
+ *
+ * Small dependency-free SVG horizontal bar chart for comparing categories. Bars
+ * are scaled to the largest value. Colors use Tailwind classes and follow dark mode.
+ *
+ * @param {BarChartProps} props - Component props.
+ * @returns {React.ReactElement} The chart.
+ */
+function BarChart({
+  items,
+  title,
+  formatValue = (value) => String(value),
+  emptyMessage = 'No data in this period.',
+}) {
+  const maxValue = Math.max(0, ...items.map((item) => item.value));
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = items.length * ROW_HEIGHT;
+
+  return (
+    <figure className="rounded-md border border-gray-200 p-3 dark:border-gray-700">
+      <figcaption className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+        {title}
+      </figcaption>
+      {items.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">{emptyMessage}</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} role="img" aria-label={title} className="h-auto w-full">
+          {items.map((item, index) => {
+            const y = index * ROW_HEIGHT;
+            const barWidth = maxValue > 0 ? (item.value / maxValue) * barSpace : 0;
+            return (
+              <g key={item.label}>
+                <text
+                  x={LABEL_WIDTH - 8}
+                  y={y + ROW_HEIGHT / 2}
+                  textAnchor="end"
+                  dominantBaseline="middle"
+                  className="fill-gray-600 text-[12px] dark:fill-gray-300"
+                >
+                  {item.label}
+                </text>
+                <rect
+                  x={LABEL_WIDTH}
+                  y={y + 5}
+                  width={barWidth}
+                  height={ROW_HEIGHT - 10}
+                  rx="3"
+                  className="fill-indigo-600 dark:fill-indigo-400"
+                >
+                  <title>
+                    {item.label}: {formatValue(item.value)}
+                  </title>
+                </rect>
+                <text
+                  x={LABEL_WIDTH + barWidth + 6}
+                  y={y + ROW_HEIGHT / 2}
+                  dominantBaseline="middle"
+                  className="fill-gray-500 text-[12px] dark:fill-gray-400"
+                >
+                  {formatValue(item.value)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </figure>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchAllProgressHistory, fetchWorkoutPlans } from '../services/workoutService.js';
+import {
+  EXPORT_FORMATS,
+  downloadTextFile,
+  plansToJson,
+  progressLogsToCsv,
+  progressLogsToJson,
+} from '../utils/exportData.js';
+import { getTodayISO } from '../utils/progressLogForm.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../utils/exportData.js').ExportFormat} ExportFormat
+ */
+
+/**
+ * @typedef {object} DataExportPanelProps
+ * @property {() => void} onClose - (Required) Closes the panel.
+ */
+
+/**
+ * Labels for the export format select.
+ * @type {Record<ExportFormat, string>}
+ */
+const FORMAT_LABELS = {
+  csv: 'CSV (one row per set)',
+  json: 'JSON',
+};
+
+/**
+ * DataExportPanel Component
+ *
+ * Downloads the user's data: all progress logs, optionally limited to a date range,
+ * as CSV or JSON, and all workout plans (including archived ones) as JSON. Logs are
+ * exported exactly as stored, without name aliases applied. The file layouts are
+ * documented in `utils/exportData.js`.
+ *
+ * @param {DataExportPanelProps} props - Component props.
+ * @returns {React.ReactElement} The export panel.
+ */
+function DataExportPanel({ onClose }) {
+  const { user } = useAuth();
+
+  // --- State ---
+  /** @type {[{ dateFrom: string; dateTo: string }, React.Dispatch<React.SetStateAction<{ dateFrom: string; dateTo: string }>>]} */
+  const [range, setRange] = useState({ dateFrom: '', dateTo: '' });
+  /** @type {[ExportFormat, React.Dispatch<React.SetStateAction<ExportFormat>>]} */
+  const [exportFormat, setExportFormat] = useState('csv');
+  /** @type {['logs' | 'plans' | null, React.Dispatch<React.SetStateAction<'logs' | 'plans' | null>>]} */
+  const [exporting, setExporting] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [exportError, setExportError] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [exportNotice, setExportNotice] = useState(null);
+
+  const hasInvalidRange = Boolean(range.dateFrom && range.dateTo && range.dateFrom > range.dateTo);
+
+  // --- Event Handlers ---
+  const handleRangeChange = (event) => {
+    const { name, value } = event.target;
+    setRange((previous) => ({ ...previous, [name]: value }));
+    setExportError(null);
+  };
+
+  const startExport = (kind) => {
+    setExporting(kind);
+    setExportError(null);
+    setExportNotice(null);
+  };
+
+  const handleExportLogs = async () => {
+    startExport('logs');
+    const filters = {
+      ...(range.dateFrom ? { dateFrom: range.dateFrom } : {}),
+      ...(range.dateTo ? { dateTo: range.dateTo } : {}),
+    };
+    const { data, error } = await fetchAllProgressHistory(user.id, filters);
+    setExporting(null);
+    if (error) {
+      setExportError(`Could not export logs: ${error.message || 'unknown error'}`);
+      return;
+    }
+
+    const period = `${range.dateFrom || 'start'}_to_${range.dateTo || getTodayISO()}`;
+    if (exportFormat === 'csv') {
+      downloadTextFile(`progress-logs_${period}.csv`, progressLogsToCsv(data), 'text/csv');
+    } else {
+      downloadTextFile(
+        `progress-logs_${period}.json`,
+        progressLogsToJson(data, filters),
+        'application/json',
+      );
+    }
+    setExportNotice(`Exported ${data.length} log entr${data.length === 1 ? 'y' : 'ies'}.`);
+  };
+
+  const handleExportPlans = async () => {
+    startExport('plans');
+    const { data, error } = await fetchWorkoutPlans(user.id);
+    setExporting(null);
+    if (error) {
+      setExportError(`Could not export plans: ${error.message || 'unknown error'}`);
+      return;
+    }
+    downloadTextFile(`workout-plans_${getTodayISO()}.json`, plansToJson(data), 'application/json');
+    setExportNotice(`Exported ${data.length} plan(s).`);
+  };
+
+  // --- Main Component Render ---
+  return (
+    <section
+      aria-labelledby="export-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h3 id="export-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Export Data
+        </h3>
+        <Button variant="secondary" size="sm" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <fieldset disabled={exporting !== null}>
+        <legend className="mb-2 text-sm font-semibold text-gray-800 dark:text-gray-200">
+          Progress logs
+        </legend>
+        <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-3">
+          <InputField
+            id="export_date_from"
+            name="dateFrom"
+            label="From (optional)"
+            type="date"
+            value={range.dateFrom}
+            onChange={handleRangeChange}
+          />
+          <InputField
+            id="export_date_to"
+            name="dateTo"
+            label="To (optional)"
+            type="date"
+            value={range.dateTo}
+            onChange={handleRangeChange}
+            error={hasInvalidRange ? 'The end date is before the start date.' : null}
+          />
+          <div className="mb-4">
+            <label
+              htmlFor="export_format"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Format
+            </label>
+            <select
+              id="export_format"
+              value={exportFormat}
+              onChange={(event) => setExportFormat(event.target.value)}
+              className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+            >
+              {EXPORT_FORMATS.map((value) => (
+                <option key={value} value={value}>
+                  {FORMAT_LABELS[value]}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <Button size="sm" onClick={handleExportLogs} disabled={hasInvalidRange}>
+          {exporting === 'logs' ? 'Exporting...' : 'Export Logs'}
+        </Button>
+      </fieldset>
+
+      <fieldset disabled={exporting !== null}>
+        <legend className="mb-2 text-sm font-semibold text-gray-800 dark:text-gray-200">
+          Workout plans
+        </legend>
+        <p className="mb-2 text-sm text-gray-600 dark:text-gray-400">
+          All plans, including archived ones, as JSON.
+        </p>
+        <Button variant="secondary" size="sm" onClick={handleExportPlans}>
+          {exporting === 'plans' ? 'Exporting...' : 'Export Plans'}
+        </Button>
+      </fieldset>
+
+      {exportNotice && (
+        <div
+          className="rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+          role="status"
+        >
+          <p className="text-sm font-medium text-green-800 dark:text-green-300">{exportNotice}</p>
+        </div>
+      )}
+      {exportError && (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">{exportError}</p>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DataExportPanel;
@@ -0,0 +1,391 @@
+import React, { useId, useMemo, useState } from 'react';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+import { useExerciseCatalog } from '../hooks/useExerciseCatalog.js';
+import {
+  EQUIPMENT_LABELS,
+  EQUIPMENT_TYPES,
+  findCatalogExercise,
+  searchExercises,
+} from '../utils/exerciseCatalog.js';
+import { MUSCLE_GROUPS, MUSCLE_GROUP_LABELS } from '../utils/muscleGroups.js';
+
+/**
+ * @typedef {import('../utils/exerciseCatalog.js').CatalogExercise} CatalogExercise
+ * @typedef {import('../services/exerciseService.js').CustomExerciseInput} CustomExerciseInput
+ */
+
+/**
+ * @typedef {object} ExerciseComboboxProps
+ * @property {string} id - (Required) HTML ID for the input; option IDs are derived from it.
+ * @property {string} name - (Required) The `name` passed back in change events.
+ * @property {string} label - (Required) Text of the field label.
+ * @property {string} value - (Required) The controlled exercise name.
+ * @property {(event: { target: { name: string; value: string } }) => void} onChange - (Required) Called with an event-like object whenever the name changes, so the usual form change handlers can be reused.
+ * @property {string} [placeholder] - (Optional) Placeholder of the input.
+ * @property {boolean} [required=false] - (Optional) Marks the input as required.
+ * @property {boolean} [disabled=false] - (Optional) Disables the input and the custom exercise form.
+ * @property {string} [className] - (Optional) Additional CSS classes for the container.
+ */
+
+/**
+ * Muscle groups offered for custom exercises ("other" is only a fallback for unknown names).
+ * @type {import('../utils/muscleGroups.js').MuscleGroup[]}
+ */
+const SELECTABLE_MUSCLE_GROUPS = MUSCLE_GROUPS.filter((group) => group !== 'other');
+
+/**
+ * Returns an empty custom exercise form.
+ *
+ * @returns {Omit<CustomExerciseInput, 'name' | 'aliases'> & { aliases: string }} The form state; aliases are comma-separated.
+ */
+const createCustomForm = () => ({
+  aliases: '',
+  primary_muscles: [],
+  secondary_muscles: [],
+  equipment: 'barbell',
+  is_unilateral: false,
+  is_bodyweight: false,
+});
+
+/**
+ * Describes a catalog entry for its option row, e.g. "Chest · Barbell".
+ *
+ * @param {CatalogExercise} exercise - The catalog entry.
+ * @returns {string} The description.
+ */
+const describeExercise = (exercise) =>
+  [
+    exercise.primary_muscles.map((group) => MUSCLE_GROUP_LABELS[group]).join(', '),
+    EQUIPMENT_LABELS[exercise.equipment],
+    exercise.is_unilateral ? 'Unilateral' : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * ExerciseCombobox Component
+ *
+ * Exercise name input with suggestions from the exercise catalog (built-in and
+ * custom exercises, searched by name and alias). Free text is still accepted.
+ * When the field loses focus, a known alias is replaced by the canonical name so
+ * the same exercise is always logged under one name. Unknown names can be added
+ * to the catalog as custom exercises with their muscles and equipment.
+ *
+ * Keyboard: Arrow Up/Down move through the suggestions, Enter picks one and
+ * Escape closes the list.
+ *
+ * @param {ExerciseComboboxProps} props - Component props.
+ * @returns {React.ReactElement} The exercise name combobox.
+ */
+function ExerciseCombobox({
+  id,
+  name,
+  label,
+  value,
+  onChange,
+  placeholder = 'e.g., Bench Press',
+  required = false,
+  disabled = false,
+  className = '',
+}) {
+  const { catalog, addExercise } = useExerciseCatalog();
+  const listboxId = `${id}-listbox`;
+  const formId = useId();
+
+  // --- State ---
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isOpen, setIsOpen] = useState(false);
+  /** @type {[number, React.Dispatch<React.SetStateAction<number>>]} */
+  const [activeIndex, setActiveIndex] = useState(-1);
+  /** @type {[ReturnType<typeof createCustomForm> | null, React.Dispatch<React.SetStateAction<ReturnType<typeof createCustomForm> | null>>]} */
+  const [customForm, setCustomForm] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [customError, setCustomError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+
+  // --- Derived Data ---
+  const suggestions = useMemo(() => searchExercises(catalog, value), [catalog, value]);
+  const canAddCustom = value.trim() !== '' && !findCatalogExercise(catalog, value);
+  // The "add custom exercise" option comes after the suggestions
+  const optionCount = suggestions.length + (canAddCustom ? 1 : 0);
+
+  // --- Helpers ---
+  const emitChange = (nextValue) => onChange({ target: { name, value: nextValue } });
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const selectOption = (index) => {
+    if (index < suggestions.length) {
+      emitChange(suggestions[index].name);
+    } else {
+      setCustomForm(createCustomForm());
+      setCustomError(null);
+    }
+    close();
+  };
+
+  // --- Event Handlers ---
+  const handleInputChange = (event) => {
+    emitChange(event.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!isOpen) {
+        setIsOpen(true);
+      }
+      if (optionCount === 0) {
+        return;
+      }
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + optionCount) % optionCount);
+    } else if (event.key === 'Enter' && isOpen && activeIndex >= 0) {
+      // Pick the highlighted option instead of submitting the form
+      event.preventDefault();
+      selectOption(activeIndex);
+    } else if (event.key === 'Escape' && isOpen) {
+      event.preventDefault();
+      close();
+    }
+  };
+
+  const handleBlur = () => {
+    close();
+    const entry = findCatalogExercise(catalog, value);
+    if (entry && entry.name !== value) {
+      emitChange(entry.name);
+    }
+  };
+
+  const updateCustomForm = (changes) => {
+    setCustomForm((previous) => ({ ...previous, ...changes }));
+    setCustomError(null);
+  };
+
+  const toggleMuscle = (field, group) => {
+    const groups = customForm[field];
+    updateCustomForm({
+      [field]: groups.includes(group)
+        ? groups.filter((muscle) => muscle !== group)
+        : SELECTABLE_MUSCLE_GROUPS.filter((muscle) => muscle === group || groups.includes(muscle)),
+    });
+  };
+
+  const handleSaveCustom = async () => {
+    if (customForm.primary_muscles.length === 0) {
+      setCustomError('Pick at least one primary muscle group.');
+      return;
+    }
+    setSaving(true);
+    const { data, error } = await addExercise({
+      ...customForm,
+      name: value,
+      aliases: customForm.aliases
+        .split(',')
+        .map((alias) => alias.trim())
+        .filter(Boolean),
+    });
+    setSaving(false);
+    if (error) {
+      setCustomError(error.message || 'Could not add the exercise.');
+      return;
+    }
+    emitChange(data.name);
+    setCustomForm(null);
+  };
+
+  // --- Rendering Functions ---
+
+  const renderOption = (key, index, content) => {
+    const isActive = index === activeIndex;
+    return (
+      <li
+        key={key}
+        id={`${id}-option-${index}`}
+        role="option"
+        aria-selected={isActive}
+        // Keep focus in the input so the blur handler does not run before the click
+        onMouseDown={(event) => event.preventDefault()}
+        onClick={() => selectOption(index)}
+        onMouseEnter={() => setActiveIndex(index)}
+        className={`cursor-pointer px-3 py-2 text-sm ${
+          isActive
+            ? 'bg-indigo-600 text-white'
+            : 'text-gray-900 dark:text-gray-100'
+        }`}
+      >
+        {content}
+      </li>
+    );
+  };
+
+  const renderListbox = () => (
+    <ul
+      id={listboxId}
+      role="listbox"
+      aria-label={`${label} suggestions`}
+      className="absolute z-10 -mt-3 max-h-64 w-full overflow-auto rounded-md border border-gray-200 bg-white py-1 shadow-lg dark:border-gray-600 dark:bg-gray-700"
+    >
+      {suggestions.map((exercise, index) =>
+        renderOption(
+          exercise.id,
+          index,
+          <>
+            <span className="block font-medium">
+              {exercise.name}
+              {exercise.is_custom && (
+                <span className="ml-2 text-xs font-normal opacity-75">(custom)</span>
+              )}
+            </span>
+            <span className="block text-xs opacity-75">{describeExercise(exercise)}</span>
+          </>,
+        ),
+      )}
+      {canAddCustom &&
+        renderOption(
+          'add-custom',
+          suggestions.length,
+          <span className="font-medium">Add “{value.trim()}” as a custom exercise</span>,
+        )}
+    </ul>
+  );
+
+  const renderMuscleChoices = (field, legend) => (
+    <fieldset>
+      <legend className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+        {legend}
+      </legend>
+      <div className="flex flex-wrap gap-x-4 gap-y-1">
+        {SELECTABLE_MUSCLE_GROUPS.map((group) => (
+          <label
+            key={group}
+            className="inline-flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300"
+          >
+            <input
+              type="checkbox"
+              checked={customForm[field].includes(group)}
+              onChange={() => toggleMuscle(field, group)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+            />
+            {MUSCLE_GROUP_LABELS[group]}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+
+  const renderCustomForm = () => (
+    <fieldset
+      disabled={disabled || saving}
+      className="mb-4 space-y-3 rounded-md border border-gray-200 p-4 dark:border-gray-700"
+    >
+      <legend className="px-1 text-sm font-semibold text-gray-800 dark:text-gray-200">
+        New custom exercise: {value.trim()}
+      </legend>
+      {renderMuscleChoices('primary_muscles', 'Primary muscles')}
+      {renderMuscleChoices('secondary_muscles', 'Secondary muscles')}
+      <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+        <div className="mb-4">
+          <label
+            htmlFor={`${formId}-equipment`}
+            className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+          >
+            Equipment
+          </label>
+          <select
+            id={`${formId}-equipment`}
+            value={customForm.equipment}
+            onChange={(event) => updateCustomForm({ equipment: event.target.value })}
+            className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+          >
+            {EQUIPMENT_TYPES.map((equipment) => (
+              <option key={equipment} value={equipment}>
+                {EQUIPMENT_LABELS[equipment]}
+              </option>
+            ))}
+          </select>
+        </div>
+        <InputField
+          id={`${formId}-aliases`}
+          name="aliases"
+          label="Other names (comma-separated)"
+          value={customForm.aliases}
+          onChange={(event) => updateCustomForm({ aliases: event.target.value })}
+          placeholder="e.g., Landmine, LM Press"
+        />
+      </div>
+      <div className="flex flex-wrap gap-x-6 gap-y-1">
+        {[
+          ['is_unilateral', 'Trains one side at a time'],
+          ['is_bodyweight', 'Bodyweight exercise'],
+        ].map(([field, text]) => (
+          <label
+            key={field}
+            className="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+          >
+            <input
+              type="checkbox"
+              checked={customForm[field]}
+              onChange={(event) => updateCustomForm({ [field]: event.target.checked })}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+            />
+            {text}
+          </label>
+        ))}
+      </div>
+      {customError && (
+        <p className="text-sm text-red-600" role="alert">
+          {customError}
+        </p>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="secondary" size="sm" onClick={() => setCustomForm(null)}>
+          Cancel
+        </Button>
+        <Button type="button" size="sm" onClick={handleSaveCustom} disabled={saving}>
+          {saving ? 'Adding...' : 'Add Exercise'}
+        </Button>
+      </div>
+    </fieldset>
+  );
+
+  // --- Main Component Render ---
+  return (
+    <div className={className}>
+      <div className="relative">
+        <InputField
+          id={id}
+          name={name}
+          label={label}
+          type="text"
+          value={value}
+          onChange={handleInputChange}
+          onFocus={() => setIsOpen(true)}
+          onBlur={handleBlur}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          required={required}
+          disabled={disabled}
+          autoComplete="off"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={isOpen && optionCount > 0}
+          aria-controls={listboxId}
+          aria-activedescendant={activeIndex >= 0 ? `${id}-option-${activeIndex}` : undefined}
+        />
+        {isOpen && !disabled && optionCount > 0 && renderListbox()}
+      </div>
+      {customForm && canAddCustom && renderCustomForm()}
+    </div>
+  );
+}
+
+export default ExerciseCombobox;
@@ -0,0 +1,190 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import LineChart from './LineChart.jsx';
+import { namesMatch } from '../utils/names.js';
+import { MAX_E1RM_REPS } from '../utils/records.js';
+import {
+  TREND_WINDOWS,
+  filterTrendWindow,
+  getExerciseTrend,
+  listLoggedExercises,
+} from '../utils/trends.js';
+import { formatWeight } from '../utils/units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../utils/trends.js').TrendWindow} TrendWindow
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} ExerciseProgressChartsProps
+ * @property {ProgressLog[]} logs - (Required) The history to chart, any order.
+ * @property {boolean} loading - (Required) True while the history is loading.
+ * @property {PostgrestError | Error | null} error - (Required) Error from loading the history.
+ */
+
+/**
+ * ExerciseProgressCharts Component
+ *
+ * Trend view for one exercise at a time: top-set weight, best estimated 1RM and
+ * total volume per session, with a selectable time window. Values are shown in
+ * the user's weight unit, and the 1RM uses the preferred formula.
+ *
+ * @param {ExerciseProgressChartsProps} props - Component props.
+ * @returns {React.ReactElement} The charts section.
+ */
+function ExerciseProgressCharts({ logs, loading, error }) {
+  const { preferences } = usePreferences();
+  const unit = preferences.weight_unit;
+
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [exerciseName, setExerciseName] = useState('');
+  /** @type {[TrendWindow, React.Dispatch<React.SetStateAction<TrendWindow>>]} */
+  const [trendWindow, setTrendWindow] = useState('3m');
+
+  const exercises = useMemo(() => listLoggedExercises(logs), [logs]);
+
+  // Default to the most recently trained exercise, and recover if the selected one disappears
+  useEffect(() => {
+    const match = exercises.find((name) => namesMatch(name, exerciseName));
+    if (match !== exerciseName) {
+      setExerciseName(match ?? exercises[0] ?? '');
+    }
+  }, [exercises, exerciseName]);
+
+  const points = useMemo(
+    () =>
+      exerciseName
+        ? filterTrendWindow(
+            getExerciseTrend(logs, exerciseName, unit, preferences.e1rm_formula),
+            trendWindow,
+          )
+        : [],
+    [logs, exerciseName, unit, preferences.e1rm_formula, trendWindow],
+  );
+
+  const formatChartWeight = (value) => formatWeight(value, unit);
+
+  /**
+   * Maps trend points to chart points for one metric, skipping sessions without a value.
+   * @param {'topWeight' | 'e1rm' | 'volume'} metric - The metric to plot.
+   */
+  const toChartPoints = (metric) =>
+    points
+      .filter((point) => point[metric] !== null)
+      .map((point) => ({ date: point.date, value: point[metric] }));
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+          Loading charts...
+        </p>
+      );
+    }
+
+    if (error) {
+      return (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          Error loading chart data: {error.message}
+        </p>
+      );
+    }
+
+    if (exercises.length === 0) {
+      return (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Log an exercise to see your progress over time.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <div className="mb-4 flex flex-wrap items-end gap-4">
+          <div className="flex-grow">
+            <label
+              htmlFor="chart_exercise"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Exercise
+            </label>
+            <select
+              id="chart_exercise"
+              value={exerciseName}
+              onChange={(event) => setExerciseName(event.target.value)}
+              className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+            >
+              {exercises.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div
+            role="group"
+            aria-label="Time window"
+            className="inline-flex overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+          >
+            {TREND_WINDOWS.map(({ id, label }) => {
+              const isActive = trendWindow === id;
+              return (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setTrendWindow(id)}
+                  aria-pressed={isActive}
+                  className={`px-3 py-1.5 text-xs font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500 ${
+                    isActive
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+          <LineChart
+            title="Top set weight"
+            points={toChartPoints('topWeight')}
+            formatValue={formatChartWeight}
+          />
+          <LineChart
+            title="Estimated 1RM"
+            points={toChartPoints('e1rm')}
+            formatValue={formatChartWeight}
+            emptyMessage={`No weighted sets of ${MAX_E1RM_REPS} reps or fewer in this period.`}
+          />
+          <LineChart
+            title="Total volume"
+            points={toChartPoints('volume').filter((point) => point.value > 0)}
+            formatValue={formatChartWeight}
+          />
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="charts-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+    >
+      <h3
+        id="charts-heading"
+        className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-4"
+      >
+        Progress Charts
+      </h3>
+      {renderBody()}
+    </section>
+  );
+}
+
+export default ExerciseProgressCharts;
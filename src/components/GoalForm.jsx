@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { createGoal } from '../services/goalsService.js';
+import {
+  GOAL_TYPES,
+  GOAL_TYPE_LABELS,
+  LIFT_GOAL_METRICS,
+  LIFT_GOAL_METRIC_LABELS,
+  MAX_GOAL_WEEKS,
+  createEmptyGoalForm,
+  parseGoalForm,
+} from '../utils/goals.js';
+import ExerciseCombobox from './ExerciseCombobox.jsx';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../services/goalsService.js').Goal} Goal
+ * @typedef {import('../utils/goals.js').GoalFormState} GoalFormState
+ */
+
+/**
+ * @typedef {object} GoalFormProps
+ * @property {(goal: Goal) => void} onSaved - (Required) Called with the stored goal after it was created.
+ * @property {() => void} onCancel - (Required) Closes the form without saving.
+ */
+
+/**
+ * Shared classes of the form's selects.
+ * @type {string}
+ */
+const SELECT_CLASSES =
+  'block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100';
+
+/**
+ * Shared classes of the form's labels.
+ * @type {string}
+ */
+const LABEL_CLASSES = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * GoalForm Component
+ *
+ * Creates a goal starting today: a lift target for an exercise (heaviest set or
+ * estimated one-rep max), a number of training days per week kept up for a number
+ * of weeks, or a target bodyweight. Lift and bodyweight goals take an optional
+ * target date; target weights are entered in the preferred weight unit.
+ *
+ * @param {GoalFormProps} props - Component props.
+ * @returns {React.ReactElement} The goal form.
+ */
+function GoalForm({ onSaved, onCancel }) {
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const weightUnit = preferences.weight_unit;
+
+  // --- State ---
+  /** @type {[GoalFormState, React.Dispatch<React.SetStateAction<GoalFormState>>]} */
+  const [form, setForm] = useState(createEmptyGoalForm);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [formError, setFormError] = useState(null);
+
+  // --- Event Handlers ---
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    // Targets of one goal type make no sense for another, so switching types starts over
+    setForm((previous) =>
+      name === 'goal_type' ? { ...createEmptyGoalForm(), goal_type: value } : { ...previous, [name]: value },
+    );
+    setFormError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const { data: goalData, error: validationError } = parseGoalForm(form, weightUnit);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    const { data, error: saveError } = await createGoal(user?.id, goalData);
+    setSaving(false);
+    if (saveError) {
+      setFormError(`Could not save the goal: ${saveError.message || 'unknown error'}`);
+      return;
+    }
+    onSaved(data);
+  };
+
+  // --- Rendering Functions ---
+
+  const renderTargetFields = () => {
+    if (form.goal_type === 'frequency') {
+      return (
+        <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+          <InputField
+            id="goal_target_value"
+            name="target_value"
+            label="Training days per week"
+            type="number"
+            value={form.target_value}
+            onChange={handleChange}
+            min="1"
+            max="7"
+            step="1"
+            required
+          />
+          <InputField
+            id="goal_duration_weeks"
+            name="duration_weeks"
+            label="Number of weeks"
+            type="number"
+            value={form.duration_weeks}
+            onChange={handleChange}
+            min="1"
+            max={String(MAX_GOAL_WEEKS)}
+            step="1"
+            required
+          />
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {form.goal_type === 'lift' && (
+          <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+            <ExerciseCombobox
+              id="goal_exercise_name"
+              name="exercise_name"
+              label="Exercise"
+              value={form.exercise_name}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+            <div className="mb-4">
+              <label htmlFor="goal_lift_metric" className={LABEL_CLASSES}>
+                Measured by
+              </label>
+              <select
+                id="goal_lift_metric"
+                name="lift_metric"
+                value={form.lift_metric}
+                onChange={handleChange}
+                className={SELECT_CLASSES}
+              >
+                {LIFT_GOAL_METRICS.map((metric) => (
+                  <option key={metric} value={metric}>
+                    {LIFT_GOAL_METRIC_LABELS[metric]}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+        <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+          <InputField
+            id="goal_target_value"
+            name="target_value"
+            label={`${form.goal_type === 'lift' ? 'Target weight' : 'Target bodyweight'} (${weightUnit})`}
+            type="number"
+            value={form.target_value}
+            onChange={handleChange}
+            min="0"
+            step="any"
+            required
+          />
+          <InputField
+            id="goal_target_date"
+            name="target_date"
+            label="Target date (optional)"
+            type="date"
+            value={form.target_date}
+            onChange={handleChange}
+          />
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="rounded-md border border-gray-200 p-4 dark:border-gray-700"
+      aria-label="New goal"
+    >
+      <fieldset disabled={saving}>
+        <div className="mb-4 sm:w-64">
+          <label htmlFor="goal_type" className={LABEL_CLASSES}>
+            Goal type
+          </label>
+          <select
+            id="goal_type"
+            name="goal_type"
+            value={form.goal_type}
+            onChange={handleChange}
+            className={SELECT_CLASSES}
+          >
+            {GOAL_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {GOAL_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {renderTargetFields()}
+
+        {formError && (
+          <div
+            className="mb-4 rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+            role="alert"
+          >
+            <p className="text-sm font-medium text-red-700 dark:text-red-300">{formError}</p>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit">{saving ? 'Saving...' : 'Save Goal'}</Button>
+        </div>
+      </fieldset>
+    </form>
+  );
+}
+
+export default GoalForm;
@@ -0,0 +1,274 @@
+import React, { useState, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { updateGoalStatus } from '../services/goalsService.js';
+import { useGoals } from '../hooks/useGoals.js';
+import { useGoalLogs } from '../hooks/useGoalLogs.js';
+import { useBodyMetrics } from '../hooks/useBodyMetrics.js';
+import { describeGoal, formatGoalValue, getGoalProgress } from '../utils/goals.js';
+import { getTodayISO } from '../utils/progressLogForm.js';
+import GoalForm from './GoalForm.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../services/goalsService.js').Goal} Goal
+ * @typedef {import('../utils/goals.js').GoalProgress} GoalProgress
+ * @typedef {import('../utils/goals.js').GoalStatus} GoalStatus
+ */
+
+/**
+ * @typedef {object} GoalsPanelProps
+ * @property {string} [className] - (Optional) Additional CSS classes for the section.
+ */
+
+/**
+ * GoalsPanel Component
+ *
+ * Dashboard section listing the user's active goals as cards with their progress,
+ * computed from the logs each goal needs and the logged bodyweight, and the
+ * projected completion date based on the recent trend. Goals can be added, marked
+ * achieved or abandoned; closed goals are listed in the goal history, where they
+ * can be reopened.
+ *
+ * @param {GoalsPanelProps} props - Component props.
+ * @returns {React.ReactElement} The goals section.
+ */
+function GoalsPanel({ className = '' }) {
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const unit = preferences.weight_unit;
+
+  // --- State ---
+  const { goals, setGoals, loading: goalsLoading, error: goalsError } = useGoals();
+  const { metrics, loading: metricsLoading, error: metricsError } = useBodyMetrics();
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showForm, setShowForm] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showHistory, setShowHistory] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [pendingGoalId, setPendingGoalId] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [actionError, setActionError] = useState(null);
+
+  // --- Derived Data ---
+  const activeGoals = useMemo(() => goals.filter((goal) => goal.status === 'active'), [goals]);
+  const { logs, loading: logsLoading, error: logsError } = useGoalLogs(activeGoals);
+  const closedGoals = goals
+    .filter((goal) => goal.status !== 'active')
+    .sort((a, b) => (b.closed_on ?? '').localeCompare(a.closed_on ?? ''));
+  /** @type {Map<string, GoalProgress>} */
+  const progressById = useMemo(
+    () =>
+      new Map(
+        activeGoals.map((goal) => [
+          goal.id,
+          getGoalProgress(goal, { logs, metrics, unit, formula: preferences.e1rm_formula }),
+        ]),
+      ),
+    [activeGoals, logs, metrics, unit, preferences.e1rm_formula],
+  );
+  const loading = goalsLoading || logsLoading || metricsLoading;
+  const loadError = goalsError || logsError || metricsError;
+
+  // --- Event Handlers ---
+  /**
+   * Changes the status of a goal and applies the stored result.
+   * @param {Goal} goal - The goal.
+   * @param {GoalStatus} status - The new status.
+   */
+  const handleStatusChange = async (goal, status) => {
+    setPendingGoalId(goal.id);
+    setActionError(null);
+    const { data, error } = await updateGoalStatus(user?.id, goal.id, status, getTodayISO());
+    setPendingGoalId(null);
+    if (error) {
+      setActionError(`Could not update the goal: ${error.message || 'unknown error'}`);
+      return;
+    }
+    setGoals((previous) => previous.map((item) => (item.id === data.id ? data : item)));
+  };
+
+  // --- Rendering Functions ---
+
+  /** @param {Goal} goal */
+  const renderGoalCard = (goal) => {
+    const progress = progressById.get(goal.id);
+    const isPending = pendingGoalId === goal.id;
+    return (
+      <li
+        key={goal.id}
+        className="rounded-md border border-gray-200 p-4 dark:border-gray-700"
+        aria-label={describeGoal(goal, unit)}
+      >
+        <div className="flex flex-wrap items-baseline justify-between gap-2">
+          <h4 className="text-lg font-medium text-gray-900 dark:text-white">{describeGoal(goal, unit)}</h4>
+          {goal.target_date && (
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              by {format(parseISO(goal.target_date), 'PP')}
+            </span>
+          )}
+        </div>
+        <div
+          className="mt-3 h-2 w-full overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={progress.percent}
+          aria-label="Goal progress"
+        >
+          <div
+            className={`h-full rounded-full ${progress.reached ? 'bg-green-500' : 'bg-indigo-500'}`}
+            style={{ width: `${progress.percent}%` }}
+          />
+        </div>
+        <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+          {progress.current === null
+            ? 'No data yet'
+            : `${formatGoalValue(goal, progress.current, unit)} of ${formatGoalValue(goal, progress.target, unit)}`}
+          {' '}&middot; {progress.percent}%
+        </p>
+        <p
+          className={`mt-1 text-sm ${
+            progress.onTrack === false
+              ? 'text-yellow-700 dark:text-yellow-400'
+              : 'text-gray-600 dark:text-gray-400'
+          }`}
+        >
+          {progress.summary}
+        </p>
+        <div className="mt-3 flex flex-wrap gap-2">
+          <Button
+            size="sm"
+            variant={progress.reached ? 'primary' : 'secondary'}
+            onClick={() => handleStatusChange(goal, 'achieved')}
+            disabled={isPending}
+          >
+            Mark Achieved
+          </Button>
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => handleStatusChange(goal, 'abandoned')}
+            disabled={isPending}
+          >
+            Abandon
+          </Button>
+        </div>
+      </li>
+    );
+  };
+
+  const renderHistory = () => (
+    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+      {closedGoals.map((goal) => (
+        <li key={goal.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+          <div>
+            <p className="text-sm font-medium text-gray-800 dark:text-gray-200">{describeGoal(goal, unit)}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Set {format(parseISO(goal.start_date), 'PP')}
+              {goal.closed_on && ` · closed ${format(parseISO(goal.closed_on), 'PP')}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <span
+              className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+                goal.status === 'achieved'
+                  ? 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+                  : 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {goal.status === 'achieved' ? 'Achieved' : 'Abandoned'}
+            </span>
+            <Button
+              size="sm"
+              variant="secondary"
+              onClick={() => handleStatusChange(goal, 'active')}
+              disabled={pendingGoalId === goal.id}
+            >
+              Reopen
+            </Button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">Loading your goals...</p>
+      );
+    }
+
+    if (loadError) {
+      return (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">
+            Error loading goals: {loadError.message || 'An unknown error occurred.'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {showForm && (
+          <GoalForm
+            onSaved={(goal) => {
+              setGoals((previous) => [goal, ...previous]);
+              setShowForm(false);
+            }}
+            onCancel={() => setShowForm(false)}
+          />
+        )}
+        {actionError && (
+          <p className="text-sm text-red-600 dark:text-red-400" role="alert">
+            {actionError}
+          </p>
+        )}
+        {activeGoals.length > 0 ? (
+          <ul className="space-y-4">{activeGoals.map(renderGoalCard)}</ul>
+        ) : (
+          !showForm && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No active goals. Set one to track your progress toward it.
+            </p>
+          )
+        )}
+        {closedGoals.length > 0 && (
+          <div className="space-y-2">
+            <Button size="sm" variant="secondary" onClick={() => setShowHistory((previous) => !previous)}>
+              {showHistory ? 'Hide Goal History' : `Show Goal History (${closedGoals.length})`}
+            </Button>
+            {showHistory && renderHistory()}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="goals-heading"
+      className={`bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4 ${className}`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 id="goals-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Goals
+        </h3>
+        {!showForm && !loading && !loadError && (
+          <Button size="sm" onClick={() => setShowForm(true)}>
+            Add Goal
+          </Button>
+        )}
+      </div>
+      {renderBody()}
+    </section>
+  );
+}
+
+export default GoalsPanel;
@@ -2,6 +2,7 @@ import React, { useContext, useCallback } from 'react';
 import { Link, NavLink } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx'; // Using the exported hook
 import Button from './Button.jsx';
+import UnitToggle from './UnitToggle.jsx';
 
 /**
  * Header Component
@@ -12,7 +13,8 @@ import Button from './Button.jsx';
  *
  * Features:
  * - Displays the application title linking to the dashboard.
- * - Shows primary navigation links (Dashboard, Progress) for authenticated users.
+ * - Shows primary navigation links (Dashboard, Progress, Analytics, Calendar, Body) for authenticated users.
+ * - Provides a kg/lb weight unit switch for authenticated users.
  * - Provides a Logout button for authenticated users.
  * - Shows a Login/Sign Up link for unauthenticated users.
  * - Disables the Logout button during the logout process.
@@ -93,6 +95,25 @@ function Header() {
                   Progress
                 </NavLink>
               </li>
+              <li>
+                <NavLink to="/analytics" className={navLinkClasses}>
+                  Analytics
+                </NavLink>
+              </li>
+              <li>
+                <NavLink to="/calendar" className={navLinkClasses}>
+                  Calendar
+                </NavLink>
+              </li>
+              <li>
+                <NavLink to="/body" className={navLinkClasses}>
+                  Body
+                </NavLink>
+              </li>
+              <li>
+                {/* Weight Unit Preference */}
+                <UnitToggle />
+              </li>
               <li>
                 {/* Logout Button */}
                 <Button
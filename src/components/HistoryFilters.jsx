@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {object} HistoryFilterValues
+ * @property {string} exerciseName - Substring to match against the exercise name.
+ * @property {string} workoutName - Substring to match against the workout name.
+ * @property {string} dateFrom - Inclusive start date (YYYY-MM-DD), or empty for no bound.
+ * @property {string} dateTo - Inclusive end date (YYYY-MM-DD), or empty for no bound.
+ */
+
+/**
+ * Filter values representing "no filters applied".
+ * @type {HistoryFilterValues}
+ */
+export const EMPTY_HISTORY_FILTERS = {
+  exerciseName: '',
+  workoutName: '',
+  dateFrom: '',
+  dateTo: '',
+};
+
+/**
+ * @typedef {object} HistoryFiltersProps
+ * @property {HistoryFilterValues} filters - (Required) The currently applied filters.
+ * @property {(filters: HistoryFilterValues) => void} onApply - (Required) Called with the new filters when the user applies or clears them.
+ * @property {boolean} [disabled=false] - (Optional) Disables the inputs and buttons, e.g. while history is loading.
+ */
+
+/**
+ * HistoryFilters Component
+ *
+ * A compact filter form for the workout history list. Edits are kept in local draft
+ * state and only passed to `onApply` when the form is submitted, so the history is
+ * not refetched on every keystroke.
+ *
+ * @param {HistoryFiltersProps} props - Component props.
+ * @returns {React.ReactElement} The filter form.
+ */
+function HistoryFilters({ filters, onApply, disabled = false }) {
+  /** @type {[HistoryFilterValues, React.Dispatch<React.SetStateAction<HistoryFilterValues>>]} */
+  const [draft, setDraft] = useState(filters);
+
+  // Keep the draft in sync when the applied filters change from outside (e.g. cleared)
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setDraft((prevDraft) => ({ ...prevDraft, [name]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply(draft);
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_HISTORY_FILTERS);
+    onApply(EMPTY_HISTORY_FILTERS);
+  };
+
+  const hasActiveFilters = Object.values(filters).some((value) => value.trim() !== '');
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-4 rounded-lg bg-white p-4 shadow dark:bg-gray-800"
+      aria-label="Filter workout history"
+    >
+      <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2 lg:grid-cols-4">
+        <InputField
+          id="filter_exercise_name"
+          name="exerciseName"
+          label="Exercise"
+          value={draft.exerciseName}
+          onChange={handleChange}
+          placeholder="e.g., Squat"
+          disabled={disabled}
+        />
+        <InputField
+          id="filter_workout_name"
+          name="workoutName"
+          label="Workout"
+          value={draft.workoutName}
+          onChange={handleChange}
+          placeholder="e.g., Leg Day"
+          disabled={disabled}
+        />
+        <InputField
+          id="filter_date_from"
+          name="dateFrom"
+          label="From"
+          type="date"
+          value={draft.dateFrom}
+          onChange={handleChange}
+          max={draft.dateTo || undefined}
+          disabled={disabled}
+        />
+        <InputField
+          id="filter_date_to"
+          name="dateTo"
+          label="To"
+          type="date"
+          value={draft.dateTo}
+          onChange={handleChange}
+          min={draft.dateFrom || undefined}
+          disabled={disabled}
+        />
+      </div>
+      <div className="flex gap-3">
+        <Button type="submit" size="sm" disabled={disabled}>
+          Apply Filters
+        </Button>
+        {hasActiveFilters && (
+          <Button variant="secondary" size="sm" onClick={handleClear} disabled={disabled}>
+            Clear
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default HistoryFilters;
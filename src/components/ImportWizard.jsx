@@ -0,0 +1,554 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import {
+  fetchAllProgressHistory,
+  importProgressLogs,
+  validateLogData,
+} from '../services/workoutService.js';
+import {
+  IMPORT_DATE_FORMATS,
+  IMPORT_DATE_FORMAT_LABELS,
+  IMPORT_FIELDS,
+  IMPORT_FIELD_LABELS,
+  IMPORT_PRESETS,
+  REQUIRED_IMPORT_FIELDS,
+  buildImportLogs,
+  createEmptyMapping,
+  detectPreset,
+  findDuplicateImports,
+  getMissingFields,
+  getPresetMapping,
+  parseCsv,
+} from '../utils/csvImport.js';
+import { SET_TYPE_LABELS, formatSet } from '../utils/setData.js';
+import { WEIGHT_UNITS } from '../utils/units.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../utils/csvImport.js').ColumnMapping} ColumnMapping
+ * @typedef {import('../utils/csvImport.js').ImportDateFormat} ImportDateFormat
+ * @typedef {import('../utils/csvImport.js').ImportedLog} ImportedLog
+ * @typedef {import('../utils/csvImport.js').ImportRowError} ImportRowError
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} ImportWizardProps
+ * @property {() => void} onImported - (Required) Called after entries were saved, so views showing logs can reload.
+ * @property {() => void} onClose - (Required) Closes the wizard.
+ */
+
+/**
+ * @typedef {object} ParsedFile
+ * @property {string} name - File name.
+ * @property {string[]} headers - Header row.
+ * @property {string[][]} rows - Data rows.
+ */
+
+/**
+ * @typedef {object} ImportPreview
+ * @property {{ entry: ImportedLog, isDuplicate: boolean }[]} entries - Valid entries with their duplicate flag.
+ * @property {ImportRowError[]} errors - Rows that could not be read or failed validation.
+ * @property {number} skipped - Rows without reps.
+ */
+
+/**
+ * @typedef {'upload' | 'mapping' | 'preview' | 'done'} WizardStep
+ */
+
+/**
+ * Workout name used for rows without one.
+ * @type {string}
+ */
+const DEFAULT_WORKOUT_NAME = 'Imported Workout';
+
+/**
+ * Number of entries listed in the preview table.
+ * @type {number}
+ */
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Number of row errors listed in the preview.
+ * @type {number}
+ */
+const ERROR_LIMIT = 20;
+
+/**
+ * Shared classes of the wizard's selects.
+ * @type {string}
+ */
+const SELECT_CLASSES =
+  'block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100';
+
+/**
+ * Shared classes of the wizard's labels.
+ * @type {string}
+ */
+const LABEL_CLASSES = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * ImportWizard Component
+ *
+ * Imports workout history from a CSV file, parsed entirely in the browser. The
+ * user uploads a file, maps its columns onto log fields (a preset is picked
+ * automatically when the headers of a known app are recognized), then reviews a
+ * preview: every entry is checked with `validateLogData`, unreadable rows are
+ * listed, and entries already in the history are flagged and skipped unless the
+ * user opts in. The remaining entries are saved in bulk.
+ *
+ * @param {ImportWizardProps} props - Component props.
+ * @returns {React.ReactElement} The import wizard.
+ */
+function ImportWizard({ onImported, onClose }) {
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+
+  // --- State ---
+  /** @type {[WizardStep, React.Dispatch<React.SetStateAction<WizardStep>>]} */
+  const [step, setStep] = useState('upload');
+  /** @type {[ParsedFile | null, React.Dispatch<React.SetStateAction<ParsedFile | null>>]} */
+  const [file, setFile] = useState(null);
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [presetId, setPresetId] = useState('');
+  /** @type {[ColumnMapping, React.Dispatch<React.SetStateAction<ColumnMapping>>]} */
+  const [mapping, setMapping] = useState(createEmptyMapping);
+  /** @type {[ImportDateFormat, React.Dispatch<React.SetStateAction<ImportDateFormat>>]} */
+  const [dateFormat, setDateFormat] = useState('iso');
+  /** @type {[WeightUnit, React.Dispatch<React.SetStateAction<WeightUnit>>]} */
+  const [weightUnit, setWeightUnit] = useState(preferences.weight_unit);
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [defaultWorkoutName, setDefaultWorkoutName] = useState(DEFAULT_WORKOUT_NAME);
+  /** @type {[ImportPreview | null, React.Dispatch<React.SetStateAction<ImportPreview | null>>]} */
+  const [preview, setPreview] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [working, setWorking] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [wizardError, setWizardError] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [wizardNotice, setWizardNotice] = useState(null);
+
+  const missingFields = getMissingFields(mapping);
+  const entriesToImport = preview
+    ? preview.entries.filter(({ isDuplicate }) => includeDuplicates || !isDuplicate)
+    : [];
+  const duplicateCount = preview ? preview.entries.filter(({ isDuplicate }) => isDuplicate).length : 0;
+
+  // --- Event Handlers ---
+  const resetWizard = () => {
+    setStep('upload');
+    setFile(null);
+    setPreview(null);
+    setIncludeDuplicates(false);
+    setWizardError(null);
+  };
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) {
+      return;
+    }
+    setWizardError(null);
+    setWizardNotice(null);
+
+    let rows;
+    try {
+      rows = parseCsv(await selected.text());
+    } catch (error) {
+      console.error('CSV Import Read Error:', error);
+      setWizardError('The file could not be read.');
+      return;
+    }
+    if (rows.length < 2) {
+      setWizardError('The file has no data rows below its header.');
+      return;
+    }
+
+    const [headers, ...dataRows] = rows;
+    const preset = detectPreset(headers);
+    setFile({ name: selected.name, headers, rows: dataRows });
+    setPresetId(preset ? preset.id : '');
+    setMapping(preset ? getPresetMapping(preset, headers) : createEmptyMapping());
+    if (preset) {
+      setDateFormat(preset.dateFormat);
+    }
+    setStep('mapping');
+  };
+
+  const handlePresetChange = (event) => {
+    const preset = IMPORT_PRESETS.find((candidate) => candidate.id === event.target.value);
+    setPresetId(event.target.value);
+    if (preset) {
+      setMapping(getPresetMapping(preset, file.headers));
+      setDateFormat(preset.dateFormat);
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping((previous) => ({ ...previous, [field]: value === '' ? null : Number(value) }));
+    // A hand-edited mapping no longer matches the preset
+    setPresetId('');
+  };
+
+  const handlePreview = async () => {
+    const { logs, errors, skipped } = buildImportLogs(file.rows, file.headers, mapping, {
+      dateFormat,
+      weightUnit,
+      defaultWorkoutName: defaultWorkoutName.trim() || DEFAULT_WORKOUT_NAME,
+    });
+
+    // Entries are built to pass validation; anything that does not is reported per row
+    const validLogs = logs.filter((entry) => validateLogData(entry.logData));
+    const validSet = new Set(validLogs);
+    const rowErrors = [
+      ...errors,
+      ...logs
+        .filter((entry) => !validSet.has(entry))
+        .map((entry) => ({ row: entry.rows[0], message: 'The entry is missing required fields.' })),
+    ].sort((a, b) => a.row - b.row);
+
+    // Only the imported date range has to be checked for duplicates
+    /** @type {import('../services/workoutService.js').ProgressLog[]} */
+    let existingLogs = [];
+    if (validLogs.length > 0) {
+      const dates = validLogs.map(({ logData }) => logData.workout_date).sort();
+      setWorking(true);
+      setWizardError(null);
+      const { data, error } = await fetchAllProgressHistory(user.id, {
+        dateFrom: dates[0],
+        dateTo: dates[dates.length - 1],
+      });
+      setWorking(false);
+      if (error) {
+        setWizardError(`Could not check for duplicates: ${error.message || 'unknown error'}`);
+        return;
+      }
+      existingLogs = data;
+    }
+
+    const duplicates = findDuplicateImports(validLogs, existingLogs);
+    setPreview({
+      entries: validLogs.map((entry, index) => ({ entry, isDuplicate: duplicates[index] })),
+      errors: rowErrors,
+      skipped,
+    });
+    setIncludeDuplicates(false);
+    setStep('preview');
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    setWizardError(null);
+    const { data, error } = await importProgressLogs(
+      user.id,
+      entriesToImport.map(({ entry }) => entry.logData),
+    );
+    setWorking(false);
+
+    const inserted = data?.inserted ?? 0;
+    if (inserted > 0) {
+      onImported();
+    }
+    if (error) {
+      // Saved batches stay saved; drop them so a retry does not import them twice
+      const saved = new Set(entriesToImport.slice(0, inserted));
+      setPreview((previous) => ({
+        ...previous,
+        entries: previous.entries.filter((item) => !saved.has(item)),
+      }));
+      setWizardError(
+        `Import stopped after ${inserted} of ${entriesToImport.length} entries: ${error.message || 'unknown error'}`,
+      );
+      return;
+    }
+    setWizardNotice(`Imported ${inserted} entr${inserted === 1 ? 'y' : 'ies'} from ${file.name}.`);
+    setStep('done');
+  };
+
+  // --- Rendering Functions ---
+
+  const renderUpload = () => (
+    <div>
+      <label htmlFor="import_file" className={LABEL_CLASSES}>
+        CSV file
+      </label>
+      <input
+        id="import_file"
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFileChange}
+        className="block w-full text-sm text-gray-700 file:mr-4 file:rounded-md file:border-0 file:bg-indigo-50 file:px-4 file:py-2 file:text-sm file:font-medium file:text-indigo-700 hover:file:bg-indigo-100 dark:text-gray-300 dark:file:bg-indigo-900/40 dark:file:text-indigo-300"
+      />
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        One row per set. Exports of {IMPORT_PRESETS.map((preset) => preset.label).join(', ')} are
+        recognized automatically; other layouts can be mapped by hand. The file never leaves your
+        browser until you confirm the import.
+      </p>
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {file.name}: {file.rows.length} row(s)
+      </p>
+      <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+        <div className="mb-4">
+          <label htmlFor="import_preset" className={LABEL_CLASSES}>
+            Format
+          </label>
+          <select id="import_preset" value={presetId} onChange={handlePresetChange} className={SELECT_CLASSES}>
+            <option value="">Manual mapping</option>
+            {IMPORT_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="import_date_format" className={LABEL_CLASSES}>
+            Date format
+          </label>
+          <select
+            id="import_date_format"
+            value={dateFormat}
+            onChange={(event) => setDateFormat(event.target.value)}
+            className={SELECT_CLASSES}
+          >
+            {IMPORT_DATE_FORMATS.map((value) => (
+              <option key={value} value={value}>
+                {IMPORT_DATE_FORMAT_LABELS[value]}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <fieldset>
+        <legend className="mb-2 text-sm font-semibold text-gray-800 dark:text-gray-200">Columns</legend>
+        <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+          {IMPORT_FIELDS.map((field) => (
+            <div key={field} className="mb-4">
+              <label htmlFor={`import_column_${field}`} className={LABEL_CLASSES}>
+                {IMPORT_FIELD_LABELS[field]}
+                {REQUIRED_IMPORT_FIELDS.includes(field) && <span className="text-red-500"> *</span>}
+              </label>
+              <select
+                id={`import_column_${field}`}
+                value={mapping[field] ?? ''}
+                onChange={(event) => handleMappingChange(field, event.target.value)}
+                className={SELECT_CLASSES}
+              >
+                <option value="">Not mapped</option>
+                {file.headers.map((header, index) => (
+                  <option key={index} value={index}>
+                    {header || `Column ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+        <div className="mb-4">
+          <label htmlFor="import_weight_unit" className={LABEL_CLASSES}>
+            Weights are in
+          </label>
+          <select
+            id="import_weight_unit"
+            value={weightUnit}
+            onChange={(event) => setWeightUnit(event.target.value)}
+            className={SELECT_CLASSES}
+          >
+            {WEIGHT_UNITS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Used unless a unit column is mapped or the weight header names a unit.
+          </p>
+        </div>
+        <InputField
+          id="import_default_workout"
+          name="defaultWorkoutName"
+          label="Workout name for rows without one"
+          value={defaultWorkoutName}
+          onChange={(event) => setDefaultWorkoutName(event.target.value)}
+          placeholder={DEFAULT_WORKOUT_NAME}
+        />
+      </div>
+
+      {missingFields.length > 0 && (
+        <p className="text-sm text-amber-700 dark:text-amber-400">
+          Map a column for: {missingFields.map((field) => IMPORT_FIELD_LABELS[field]).join(', ')}.
+        </p>
+      )}
+      <div className="flex gap-2">
+        <Button variant="secondary" size="sm" onClick={resetWizard} disabled={working}>
+          Choose Another File
+        </Button>
+        <Button size="sm" onClick={handlePreview} disabled={working || missingFields.length > 0}>
+          {working ? 'Checking...' : 'Preview'}
+        </Button>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => (
+    <div className="space-y-4">
+      <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+        <li>{preview.entries.length} entr{preview.entries.length === 1 ? 'y' : 'ies'} read from {file.name}</li>
+        <li>{duplicateCount} already in your history</li>
+        <li>{preview.errors.length} row(s) with errors</li>
+        {preview.skipped > 0 && <li>{preview.skipped} row(s) without reps skipped</li>}
+      </ul>
+
+      {duplicateCount > 0 && (
+        <label className="inline-flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+          <input
+            type="checkbox"
+            checked={includeDuplicates}
+            onChange={(event) => setIncludeDuplicates(event.target.checked)}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+          />
+          Import entries that are already in my history anyway
+        </label>
+      )}
+
+      {preview.errors.length > 0 && (
+        <div className="rounded-md border border-amber-400 bg-amber-50 p-4 dark:border-amber-600 dark:bg-amber-900/30">
+          <p className="mb-1 text-sm font-medium text-amber-800 dark:text-amber-300">
+            These rows will not be imported:
+          </p>
+          <ul className="space-y-0.5 text-sm text-amber-800 dark:text-amber-300">
+            {preview.errors.slice(0, ERROR_LIMIT).map((rowError) => (
+              <li key={`${rowError.row}-${rowError.message}`}>
+                Row {rowError.row}: {rowError.message}
+              </li>
+            ))}
+            {preview.errors.length > ERROR_LIMIT && (
+              <li>...and {preview.errors.length - ERROR_LIMIT} more.</li>
+            )}
+          </ul>
+        </div>
+      )}
+
+      {preview.entries.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-left text-sm dark:divide-gray-700">
+            <thead>
+              <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                <th scope="col" className="py-2 pr-4 font-medium">Date</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Workout</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Exercise</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Sets</th>
+                <th scope="col" className="py-2 font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-gray-700 dark:divide-gray-700 dark:text-gray-300">
+              {preview.entries.slice(0, PREVIEW_LIMIT).map(({ entry, isDuplicate }) => {
+                const { logData } = entry;
+                return (
+                  <tr key={entry.rows[0]} className="align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap">{logData.workout_date}</td>
+                    <td className="py-2 pr-4">{logData.workout_name}</td>
+                    <th scope="row" className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                      {logData.exercise_name}
+                    </th>
+                    <td className="py-2 pr-4">
+                      {logData.sets
+                        .map((set) =>
+                          set.set_type === 'working'
+                            ? formatSet(set, logData.weight_unit, logData.weight_unit)
+                            : `${formatSet(set, logData.weight_unit, logData.weight_unit)} (${SET_TYPE_LABELS[set.set_type]})`,
+                        )
+                        .join(', ')}
+                    </td>
+                    <td className="py-2 whitespace-nowrap">
+                      {isDuplicate ? (
+                        <span className="text-amber-700 dark:text-amber-400">
+                          {includeDuplicates ? 'Duplicate' : 'Duplicate, skipped'}
+                        </span>
+                      ) : (
+                        <span className="text-green-700 dark:text-green-400">New</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {preview.entries.length > PREVIEW_LIMIT && (
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Showing the first {PREVIEW_LIMIT} of {preview.entries.length} entries.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <Button variant="secondary" size="sm" onClick={() => setStep('mapping')} disabled={working}>
+          Back
+        </Button>
+        <Button size="sm" onClick={handleImport} disabled={working || entriesToImport.length === 0}>
+          {working ? 'Importing...' : `Import ${entriesToImport.length} Entr${entriesToImport.length === 1 ? 'y' : 'ies'}`}
+        </Button>
+      </div>
+    </div>
+  );
+
+  // --- Main Component Render ---
+  return (
+    <section
+      aria-labelledby="import-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h3 id="import-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Import Data
+        </h3>
+        <Button variant="secondary" size="sm" onClick={onClose} disabled={working}>
+          Close
+        </Button>
+      </div>
+
+      {step === 'upload' && renderUpload()}
+      {step === 'mapping' && renderMapping()}
+      {step === 'preview' && renderPreview()}
+      {step === 'done' && (
+        <Button variant="secondary" size="sm" onClick={resetWizard}>
+          Import Another File
+        </Button>
+      )}
+
+      {wizardNotice && (
+        <div
+          className="rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+          role="status"
+        >
+          <p className="text-sm font-medium text-green-800 dark:text-green-300">{wizardNotice}</p>
+        </div>
+      )}
+      {wizardError && (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">{wizardError}</p>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ImportWizard;
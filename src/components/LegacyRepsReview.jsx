@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchAllProgressHistory } from '../services/workoutService.js';
+import { analyzeLegacyLogs, parseRepsString } from '../utils/repsParser.js';
+import { formatWeight, getLogWeightUnit } from '../utils/units.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../utils/repsParser.js').LegacyLogAnalysis} LegacyLogAnalysis
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} LegacyRepsReviewProps
+ * @property {(logId: string, logData: LogData) => Promise<{ error: PostgrestError | Error | null; }>} onSave - (Required) Persists a fixed log entry.
+ * @property {() => void} onClose - (Required) Closes the review screen.
+ */
+
+/**
+ * LegacyRepsReview Component
+ *
+ * Review-and-fix screen for legacy progress logs whose free-text reps could not be
+ * normalized by the reps parser. Each unresolved row shows the original values and the
+ * parser's reason; the user enters the reps per set (validated live with the same
+ * parser) and saving converts the row to structured per-set data.
+ *
+ * @param {LegacyRepsReviewProps} props - Component props.
+ * @returns {React.ReactElement} The review panel.
+ */
+function LegacyRepsReview({ onSave, onClose }) {
+  const { user } = useAuth();
+
+  /** @type {[LegacyLogAnalysis | null, React.Dispatch<React.SetStateAction<LegacyLogAnalysis | null>>]} */
+  const [analysis, setAnalysis] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(true);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [loadError, setLoadError] = useState(null);
+  /** @type {[Record<string, string>, React.Dispatch<React.SetStateAction<Record<string, string>>>]} */
+  const [fixes, setFixes] = useState({});
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [savingId, setSavingId] = useState(null);
+  /** @type {[Record<string, string>, React.Dispatch<React.SetStateAction<Record<string, string>>>]} */
+  const [saveErrors, setSaveErrors] = useState({});
+
+  const loadLegacyLogs = useCallback(async () => {
+    if (!user?.id) {
+      return;
+    }
+    setLoading(true);
+    setLoadError(null);
+
+    const { data, error } = await fetchAllProgressHistory(user.id, { legacyOnly: true });
+    if (error) {
+      console.error('LegacyRepsReview: Failed to fetch legacy logs:', error);
+      setLoadError(error);
+      setAnalysis(null);
+    } else {
+      setAnalysis(analyzeLegacyLogs(data));
+    }
+    setLoading(false);
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadLegacyLogs();
+  }, [loadLegacyLogs]);
+
+  /**
+   * Converts an unresolved log to structured sets using the reps the user entered.
+   * @param {ProgressLog} log - The log being fixed.
+   */
+  const handleSaveFix = async (log) => {
+    const { status, reps } = parseRepsString(fixes[log.id]);
+    if (status !== 'parsed') {
+      return;
+    }
+
+    setSavingId(log.id);
+    setSaveErrors((prev) => ({ ...prev, [log.id]: undefined }));
+
+    const { error } = await onSave(log.id, {
+      workout_name: log.workout_name,
+      exercise_name: log.exercise_name,
+      workout_date: log.workout_date,
+      sets: reps.map((count) => ({
+        reps: count,
+        weight: log.weight_used ?? null,
+        set_type: 'working',
+      })),
+      weight_unit: getLogWeightUnit(log),
+    });
+
+    setSavingId(null);
+    if (error) {
+      setSaveErrors((prev) => ({ ...prev, [log.id]: error.message || 'Failed to save.' }));
+      return;
+    }
+
+    // The fixed row is no longer legacy data, so drop it from the review list
+    setAnalysis((prev) => ({
+      ...prev,
+      unresolved: prev.unresolved.filter((item) => item.log.id !== log.id),
+    }));
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+          Checking legacy logs...
+        </p>
+      );
+    }
+
+    if (loadError) {
+      return (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          Error loading legacy logs: {loadError.message}
+        </p>
+      );
+    }
+
+    const { parsed, unresolved } = analysis;
+    return (
+      <>
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+          {parsed.length} legacy log(s) were read automatically.{' '}
+          {unresolved.length === 0
+            ? 'Nothing needs your review.'
+            : `${unresolved.length} need(s) your review: enter the reps for each set, e.g. "10, 9, 8" or "3x10".`}
+        </p>
+        {unresolved.length > 0 && (
+          <ul className="space-y-4">
+            {unresolved.map(({ log, reason }) => {
+              const fixText = fixes[log.id] ?? '';
+              const fixParse = fixText.trim() === '' ? null : parseRepsString(fixText);
+              return (
+                <li key={log.id} className="rounded-md border border-gray-200 p-4 dark:border-gray-700">
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {log.workout_name} - {log.exercise_name}{' '}
+                    <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                      {format(parseISO(log.workout_date), 'PPP')}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-700 dark:text-gray-300">
+                    Recorded: {log.sets_completed} set(s), reps &ldquo;{log.reps_achieved}&rdquo;
+                    {log.weight_used !== null &&
+                      log.weight_used !== undefined &&
+                      `, weight ${formatWeight(log.weight_used, getLogWeightUnit(log))}`}
+                  </p>
+                  <p className="mb-2 text-sm text-yellow-700 dark:text-yellow-300">{reason}</p>
+                  <div className="flex items-end gap-3">
+                    <InputField
+                      id={`legacy_fix_${log.id}`}
+                      name="reps_fix"
+                      label="Reps per set"
+                      value={fixText}
+                      onChange={(event) =>
+                        setFixes((prev) => ({ ...prev, [log.id]: event.target.value }))
+                      }
+                      placeholder="e.g., 10, 10, 8"
+                      error={
+                        saveErrors[log.id] ||
+                        (fixParse && fixParse.status !== 'parsed' ? fixParse.reason : null)
+                      }
+                      className="flex-grow"
+                      disabled={savingId === log.id}
+                    />
+                    <Button
+                      size="sm"
+                      className="mb-4"
+                      onClick={() => handleSaveFix(log)}
+                      disabled={savingId !== null || fixParse?.status !== 'parsed'}
+                    >
+                      {savingId === log.id ? 'Saving...' : 'Save'}
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="legacy-review-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+    >
+      <div className="mb-4 flex items-center justify-between">
+        <h3
+          id="legacy-review-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200"
+        >
+          Review Legacy Logs
+        </h3>
+        <Button variant="secondary" size="sm" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+      {renderBody()}
+    </section>
+  );
+}
+
+export default LegacyRepsReview;
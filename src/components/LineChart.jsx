@@ -0,0 +1,192 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+
+/**
+ * @typedef {object} ChartPoint
+ * @property {string} date - Date of the point (YYYY-MM-DD).
+ * @property {number} value - Value plotted on the y axis.
+ */
+
+/**
+ * @typedef {object} LineChartProps
+ * @property {ChartPoint[]} points - (Required) The points, oldest first.
+ * @property {string} title - (Required) Chart title, also used as the accessible label.
+ * @property {(value: number) => string} [formatValue] - (Optional) Formats y values for the axis and tooltips.
+ * @property {string} [emptyMessage='No data in this period.'] - (Optional) Shown instead of the chart when there are no points.
+ * @property {ChartPoint[]} [trendPoints] - (Optional) A second series drawn as a dashed line, e.g. a moving average of `points`.
+ * @property {string} [trendLabel='Trend'] - (Optional) Legend label of the trend line.
+ */
+
+// Drawing area in SVG user units; the chart scales to the container width
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 56 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LineChart Component
+ *
+ * Small dependency-free SVG line chart for values over time. The x axis is scaled
+ * by date, so gaps between sessions are visible. The y axis shows the minimum,
+ * middle and maximum values. Colors use Tailwind classes and follow dark mode.
+ * Each point has a tooltip with its date and value. An optional trend series is
+ * drawn as a dashed line on the same axes, with a legend.
+ *
+ * @param {LineChartProps} props - Component props.
+ * @returns {React.ReactElement} The chart.
+ */
+function LineChart({
+  points,
+  title,
+  formatValue = (value) => String(value),
+  emptyMessage = 'No data in this period.',
+  trendPoints = [],
+  trendLabel = 'Trend',
+}) {
+  const renderFrame = (content) => (
+    <figure className="rounded-md border border-gray-200 p-3 dark:border-gray-700">
+      <figcaption className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+        {title}
+      </figcaption>
+      {content}
+    </figure>
+  );
+
+  if (points.length === 0) {
+    return renderFrame(
+      <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">{emptyMessage}</p>,
+    );
+  }
+
+  const times = points.map((point) => parseISO(point.date).getTime());
+  const values = [...points, ...trendPoints].map((point) => point.value);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  let minValue = Math.min(...values);
+  let maxValue = Math.max(...values);
+  if (minValue === maxValue) {
+    // A flat line is drawn in the middle of the chart
+    const spread = Math.abs(minValue) * 0.1 || 1;
+    minValue -= spread;
+    maxValue += spread;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const toX = (time) =>
+    PADDING.left +
+    (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const toY = (value) =>
+    PADDING.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const coordinates = points.map((point, index) => ({
+    ...point,
+    x: toX(times[index]),
+    y: toY(point.value),
+  }));
+  const toPath = (series) =>
+    series
+      .map(({ x, y }, index) => `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`)
+      .join(' ');
+  const path = toPath(coordinates);
+  const trendPath = toPath(
+    trendPoints.map((point) => ({ x: toX(parseISO(point.date).getTime()), y: toY(point.value) })),
+  );
+  const yTicks = [maxValue, (minValue + maxValue) / 2, minValue];
+  // Middle date label only when the range is long enough for it not to repeat an end label
+  const xTicks =
+    maxTime - minTime > 2 * DAY_MS
+      ? [minTime, (minTime + maxTime) / 2, maxTime]
+      : [...new Set([minTime, maxTime])];
+  // End labels are aligned inwards so they stay inside the chart
+  const getTickAnchor = (index) => {
+    if (xTicks.length > 1 && index === 0) return 'start';
+    if (xTicks.length > 1 && index === xTicks.length - 1) return 'end';
+    return 'middle';
+  };
+
+  return renderFrame(
+    <>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={title}
+        className="h-auto w-full"
+      >
+        {yTicks.map((value) => (
+          <g key={value}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={toY(value)}
+              y2={toY(value)}
+              className="stroke-gray-200 dark:stroke-gray-700"
+              strokeDasharray="4 4"
+            />
+            <text
+              x={PADDING.left - 8}
+              y={toY(value)}
+              textAnchor="end"
+              dominantBaseline="middle"
+              className="fill-gray-500 text-[11px] dark:fill-gray-400"
+            >
+              {formatValue(Math.round(value * 10) / 10)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((time, index) => (
+          <text
+            key={time}
+            x={toX(time)}
+            y={HEIGHT - 8}
+            textAnchor={getTickAnchor(index)}
+            className="fill-gray-500 text-[11px] dark:fill-gray-400"
+          >
+            {format(new Date(time), 'MMM d, yyyy')}
+          </text>
+        ))}
+        <path
+          d={path}
+          fill="none"
+          strokeWidth="2"
+          strokeLinejoin="round"
+          className="stroke-indigo-600 dark:stroke-indigo-400"
+        />
+        {trendPoints.length > 0 && (
+          <path
+            d={trendPath}
+            fill="none"
+            strokeWidth="2"
+            strokeDasharray="6 4"
+            strokeLinejoin="round"
+            className="stroke-amber-500 dark:stroke-amber-400"
+          />
+        )}
+        {coordinates.map((point) => (
+          <circle
+            key={point.date}
+            cx={point.x}
+            cy={point.y}
+            r="3.5"
+            className="fill-indigo-600 dark:fill-indigo-400"
+          >
+            <title>
+              {format(parseISO(point.date), 'PP')}: {formatValue(point.value)}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      {trendPoints.length > 0 && (
+        <p className="mt-1 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+          <span
+            className="inline-block w-5 border-t-2 border-dashed border-amber-500 dark:border-amber-400"
+            aria-hidden="true"
+          />
+          {trendLabel}
+        </p>
+      )}
+    </>,
+  );
+}
+
+export default LineChart;
@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { useExerciseCatalog } from '../hooks/useExerciseCatalog.js';
+import {
+  fetchAllProgressHistory,
+  renameProgressLogNames,
+  restoreProgressLogNames,
+} from '../services/workoutService.js';
+import {
+  createNameAliases,
+  deleteNameAliases,
+  fetchNameAliases,
+} from '../services/nameAliasService.js';
+import { applyNameAliases, countNames, groupSimilarNames } from '../utils/nameMerge.js';
+import { namesMatch } from '../utils/names.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').ProgressLogNameField} ProgressLogNameField
+ * @typedef {import('../services/workoutService.js').RenamedProgressLog} RenamedProgressLog
+ * @typedef {import('../services/nameAliasService.js').NameAlias} NameAlias
+ * @typedef {import('../utils/nameMerge.js').DuplicateNameGroup} DuplicateNameGroup
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} NameMergeToolProps
+ * @property {() => void} onChanged - (Required) Called after names were renamed, aliased or restored, so views showing logs can reload.
+ * @property {() => void} onClose - (Required) Closes the tool.
+ */
+
+/**
+ * @typedef {object} GroupSelection
+ * @property {string} target - The name to merge into.
+ * @property {string[]} excluded - Spellings the user unticked.
+ */
+
+/**
+ * @typedef {object} UndoableAction
+ * @property {string} message - Description of what was done.
+ * @property {number} expiresAt - Time (ms) until which the action can be undone.
+ * @property {() => Promise<{ error: PostgrestError | Error | null; }>} undo - Reverts the action.
+ */
+
+/**
+ * How long a rename or alias can be undone, in seconds.
+ * @type {number}
+ */
+const UNDO_WINDOW_SECONDS = 30;
+
+/**
+ * Labels for the name column toggle.
+ * @type {Record<ProgressLogNameField, string>}
+ */
+const FIELD_LABELS = {
+  exercise_name: 'Exercise names',
+  workout_name: 'Workout names',
+};
+
+/**
+ * Builds a stable key for a group from its spellings.
+ *
+ * @param {DuplicateNameGroup} group - The group.
+ * @returns {string} The key.
+ */
+const getGroupKey = (group) => group.names.map(({ name }) => name).join('\u0000');
+
+/**
+ * NameMergeTool Component
+ *
+ * Management screen for inconsistent workout and exercise names. Likely spellings
+ * of the same name are grouped by fuzzy matching, with the number of logs each one
+ * is used in. For each group the user picks the spellings and the name to keep,
+ * then either renames the logs (the stored names change) or aliases the spellings
+ * (the logs keep their names but count as the chosen name in records, charts and
+ * analytics). Either operation can be undone for a short while afterwards.
+ *
+ * @param {NameMergeToolProps} props - Component props.
+ * @returns {React.ReactElement} The merge tool panel.
+ */
+function NameMergeTool({ onChanged, onClose }) {
+  const { user } = useAuth();
+  const { catalog } = useExerciseCatalog();
+
+  // --- State ---
+  /** @type {[ProgressLogNameField, React.Dispatch<React.SetStateAction<ProgressLogNameField>>]} */
+  const [field, setField] = useState('exercise_name');
+  /** @type {[ProgressLog[], React.Dispatch<React.SetStateAction<ProgressLog[]>>]} */
+  const [logs, setLogs] = useState([]);
+  /** @type {[NameAlias[], React.Dispatch<React.SetStateAction<NameAlias[]>>]} */
+  const [aliases, setAliases] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(true);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [loadError, setLoadError] = useState(null);
+  /** @type {[Record<string, GroupSelection>, React.Dispatch<React.SetStateAction<Record<string, GroupSelection>>>]} */
+  const [selections, setSelections] = useState({});
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [busy, setBusy] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [actionError, setActionError] = useState(null);
+  /** @type {[UndoableAction | null, React.Dispatch<React.SetStateAction<UndoableAction | null>>]} */
+  const [lastAction, setLastAction] = useState(null);
+  /** @type {[number, React.Dispatch<React.SetStateAction<number>>]} */
+  const [now, setNow] = useState(() => Date.now());
+
+  // --- Data Loading ---
+  const loadData = useCallback(async () => {
+    if (!user?.id) {
+      return;
+    }
+    setLoading(true);
+    setLoadError(null);
+
+    const [logResult, aliasResult] = await Promise.all([
+      fetchAllProgressHistory(user.id),
+      fetchNameAliases(user.id),
+    ]);
+    const error = logResult.error || aliasResult.error;
+    if (error) {
+      console.error('NameMergeTool: Failed to load names:', error);
+      setLoadError(error);
+    } else {
+      setLogs(logResult.data);
+      setAliases(aliasResult.data);
+    }
+    setLoading(false);
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Tick once a second while an action can be undone, then drop it
+  useEffect(() => {
+    if (!lastAction) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      const time = Date.now();
+      setNow(time);
+      if (time >= lastAction.expiresAt) {
+        setLastAction(null);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lastAction]);
+
+  // --- Derived Data ---
+  // Aliased spellings are shown under their canonical name; the stored spellings
+  // behind each shown name are kept so renames reach every row
+  const { groups, storedNames } = useMemo(() => {
+    const resolvedLogs = applyNameAliases(logs, aliases);
+    /** @type {Map<string, Set<string>>} */
+    const stored = new Map();
+    resolvedLogs.forEach((log, index) => {
+      const shown = log[field];
+      stored.set(shown, (stored.get(shown) ?? new Set()).add(logs[index][field]));
+    });
+    return {
+      groups: groupSimilarNames(
+        countNames(resolvedLogs, field),
+        field === 'exercise_name' ? catalog : null,
+      ),
+      storedNames: stored,
+    };
+  }, [logs, aliases, field, catalog]);
+
+  const fieldAliases = aliases.filter((alias) => alias.field === field);
+
+  /**
+   * Returns the current choices for a group, defaulting to all spellings and the suggested name.
+   * @param {DuplicateNameGroup} group - The group.
+   * @returns {GroupSelection} The choices.
+   */
+  const getSelection = (group) =>
+    selections[getGroupKey(group)] ?? { target: group.suggested, excluded: [] };
+
+  /**
+   * Lists the ticked spellings of a group that differ from the target name.
+   * @param {DuplicateNameGroup} group - The group.
+   * @returns {{ name: string; count: number }[]} The spellings to merge.
+   */
+  const getMergedNames = (group) => {
+    const { target, excluded } = getSelection(group);
+    return group.names.filter(
+      ({ name }) => !excluded.includes(name) && name !== target.trim(),
+    );
+  };
+
+  // --- Event Handlers ---
+  const updateSelection = (group, changes) => {
+    setSelections((previous) => ({
+      ...previous,
+      [getGroupKey(group)]: { ...getSelection(group), ...changes },
+    }));
+    setActionError(null);
+  };
+
+  const toggleName = (group, name) => {
+    const { excluded } = getSelection(group);
+    updateSelection(group, {
+      excluded: excluded.includes(name)
+        ? excluded.filter((value) => value !== name)
+        : [...excluded, name],
+    });
+  };
+
+  /**
+   * Runs a rename or alias, then offers to undo it.
+   * @param {() => Promise<{ error: PostgrestError | Error | null; undo?: UndoableAction['undo']; message?: string }>} run - Performs the change.
+   */
+  const runAction = async (run) => {
+    setBusy(true);
+    setActionError(null);
+    setLastAction(null);
+    const { error, undo, message } = await run();
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'The change could not be saved.');
+      return;
+    }
+    const time = Date.now();
+    setNow(time);
+    setLastAction({ message, undo, expiresAt: time + UNDO_WINDOW_SECONDS * 1000 });
+    await loadData();
+    onChanged();
+  };
+
+  const handleRename = (group) => {
+    const target = getSelection(group).target.trim();
+    const merged = getMergedNames(group);
+    const fromNames = merged.flatMap(({ name }) => [...(storedNames.get(name) ?? [name])]);
+
+    return runAction(async () => {
+      const { data, error } = await renameProgressLogNames(user.id, field, fromNames, target);
+      if (error) {
+        // Put back names renamed before the failure, so the group is not left half merged
+        if (data?.length) {
+          await restoreProgressLogNames(user.id, field, data);
+        }
+        return { error };
+      }
+      return {
+        error: null,
+        message: `Renamed ${data.length} log(s) to “${target}”.`,
+        undo: () => restoreProgressLogNames(user.id, field, data),
+      };
+    });
+  };
+
+  const handleAlias = (group) => {
+    const target = getSelection(group).target.trim();
+    const merged = getMergedNames(group);
+    const spellings = merged
+      .flatMap(({ name }) => [...(storedNames.get(name) ?? [name])])
+      .filter((name) => !namesMatch(name, target));
+    const rowCount = merged.reduce((sum, { count }) => sum + count, 0);
+    // Aliases replaced by this one are put back on undo
+    const replaced = fieldAliases.filter((alias) => spellings.includes(alias.alias));
+
+    return runAction(async () => {
+      const { data, error } = await createNameAliases(user.id, field, spellings, target);
+      if (error) {
+        return { error };
+      }
+      return {
+        error: null,
+        message: `${rowCount} log(s) now count as “${target}”.`,
+        undo: async () => {
+          const { error: deleteError } = await deleteNameAliases(
+            user.id,
+            data.map((alias) => alias.id),
+          );
+          if (deleteError) {
+            return { error: deleteError };
+          }
+          for (const alias of replaced) {
+            const { error: restoreError } = await createNameAliases(
+              user.id,
+              alias.field,
+              [alias.alias],
+              alias.canonical_name,
+            );
+            if (restoreError) {
+              return { error: restoreError };
+            }
+          }
+          return { error: null };
+        },
+      };
+    });
+  };
+
+  const handleUndo = async () => {
+    const action = lastAction;
+    setBusy(true);
+    setActionError(null);
+    const { error } = await action.undo();
+    setBusy(false);
+    if (error) {
+      setActionError(`Undo failed: ${error.message || 'unknown error'}`);
+      return;
+    }
+    setLastAction(null);
+    await loadData();
+    onChanged();
+  };
+
+  const handleRemoveAlias = async (alias) => {
+    setBusy(true);
+    setActionError(null);
+    const { error } = await deleteNameAliases(user.id, [alias.id]);
+    setBusy(false);
+    if (error) {
+      setActionError(error.message || 'The alias could not be removed.');
+      return;
+    }
+    await loadData();
+    onChanged();
+  };
+
+  // --- Rendering Functions ---
+
+  const renderFieldToggle = () => (
+    <div
+      role="group"
+      aria-label="Names to clean up"
+      className="inline-flex overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+    >
+      {Object.entries(FIELD_LABELS).map(([value, label]) => {
+        const isActive = field === value;
+        return (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setField(value)}
+            aria-pressed={isActive}
+            className={`px-3 py-1.5 text-sm font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500 ${
+              isActive
+                ? 'bg-indigo-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const renderUndoNotice = () => (
+    <div
+      className="flex flex-wrap items-center justify-between gap-3 rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+      role="status"
+    >
+      <p className="text-sm font-medium text-green-800 dark:text-green-300">{lastAction.message}</p>
+      <Button variant="secondary" size="sm" onClick={handleUndo} disabled={busy}>
+        Undo ({Math.max(0, Math.ceil((lastAction.expiresAt - now) / 1000))}s)
+      </Button>
+    </div>
+  );
+
+  const renderGroup = (group, index) => {
+    const key = getGroupKey(group);
+    const { target, excluded } = getSelection(group);
+    const merged = getMergedNames(group);
+    const rowCount = merged.reduce((sum, { count }) => sum + count, 0);
+    const canMerge = target.trim() !== '' && merged.length > 0;
+    // Spellings differing only in case or spacing already count as the same name
+    const canAlias = canMerge && merged.some(({ name }) => !namesMatch(name, target));
+
+    return (
+      <li key={key} className="rounded-md border border-gray-200 p-4 dark:border-gray-700">
+        <fieldset disabled={busy}>
+          <legend className="sr-only">Spellings of {group.suggested}</legend>
+          <ul className="mb-3 space-y-1">
+            {group.names.map(({ name, count }) => (
+              <li key={name}>
+                <label className="inline-flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+                  <input
+                    type="checkbox"
+                    checked={!excluded.includes(name)}
+                    onChange={() => toggleName(group, name)}
+                    className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+                  />
+                  <span className="font-medium">&ldquo;{name}&rdquo;</span>
+                  <span className="text-gray-500 dark:text-gray-400">{count} log(s)</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          <InputField
+            id={`merge_target_${field}_${index}`}
+            name="target"
+            label="Merge into"
+            value={target}
+            onChange={(event) => updateSelection(group, { target: event.target.value })}
+            required
+          />
+          <p className="mb-3 text-sm text-gray-600 dark:text-gray-400">
+            {canMerge
+              ? `Affects ${rowCount} log(s) under ${merged.length} other spelling(s).`
+              : 'Tick at least one spelling that differs from the name to keep.'}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" onClick={() => handleRename(group)} disabled={!canMerge}>
+              Rename {rowCount} log(s)
+            </Button>
+            <Button variant="secondary" size="sm" onClick={() => handleAlias(group)} disabled={!canAlias}>
+              Alias without renaming
+            </Button>
+          </div>
+        </fieldset>
+      </li>
+    );
+  };
+
+  const renderAliases = () => (
+    <div>
+      <h4 className="mb-2 text-sm font-semibold text-gray-800 dark:text-gray-200">Current aliases</h4>
+      <ul className="divide-y divide-gray-200 text-sm dark:divide-gray-700">
+        {fieldAliases.map((alias) => (
+          <li key={alias.id} className="flex items-center justify-between gap-3 py-2">
+            <span className="text-gray-700 dark:text-gray-300">
+              &ldquo;{alias.alias}&rdquo; counts as &ldquo;{alias.canonical_name}&rdquo;
+            </span>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => handleRemoveAlias(alias)}
+              disabled={busy}
+            >
+              Remove
+            </Button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  const renderBody = () => {
+    if (loading && logs.length === 0) {
+      return (
+        <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+          Looking for duplicate names...
+        </p>
+      );
+    }
+
+    if (loadError) {
+      return (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          Error loading names: {loadError.message}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {groups.length === 0
+            ? 'No likely duplicates found.'
+            : `${groups.length} group(s) of similar names found. Renaming changes the stored logs; an alias keeps them as they are but counts them under the chosen name.`}
+        </p>
+        {groups.length > 0 && <ul className="space-y-4">{groups.map(renderGroup)}</ul>}
+        {fieldAliases.length > 0 && renderAliases()}
+      </>
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="name-merge-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 id="name-merge-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Clean Up Names
+        </h3>
+        <div className="flex items-center gap-3">
+          {renderFieldToggle()}
+          <Button variant="secondary" size="sm" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+      </div>
+      {lastAction && renderUndoNotice()}
+      {actionError && (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">{actionError}</p>
+        </div>
+      )}
+      {renderBody()}
+    </section>
+  );
+}
+
+export default NameMergeTool;
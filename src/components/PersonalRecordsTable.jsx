@@ -0,0 +1,173 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { E1RM_FORMULAS, E1RM_FORMULA_LABELS } from '../utils/records.js';
+import { formatWeight } from '../utils/units.js';
+
+/**
+ * @typedef {import('../utils/records.js').ExerciseRecords} ExerciseRecords
+ * @typedef {import('../utils/records.js').PersonalRecord} PersonalRecord
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} PersonalRecordsTableProps
+ * @property {ExerciseRecords[]} exercises - (Required) Records per exercise, in display order.
+ * @property {boolean} loading - (Required) True while the history is loading.
+ * @property {PostgrestError | Error | null} error - (Required) Error from loading the history.
+ */
+
+/**
+ * PersonalRecordsTable Component
+ *
+ * Table of personal records per exercise (heaviest weight, best estimated 1RM,
+ * most reps at a weight and best session volume), computed from the whole history.
+ * Includes a selector for the one-rep max formula, saved as a user preference.
+ *
+ * @param {PersonalRecordsTableProps} props - Component props.
+ * @returns {React.ReactElement} The records section.
+ */
+function PersonalRecordsTable({ exercises, loading, error }) {
+  const { preferences, updatePreferences } = usePreferences();
+  const unit = preferences.weight_unit;
+
+  /**
+   * Renders a record value with the date it was set.
+   * @param {PersonalRecord | null} record - The record.
+   * @param {string} text - The formatted value.
+   */
+  const renderRecordCell = (record, text) =>
+    record ? (
+      <>
+        <span className="font-medium text-gray-900 dark:text-white">{text}</span>
+        <span className="block text-xs text-gray-500 dark:text-gray-400">
+          {format(new Date(record.date), 'PP')}
+        </span>
+      </>
+    ) : (
+      <span className="text-gray-400 dark:text-gray-500">&ndash;</span>
+    );
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+          Calculating personal records...
+        </p>
+      );
+    }
+
+    if (error) {
+      return (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          Error loading personal records: {error.message}
+        </p>
+      );
+    }
+
+    if (exercises.length === 0) {
+      return (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Log an exercise to start tracking personal records.
+        </p>
+      );
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-left text-sm dark:divide-gray-700">
+          <thead>
+            <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+              <th scope="col" className="py-2 pr-4 font-medium">Exercise</th>
+              <th scope="col" className="py-2 pr-4 font-medium">Heaviest</th>
+              <th scope="col" className="py-2 pr-4 font-medium">Best e1RM</th>
+              <th scope="col" className="py-2 pr-4 font-medium">Most reps</th>
+              <th scope="col" className="py-2 font-medium">Best volume</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 text-gray-700 dark:divide-gray-700 dark:text-gray-300">
+            {exercises.map((exercise) => (
+              <tr key={exercise.exercise_name} className="align-top">
+                <th scope="row" className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                  {exercise.exercise_name}
+                </th>
+                <td className="py-2 pr-4">
+                  {renderRecordCell(
+                    exercise.weight,
+                    exercise.weight &&
+                      `${formatWeight(exercise.weight.value, unit)} × ${exercise.weight.reps}`,
+                  )}
+                </td>
+                <td className="py-2 pr-4">
+                  {renderRecordCell(
+                    exercise.e1rm,
+                    exercise.e1rm && formatWeight(exercise.e1rm.value, unit),
+                  )}
+                </td>
+                <td className="py-2 pr-4">
+                  {exercise.reps.length === 0 ? (
+                    renderRecordCell(null, '')
+                  ) : (
+                    <ul className="space-y-0.5">
+                      {exercise.reps.map((record) => (
+                        <li key={record.weight ?? 'bodyweight'}>
+                          {record.reps} ×{' '}
+                          {record.weight !== null ? formatWeight(record.weight, unit) : 'bodyweight'}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+                <td className="py-2">
+                  {renderRecordCell(
+                    exercise.volume,
+                    exercise.volume && formatWeight(exercise.volume.value, unit),
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="records-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+    >
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h3
+          id="records-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200"
+        >
+          Personal Records
+        </h3>
+        <div className="flex items-center gap-2">
+          <label
+            htmlFor="e1rm_formula"
+            className="text-sm font-medium text-gray-700 dark:text-gray-300"
+          >
+            e1RM formula
+          </label>
+          <select
+            id="e1rm_formula"
+            value={preferences.e1rm_formula}
+            onChange={(event) => updatePreferences({ e1rm_formula: event.target.value })}
+            className="block rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+          >
+            {E1RM_FORMULAS.map((formula) => (
+              <option key={formula} value={formula}>
+                {E1RM_FORMULA_LABELS[formula]}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {renderBody()}
+    </section>
+  );
+}
+
+export default PersonalRecordsTable;
@@ -0,0 +1,166 @@
+import React from 'react';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+import { createPlanExerciseRow } from '../utils/planForm.js';
+
+/**
+ * @typedef {import('../utils/planForm.js').PlanExerciseFormRow} PlanExerciseFormRow
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} PlanExerciseRowsInputProps
+ * @property {PlanExerciseFormRow[]} rows - (Required) The controlled exercise rows, in plan order.
+ * @property {(rows: PlanExerciseFormRow[]) => void} onChange - (Required) Called with the updated rows after any edit, move, addition or removal.
+ * @property {WeightUnit} weightUnit - (Required) Unit of newly entered weight increments.
+ * @property {boolean} [disabled=false] - (Optional) Disables all inputs and buttons.
+ */
+
+/**
+ * PlanExerciseRowsInput Component
+ *
+ * Editable, ordered list of the exercises in a workout plan. Each row has a name,
+ * a set count, a rep scheme, an optional weight increment used for progression
+ * suggestions and an optional rest length for the rest timer, and can be moved up
+ * or down or removed.
+ *
+ * @param {PlanExerciseRowsInputProps} props - Component props.
+ * @returns {React.ReactElement} The exercise rows editor.
+ */
+function PlanExerciseRowsInput({ rows, onChange, weightUnit, disabled = false }) {
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)));
+  };
+
+  const moveRow = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) {
+      return;
+    }
+    const reordered = [...rows];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const removeRow = (index) => {
+    onChange(rows.filter((_, rowIndex) => rowIndex !== index));
+  };
+
+  return (
+    <fieldset className="space-y-2" disabled={disabled}>
+      <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Exercises
+      </legend>
+      {rows.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No exercises yet.</p>
+      )}
+      {rows.map((row, index) => (
+        <div
+          key={row.id}
+          className="grid grid-cols-[auto_1fr_1fr] items-end gap-x-3 rounded-md border border-gray-200 p-3 dark:border-gray-700 sm:grid-cols-[auto_2fr_1fr_1fr_1fr_1fr_auto]"
+        >
+          <span className="mb-6 text-sm font-medium text-gray-500 dark:text-gray-400">
+            #{index + 1}
+          </span>
+          <InputField
+            id={`plan_exercise_name_${row.id}`}
+            name={`exercise_name_${index}`}
+            label="Exercise"
+            value={row.name}
+            onChange={(event) => updateRow(index, 'name', event.target.value)}
+            placeholder="e.g., Bench Press"
+            required
+            disabled={disabled}
+            className="col-span-2 sm:col-span-1"
+          />
+          <InputField
+            id={`plan_exercise_sets_${row.id}`}
+            name={`exercise_sets_${index}`}
+            label="Sets"
+            type="number"
+            value={row.sets}
+            onChange={(event) => updateRow(index, 'sets', event.target.value)}
+            placeholder="e.g., 3"
+            min="1"
+            step="1"
+            required
+            disabled={disabled}
+          />
+          <InputField
+            id={`plan_exercise_reps_${row.id}`}
+            name={`exercise_reps_${index}`}
+            label="Reps"
+            value={row.reps}
+            onChange={(event) => updateRow(index, 'reps', event.target.value)}
+            placeholder="e.g., 8-12"
+            required
+            disabled={disabled}
+          />
+          <InputField
+            id={`plan_exercise_increment_${row.id}`}
+            name={`exercise_increment_${index}`}
+            label={`Increment (${row.weight_increment_unit ?? weightUnit})`}
+            type="number"
+            value={row.weight_increment}
+            onChange={(event) => updateRow(index, 'weight_increment', event.target.value)}
+            placeholder={weightUnit === 'lb' ? 'Default 5' : 'Default 2.5'}
+            min="0"
+            step="any"
+            disabled={disabled}
+          />
+          <InputField
+            id={`plan_exercise_rest_${row.id}`}
+            name={`exercise_rest_${index}`}
+            label="Rest (s)"
+            type="number"
+            value={row.rest_seconds ?? ''}
+            onChange={(event) => updateRow(index, 'rest_seconds', event.target.value)}
+            placeholder="Default"
+            min="0"
+            step="1"
+            disabled={disabled}
+          />
+          <div className="col-span-2 mb-4 flex gap-2 sm:col-span-1">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => moveRow(index, -1)}
+              disabled={disabled || index === 0}
+              aria-label={`Move exercise ${index + 1} up`}
+            >
+              &uarr;
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => moveRow(index, 1)}
+              disabled={disabled || index === rows.length - 1}
+              aria-label={`Move exercise ${index + 1} down`}
+            >
+              &darr;
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => removeRow(index)}
+              disabled={disabled}
+              aria-label={`Remove exercise ${index + 1}`}
+            >
+              Remove
+            </Button>
+          </div>
+        </div>
+      ))}
+      <Button
+        variant="secondary"
+        size="sm"
+        onClick={() => onChange([...rows, createPlanExerciseRow()])}
+        disabled={disabled}
+      >
+        Add Exercise
+      </Button>
+    </fieldset>
+  );
+}
+
+export default PlanExerciseRowsInput;
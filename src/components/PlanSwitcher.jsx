@@ -0,0 +1,79 @@
+import React from 'react';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ */
+
+/**
+ * @typedef {object} PlanSwitcherProps
+ * @property {WorkoutPlan[]} plans - (Required) All plans of the user, archived ones included.
+ * @property {string | null} selectedPlanId - (Required) ID of the plan currently shown.
+ * @property {(planId: string) => void} onSelect - (Required) Called with the ID of the plan to show.
+ * @property {boolean} [disabled=false] - (Optional) Disables the select, e.g. while a plan action is pending.
+ */
+
+/**
+ * Returns the option label for a plan, marking the active and archived ones.
+ *
+ * @param {WorkoutPlan} plan - The plan to label.
+ * @returns {string} The option label.
+ */
+const getPlanLabel = (plan) => {
+  if (plan.archived_at) {
+    return `${plan.name} (archived)`;
+  }
+  return plan.is_active ? `${plan.name} (active)` : plan.name;
+};
+
+/**
+ * PlanSwitcher Component
+ *
+ * A select for choosing which of the user's workout plans the dashboard shows.
+ * Current plans and archived plans are listed in separate option groups.
+ * Selecting a plan only changes what is displayed; making it the active plan is
+ * a separate action on the dashboard.
+ *
+ * @param {PlanSwitcherProps} props - Component props.
+ * @returns {React.ReactElement} The plan select.
+ */
+function PlanSwitcher({ plans, selectedPlanId, onSelect, disabled = false }) {
+  const currentPlans = plans.filter((plan) => !plan.archived_at);
+  const archivedPlans = plans.filter((plan) => plan.archived_at);
+
+  return (
+    <div className="flex items-center gap-2">
+      <label
+        htmlFor="plan_switcher"
+        className="text-sm font-medium text-gray-700 dark:text-gray-300"
+      >
+        Plan
+      </label>
+      <select
+        id="plan_switcher"
+        value={selectedPlanId ?? ''}
+        onChange={(event) => onSelect(event.target.value)}
+        disabled={disabled}
+        className="block rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-900 shadow-sm focus:border-indigo-500 focus:outline-none focus:ring-indigo-500 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+      >
+        <optgroup label="Plans">
+          {currentPlans.map((plan) => (
+            <option key={plan.id} value={plan.id}>
+              {getPlanLabel(plan)}
+            </option>
+          ))}
+        </optgroup>
+        {archivedPlans.length > 0 && (
+          <optgroup label="Archived">
+            {archivedPlans.map((plan) => (
+              <option key={plan.id} value={plan.id}>
+                {getPlanLabel(plan)}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+}
+
+export default PlanSwitcher;
@@ -0,0 +1,380 @@
+import React, { useState } from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import {
+  MAX_PLATE_PAIRS,
+  MAX_PLATE_TYPES,
+  calculatePlates,
+  getDefaultPlateInventories,
+  isValidPlateInventory,
+} from '../utils/plates.js';
+import { WEIGHT_UNITS, convertWeight, formatWeight, roundWeight } from '../utils/units.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ * @typedef {import('../utils/plates.js').PlateInventory} PlateInventory
+ * @typedef {import('../utils/plates.js').PlateLoad} PlateLoad
+ */
+
+/**
+ * @typedef {object} InventoryDraft
+ * @property {string} bar_weight - Bar weight input.
+ * @property {{ weight: string; pairs: string }[]} plates - Plate rows as typed.
+ */
+
+/**
+ * @typedef {object} PlateCalculatorProps
+ * @property {number | null} [initialWeight=null] - (Optional) Total to start with, in the user's preferred unit.
+ * @property {() => void} onClose - (Required) Closes the calculator.
+ */
+
+/**
+ * Converts an inventory into editable form state.
+ *
+ * @param {PlateInventory} inventory - The inventory.
+ * @returns {InventoryDraft} The draft.
+ */
+const inventoryToDraft = (inventory) => ({
+  bar_weight: String(inventory.bar_weight),
+  plates: inventory.plates.map((plate) => ({ weight: String(plate.weight), pairs: String(plate.pairs) })),
+});
+
+/**
+ * Parses an inventory draft. Rows with an empty weight are ignored.
+ *
+ * @param {InventoryDraft} draft - The draft.
+ * @returns {{ data: PlateInventory | null; error: string | null; }} The inventory, or a message describing the problem.
+ */
+const parseInventoryDraft = (draft) => {
+  const barWeight = Number(draft.bar_weight);
+  if (draft.bar_weight.trim() === '' || !Number.isFinite(barWeight) || barWeight < 0) {
+    return { data: null, error: 'Enter the bar weight (0 or more).' };
+  }
+  const plates = draft.plates
+    .filter((plate) => plate.weight.trim() !== '')
+    .map((plate) => ({ weight: Number(plate.weight), pairs: Number(plate.pairs) }))
+    .sort((a, b) => b.weight - a.weight);
+  const inventory = { bar_weight: barWeight, plates };
+  if (!isValidPlateInventory(inventory)) {
+    return {
+      data: null,
+      error: `Each plate needs a positive weight, listed once, with 0-${MAX_PLATE_PAIRS} pairs.`,
+    };
+  }
+  return { data: inventory, error: null };
+};
+
+/**
+ * PlateCalculator Component
+ *
+ * Shows which plates to load on each side of the bar for a total weight, using the
+ * bar and plates the user owns. Works in kg or lb, each with its own saved
+ * inventory. When the total cannot be loaded exactly it says so and offers the
+ * nearest loadable totals below and above.
+ *
+ * @param {PlateCalculatorProps} props - Component props.
+ * @returns {React.ReactElement} The plate calculator panel.
+ */
+function PlateCalculator({ initialWeight = null, onClose }) {
+  const { preferences, updatePreferences } = usePreferences();
+
+  // --- State ---
+  /** @type {[WeightUnit, React.Dispatch<React.SetStateAction<WeightUnit>>]} */
+  const [unit, setUnit] = useState(preferences.weight_unit);
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [targetInput, setTargetInput] = useState(
+    initialWeight !== null ? String(roundWeight(initialWeight, 2)) : '',
+  );
+  /** @type {[InventoryDraft | null, React.Dispatch<React.SetStateAction<InventoryDraft | null>>]} */
+  const [inventoryDraft, setInventoryDraft] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [inventoryError, setInventoryError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [savingInventory, setSavingInventory] = useState(false);
+
+  const inventory = preferences.plate_inventories[unit];
+  const target = Number(targetInput);
+  const hasTarget = targetInput.trim() !== '' && Number.isFinite(target) && target > 0;
+  const result = hasTarget ? calculatePlates(target, inventory) : null;
+
+  // --- Event Handlers ---
+  const changeUnit = (nextUnit) => {
+    if (hasTarget) {
+      setTargetInput(String(roundWeight(convertWeight(target, unit, nextUnit), 2)));
+    }
+    setUnit(nextUnit);
+    setInventoryDraft(null);
+    setInventoryError(null);
+  };
+
+  const updateDraftPlate = (index, field, value) => {
+    setInventoryDraft((previous) => ({
+      ...previous,
+      plates: previous.plates.map((plate, plateIndex) =>
+        plateIndex === index ? { ...plate, [field]: value } : plate,
+      ),
+    }));
+  };
+
+  const handleSaveInventory = async () => {
+    const { data, error } = parseInventoryDraft(inventoryDraft);
+    if (error) {
+      setInventoryError(error);
+      return;
+    }
+    setSavingInventory(true);
+    const { error: saveError } = await updatePreferences({
+      plate_inventories: { ...preferences.plate_inventories, [unit]: data },
+    });
+    setSavingInventory(false);
+    if (saveError) {
+      setInventoryError(`Could not save your plates: ${saveError.message || 'unknown error'}`);
+      return;
+    }
+    setInventoryDraft(null);
+    setInventoryError(null);
+  };
+
+  // --- Rendering Functions ---
+
+  /**
+   * Lists the plates for one side, in loading order.
+   * @param {PlateLoad} load - The load.
+   */
+  const renderLoad = (load) => (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        {load.perSide.length === 0
+          ? `Just the ${formatWeight(inventory.bar_weight, unit)} bar.`
+          : `Per side, on a ${formatWeight(inventory.bar_weight, unit)} bar (heaviest first):`}
+      </p>
+      {load.perSide.length > 0 && (
+        <ol className="flex flex-wrap gap-2 text-sm">
+          {load.perSide.map((plate) => (
+            <li
+              key={plate.weight}
+              className="rounded-md bg-indigo-100 px-3 py-1 font-medium text-indigo-800 dark:bg-indigo-900/40 dark:text-indigo-200"
+            >
+              {plate.count} × {plate.weight} {unit}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+
+  const renderResult = () => {
+    if (!result) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Enter a total weight, bar included.
+        </p>
+      );
+    }
+    if (result.load) {
+      return renderLoad(result.load);
+    }
+
+    const nearest = [result.below, result.above].filter(Boolean);
+    return (
+      <div className="space-y-3">
+        <div
+          className="rounded-md border border-yellow-400 bg-yellow-50 p-4 text-sm text-yellow-800 dark:border-yellow-600 dark:bg-yellow-900/30 dark:text-yellow-200"
+          role="status"
+        >
+          {formatWeight(target, unit)} can&apos;t be loaded exactly with your plates.
+          {!result.below && ` It is lighter than the ${formatWeight(inventory.bar_weight, unit)} bar.`}
+          {!result.above && ' It is more than all your plates can load.'}
+        </div>
+        {nearest.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <span>Nearest loadable:</span>
+            {nearest.map((load) => (
+              <Button
+                key={load.total}
+                variant="secondary"
+                size="sm"
+                onClick={() => setTargetInput(String(load.total))}
+              >
+                {formatWeight(load.total, unit)}
+              </Button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderInventoryEditor = () => (
+    <fieldset
+      disabled={savingInventory}
+      className="space-y-3 border-t border-gray-200 pt-4 dark:border-gray-700"
+    >
+      <legend className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+        Your bar and plates ({unit})
+      </legend>
+      <InputField
+        id="plate_bar_weight"
+        name="bar_weight"
+        label={`Bar weight (${unit})`}
+        type="number"
+        value={inventoryDraft.bar_weight}
+        onChange={(event) => setInventoryDraft((previous) => ({ ...previous, bar_weight: event.target.value }))}
+        min="0"
+        step="any"
+        className="sm:w-48"
+      />
+      <ul className="space-y-2">
+        {inventoryDraft.plates.map((plate, index) => (
+          <li key={index} className="flex items-end gap-2">
+            <InputField
+              id={`plate_weight_${index}`}
+              name={`plate_weight_${index}`}
+              label={`Plate (${unit})`}
+              type="number"
+              value={plate.weight}
+              onChange={(event) => updateDraftPlate(index, 'weight', event.target.value)}
+              min="0"
+              step="any"
+              className="w-28"
+            />
+            <InputField
+              id={`plate_pairs_${index}`}
+              name={`plate_pairs_${index}`}
+              label="Pairs"
+              type="number"
+              value={plate.pairs}
+              onChange={(event) => updateDraftPlate(index, 'pairs', event.target.value)}
+              min="0"
+              max={MAX_PLATE_PAIRS}
+              step="1"
+              className="w-24"
+            />
+            <Button
+              variant="secondary"
+              size="sm"
+              className="mb-4"
+              onClick={() =>
+                setInventoryDraft((previous) => ({
+                  ...previous,
+                  plates: previous.plates.filter((_, plateIndex) => plateIndex !== index),
+                }))
+              }
+              aria-label={`Remove ${plate.weight || 'empty'} ${unit} plate`}
+            >
+              Remove
+            </Button>
+          </li>
+        ))}
+      </ul>
+      {inventoryError && (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          {inventoryError}
+        </p>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() =>
+            setInventoryDraft((previous) => ({
+              ...previous,
+              plates: [...previous.plates, { weight: '', pairs: '1' }],
+            }))
+          }
+          disabled={inventoryDraft.plates.length >= MAX_PLATE_TYPES}
+        >
+          Add Plate
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => setInventoryDraft(inventoryToDraft(getDefaultPlateInventories()[unit]))}
+        >
+          Use Standard Set
+        </Button>
+        <Button size="sm" onClick={handleSaveInventory}>
+          {savingInventory ? 'Saving...' : 'Save Plates'}
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => {
+            setInventoryDraft(null);
+            setInventoryError(null);
+          }}
+        >
+          Cancel
+        </Button>
+      </div>
+    </fieldset>
+  );
+
+  // --- Main Component Render ---
+  return (
+    <section
+      aria-labelledby="plates-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h3 id="plates-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Plate Calculator
+        </h3>
+        <Button variant="secondary" size="sm" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <InputField
+          id="plate_target"
+          name="plate_target"
+          label={`Total weight (${unit})`}
+          type="number"
+          value={targetInput}
+          onChange={(event) => setTargetInput(event.target.value)}
+          min="0"
+          step="any"
+          className="w-40"
+        />
+        <div
+          role="group"
+          aria-label="Calculator unit"
+          className="mb-4 inline-flex overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+        >
+          {WEIGHT_UNITS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => option !== unit && changeUnit(option)}
+              aria-pressed={option === unit}
+              className={`px-3 py-2 text-sm font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500 ${
+                option === unit
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        {!inventoryDraft && (
+          <Button
+            variant="secondary"
+            size="sm"
+            className="mb-4"
+            onClick={() => setInventoryDraft(inventoryToDraft(inventory))}
+          >
+            Edit Bar &amp; Plates
+          </Button>
+        )}
+      </div>
+
+      {renderResult()}
+      {inventoryDraft && renderInventoryEditor()}
+    </section>
+  );
+}
+
+export default PlateCalculator;
@@ -0,0 +1,343 @@
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+import SetRowsInput from './SetRowsInput.jsx';
+import ExerciseCombobox from './ExerciseCombobox.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { logToFormState, parseLogForm } from '../utils/progressLogForm.js';
+import { SET_TYPE_LABELS, formatSet, getLogSets } from '../utils/setData.js';
+import { RECORD_TYPE_LABELS } from '../utils/records.js';
+import { convertWeight, formatWeight, getLogWeightUnit } from '../utils/units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../utils/progressLogForm.js').LogFormState} LogFormState
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {'view' | 'edit' | 'confirmDelete'} CardMode
+ * @typedef {import('../services/offlineQueue.js').QueuedLogStatus} QueuedLogStatus
+ * @typedef {import('../utils/records.js').RecordType} RecordType
+ */
+
+/**
+ * @typedef {object} ProgressLogCardProps
+ * @property {ProgressLog} log - (Required) The progress log entry to display.
+ * @property {(logId: string, logData: LogData) => Promise<{ error: PostgrestError | Error | null; }>} onSave - (Required) Persists edited values. The card returns to view mode when the returned error is null.
+ * @property {(logId: string) => Promise<{ error: PostgrestError | Error | null; }>} onDelete - (Required) Deletes the entry after the user confirms.
+ * @property {QueuedLogStatus} [syncStatus] - (Optional) Set for entries still in the offline queue. Queued entries cannot be edited; they show their sync status instead.
+ * @property {string | null} [syncError] - (Optional) Last sync error message for a queued entry.
+ * @property {(logId: string) => void} [onRetry] - (Optional) Retries syncing a failed queued entry.
+ * @property {(logId: string) => void} [onDiscard] - (Optional) Removes a queued entry without syncing it.
+ * @property {RecordType[]} [records] - (Optional) Personal records set by this entry, shown as badges.
+ * @property {(weight: number) => void} [onShowPlates] - (Optional) Makes weighted sets clickable to open the plate calculator for their weight, in the preferred unit.
+ */
+
+/**
+ * ProgressLogCard Component
+ *
+ * Renders a single workout history entry as a list item, with inline actions to
+ * edit the entry in place or delete it after an explicit confirmation step.
+ * Edits are validated with the same rules as the "log new exercise" form.
+ * Entries that are still waiting in the offline queue show a pending/failed badge
+ * and offer retry/discard actions instead of edit/delete. Entries that set personal
+ * records are flagged with a badge per record. With `onShowPlates`, each weighted set
+ * (or the legacy weight) opens the plate calculator for its weight.
+ *
+ * @param {ProgressLogCardProps} props - Component props.
+ * @returns {React.ReactElement} The history list item.
+ */
+function ProgressLogCard({
+  log,
+  onSave,
+  onDelete,
+  syncStatus,
+  syncError,
+  onRetry,
+  onDiscard,
+  records = [],
+  onShowPlates,
+}) {
+  // Weights are always shown and edited in the user's preferred unit
+  const { preferences } = usePreferences();
+  const displayUnit = preferences.weight_unit;
+  const logUnit = getLogWeightUnit(log);
+
+  /** @type {[CardMode, React.Dispatch<React.SetStateAction<CardMode>>]} */
+  const [mode, setMode] = useState('view');
+  /** @type {[LogFormState | null, React.Dispatch<React.SetStateAction<LogFormState | null>>]} */
+  const [draft, setDraft] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [busy, setBusy] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [actionError, setActionError] = useState(null);
+
+  const startEditing = () => {
+    setDraft(logToFormState(log, displayUnit));
+    setActionError(null);
+    setMode('edit');
+  };
+
+  const cancel = () => {
+    setDraft(null);
+    setActionError(null);
+    setMode('view');
+  };
+
+  const handleDraftChange = (event) => {
+    const { name, value } = event.target;
+    setDraft((prevDraft) => ({ ...prevDraft, [name]: value }));
+    if (actionError) {
+      setActionError(null);
+    }
+  };
+
+  const handleDraftSetsChange = (sets) => {
+    setDraft((prevDraft) => ({ ...prevDraft, sets }));
+    if (actionError) {
+      setActionError(null);
+    }
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const { data: logData, error: validationError } = parseLogForm(draft, displayUnit);
+    if (validationError) {
+      setActionError(validationError);
+      return;
+    }
+
+    setBusy(true);
+    const { error } = await onSave(log.id, logData);
+    setBusy(false);
+
+    if (error) {
+      setActionError(error.message || 'Failed to save changes.');
+    } else {
+      cancel();
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    setBusy(true);
+    const { error } = await onDelete(log.id);
+    // On success the parent removes this card, so only update state on failure
+    if (error) {
+      setBusy(false);
+      setActionError(error.message || 'Failed to delete entry.');
+    }
+  };
+
+  const renderSyncActions = () => (
+    <div className="mt-3 flex flex-wrap items-center gap-3">
+      {syncStatus === 'failed' ? (
+        <>
+          <p className="text-sm text-red-700 dark:text-red-300" role="alert">
+            Sync failed{syncError ? `: ${syncError}` : '.'}
+          </p>
+          <Button variant="secondary" size="sm" onClick={() => onRetry?.(log.id)}>
+            Retry
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => onDiscard?.(log.id)}>
+            Discard
+          </Button>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Saved on this device. It will sync automatically when you are back online.
+        </p>
+      )}
+    </div>
+  );
+
+  // Weights open the plate calculator when the page offers one
+  const renderPlatesLink = (weight, text) =>
+    onShowPlates ? (
+      <button
+        type="button"
+        onClick={() => onShowPlates(weight)}
+        className="underline decoration-dotted underline-offset-2 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 dark:hover:text-indigo-400"
+        title="Show plates for this weight"
+      >
+        {text}
+      </button>
+    ) : (
+      text
+    );
+
+  // Structured logs list every set; legacy logs only have the string summary
+  const renderSets = () => {
+    const sets = getLogSets(log);
+    if (!sets) {
+      return (
+        <p className="text-gray-700 dark:text-gray-300">
+          <span className="font-medium">Sets:</span> {log.sets_completed} |{' '}
+          <span className="font-medium">Reps:</span> {log.reps_achieved}
+          {log.weight_used !== null && log.weight_used !== undefined && (
+            <span>
+              {' '}| <span className="font-medium">Weight:</span>{' '}
+              {renderPlatesLink(
+                convertWeight(log.weight_used, logUnit, displayUnit),
+                formatWeight(convertWeight(log.weight_used, logUnit, displayUnit), displayUnit),
+              )}
+            </span>
+          )}
+        </p>
+      );
+    }
+
+    return (
+      <ol className="flex flex-wrap gap-2 text-sm text-gray-700 dark:text-gray-300">
+        {sets.map((set, index) => (
+          <li
+            key={index}
+            className="rounded-md bg-gray-100 px-2 py-1 dark:bg-gray-700"
+          >
+            <span className="font-medium">Set {index + 1}:</span>{' '}
+            {set.weight !== null && set.weight !== undefined
+              ? renderPlatesLink(convertWeight(set.weight, logUnit, displayUnit), formatSet(set, logUnit, displayUnit))
+              : formatSet(set, logUnit, displayUnit)}
+            {set.set_type && set.set_type !== 'working' && (
+              <span className="ml-1 text-xs uppercase text-gray-500 dark:text-gray-400">
+                {SET_TYPE_LABELS[set.set_type]}
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+    );
+  };
+
+  const renderActionError = () =>
+    actionError && (
+      <p className="mt-2 text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+        {actionError}
+      </p>
+    );
+
+  if (mode === 'edit' && draft) {
+    return (
+      <li className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+        <form onSubmit={handleSave} aria-label={`Edit ${log.exercise_name} log`}>
+          <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+            <InputField
+              id={`edit_workout_name_${log.id}`}
+              name="workout_name"
+              label="Workout Name"
+              value={draft.workout_name}
+              onChange={handleDraftChange}
+              required
+              disabled={busy}
+            />
+            <ExerciseCombobox
+              id={`edit_exercise_name_${log.id}`}
+              name="exercise_name"
+              label="Exercise Name"
+              value={draft.exercise_name}
+              onChange={handleDraftChange}
+              required
+              disabled={busy}
+            />
+          </div>
+          <SetRowsInput
+            idPrefix={`edit_${log.id}`}
+            rows={draft.sets}
+            onChange={handleDraftSetsChange}
+            weightUnit={displayUnit}
+            disabled={busy}
+          />
+          <InputField
+            id={`edit_workout_date_${log.id}`}
+            name="workout_date"
+            label="Date"
+            type="date"
+            value={draft.workout_date}
+            onChange={handleDraftChange}
+            required
+            disabled={busy}
+            className="mt-4"
+          />
+          {renderActionError()}
+          <div className="mt-2 flex gap-3">
+            <Button type="submit" size="sm" disabled={busy}>
+              {busy ? 'Saving...' : 'Save'}
+            </Button>
+            <Button variant="secondary" size="sm" onClick={cancel} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 transition hover:shadow-md">
+      <div className="flex justify-between items-start mb-2">
+        <p className="font-semibold text-lg text-gray-900 dark:text-white">
+          {log.workout_name} - {log.exercise_name}
+          {syncStatus && (
+            <span
+              className={`ml-2 inline-block rounded-full px-2 py-0.5 align-middle text-xs font-medium ${
+                syncStatus === 'failed'
+                  ? 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300'
+                  : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'
+              }`}
+            >
+              {syncStatus === 'failed' ? 'Sync failed' : 'Pending sync'}
+            </span>
+          )}
+          {records.map((type) => (
+            <span
+              key={type}
+              className="ml-2 inline-block rounded-full bg-amber-100 px-2 py-0.5 align-middle text-xs font-medium text-amber-800 dark:bg-amber-900/40 dark:text-amber-300"
+            >
+              PR: {RECORD_TYPE_LABELS[type]}
+            </span>
+          ))}
+        </p>
+        <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+          {format(parseISO(log.workout_date), 'PPP')} {/* More readable format */}
+        </p>
+      </div>
+      {renderSets()}
+
+      {renderActionError()}
+
+      {syncStatus ? (
+        renderSyncActions()
+      ) : mode === 'confirmDelete' ? (
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <p className="text-sm text-gray-700 dark:text-gray-300">Delete this entry permanently?</p>
+          <Button variant="danger" size="sm" onClick={handleConfirmDelete} disabled={busy}>
+            {busy ? 'Deleting...' : 'Delete'}
+          </Button>
+          <Button variant="secondary" size="sm" onClick={cancel} disabled={busy}>
+            Cancel
+          </Button>
+        </div>
+      ) : (
+        <div className="mt-3 flex gap-3">
+          <Button variant="secondary" size="sm" onClick={startEditing}>
+            Edit
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => {
+              setActionError(null);
+              setMode('confirmDelete');
+            }}
+          >
+            Delete
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default ProgressLogCard;
@@ -0,0 +1,83 @@
+import React from 'react';
+import Button from './Button.jsx';
+import { formatWeight } from '../utils/units.js';
+
+/**
+ * @typedef {import('../utils/overload.js').Recommendation} Recommendation
+ * @typedef {import('../utils/overload.js').RecommendationStatus} RecommendationStatus
+ */
+
+/**
+ * @typedef {object} RecommendationNoteProps
+ * @property {Recommendation | null} recommendation - (Required) The suggestion to show; nothing is rendered for null.
+ * @property {(recommendation: Recommendation) => void} [onApply] - (Optional) Shows a "Use" button that applies the suggestion, e.g. to a log form.
+ * @property {(weight: number) => void} [onShowPlates] - (Optional) Shows a "Plates" button that opens the plate calculator for the suggested weight (in the recommendation's unit).
+ * @property {string} [className] - (Optional) Additional classes for the container.
+ */
+
+/**
+ * Badge label and colors per recommendation status.
+ * @type {Record<RecommendationStatus, { label: string; className: string }>}
+ */
+const STATUS_STYLES = {
+  increase: {
+    label: 'Add weight',
+    className: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  },
+  repeat: {
+    label: 'Repeat',
+    className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300',
+  },
+  deload: {
+    label: 'Deload',
+    className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  },
+  'no-history': {
+    label: 'New',
+    className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  },
+};
+
+/**
+ * RecommendationNote Component
+ *
+ * Compact display of a progressive overload suggestion: a status badge, the
+ * suggested sets x reps @ weight, and a one-line explanation.
+ *
+ * @param {RecommendationNoteProps} props - Component props.
+ * @returns {React.ReactElement | null} The suggestion, or null if there is none.
+ */
+function RecommendationNote({ recommendation, onApply, onShowPlates, className = '' }) {
+  if (!recommendation) {
+    return null;
+  }
+
+  const { status, sets, reps, weight, unit, summary } = recommendation;
+  const style = STATUS_STYLES[status];
+  const target =
+    status === 'no-history'
+      ? null
+      : `${sets} × ${reps}${weight !== null ? ` @ ${formatWeight(weight, unit)}` : ''}`;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-sm ${className}`}>
+      <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${style.className}`}>
+        {style.label}
+      </span>
+      {target && <span className="font-medium text-gray-900 dark:text-white">Next: {target}</span>}
+      <span className="text-gray-600 dark:text-gray-400">{summary}</span>
+      {onApply && status !== 'no-history' && (
+        <Button variant="secondary" size="sm" onClick={() => onApply(recommendation)}>
+          Use
+        </Button>
+      )}
+      {onShowPlates && status !== 'no-history' && weight !== null && (
+        <Button variant="secondary" size="sm" onClick={() => onShowPlates(weight)}>
+          Plates
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default RecommendationNote;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { useRestTimer } from '../context/RestTimerContext.jsx';
+import { REST_ADJUST_SECONDS, formatRestTime } from '../utils/restTimer.js';
+import Button from './Button.jsx';
+
+/**
+ * RestTimer Component
+ *
+ * Floating countdown of the current rest, shown on every page while a rest is
+ * running, paused or just finished. The rest can be lengthened or shortened,
+ * paused, and stopped; once time is up it stays visible until dismissed.
+ * Renders nothing when no rest is active.
+ *
+ * @returns {React.ReactElement | null} The rest timer panel, or null.
+ */
+function RestTimer() {
+  const { timer, remainingSeconds, pauseRest, resumeRest, adjustRest, stopRest } = useRestTimer();
+
+  if (!timer) {
+    return null;
+  }
+
+  const isPaused = !timer.finished && timer.endsAt === null;
+  const progress = timer.finished ? 100 : Math.min(100, (1 - remainingSeconds / timer.duration) * 100);
+
+  return (
+    <section
+      aria-label="Rest timer"
+      className={`fixed bottom-4 right-4 z-50 w-72 rounded-lg border p-4 shadow-lg ${
+        timer.finished
+          ? 'border-green-400 bg-green-50 dark:border-green-600 dark:bg-green-900'
+          : 'border-gray-200 bg-white dark:border-gray-700 dark:bg-gray-800'
+      }`}
+    >
+      <div className="flex items-baseline justify-between gap-2">
+        <p className="truncate text-sm font-medium text-gray-600 dark:text-gray-300">
+          {timer.exerciseName ? `Rest after ${timer.exerciseName}` : 'Rest'}
+        </p>
+        {isPaused && <span className="text-xs text-gray-500 dark:text-gray-400">Paused</span>}
+      </div>
+      <p
+        role="timer"
+        aria-live={timer.finished ? 'assertive' : 'off'}
+        className="my-1 text-4xl font-bold tabular-nums text-gray-900 dark:text-white"
+      >
+        {timer.finished ? 'Time is up!' : formatRestTime(remainingSeconds)}
+      </p>
+      <div
+        className="mb-3 h-1.5 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700"
+        aria-hidden="true"
+      >
+        <div className="h-full bg-indigo-600" style={{ width: `${progress}%` }} />
+      </div>
+      {timer.finished ? (
+        <Button size="sm" onClick={stopRest} className="w-full">
+          Dismiss
+        </Button>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => adjustRest(-REST_ADJUST_SECONDS)}
+            aria-label={`Remove ${REST_ADJUST_SECONDS} seconds`}
+          >
+            -{REST_ADJUST_SECONDS}s
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => adjustRest(REST_ADJUST_SECONDS)}
+            aria-label={`Add ${REST_ADJUST_SECONDS} seconds`}
+          >
+            +{REST_ADJUST_SECONDS}s
+          </Button>
+          <Button variant="secondary" size="sm" onClick={isPaused ? resumeRest : pauseRest}>
+            {isPaused ? 'Resume' : 'Pause'}
+          </Button>
+          <Button variant="secondary" size="sm" onClick={stopRest}>
+            Skip
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default RestTimer;
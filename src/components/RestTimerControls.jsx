@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useRestTimer } from '../context/RestTimerContext.jsx';
+import {
+  MAX_REST_SECONDS,
+  MIN_REST_SECONDS,
+  formatRestTime,
+  getRestDuration,
+  getRestExerciseKey,
+  isValidRestSeconds,
+} from '../utils/restTimer.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ * @typedef {import('../utils/restTimer.js').RestDurationSource} RestDurationSource
+ */
+
+/**
+ * @typedef {object} RestTimerControlsProps
+ * @property {string} exerciseName - (Required) The exercise being logged; may be empty.
+ * @property {WorkoutPlanExercise | null} [planExercise=null] - (Optional) The exercise's entry in the active plan, whose rest length wins.
+ * @property {string} [className] - (Optional) Additional classes for the wrapper.
+ */
+
+/**
+ * Describes where a rest length came from.
+ * @type {Record<RestDurationSource, string>}
+ */
+const SOURCE_LABELS = {
+  plan: 'set in your plan',
+  exercise: 'your setting for this exercise',
+  default: 'your default',
+};
+
+/**
+ * Labels for the notification permission states.
+ * @type {Record<import('../context/RestTimerContext.jsx').NotificationPermissionState, string>}
+ */
+const NOTIFICATION_LABELS = {
+  granted: 'Notifications are on.',
+  denied: 'Notifications are blocked in your browser settings.',
+  default: 'Notifications are off.',
+  unsupported: 'This browser does not support notifications.',
+};
+
+/**
+ * Parses a seconds input.
+ *
+ * @param {string} value - The input value.
+ * @returns {number | null} The rest length, or null if it is not valid.
+ */
+const parseRestInput = (value) => {
+  const seconds = Number(value);
+  return value.trim() !== '' && isValidRestSeconds(seconds) ? seconds : null;
+};
+
+/**
+ * RestTimerControls Component
+ *
+ * Starts the rest timer for the exercise being logged and edits the rest timer
+ * settings: the default rest, the rest for this exercise, whether the timer starts
+ * by itself after an exercise is logged, the alert sound, and browser notifications.
+ *
+ * @param {RestTimerControlsProps} props - Component props.
+ * @returns {React.ReactElement} The rest timer controls.
+ */
+function RestTimerControls({ exerciseName, planExercise = null, className = '' }) {
+  const { preferences, updatePreferences } = usePreferences();
+  const { startRest, notificationPermission, requestNotificationPermission } = useRestTimer();
+
+  // --- State ---
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showSettings, setShowSettings] = useState(false);
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [defaultInput, setDefaultInput] = useState('');
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [exerciseInput, setExerciseInput] = useState('');
+
+  const trimmedName = exerciseName.trim();
+  const exerciseKey = getRestExerciseKey(exerciseName);
+  const exerciseSeconds = preferences.rest_timer_exercise_seconds[exerciseKey];
+  const duration = getRestDuration(exerciseName, planExercise, preferences);
+  const rangeError = `Enter ${MIN_REST_SECONDS}-${MAX_REST_SECONDS} seconds.`;
+
+  // Show the stored value when the exercise changes or its setting is saved
+  useEffect(() => {
+    setExerciseInput(exerciseSeconds !== undefined ? String(exerciseSeconds) : '');
+  }, [exerciseKey, exerciseSeconds]);
+
+  // --- Event Handlers ---
+  const openSettings = () => {
+    setDefaultInput(String(preferences.rest_timer_seconds));
+    setShowSettings(true);
+  };
+
+  const saveDefault = () => {
+    const seconds = parseRestInput(defaultInput);
+    if (seconds !== null) {
+      updatePreferences({ rest_timer_seconds: seconds });
+    }
+  };
+
+  const saveExercise = (seconds) => {
+    const others = Object.fromEntries(
+      Object.entries(preferences.rest_timer_exercise_seconds).filter(([key]) => key !== exerciseKey),
+    );
+    updatePreferences({
+      rest_timer_exercise_seconds: seconds === null ? others : { ...others, [exerciseKey]: seconds },
+    });
+  };
+
+  // --- Rendering Functions ---
+
+  const renderSettings = () => (
+    <div className="mt-3 space-y-3 border-t border-gray-200 pt-3 dark:border-gray-700">
+      <div className="flex items-end gap-2">
+        <InputField
+          id="rest_default_seconds"
+          name="rest_default_seconds"
+          label="Default rest (seconds)"
+          type="number"
+          value={defaultInput}
+          onChange={(event) => setDefaultInput(event.target.value)}
+          min={MIN_REST_SECONDS}
+          max={MAX_REST_SECONDS}
+          step="1"
+          error={defaultInput.trim() !== '' && parseRestInput(defaultInput) === null ? rangeError : null}
+          className="flex-grow"
+        />
+        <Button
+          variant="secondary"
+          size="sm"
+          className="mb-4"
+          onClick={saveDefault}
+          disabled={parseRestInput(defaultInput) === null}
+        >
+          Save
+        </Button>
+      </div>
+
+      {trimmedName && (
+        <div className="flex items-end gap-2">
+          <InputField
+            id="rest_exercise_seconds"
+            name="rest_exercise_seconds"
+            label={`Rest for ${trimmedName} (seconds)`}
+            type="number"
+            value={exerciseInput}
+            onChange={(event) => setExerciseInput(event.target.value)}
+            placeholder="Use default"
+            min={MIN_REST_SECONDS}
+            max={MAX_REST_SECONDS}
+            step="1"
+            error={exerciseInput.trim() !== '' && parseRestInput(exerciseInput) === null ? rangeError : null}
+            className="flex-grow"
+          />
+          <Button
+            variant="secondary"
+            size="sm"
+            className="mb-4"
+            onClick={() => saveExercise(parseRestInput(exerciseInput))}
+            disabled={parseRestInput(exerciseInput) === null}
+          >
+            Save
+          </Button>
+          {exerciseSeconds !== undefined && (
+            <Button variant="secondary" size="sm" className="mb-4" onClick={() => saveExercise(null)}>
+              Clear
+            </Button>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-col gap-2">
+        <label className="inline-flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+          <input
+            type="checkbox"
+            checked={preferences.rest_timer_auto_start}
+            onChange={(event) => updatePreferences({ rest_timer_auto_start: event.target.checked })}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+          />
+          Start the timer after logging an exercise
+        </label>
+        <label className="inline-flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200">
+          <input
+            type="checkbox"
+            checked={preferences.rest_timer_sound}
+            onChange={(event) => updatePreferences({ rest_timer_sound: event.target.checked })}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500 dark:border-gray-600"
+          />
+          Beep when time is up
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+        <span>{NOTIFICATION_LABELS[notificationPermission]}</span>
+        {notificationPermission === 'default' && (
+          <Button variant="secondary" size="sm" onClick={requestNotificationPermission}>
+            Enable Notifications
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+
+  // --- Main Component Render ---
+  return (
+    <div className={`rounded-md border border-gray-200 p-3 dark:border-gray-700 ${className}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          Rest {formatRestTime(duration.seconds)}{' '}
+          <span className="text-gray-500 dark:text-gray-400">({SOURCE_LABELS[duration.source]})</span>
+        </p>
+        <div className="flex gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={showSettings ? () => setShowSettings(false) : openSettings}
+            aria-expanded={showSettings}
+          >
+            {showSettings ? 'Hide Settings' : 'Timer Settings'}
+          </Button>
+          <Button size="sm" onClick={() => startRest(exerciseName, planExercise)}>
+            Start Rest
+          </Button>
+        </div>
+      </div>
+      {showSettings && renderSettings()}
+    </div>
+  );
+}
+
+export default RestTimerControls;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+import { SET_TYPES } from '../services/workoutService.js';
+import { SET_TYPE_LABELS } from '../utils/setData.js';
+import { createSetRow, repsTextToSetRows } from '../utils/progressLogForm.js';
+import { parseRepsString } from '../utils/repsParser.js';
+
+/**
+ * @typedef {import('../utils/progressLogForm.js').SetFormRow} SetFormRow
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} SetRowsInputProps
+ * @property {string} idPrefix - (Required) Prefix for the generated input IDs; must be unique on the page.
+ * @property {SetFormRow[]} rows - (Required) The controlled set rows.
+ * @property {(rows: SetFormRow[]) => void} onChange - (Required) Called with the updated rows after any edit, addition or removal.
+ * @property {WeightUnit} weightUnit - (Required) Unit the weights are entered in, shown in the label and placeholder.
+ * @property {boolean} [disabled=false] - (Optional) Disables all inputs and buttons.
+ */
+
+/**
+ * SetRowsInput Component
+ *
+ * Editable list of per-set rows (reps, weight and set type) used by the progress
+ * logging forms. New rows copy the previous row's weight and type, since most
+ * sets repeat the same load. A quick-entry field accepts shorthand such as "5x5"
+ * or "10, 9, 8", validates it with the reps parser as the user types, and expands
+ * it into rows.
+ *
+ * @param {SetRowsInputProps} props - Component props.
+ * @returns {React.ReactElement} The set rows editor.
+ */
+function SetRowsInput({ idPrefix, rows, onChange, weightUnit, disabled = false }) {
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [quickReps, setQuickReps] = useState('');
+
+  // Live parser feedback; nothing is shown while the field is empty
+  const quickParse = quickReps.trim() === '' ? null : parseRepsString(quickReps);
+
+  const applyQuickReps = () => {
+    const { rows: generatedRows } = repsTextToSetRows(quickReps, rows);
+    if (generatedRows) {
+      onChange(generatedRows);
+      setQuickReps('');
+    }
+  };
+
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    const lastRow = rows[rows.length - 1];
+    onChange([
+      ...rows,
+      createSetRow(lastRow ? { weight: lastRow.weight, set_type: lastRow.set_type } : {}),
+    ]);
+  };
+
+  const removeRow = (index) => {
+    onChange(rows.filter((_, rowIndex) => rowIndex !== index));
+  };
+
+  return (
+    <fieldset className="space-y-2" disabled={disabled}>
+      <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Sets
+      </legend>
+      <div className="flex items-end gap-3">
+        <InputField
+          id={`${idPrefix}_quick_reps`}
+          name="quick_reps"
+          label="Quick Entry (Optional)"
+          value={quickReps}
+          onChange={(event) => setQuickReps(event.target.value)}
+          onKeyDown={(event) => {
+            // Enter expands the shorthand instead of submitting the surrounding form
+            if (event.key === 'Enter') {
+              event.preventDefault();
+              applyQuickReps();
+            }
+          }}
+          placeholder="e.g., 5x5 or 10, 9, 8"
+          error={quickParse && quickParse.status !== 'parsed' ? quickParse.reason : null}
+          className="flex-grow"
+          disabled={disabled}
+        />
+        <Button
+          variant="secondary"
+          size="sm"
+          className="mb-4"
+          onClick={applyQuickReps}
+          disabled={disabled || quickParse?.status !== 'parsed'}
+        >
+          {quickParse?.status === 'parsed' ? `Fill ${quickParse.reps.length} Set(s)` : 'Fill Sets'}
+        </Button>
+      </div>
+      {rows.map((row, index) => (
+        <div
+          key={index}
+          className="grid grid-cols-[auto_1fr_1fr] items-end gap-x-3 sm:grid-cols-[auto_1fr_1fr_1fr_auto]"
+        >
+          <span className="mb-6 text-sm font-medium text-gray-500 dark:text-gray-400">
+            #{index + 1}
+          </span>
+          <InputField
+            id={`${idPrefix}_reps_${index}`}
+            name={`reps_${index}`}
+            label="Reps"
+            type="number"
+            value={row.reps}
+            onChange={(event) => updateRow(index, 'reps', event.target.value)}
+            placeholder="e.g., 10"
+            min="0"
+            step="1"
+            required
+            disabled={disabled}
+          />
+          <InputField
+            id={`${idPrefix}_weight_${index}`}
+            name={`weight_${index}`}
+            label={`Weight (${weightUnit}, Optional)`}
+            type="number"
+            value={row.weight}
+            onChange={(event) => updateRow(index, 'weight', event.target.value)}
+            placeholder={weightUnit === 'lb' ? 'e.g., 135' : 'e.g., 60'}
+            min="0"
+            step="any" // Allow decimal weights
+            disabled={disabled}
+          />
+          <div className="mb-4">
+            <label
+              htmlFor={`${idPrefix}_type_${index}`}
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Type
+            </label>
+            <select
+              id={`${idPrefix}_type_${index}`}
+              value={row.set_type}
+              onChange={(event) => updateRow(index, 'set_type', event.target.value)}
+              disabled={disabled}
+              className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+            >
+              {SET_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {SET_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <Button
+            variant="secondary"
+            size="sm"
+            className="mb-4"
+            onClick={() => removeRow(index)}
+            disabled={disabled || rows.length === 1}
+            aria-label={`Remove set ${index + 1}`}
+          >
+            Remove
+          </Button>
+        </div>
+      ))}
+      <Button variant="secondary" size="sm" onClick={addRow} disabled={disabled}>
+        Add Set
+      </Button>
+    </fieldset>
+  );
+}
+
+export default SetRowsInput;
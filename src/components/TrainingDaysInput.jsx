@@ -0,0 +1,202 @@
+import React from 'react';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+import PlanExerciseRowsInput from './PlanExerciseRowsInput.jsx';
+import { PLAN_SCHEDULE_TYPES } from '../services/workoutService.js';
+import { createTrainingDayRow } from '../utils/planForm.js';
+import { WEEKDAY_LABELS } from '../utils/schedule.js';
+
+/**
+ * @typedef {import('../utils/planForm.js').TrainingDayFormRow} TrainingDayFormRow
+ * @typedef {import('../services/workoutService.js').ScheduleType} ScheduleType
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} TrainingDaysInputProps
+ * @property {ScheduleType} scheduleType - (Required) How the days are scheduled.
+ * @property {(scheduleType: ScheduleType) => void} onScheduleTypeChange - (Required) Called when the user picks another schedule type.
+ * @property {TrainingDayFormRow[]} days - (Required) The controlled training day rows, in order.
+ * @property {(days: TrainingDayFormRow[]) => void} onChange - (Required) Called with the updated days after any edit, move, addition or removal.
+ * @property {WeightUnit} weightUnit - (Required) Unit of newly entered weight increments.
+ * @property {boolean} [disabled=false] - (Optional) Disables all inputs and buttons.
+ */
+
+/**
+ * Labels for the schedule type select.
+ * @type {Record<ScheduleType, string>}
+ */
+const SCHEDULE_TYPE_LABELS = {
+  weekly: 'Fixed weekdays',
+  rotation: 'Rotating order',
+};
+
+/**
+ * TrainingDaysInput Component
+ *
+ * Editor for the named training days of a split plan. With a weekly schedule each
+ * day is pinned to one or more weekdays; with a rotation the days are trained in
+ * the listed order, so they can be moved up and down. Each day has its own
+ * exercise list.
+ *
+ * @param {TrainingDaysInputProps} props - Component props.
+ * @returns {React.ReactElement} The training days editor.
+ */
+function TrainingDaysInput({
+  scheduleType,
+  onScheduleTypeChange,
+  days,
+  onChange,
+  weightUnit,
+  disabled = false,
+}) {
+  const updateDay = (index, changes) => {
+    onChange(days.map((day, dayIndex) => (dayIndex === index ? { ...day, ...changes } : day)));
+  };
+
+  const toggleWeekday = (index, weekday) => {
+    const { weekdays } = days[index];
+    updateDay(index, {
+      weekdays: weekdays.includes(weekday)
+        ? weekdays.filter((value) => value !== weekday)
+        : [...weekdays, weekday].sort((a, b) => a - b),
+    });
+  };
+
+  const moveDay = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= days.length) {
+      return;
+    }
+    const reordered = [...days];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <fieldset className="space-y-4" disabled={disabled}>
+      <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+        Training Days
+      </legend>
+
+      <div className="mb-4">
+        <label
+          htmlFor="plan_schedule_type"
+          className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+        >
+          Schedule
+        </label>
+        <select
+          id="plan_schedule_type"
+          value={scheduleType}
+          onChange={(event) => onScheduleTypeChange(event.target.value)}
+          disabled={disabled}
+          className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+        >
+          {PLAN_SCHEDULE_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {SCHEDULE_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+        {scheduleType === 'rotation' && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Days are trained in this order; the next session follows the last day you logged.
+          </p>
+        )}
+      </div>
+
+      {days.map((day, index) => (
+        <div
+          key={day.id}
+          className="space-y-2 rounded-md border border-gray-200 p-4 dark:border-gray-700"
+        >
+          <div className="flex items-end gap-3">
+            <InputField
+              id={`plan_day_name_${day.id}`}
+              name={`day_name_${index}`}
+              label={`Day ${index + 1} Name`}
+              value={day.name}
+              onChange={(event) => updateDay(index, { name: event.target.value })}
+              placeholder="e.g., Push"
+              required
+              disabled={disabled}
+              className="flex-grow"
+            />
+            <div className="mb-4 flex gap-2">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => moveDay(index, -1)}
+                disabled={disabled || index === 0}
+                aria-label={`Move day ${index + 1} up`}
+              >
+                &uarr;
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => moveDay(index, 1)}
+                disabled={disabled || index === days.length - 1}
+                aria-label={`Move day ${index + 1} down`}
+              >
+                &darr;
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => onChange(days.filter((_, dayIndex) => dayIndex !== index))}
+                disabled={disabled || days.length === 1}
+                aria-label={`Remove day ${index + 1}`}
+              >
+                Remove
+              </Button>
+            </div>
+          </div>
+
+          {scheduleType === 'weekly' && (
+            <div role="group" aria-label={`Weekdays for day ${index + 1}`} className="flex flex-wrap gap-2">
+              {WEEKDAY_LABELS.map((label, weekday) => {
+                const isSelected = day.weekdays.includes(weekday);
+                return (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleWeekday(index, weekday)}
+                    disabled={disabled}
+                    aria-pressed={isSelected}
+                    className={`rounded-md border px-2 py-1 text-xs font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                      isSelected
+                        ? 'border-indigo-600 bg-indigo-600 text-white'
+                        : 'border-gray-300 bg-white text-gray-600 hover:bg-gray-100 dark:border-gray-600 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          <PlanExerciseRowsInput
+            rows={day.exercises}
+            onChange={(exercises) => updateDay(index, { exercises })}
+            weightUnit={weightUnit}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+
+      <Button
+        variant="secondary"
+        size="sm"
+        onClick={() => onChange([...days, createTrainingDayRow()])}
+        disabled={disabled}
+      >
+        Add Training Day
+      </Button>
+    </fieldset>
+  );
+}
+
+export default TrainingDaysInput;
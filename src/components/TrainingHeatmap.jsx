@@ -0,0 +1,107 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+
+/**
+ * @typedef {import('../utils/streaks.js').HeatmapDay} HeatmapDay
+ */
+
+/**
+ * @typedef {object} TrainingHeatmapProps
+ * @property {HeatmapDay[][]} weeks - (Required) Weeks of days from `buildHeatmap`, oldest first.
+ * @property {string | null} selectedDate - (Required) The highlighted day (YYYY-MM-DD), or null.
+ * @property {(date: string) => void} onSelectDate - (Required) Called when a training or rest day is clicked.
+ */
+
+/**
+ * Cell colours per intensity level.
+ * @type {string[]}
+ */
+const LEVEL_CLASSES = [
+  'bg-gray-100 dark:bg-gray-700',
+  'bg-indigo-200 dark:bg-indigo-900',
+  'bg-indigo-400 dark:bg-indigo-700',
+  'bg-indigo-600 dark:bg-indigo-500',
+  'bg-indigo-800 dark:bg-indigo-300',
+];
+
+/**
+ * Row labels, Monday first; only every other day is labelled to save space.
+ * @type {string[]}
+ */
+const ROW_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+/**
+ * Describes a day for its tooltip and accessible name.
+ *
+ * @param {HeatmapDay} day - The day.
+ * @returns {string} The description, e.g. "Mar 4, 2026: 5 exercises, 18 sets".
+ */
+const describeDay = (day) => {
+  const date = format(parseISO(day.date), 'PP');
+  return day.exercises === 0
+    ? `${date}: no training`
+    : `${date}: ${day.exercises} exercise(s), ${day.sets} set(s)`;
+};
+
+/**
+ * TrainingHeatmap Component
+ *
+ * Year-long calendar heatmap of training days, one column per week and one row per
+ * weekday, coloured by the number of sets logged. Every past day is a button that
+ * selects it; future days are shown empty.
+ *
+ * @param {TrainingHeatmapProps} props - Component props.
+ * @returns {React.ReactElement} The heatmap.
+ */
+function TrainingHeatmap({ weeks, selectedDate, onSelectDate }) {
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-flex gap-1">
+        <div className="mt-5 grid grid-rows-7 gap-1 pr-1 text-xs text-gray-500 dark:text-gray-400">
+          {ROW_LABELS.map((label, index) => (
+            <span key={index} className="h-3 leading-3">
+              {label}
+            </span>
+          ))}
+        </div>
+        {weeks.map((week) => {
+          // Label the column in which a new month starts
+          const monthStart = week.find((day) => day.date.endsWith('-01'));
+          return (
+            <div key={week[0].date} className="flex flex-col gap-1">
+              <span className="h-4 whitespace-nowrap text-xs text-gray-500 dark:text-gray-400">
+                {monthStart ? format(parseISO(monthStart.date), 'MMM') : ''}
+              </span>
+              {week.map((day) =>
+                day.isFuture ? (
+                  <span key={day.date} className="h-3 w-3" aria-hidden="true" />
+                ) : (
+                  <button
+                    key={day.date}
+                    type="button"
+                    title={describeDay(day)}
+                    aria-label={describeDay(day)}
+                    aria-pressed={day.date === selectedDate}
+                    onClick={() => onSelectDate(day.date)}
+                    className={`h-3 w-3 rounded-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                      LEVEL_CLASSES[day.level]
+                    } ${day.date === selectedDate ? 'ring-2 ring-amber-500' : ''}`}
+                  />
+                ),
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="mt-2 flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+        <span className="mr-1">Less</span>
+        {LEVEL_CLASSES.map((classes) => (
+          <span key={classes} className={`h-3 w-3 rounded-sm ${classes}`} aria-hidden="true" />
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </div>
+  );
+}
+
+export default TrainingHeatmap;
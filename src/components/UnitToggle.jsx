@@ -0,0 +1,46 @@
+import React from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { WEIGHT_UNITS } from '../utils/units.js';
+
+/**
+ * UnitToggle Component
+ *
+ * A segmented kg/lb switch that reads and saves the user's preferred weight unit
+ * through `PreferencesContext`. All weights in the app are displayed and entered
+ * in the selected unit.
+ *
+ * This component is stateless and accepts no props.
+ */
+function UnitToggle() {
+  const { preferences, updatePreferences, loading } = usePreferences();
+
+  return (
+    <div
+      role="group"
+      aria-label="Weight unit"
+      className="inline-flex overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+    >
+      {WEIGHT_UNITS.map((unit) => {
+        const isActive = preferences.weight_unit === unit;
+        return (
+          <button
+            key={unit}
+            type="button"
+            onClick={() => !isActive && updatePreferences({ weight_unit: unit })}
+            disabled={loading}
+            aria-pressed={isActive}
+            className={`px-2 py-1 text-xs font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500 ${
+              isActive
+                ? 'bg-indigo-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+            }`}
+          >
+            {unit}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default UnitToggle;
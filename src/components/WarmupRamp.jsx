@@ -0,0 +1,72 @@
+import React from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { buildWarmupSets, formatWarmupPercent, getWarmupSteps } from '../utils/warmup.js';
+import { formatWeight } from '../utils/units.js';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../utils/warmup.js').WarmupSet} WarmupSet
+ */
+
+/**
+ * @typedef {object} WarmupRampProps
+ * @property {number | null} workingWeight - (Required) The working weight in the user's preferred unit; nothing is rendered for null.
+ * @property {(sets: WarmupSet[]) => void} [onAdd] - (Optional) Shows an "Add Warm-up" button that passes the warm-up sets on, e.g. to a log form.
+ * @property {string} [className] - (Optional) Additional classes for the container.
+ */
+
+/**
+ * WarmupRamp Component
+ *
+ * Compact list of the warm-up sets leading up to a working weight, built from the
+ * user's selected warm-up template and rounded to what their bar and plates can load.
+ * Renders nothing without a working weight or when the bar alone reaches it.
+ *
+ * @param {WarmupRampProps} props - Component props.
+ * @returns {React.ReactElement | null} The warm-up ramp, or null.
+ */
+function WarmupRamp({ workingWeight, onAdd, className = '' }) {
+  const { preferences } = usePreferences();
+  const unit = preferences.weight_unit;
+
+  if (workingWeight === null) {
+    return null;
+  }
+
+  const sets = buildWarmupSets(
+    workingWeight,
+    getWarmupSteps(preferences),
+    preferences.plate_inventories[unit],
+  );
+  if (sets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-sm ${className}`}>
+      <span className="text-gray-600 dark:text-gray-400">
+        Warm-up to {formatWeight(workingWeight, unit)}:
+      </span>
+      <ol className="flex flex-wrap gap-2" aria-label="Warm-up sets">
+        {sets.map((set) => (
+          <li
+            key={set.percent}
+            className="rounded-md bg-gray-100 px-2 py-0.5 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+          >
+            {set.reps} × {formatWeight(set.weight, unit)}{' '}
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              ({formatWarmupPercent(set.percent)})
+            </span>
+          </li>
+        ))}
+      </ol>
+      {onAdd && (
+        <Button variant="secondary" size="sm" onClick={() => onAdd(sets)}>
+          Add Warm-up
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default WarmupRamp;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import {
+  MAX_WARMUP_REPS,
+  MAX_WARMUP_STEPS,
+  WARMUP_TEMPLATES,
+  WARMUP_TEMPLATE_IDS,
+  WARMUP_TEMPLATE_LABELS,
+  isValidWarmupSteps,
+} from '../utils/warmup.js';
+import { InputField } from './InputField.jsx';
+import Button from './Button.jsx';
+
+/**
+ * @typedef {import('../utils/warmup.js').WarmupStep} WarmupStep
+ * @typedef {import('../utils/warmup.js').WarmupTemplateId} WarmupTemplateId
+ */
+
+/**
+ * @typedef {object} WarmupSettingsProps
+ * @property {() => void} onClose - (Required) Closes the panel.
+ */
+
+/**
+ * Converts steps into editable rows.
+ *
+ * @param {WarmupStep[]} steps - The steps.
+ * @returns {{ percent: string; reps: string }[]} The rows.
+ */
+const stepsToRows = (steps) =>
+  steps.map((step) => ({ percent: String(step.percent), reps: String(step.reps) }));
+
+/**
+ * Parses step rows, lightest first. Returns null if any row is invalid.
+ *
+ * @param {{ percent: string; reps: string }[]} rows - The rows as typed.
+ * @returns {WarmupStep[] | null} The steps, or null.
+ */
+const parseStepRows = (rows) => {
+  const steps = rows
+    .map((row) => ({
+      percent: row.percent.trim() === '' ? NaN : Number(row.percent),
+      reps: row.reps.trim() === '' ? NaN : Number(row.reps),
+    }))
+    .sort((a, b) => a.percent - b.percent);
+  return isValidWarmupSteps(steps) ? steps : null;
+};
+
+/**
+ * WarmupSettings Component
+ *
+ * Picks the warm-up template used for every generated warm-up ramp, and edits the
+ * steps of the custom template (percentage of the working weight and reps; 0% is
+ * the empty bar). Changes are saved to the user's preferences.
+ *
+ * @param {WarmupSettingsProps} props - Component props.
+ * @returns {React.ReactElement} The warm-up settings panel.
+ */
+function WarmupSettings({ onClose }) {
+  const { preferences, updatePreferences } = usePreferences();
+
+  // --- State ---
+  /** @type {[{ percent: string; reps: string }[], React.Dispatch<React.SetStateAction<{ percent: string; reps: string }[]>>]} */
+  const [rows, setRows] = useState(() => stepsToRows(preferences.warmup_custom_steps));
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [saveError, setSaveError] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [saveNotice, setSaveNotice] = useState(null);
+
+  const parsedSteps = parseStepRows(rows);
+
+  // --- Event Handlers ---
+  const updateRow = (index, field, value) => {
+    setRows((previous) =>
+      previous.map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)),
+    );
+    setSaveNotice(null);
+  };
+
+  const handleTemplateChange = async (event) => {
+    setSaveError(null);
+    setSaveNotice(null);
+    const { error } = await updatePreferences({ warmup_template: event.target.value });
+    if (error) {
+      setSaveError(`Could not change the template: ${error.message || 'unknown error'}`);
+    }
+  };
+
+  const handleSaveCustom = async () => {
+    setSaving(true);
+    setSaveError(null);
+    const { error } = await updatePreferences({
+      warmup_custom_steps: parsedSteps,
+      warmup_template: 'custom',
+    });
+    setSaving(false);
+    if (error) {
+      setSaveError(`Could not save your template: ${error.message || 'unknown error'}`);
+      return;
+    }
+    setRows(stepsToRows(parsedSteps));
+    setSaveNotice('Custom template saved and selected.');
+  };
+
+  // --- Main Component Render ---
+  return (
+    <section
+      aria-labelledby="warmup-settings-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h3
+          id="warmup-settings-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200"
+        >
+          Warm-up Settings
+        </h3>
+        <Button variant="secondary" size="sm" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Warm-ups are shown for exercises with a suggested working weight. Weights are
+        rounded to what your bar and plates can load.
+      </p>
+
+      <div className="sm:w-96">
+        <label
+          htmlFor="warmup_template"
+          className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+        >
+          Template
+        </label>
+        <select
+          id="warmup_template"
+          value={preferences.warmup_template}
+          onChange={handleTemplateChange}
+          className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+        >
+          {WARMUP_TEMPLATE_IDS.map((templateId) => (
+            <option key={templateId} value={templateId}>
+              {WARMUP_TEMPLATE_LABELS[templateId]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset disabled={saving} className="space-y-3 border-t border-gray-200 pt-4 dark:border-gray-700">
+        <legend className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+          Custom template
+        </legend>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Enter each step as a percentage of the working weight (0 for the empty bar) with
+          its reps. Steps are sorted from light to heavy when saved.
+        </p>
+        <ul className="space-y-2">
+          {rows.map((row, index) => (
+            <li key={index} className="flex items-end gap-2">
+              <InputField
+                id={`warmup_percent_${index}`}
+                name={`warmup_percent_${index}`}
+                label="% of working"
+                type="number"
+                value={row.percent}
+                onChange={(event) => updateRow(index, 'percent', event.target.value)}
+                min="0"
+                max="99"
+                step="any"
+                className="w-32"
+              />
+              <InputField
+                id={`warmup_reps_${index}`}
+                name={`warmup_reps_${index}`}
+                label="Reps"
+                type="number"
+                value={row.reps}
+                onChange={(event) => updateRow(index, 'reps', event.target.value)}
+                min="1"
+                max={MAX_WARMUP_REPS}
+                step="1"
+                className="w-24"
+              />
+              <Button
+                variant="secondary"
+                size="sm"
+                className="mb-4"
+                onClick={() => setRows((previous) => previous.filter((_, rowIndex) => rowIndex !== index))}
+                disabled={rows.length <= 1}
+                aria-label={`Remove step ${index + 1}`}
+              >
+                Remove
+              </Button>
+            </li>
+          ))}
+        </ul>
+        {!parsedSteps && (
+          <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+            Each step needs a percentage from 0 to 99 and 1-{MAX_WARMUP_REPS} reps.
+          </p>
+        )}
+        {saveError && (
+          <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+            {saveError}
+          </p>
+        )}
+        {saveNotice && (
+          <p className="text-sm font-medium text-green-700 dark:text-green-300" role="status">
+            {saveNotice}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setRows((previous) => [...previous, { percent: '', reps: '' }])}
+            disabled={rows.length >= MAX_WARMUP_STEPS}
+          >
+            Add Step
+          </Button>
+          {preferences.warmup_template !== 'custom' && (
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => setRows(stepsToRows(WARMUP_TEMPLATES[preferences.warmup_template]))}
+            >
+              Copy Selected Template
+            </Button>
+          )}
+          <Button size="sm" onClick={handleSaveCustom} disabled={!parsedSteps}>
+            {saving ? 'Saving...' : 'Save Custom Template'}
+          </Button>
+        </div>
+      </fieldset>
+    </section>
+  );
+}
+
+export default WarmupSettings;
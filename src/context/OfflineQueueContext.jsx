@@ -0,0 +1,290 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+} from 'react';
+import { useAuth } from './AuthContext.jsx';
+import { logWorkoutProgress, validateLogData } from '../services/workoutService.js';
+import {
+  createClientId,
+  enqueueLog,
+  getQueuedLogs,
+  removeQueuedLog,
+  saveQueuedLog,
+} from '../services/offlineQueue.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/offlineQueue.js').QueuedLog} QueuedLog
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} SubmitLogResult
+ * @property {ProgressLog[] | null} data - The inserted rows when the log reached Supabase directly.
+ * @property {PostgrestError | Error | null} error - Set when the log was neither saved nor queued.
+ * @property {boolean} queued - True when the log was stored in the offline queue for later sync.
+ */
+
+/**
+ * @typedef {object} OfflineQueueContextValue
+ * @property {QueuedLog[]} queuedLogs - Unsynced log submissions for the current user, oldest first.
+ * @property {boolean} isOnline - The browser's current connectivity status.
+ * @property {boolean} syncing - True while the queue is being replayed.
+ * @property {number} lastSyncedAt - Timestamp of the last replay that synced at least one entry (0 if none yet).
+ * @property {ProgressLog[]} syncedLogs - Rows saved by that replay (empty if none yet).
+ * @property {(logData: LogData) => Promise<SubmitLogResult>} submitLog - Saves a log, queueing it if Supabase cannot be reached.
+ * @property {(clientId: string) => Promise<void>} retryLog - Marks a failed entry as pending, resets its attempts and replays the queue.
+ * @property {(clientId: string) => Promise<void>} discardLog - Removes an entry from the queue without syncing it.
+ */
+
+/**
+ * Automatic sync attempts of an entry before it is marked as failed, so an entry
+ * that keeps failing cannot hold up the entries queued after it.
+ * @type {number}
+ */
+const MAX_SYNC_ATTEMPTS = 5;
+
+/**
+ * Messages of failed requests as reported by supabase-js in the major browsers,
+ * e.g. "TypeError: Failed to fetch" or "TypeError: NetworkError when attempting to fetch resource."
+ * @type {RegExp}
+ */
+const FETCH_FAILURE_PATTERN = /failed to fetch|networkerror|load failed|network request failed/i;
+
+/**
+ * Determines whether a failed insert is worth retrying automatically.
+ * Only requests that never reached the server (offline, timeouts, DNS) are: they
+ * have no error code and a `TypeError` fetch failure message. Server rejections and
+ * unexpected client errors would fail again.
+ *
+ * @param {PostgrestError | Error} error - The error returned by `logWorkoutProgress`.
+ * @returns {boolean} True if the error is likely transient.
+ */
+const isTransientError = (error) =>
+  !error?.code &&
+  (error?.name === 'TypeError' || FETCH_FAILURE_PATTERN.test(error?.message ?? ''));
+
+/**
+ * Offline Queue Context
+ *
+ * Provides access to the offline log queue so pages can submit logs that survive
+ * connectivity loss, and can display the sync status of queued entries.
+ * @type {React.Context<OfflineQueueContextValue | null>}
+ */
+const OfflineQueueContext = createContext(null);
+
+/**
+ * Offline Queue Provider Component
+ *
+ * Loads the current user's queued log submissions from IndexedDB and replays them
+ * when the provider mounts and whenever the browser reports that it is back online.
+ * Must be rendered inside `AuthProvider`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The child components to wrap with the provider.
+ * @returns {React.ReactElement} The OfflineQueueProvider component.
+ */
+export function OfflineQueueProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[QueuedLog[], React.Dispatch<React.SetStateAction<QueuedLog[]>>]} */
+  const [queuedLogs, setQueuedLogs] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isOnline, setIsOnline] = useState(
+    typeof navigator === 'undefined' ? true : navigator.onLine,
+  );
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [syncing, setSyncing] = useState(false);
+  /** @type {[number, React.Dispatch<React.SetStateAction<number>>]} */
+  const [lastSyncedAt, setLastSyncedAt] = useState(0);
+  /** @type {[ProgressLog[], React.Dispatch<React.SetStateAction<ProgressLog[]>>]} */
+  const [syncedLogs, setSyncedLogs] = useState([]);
+  // Guards against concurrent replays sending the same entry twice
+  const syncingRef = useRef(false);
+
+  const refreshQueue = useCallback(async () => {
+    if (!userId) {
+      setQueuedLogs([]);
+      return;
+    }
+    const { data } = await getQueuedLogs(userId);
+    setQueuedLogs(data ?? []);
+  }, [userId]);
+
+  /**
+   * Replays pending entries in submission order. Stops at the first transient
+   * failure (the connection is probably still down); server rejections mark the
+   * entry as failed and the replay continues with the next one. After
+   * `MAX_SYNC_ATTEMPTS` an entry is marked as failed even if its errors looked transient.
+   */
+  const syncQueue = useCallback(async () => {
+    if (!userId || syncingRef.current || !navigator.onLine) {
+      return;
+    }
+
+    syncingRef.current = true;
+    setSyncing(true);
+    let syncedCount = 0;
+    /** @type {ProgressLog[]} */
+    const syncedRows = [];
+
+    try {
+      const { data: entries } = await getQueuedLogs(userId);
+      for (const entry of entries ?? []) {
+        if (entry.status !== 'pending') {
+          continue;
+        }
+
+        const { data, error } = await logWorkoutProgress(userId, entry.logData);
+        if (!error) {
+          await removeQueuedLog(entry.clientId);
+          syncedCount += 1;
+          syncedRows.push(...(data ?? [])); // Empty if an earlier attempt already saved it
+          continue;
+        }
+
+        const transient = isTransientError(error);
+        const attempts = entry.attempts + 1;
+        await saveQueuedLog({
+          ...entry,
+          status: transient && attempts < MAX_SYNC_ATTEMPTS ? 'pending' : 'failed',
+          attempts,
+          lastError: error.message || 'Sync failed.',
+        });
+        if (transient) {
+          break;
+        }
+      }
+    } catch (catchError) {
+      console.error('OfflineQueue: Unexpected error replaying queued logs:', catchError);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      if (syncedCount > 0) {
+        console.log(`OfflineQueue: Synced ${syncedCount} queued log(s).`);
+        setSyncedLogs(syncedRows);
+        setLastSyncedAt(Date.now());
+      }
+      await refreshQueue();
+    }
+  }, [userId, refreshQueue]);
+
+  // Load and replay the queue whenever the signed-in user changes
+  useEffect(() => {
+    refreshQueue().then(syncQueue);
+  }, [refreshQueue, syncQueue]);
+
+  // Track connectivity and replay as soon as the browser is back online
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueue]);
+
+  const submitLog = useCallback(
+    async (logData) => {
+      if (!userId) {
+        return { data: null, error: new Error('Cannot log progress: User not identified.'), queued: false };
+      }
+
+      // The same client_id is kept for every retry of this submission
+      const payload = { ...logData, client_id: logData.client_id ?? createClientId() };
+      // Invalid data would be rejected on every replay, so it is never queued
+      if (!validateLogData(payload)) {
+        return {
+          data: null,
+          error: new Error('Valid log data with required fields (workout_name, exercise_name, sets or sets_completed/reps_achieved, workout_date) must be provided.'),
+          queued: false,
+        };
+      }
+
+      if (navigator.onLine) {
+        const { data, error } = await logWorkoutProgress(userId, payload);
+        if (!error) {
+          return { data, error: null, queued: false };
+        }
+        if (!isTransientError(error)) {
+          return { data: null, error, queued: false };
+        }
+        console.warn('OfflineQueue: Submission failed, queueing for later sync.', error);
+      }
+
+      const { error: queueError } = await enqueueLog(userId, payload);
+      if (queueError) {
+        return { data: null, error: queueError, queued: false };
+      }
+      await refreshQueue();
+      return { data: null, error: null, queued: true };
+    },
+    [userId, refreshQueue],
+  );
+
+  const retryLog = useCallback(
+    async (clientId) => {
+      const entry = queuedLogs.find((queued) => queued.clientId === clientId);
+      if (!entry) {
+        return;
+      }
+      // A retry by the user gets a fresh set of automatic attempts
+      await saveQueuedLog({ ...entry, status: 'pending', attempts: 0, lastError: null });
+      await refreshQueue();
+      await syncQueue();
+    },
+    [queuedLogs, refreshQueue, syncQueue],
+  );
+
+  const discardLog = useCallback(
+    async (clientId) => {
+      await removeQueuedLog(clientId);
+      await refreshQueue();
+    },
+    [refreshQueue],
+  );
+
+  /** @type {OfflineQueueContextValue} */
+  const value = useMemo(
+    () => ({
+      queuedLogs,
+      isOnline,
+      syncing,
+      lastSyncedAt,
+      syncedLogs,
+      submitLog,
+      retryLog,
+      discardLog,
+    }),
+    [queuedLogs, isOnline, syncing, lastSyncedAt, syncedLogs, submitLog, retryLog, discardLog],
+  );
+
+  return <OfflineQueueContext.Provider value={value}>{children}</OfflineQueueContext.Provider>;
+}
+
+/**
+ * Custom Hook for Consuming Offline Queue Context
+ *
+ * @returns {OfflineQueueContextValue} The offline queue context value.
+ * @throws {Error} If used outside of an OfflineQueueProvider.
+ */
+export const useOfflineQueue = () => {
+  const context = useContext(OfflineQueueContext);
+  if (context === null) {
+    throw new Error('useOfflineQueue must be used within an OfflineQueueProvider');
+  }
+  return context;
+};
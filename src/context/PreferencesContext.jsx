@@ -0,0 +1,126 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+} from 'react';
+import { useAuth } from './AuthContext.jsx';
+import {
+  fetchUserPreferences,
+  getDefaultPreferences,
+  updateUserPreferences,
+} from '../services/preferencesService.js';
+
+/**
+ * @typedef {import('../services/preferencesService.js').UserPreferences} UserPreferences
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} PreferencesContextValue
+ * @property {UserPreferences} preferences - The current user's preferences (defaults until loaded).
+ * @property {boolean} loading - True while the preferences are being fetched.
+ * @property {PostgrestError | Error | null} error - The last error from loading or saving preferences.
+ * @property {(changes: Partial<UserPreferences>) => Promise<{ error: PostgrestError | Error | null; }>} updatePreferences - Applies and persists preference changes.
+ */
+
+/**
+ * Preferences Context
+ *
+ * Provides the signed-in user's preferences (such as the weight unit) throughout the application.
+ * @type {React.Context<PreferencesContextValue | null>}
+ */
+const PreferencesContext = createContext(null);
+
+/**
+ * Preferences Provider Component
+ *
+ * Loads the signed-in user's preferences and exposes them with an update action.
+ * Updates are applied optimistically and rolled back if saving fails.
+ * Must be rendered inside `AuthProvider`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The child components to wrap with the provider.
+ * @returns {React.ReactElement} The PreferencesProvider component.
+ */
+export function PreferencesProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[UserPreferences, React.Dispatch<React.SetStateAction<UserPreferences>>]} */
+  const [preferences, setPreferences] = useState(getDefaultPreferences);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(false);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+
+    if (!userId) {
+      setPreferences(getDefaultPreferences());
+      return undefined;
+    }
+
+    const loadPreferences = async () => {
+      setLoading(true);
+      setError(null);
+      const { data, error: fetchError } = await fetchUserPreferences(userId);
+      if (!isMounted) return;
+
+      if (fetchError) {
+        console.error('PreferencesContext: Failed to load preferences:', fetchError);
+        setError(fetchError);
+      } else {
+        setPreferences(data);
+      }
+      setLoading(false);
+    };
+
+    loadPreferences();
+    return () => {
+      isMounted = false;
+    };
+  }, [userId]);
+
+  const updatePreferences = useCallback(
+    async (changes) => {
+      const previous = preferences;
+      setPreferences((prev) => ({ ...prev, ...changes }));
+      setError(null);
+
+      const { error: saveError } = await updateUserPreferences(userId, changes);
+      if (saveError) {
+        console.error('PreferencesContext: Failed to save preferences:', saveError);
+        setPreferences(previous);
+        setError(saveError);
+      }
+      return { error: saveError };
+    },
+    [userId, preferences],
+  );
+
+  /** @type {PreferencesContextValue} */
+  const value = useMemo(
+    () => ({ preferences, loading, error, updatePreferences }),
+    [preferences, loading, error, updatePreferences],
+  );
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+}
+
+/**
+ * Custom Hook for Consuming Preferences Context
+ *
+ * @returns {PreferencesContextValue} The preferences context value.
+ * @throws {Error} If used outside of a PreferencesProvider.
+ */
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (context === null) {
+    throw new Error('usePreferences must be used within a PreferencesProvider');
+  }
+  return context;
+};
@@ -0,0 +1,221 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+} from 'react';
+import { useAuth } from './AuthContext.jsx';
+import { useOfflineQueue } from './OfflineQueueContext.jsx';
+import { fetchAllProgressHistory } from '../services/workoutService.js';
+import { fetchNameAliases } from '../services/nameAliasService.js';
+import { applyNameAliases } from '../utils/nameMerge.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/nameAliasService.js').NameAlias} NameAlias
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} ProgressHistoryContextValue
+ * @property {ProgressLog[]} logs - The signed-in user's whole history with name aliases applied, newest first (empty until loaded).
+ * @property {boolean} loading - True until the history has been loaded for the current user.
+ * @property {PostgrestError | Error | null} error - The error of the last load, if it failed.
+ * @property {NameAlias[]} aliases - The name aliases applied to the history.
+ * @property {() => void} ensureLoaded - Loads the history unless it was already loaded (or is loading) for the current user.
+ * @property {() => Promise<void>} reload - Downloads the history again, e.g. after an import or a bulk rename.
+ * @property {(rows: ProgressLog[]) => void} upsertLogs - Adds saved rows to the history, replacing rows with the same ID.
+ * @property {(logId: string) => void} removeLog - Removes a deleted row from the history.
+ */
+
+/**
+ * @typedef {object} HistoryState
+ * @property {string | null} userId - The user the state belongs to.
+ * @property {ProgressLog[]} logs
+ * @property {NameAlias[]} aliases
+ * @property {boolean} loading
+ * @property {PostgrestError | Error | null} error
+ */
+
+/**
+ * State before anything was loaded.
+ * @type {HistoryState}
+ */
+const EMPTY_HISTORY = { userId: null, logs: [], aliases: [], loading: false, error: null };
+
+/**
+ * Orders history newest first: by workout date, then creation time.
+ *
+ * @param {ProgressLog} a - First log entry.
+ * @param {ProgressLog} b - Second log entry.
+ * @returns {number} Sort comparison result.
+ */
+const compareNewestFirst = (a, b) =>
+  b.workout_date.localeCompare(a.workout_date) ||
+  (b.created_at ?? '').localeCompare(a.created_at ?? '');
+
+/**
+ * Progress History Context
+ *
+ * Caches the signed-in user's complete progress history for the views that need all
+ * of it (personal records and progress charts), so it is downloaded once per session
+ * instead of on every page visit and after every change.
+ * @type {React.Context<ProgressHistoryContextValue | null>}
+ */
+const ProgressHistoryContext = createContext(null);
+
+/**
+ * Progress History Provider Component
+ *
+ * Loads the history the first time a view asks for it (`ensureLoaded`) and keeps it
+ * current from the rows each save, edit and delete returns, and from the rows the
+ * offline queue syncs. Only bulk changes (imports, renames) download it again.
+ * Must be rendered inside `AuthProvider` and `OfflineQueueProvider`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The child components to wrap with the provider.
+ * @returns {React.ReactElement} The ProgressHistoryProvider component.
+ */
+export function ProgressHistoryProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const { syncedLogs } = useOfflineQueue();
+
+  /** @type {[HistoryState, React.Dispatch<React.SetStateAction<HistoryState>>]} */
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  // The user whose history was last requested; a failed load clears it so it is retried
+  const requestedUserIdRef = useRef(null);
+  // Identifies the latest load, so results of older ones (e.g. of a previous user) are dropped
+  const requestIdRef = useRef(0);
+  // Changes made while a load is in flight, replayed on the downloaded history (null when idle)
+  const pendingChangesRef = useRef(null);
+  /** @type {React.MutableRefObject<NameAlias[]>} */
+  const aliasesRef = useRef([]);
+
+  const load = useCallback(async () => {
+    if (!userId) {
+      return;
+    }
+    const requestId = requestIdRef.current + 1;
+    requestIdRef.current = requestId;
+    requestedUserIdRef.current = userId;
+    pendingChangesRef.current = [];
+    // A reload keeps showing the current history until the new one arrives
+    setHistory((prev) =>
+      prev.userId === userId
+        ? { ...prev, loading: true, error: null }
+        : { ...EMPTY_HISTORY, userId, loading: true },
+    );
+
+    const [{ data, error: fetchError }, aliasResult] = await Promise.all([
+      fetchAllProgressHistory(userId),
+      fetchNameAliases(userId),
+    ]);
+    if (requestId !== requestIdRef.current) return;
+
+    const pendingChanges = pendingChangesRef.current;
+    pendingChangesRef.current = null;
+    if (fetchError) {
+      console.error('ProgressHistoryContext: Failed to fetch the history:', fetchError);
+      requestedUserIdRef.current = null;
+      setHistory({ ...EMPTY_HISTORY, userId, error: fetchError });
+      return;
+    }
+    // Without aliases the logs are still usable under their stored names
+    if (aliasResult.error) {
+      console.error('ProgressHistoryContext: Failed to fetch name aliases:', aliasResult.error);
+    }
+    aliasesRef.current = aliasResult.data ?? [];
+    setHistory({
+      userId,
+      logs: pendingChanges.reduce(
+        (logs, applyChange) => applyChange(logs),
+        applyNameAliases(data, aliasesRef.current),
+      ),
+      aliases: aliasesRef.current,
+      loading: false,
+      error: null,
+    });
+  }, [userId]);
+
+  const ensureLoaded = useCallback(() => {
+    if (userId && requestedUserIdRef.current !== userId) {
+      load();
+    }
+  }, [userId, load]);
+
+  /**
+   * Applies a change to the cached history, and again to the downloaded history if
+   * a load is in flight.
+   * @param {(logs: ProgressLog[]) => ProgressLog[]} applyChange - Returns the changed history.
+   */
+  const changeLogs = useCallback(
+    (applyChange) => {
+      pendingChangesRef.current?.push(applyChange);
+      setHistory((prev) => (prev.userId === userId ? { ...prev, logs: applyChange(prev.logs) } : prev));
+    },
+    [userId],
+  );
+
+  const upsertLogs = useCallback(
+    (rows) => {
+      if (rows.length === 0) {
+        return;
+      }
+      changeLogs((logs) => {
+        // Aliases are read when the change is applied, so replayed rows get them too
+        const saved = applyNameAliases(rows, aliasesRef.current);
+        const savedIds = new Set(saved.map((log) => log.id));
+        return [...logs.filter((log) => !savedIds.has(log.id)), ...saved].sort(compareNewestFirst);
+      });
+    },
+    [changeLogs],
+  );
+
+  const removeLog = useCallback(
+    (logId) => changeLogs((logs) => logs.filter((log) => log.id !== logId)),
+    [changeLogs],
+  );
+
+  // Logs saved by the offline queue join the history without a download
+  useEffect(() => {
+    upsertLogs(syncedLogs.filter((log) => log.user_id === userId));
+  }, [syncedLogs, userId, upsertLogs]);
+
+  // Until a load for the current user starts, nothing of a previous user is exposed
+  const isCurrent = history.userId === userId;
+
+  /** @type {ProgressHistoryContextValue} */
+  const value = useMemo(
+    () => ({
+      logs: isCurrent ? history.logs : [],
+      loading: isCurrent ? history.loading : Boolean(userId),
+      error: isCurrent ? history.error : null,
+      aliases: isCurrent ? history.aliases : EMPTY_HISTORY.aliases,
+      ensureLoaded,
+      reload: load,
+      upsertLogs,
+      removeLog,
+    }),
+    [isCurrent, history, userId, ensureLoaded, load, upsertLogs, removeLog],
+  );
+
+  return <ProgressHistoryContext.Provider value={value}>{children}</ProgressHistoryContext.Provider>;
+}
+
+/**
+ * Custom Hook for Consuming Progress History Context
+ *
+ * @returns {ProgressHistoryContextValue} The progress history context value.
+ * @throws {Error} If used outside of a ProgressHistoryProvider.
+ */
+export const useProgressHistory = () => {
+  const context = useContext(ProgressHistoryContext);
+  if (context === null) {
+    throw new Error('useProgressHistory must be used within a ProgressHistoryProvider');
+  }
+  return context;
+};
@@ -0,0 +1,282 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+} from 'react';
+import { useAuth } from './AuthContext.jsx';
+import { usePreferences } from './PreferencesContext.jsx';
+import { MIN_REST_SECONDS, getRestDuration } from '../utils/restTimer.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ */
+
+/**
+ * @typedef {'granted' | 'denied' | 'default' | 'unsupported'} NotificationPermissionState
+ */
+
+/**
+ * @typedef {object} RestTimerState
+ * @property {string} exerciseName - The exercise the rest follows; empty when started without one.
+ * @property {number} duration - Total rest in seconds, including adjustments.
+ * @property {number | null} endsAt - Time (ms) the rest ends, or null while paused.
+ * @property {number} pausedRemaining - Milliseconds left when the timer was paused.
+ * @property {boolean} finished - True once time is up, until the timer is dismissed or restarted.
+ */
+
+/**
+ * @typedef {object} RestTimerContextValue
+ * @property {RestTimerState | null} timer - The current rest, or null when no timer is shown.
+ * @property {number} remainingSeconds - Whole seconds left (0 when finished or idle).
+ * @property {(exerciseName?: string, planExercise?: WorkoutPlanExercise | null) => void} startRest - Starts (or restarts) a rest using the exercise's configured length.
+ * @property {() => void} pauseRest - Pauses a running rest.
+ * @property {() => void} resumeRest - Resumes a paused rest.
+ * @property {(seconds: number) => void} adjustRest - Adds (or, with a negative value, removes) time from the current rest.
+ * @property {() => void} stopRest - Stops the rest and hides the timer.
+ * @property {NotificationPermissionState} notificationPermission - Whether time-up notifications can be shown.
+ * @property {() => Promise<void>} requestNotificationPermission - Asks the browser for notification permission.
+ */
+
+/**
+ * How often the countdown is refreshed, in milliseconds.
+ * @type {number}
+ */
+const TICK_INTERVAL_MS = 250;
+
+/**
+ * Vibration pattern played when time is up (vibrate, pause, vibrate), in milliseconds.
+ * @type {number[]}
+ */
+const VIBRATION_PATTERN = [200, 100, 200];
+
+/**
+ * Reads the browser's notification permission.
+ *
+ * @returns {NotificationPermissionState} The permission, or 'unsupported' without the Notification API.
+ */
+const getNotificationPermission = () =>
+  typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported';
+
+/**
+ * Plays three short beeps.
+ *
+ * @param {AudioContext} audioContext - An unlocked audio context.
+ * @returns {void}
+ */
+const playAlertSound = (audioContext) => {
+  const start = audioContext.currentTime;
+  [0, 0.3, 0.6].forEach((offset) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, start + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.2);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.2);
+  });
+};
+
+/**
+ * Rest Timer Context
+ *
+ * Provides a single rest timer for the whole application, so a rest started while
+ * logging keeps counting down when the user moves to another page.
+ * @type {React.Context<RestTimerContextValue | null>}
+ */
+const RestTimerContext = createContext(null);
+
+/**
+ * Rest Timer Provider Component
+ *
+ * Runs the rest countdown from its end time, so it stays accurate in background
+ * tabs where timers are throttled. When time is up it beeps (if enabled in the
+ * preferences), vibrates where supported and shows a browser notification if the
+ * user allowed them. The timer is cleared when the signed-in user changes.
+ * Must be rendered inside `AuthProvider` and `PreferencesProvider`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The child components to wrap with the provider.
+ * @returns {React.ReactElement} The RestTimerProvider component.
+ */
+export function RestTimerProvider({ children }) {
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const userId = user?.id ?? null;
+
+  /** @type {[RestTimerState | null, React.Dispatch<React.SetStateAction<RestTimerState | null>>]} */
+  const [timer, setTimer] = useState(null);
+  /** @type {[number, React.Dispatch<React.SetStateAction<number>>]} */
+  const [now, setNow] = useState(() => Date.now());
+  /** @type {[NotificationPermissionState, React.Dispatch<React.SetStateAction<NotificationPermissionState>>]} */
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  // Created on the first start, which usually follows a click, so browsers allow it to play
+  const audioContextRef = useRef(null);
+  // End time of the last rest that alerted, so a rest never alerts twice
+  const alertedEndsAtRef = useRef(null);
+
+  useEffect(() => {
+    setTimer(null);
+  }, [userId]);
+
+  const alertTimeUp = useCallback(
+    (exerciseName) => {
+      if (preferences.rest_timer_sound && audioContextRef.current) {
+        playAlertSound(audioContextRef.current);
+      }
+      navigator.vibrate?.(VIBRATION_PATTERN);
+      if (getNotificationPermission() === 'granted') {
+        try {
+          new Notification('Rest is over', {
+            body: exerciseName ? `Time for your next set of ${exerciseName}.` : 'Time for your next set.',
+            tag: 'rest-timer',
+          });
+        } catch (error) {
+          // Some mobile browsers only allow notifications from a service worker
+          console.error('RestTimerContext: Failed to show notification:', error);
+        }
+      }
+    },
+    [preferences.rest_timer_sound],
+  );
+
+  // Ticks only while a rest is counting down
+  const endsAt = timer && !timer.finished ? timer.endsAt : null;
+  const exerciseName = timer?.exerciseName ?? '';
+  useEffect(() => {
+    if (endsAt === null) {
+      return undefined;
+    }
+    const tick = () => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= endsAt && alertedEndsAtRef.current !== endsAt) {
+        alertedEndsAtRef.current = endsAt;
+        setTimer((previous) => (previous ? { ...previous, finished: true } : previous));
+        alertTimeUp(exerciseName);
+      }
+    };
+    tick();
+    const intervalId = setInterval(tick, TICK_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [endsAt, exerciseName, alertTimeUp]);
+
+  const startRest = useCallback(
+    (name = '', planExercise = null) => {
+      const { seconds } = getRestDuration(name, planExercise, preferences);
+      if (typeof window !== 'undefined' && window.AudioContext && !audioContextRef.current) {
+        audioContextRef.current = new window.AudioContext();
+      }
+      audioContextRef.current?.resume?.();
+      const current = Date.now();
+      setNow(current);
+      setTimer({
+        exerciseName: name.trim(),
+        duration: seconds,
+        endsAt: current + seconds * 1000,
+        pausedRemaining: 0,
+        finished: false,
+      });
+    },
+    [preferences],
+  );
+
+  const pauseRest = useCallback(() => {
+    setTimer((previous) =>
+      previous && !previous.finished && previous.endsAt !== null
+        ? { ...previous, endsAt: null, pausedRemaining: Math.max(0, previous.endsAt - Date.now()) }
+        : previous,
+    );
+  }, []);
+
+  const resumeRest = useCallback(() => {
+    setTimer((previous) =>
+      previous && !previous.finished && previous.endsAt === null
+        ? { ...previous, endsAt: Date.now() + previous.pausedRemaining }
+        : previous,
+    );
+  }, []);
+
+  const adjustRest = useCallback((seconds) => {
+    setTimer((previous) => {
+      if (!previous || previous.finished) {
+        return previous;
+      }
+      const remaining = previous.endsAt === null ? previous.pausedRemaining : previous.endsAt - Date.now();
+      // Never shorten a rest below the minimum that is still left to run
+      const delta = Math.max(seconds * 1000, Math.min(0, MIN_REST_SECONDS * 1000 - remaining));
+      return {
+        ...previous,
+        duration: Math.max(MIN_REST_SECONDS, previous.duration + Math.round(delta / 1000)),
+        endsAt: previous.endsAt === null ? null : previous.endsAt + delta,
+        pausedRemaining: previous.endsAt === null ? previous.pausedRemaining + delta : 0,
+      };
+    });
+  }, []);
+
+  const stopRest = useCallback(() => setTimer(null), []);
+
+  const requestNotificationPermission = useCallback(async () => {
+    if (getNotificationPermission() === 'unsupported') {
+      return;
+    }
+    try {
+      setNotificationPermission(await Notification.requestPermission());
+    } catch (error) {
+      console.error('RestTimerContext: Failed to request notification permission:', error);
+    }
+  }, []);
+
+  const remainingMs = !timer || timer.finished
+    ? 0
+    : timer.endsAt === null
+      ? timer.pausedRemaining
+      : Math.max(0, timer.endsAt - now);
+  const remainingSeconds = Math.ceil(remainingMs / 1000);
+
+  /** @type {RestTimerContextValue} */
+  const value = useMemo(
+    () => ({
+      timer,
+      remainingSeconds,
+      startRest,
+      pauseRest,
+      resumeRest,
+      adjustRest,
+      stopRest,
+      notificationPermission,
+      requestNotificationPermission,
+    }),
+    [
+      timer,
+      remainingSeconds,
+      startRest,
+      pauseRest,
+      resumeRest,
+      adjustRest,
+      stopRest,
+      notificationPermission,
+      requestNotificationPermission,
+    ],
+  );
+
+  return <RestTimerContext.Provider value={value}>{children}</RestTimerContext.Provider>;
+}
+
+/**
+ * Custom Hook for Consuming Rest Timer Context
+ *
+ * @returns {RestTimerContextValue} The rest timer context value.
+ * @throws {Error} If used outside of a RestTimerProvider.
+ */
+export const useRestTimer = () => {
+  const context = useContext(RestTimerContext);
+  if (context === null) {
+    throw new Error('useRestTimer must be used within a RestTimerProvider');
+  }
+  return context;
+};
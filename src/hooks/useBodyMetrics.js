@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchBodyMetrics } from '../services/bodyMetricsService.js';
+
+/**
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetric} BodyMetric
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * Custom Hook: useBodyMetrics
+ *
+ * Loads all of the signed-in user's body metric entries, oldest first. `setMetrics`
+ * lets callers apply saves and deletes locally instead of reloading. Errors are
+ * returned rather than thrown so callers can degrade gracefully.
+ *
+ * @returns {{ metrics: BodyMetric[]; setMetrics: React.Dispatch<React.SetStateAction<BodyMetric[]>>; loading: boolean; error: PostgrestError | Error | null; reload: () => Promise<void>; }} The entries and their loading state.
+ */
+export function useBodyMetrics() {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[BodyMetric[], React.Dispatch<React.SetStateAction<BodyMetric[]>>]} */
+  const [metrics, setMetrics] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(Boolean(userId));
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  const load = useCallback(
+    async (isCurrent = () => true) => {
+      if (!userId) {
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      const { data, error: fetchError } = await fetchBodyMetrics(userId);
+      if (!isCurrent()) return;
+
+      if (fetchError) {
+        console.error('useBodyMetrics: Failed to fetch body metrics:', fetchError);
+        setError(fetchError);
+        setMetrics([]);
+      } else {
+        setMetrics(data);
+      }
+      setLoading(false);
+    },
+    [userId],
+  );
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+    load(() => isMounted);
+    return () => {
+      isMounted = false;
+    };
+  }, [load]);
+
+  const reload = useCallback(() => load(), [load]);
+
+  return { metrics, setMetrics, loading, error, reload };
+}
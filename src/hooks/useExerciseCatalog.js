@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { createCustomExercise, fetchCustomExercises } from '../services/exerciseService.js';
+import { BUILT_IN_EXERCISES } from '../utils/exerciseCatalog.js';
+
+/**
+ * @typedef {import('../services/exerciseService.js').CustomExercise} CustomExercise
+ * @typedef {import('../services/exerciseService.js').CustomExerciseInput} CustomExerciseInput
+ * @typedef {import('../utils/exerciseCatalog.js').CatalogExercise} CatalogExercise
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * Maps a stored custom exercise to a catalog entry.
+ *
+ * @param {CustomExercise} row - The stored exercise.
+ * @returns {CatalogExercise} The catalog entry.
+ */
+const toCatalogExercise = (row) => ({
+  id: row.id,
+  name: row.name,
+  aliases: row.aliases ?? [],
+  primary_muscles: row.primary_muscles ?? [],
+  secondary_muscles: row.secondary_muscles ?? [],
+  equipment: row.equipment,
+  is_unilateral: Boolean(row.is_unilateral),
+  is_bodyweight: Boolean(row.is_bodyweight),
+  is_custom: true,
+});
+
+/**
+ * Custom Hook: useExerciseCatalog
+ *
+ * Provides the exercise catalog for the signed-in user: the built-in library plus
+ * their custom exercises. The built-in entries are available immediately; if custom
+ * exercises fail to load, the error is returned and the built-in catalog still works.
+ *
+ * @returns {{ catalog: CatalogExercise[]; loading: boolean; error: PostgrestError | Error | null; addExercise: (input: CustomExerciseInput) => Promise<{ data: CatalogExercise | null; error: PostgrestError | Error | null; }>; }} The catalog, its loading state and a function adding a custom exercise.
+ */
+export function useExerciseCatalog() {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[CatalogExercise[], React.Dispatch<React.SetStateAction<CatalogExercise[]>>]} */
+  const [customExercises, setCustomExercises] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(Boolean(userId));
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+    if (!userId) {
+      setCustomExercises([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+    fetchCustomExercises(userId).then(({ data, error: fetchError }) => {
+      if (!isMounted) return;
+      if (fetchError) {
+        console.error('useExerciseCatalog: Failed to fetch custom exercises:', fetchError);
+        setError(fetchError);
+        setCustomExercises([]);
+      } else {
+        setCustomExercises(data.map(toCatalogExercise));
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [userId]);
+
+  const addExercise = useCallback(
+    async (input) => {
+      const { data, error: createError } = await createCustomExercise(userId, input);
+      if (createError) {
+        return { data: null, error: createError };
+      }
+      const entry = toCatalogExercise(data);
+      setCustomExercises((previous) =>
+        [...previous, entry].sort((a, b) => a.name.localeCompare(b.name)),
+      );
+      return { data: entry, error: null };
+    },
+    [userId],
+  );
+
+  const catalog = useMemo(() => [...customExercises, ...BUILT_IN_EXERCISES], [customExercises]);
+
+  return { catalog, loading, error, addExercise };
+}
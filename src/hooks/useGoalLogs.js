@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchAllProgressHistory } from '../services/workoutService.js';
+import { fetchNameAliases } from '../services/nameAliasService.js';
+import { getGoalLogsStartDate } from '../utils/goals.js';
+import { applyNameAliases, getAliasedSpellings } from '../utils/nameMerge.js';
+
+/**
+ * @typedef {import('../services/goalsService.js').Goal} Goal
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').ProgressHistoryOptions} ProgressHistoryOptions
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * @typedef {object} GoalLogRequest
+ * @property {string | null} exerciseName - The exercise of a lift goal; null for all exercises.
+ * @property {string} dateFrom - First date needed (YYYY-MM-DD).
+ */
+
+/**
+ * Custom Hook: useGoalLogs
+ *
+ * Loads the progress logs the given goals are computed from, instead of the whole
+ * history: for a lift goal the logs of its exercise (under every aliased spelling),
+ * and for a frequency goal all logs, each from `getGoalLogsStartDate` on. Name
+ * aliases are applied. Errors are returned rather than thrown so callers can
+ * degrade gracefully.
+ *
+ * @param {Goal[]} goals - The goals to load logs for, typically the active ones.
+ * @returns {{ logs: ProgressLog[]; loading: boolean; error: PostgrestError | Error | null; reload: () => Promise<void>; }} The logs, any order, and their loading state.
+ */
+export function useGoalLogs(goals) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  // Goals that need the same logs share a request; the key only changes when the requests do
+  const requestsKey = JSON.stringify(
+    [
+      ...new Map(
+        goals
+          .map((goal) => ({
+            exerciseName: goal.goal_type === 'lift' ? goal.exercise_name : null,
+            dateFrom: getGoalLogsStartDate(goal),
+          }))
+          .filter((request) => request.dateFrom !== null)
+          .map((request) => [JSON.stringify(request), request]),
+      ).values(),
+    ],
+  );
+  /** @type {GoalLogRequest[]} */
+  const requests = useMemo(() => JSON.parse(requestsKey), [requestsKey]);
+
+  /** @type {[ProgressLog[], React.Dispatch<React.SetStateAction<ProgressLog[]>>]} */
+  const [logs, setLogs] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(Boolean(userId));
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  const load = useCallback(
+    async (isCurrent = () => true) => {
+      if (!userId) {
+        return;
+      }
+      if (requests.length === 0) {
+        setLogs([]);
+        setError(null);
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      setError(null);
+
+      // Aliases first: the logs of a lift goal are queried under each of its spellings
+      const aliasResult = await fetchNameAliases(userId);
+      if (!isCurrent()) return;
+      // Without aliases the logs are still usable under their stored names
+      if (aliasResult.error) {
+        console.error('useGoalLogs: Failed to fetch name aliases:', aliasResult.error);
+      }
+      const aliases = aliasResult.data ?? [];
+
+      /** @type {Omit<ProgressHistoryOptions, 'offset' | 'limit'>[]} */
+      const filters = requests.flatMap(({ exerciseName, dateFrom }) =>
+        exerciseName === null
+          ? [{ dateFrom }]
+          : getAliasedSpellings(exerciseName, aliases, 'exercise_name').map((name) => ({
+              exerciseName: name,
+              dateFrom,
+            })),
+      );
+      const results = await Promise.all(filters.map((filter) => fetchAllProgressHistory(userId, filter)));
+      if (!isCurrent()) return;
+
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        console.error('useGoalLogs: Failed to fetch goal logs:', failed.error);
+        setError(failed.error);
+        setLogs([]);
+      } else {
+        // Requests overlap (e.g. a lift goal and a frequency goal), so rows are merged by ID
+        const logsById = new Map(results.flatMap((result) => result.data).map((log) => [log.id, log]));
+        setLogs(applyNameAliases([...logsById.values()], aliases));
+      }
+      setLoading(false);
+    },
+    [userId, requests],
+  );
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+    load(() => isMounted);
+    return () => {
+      isMounted = false;
+    };
+  }, [load]);
+
+  const reload = useCallback(() => load(), [load]);
+
+  return { logs, loading, error, reload };
+}
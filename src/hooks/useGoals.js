@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchGoals } from '../services/goalsService.js';
+
+/**
+ * @typedef {import('../services/goalsService.js').Goal} Goal
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * Custom Hook: useGoals
+ *
+ * Loads all of the signed-in user's goals, newest first, including closed ones.
+ * `setGoals` lets callers apply new goals and status changes locally instead of
+ * reloading. Errors are returned rather than thrown so callers can degrade gracefully.
+ *
+ * @returns {{ goals: Goal[]; setGoals: React.Dispatch<React.SetStateAction<Goal[]>>; loading: boolean; error: PostgrestError | Error | null; reload: () => Promise<void>; }} The goals and their loading state.
+ */
+export function useGoals() {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[Goal[], React.Dispatch<React.SetStateAction<Goal[]>>]} */
+  const [goals, setGoals] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(Boolean(userId));
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  const load = useCallback(
+    async (isCurrent = () => true) => {
+      if (!userId) {
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      const { data, error: fetchError } = await fetchGoals(userId);
+      if (!isCurrent()) return;
+
+      if (fetchError) {
+        console.error('useGoals: Failed to fetch goals:', fetchError);
+        setError(fetchError);
+        setGoals([]);
+      } else {
+        setGoals(data);
+      }
+      setLoading(false);
+    },
+    [userId],
+  );
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+    load(() => isMounted);
+    return () => {
+      isMounted = false;
+    };
+  }, [load]);
+
+  const reload = useCallback(() => load(), [load]);
+
+  return { goals, setGoals, loading, error, reload };
+}
@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Custom Hook: useInfiniteScroll
+ *
+ * Triggers a "load more" callback when a sentinel element scrolls into view.
+ * Attach the returned callback ref to an element rendered after the last list item;
+ * an `IntersectionObserver` watches it and calls `onLoadMore` as it approaches the viewport.
+ *
+ * The callback is not invoked while `loading` is true or once `hasMore` is false,
+ * so a page is never requested twice and scrolling stops at the end of the data.
+ *
+ * @param {object} params - Hook parameters.
+ * @param {() => void} params.onLoadMore - Callback that fetches the next page.
+ * @param {boolean} params.hasMore - Whether more data is available to load.
+ * @param {boolean} params.loading - Whether a page is currently being fetched.
+ * @param {string} [params.rootMargin='200px'] - Distance from the viewport at which loading starts.
+ * @returns {(node: Element | null) => void} Callback ref for the sentinel element.
+ */
+export function useInfiniteScroll({ onLoadMore, hasMore, loading, rootMargin = '200px' }) {
+  /** @type {React.MutableRefObject<IntersectionObserver | null>} */
+  const observerRef = useRef(null);
+  /** @type {React.MutableRefObject<Element | null>} */
+  const nodeRef = useRef(null);
+  // Keep the latest values in a ref so the observer never needs to be recreated for them
+  const stateRef = useRef({ onLoadMore, hasMore, loading });
+  stateRef.current = { onLoadMore, hasMore, loading };
+
+  const sentinelRef = useCallback(
+    (node) => {
+      // Disconnect the observer from any previously attached sentinel
+      if (observerRef.current) {
+        observerRef.current.disconnect();
+        observerRef.current = null;
+      }
+      nodeRef.current = node;
+
+      if (!node || typeof IntersectionObserver === 'undefined') {
+        return;
+      }
+
+      observerRef.current = new IntersectionObserver(
+        (entries) => {
+          const { onLoadMore: loadMore, hasMore: more, loading: busy } = stateRef.current;
+          if (entries.some((entry) => entry.isIntersecting) && more && !busy) {
+            loadMore();
+          }
+        },
+        { rootMargin },
+      );
+      observerRef.current.observe(node);
+    },
+    [rootMargin],
+  );
+
+  // Re-observe after each page finishes loading. Observing emits an initial entry,
+  // so a sentinel that is still visible (e.g. a short page) keeps loading.
+  useEffect(() => {
+    if (!loading && hasMore && observerRef.current && nodeRef.current) {
+      observerRef.current.unobserve(nodeRef.current);
+      observerRef.current.observe(nodeRef.current);
+    }
+  }, [loading, hasMore]);
+
+  // Disconnect the observer when the component using the hook unmounts
+  useEffect(
+    () => () => {
+      if (observerRef.current) {
+        observerRef.current.disconnect();
+      }
+    },
+    [],
+  );
+
+  return sentinelRef;
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useMemo } from 'react';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useProgressHistory } from '../context/ProgressHistoryContext.jsx';
+import { applyNameAliases } from '../utils/nameMerge.js';
+import { computePersonalRecords, detectNewRecords } from '../utils/records.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../utils/records.js').PersonalRecordSummary} PersonalRecordSummary
+ * @typedef {import('../utils/records.js').RecordType} RecordType
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * Custom Hook: usePersonalRecords
+ *
+ * Computes personal records from the signed-in user's whole history, in the preferred
+ * weight unit and with the preferred one-rep max formula. The history comes from the
+ * shared cache of `ProgressHistoryProvider`, which downloads it once; callers report
+ * saved, edited and deleted logs with `upsertLogs` and `removeLog` instead of reloading.
+ * `findNewRecords` compares newly saved rows with that history under the same name
+ * aliases, so a log entered under an aliased spelling still counts towards its records.
+ *
+ * @returns {PersonalRecordSummary & { logs: ProgressLog[]; loading: boolean; error: PostgrestError | Error | null; reload: () => Promise<void>; upsertLogs: (rows: ProgressLog[]) => void; removeLog: (logId: string) => void; findNewRecords: (rows: ProgressLog[]) => { log: ProgressLog; records: RecordType[] }[]; }} The records, the history they were computed from, its loading state and its update and comparison actions.
+ */
+export function usePersonalRecords() {
+  const { preferences } = usePreferences();
+  const { logs, aliases, loading, error, ensureLoaded, reload, upsertLogs, removeLog } =
+    useProgressHistory();
+
+  useEffect(() => {
+    ensureLoaded();
+  }, [ensureLoaded]);
+
+  const { exercises, newRecordsByLog } = useMemo(
+    () => computePersonalRecords(logs, preferences.weight_unit, preferences.e1rm_formula),
+    [logs, preferences.weight_unit, preferences.e1rm_formula],
+  );
+
+  const findNewRecords = useCallback(
+    (rows) =>
+      detectNewRecords(
+        logs,
+        applyNameAliases(rows, aliases),
+        preferences.weight_unit,
+        preferences.e1rm_formula,
+      ),
+    [logs, aliases, preferences.weight_unit, preferences.e1rm_formula],
+  );
+
+  return {
+    exercises,
+    newRecordsByLog,
+    logs,
+    loading,
+    error,
+    reload,
+    upsertLogs,
+    removeLog,
+    findNewRecords,
+  };
+}
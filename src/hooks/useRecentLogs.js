@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useState } from 'react';
+import { format, subDays } from 'date-fns';
+import { useAuth } from '../context/AuthContext.jsx';
+import { fetchAllProgressHistory } from '../services/workoutService.js';
+import { fetchNameAliases } from '../services/nameAliasService.js';
+import { applyNameAliases } from '../utils/nameMerge.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * Number of days of history loaded by default: enough to find the last few
+ * sessions of every exercise in a typical split.
+ * @type {number}
+ */
+export const RECENT_LOGS_DAYS = 42;
+
+/**
+ * Custom Hook: useRecentLogs
+ *
+ * Loads the signed-in user's progress logs from the last `days` days, newest first.
+ * Used by views that derive schedule status, progression suggestions or records from
+ * past training. Name aliases are applied, so aliased spellings appear under their
+ * canonical names. Errors are returned rather than thrown so callers can degrade gracefully.
+ *
+ * @param {number | null} [days=RECENT_LOGS_DAYS] - How many days of history to load, or null for the whole history.
+ * @returns {{ logs: ProgressLog[]; loading: boolean; error: PostgrestError | Error | null; reload: () => Promise<void>; }} The recent logs and their loading state.
+ */
+export function useRecentLogs(days = RECENT_LOGS_DAYS) {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+
+  /** @type {[ProgressLog[], React.Dispatch<React.SetStateAction<ProgressLog[]>>]} */
+  const [logs, setLogs] = useState([]);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [loading, setLoading] = useState(Boolean(userId));
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  const load = useCallback(
+    async (isCurrent = () => true) => {
+      if (!userId) {
+        return;
+      }
+      setLoading(true);
+      setError(null);
+      const [{ data, error: fetchError }, aliasResult] = await Promise.all([
+        fetchAllProgressHistory(
+          userId,
+          days === null ? {} : { dateFrom: format(subDays(new Date(), days), 'yyyy-MM-dd') },
+        ),
+        fetchNameAliases(userId),
+      ]);
+      if (!isCurrent()) return;
+
+      if (fetchError) {
+        console.error('useRecentLogs: Failed to fetch recent logs:', fetchError);
+        setError(fetchError);
+        setLogs([]);
+      } else {
+        // Without aliases the logs are still usable under their stored names
+        if (aliasResult.error) {
+          console.error('useRecentLogs: Failed to fetch name aliases:', aliasResult.error);
+        }
+        setLogs(applyNameAliases(data, aliasResult.data ?? []));
+      }
+      setLoading(false);
+    },
+    [userId, days],
+  );
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates after unmount or user change
+    load(() => isMounted);
+    return () => {
+      isMounted = false;
+    };
+  }, [load]);
+
+  const reload = useCallback(() => load(), [load]);
+
+  return { logs, loading, error, reload };
+}
@@ -2,6 +2,10 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext.jsx'; // Ensure this path is correct
+import { OfflineQueueProvider } from './context/OfflineQueueContext.jsx';
+import { PreferencesProvider } from './context/PreferencesContext.jsx';
+import { ProgressHistoryProvider } from './context/ProgressHistoryContext.jsx';
+import { RestTimerProvider } from './context/RestTimerContext.jsx';
 import App from './App.jsx'; // Ensure this path is correct
 import './styles/index.css'; // Ensure this path is correct
 
@@ -26,12 +30,24 @@ if (!rootElement) {
   // in the application, running only in development mode.
   // BrowserRouter provides the routing context necessary for React Router.
   // AuthProvider provides the authentication context to the entire app.
+  // PreferencesProvider loads per-user settings such as the weight unit (needs AuthProvider).
+  // OfflineQueueProvider replays progress logs saved while offline (needs AuthProvider).
+  // ProgressHistoryProvider caches the whole history for records and charts (needs OfflineQueueProvider).
+  // RestTimerProvider keeps the rest timer running across routes (needs PreferencesProvider).
   // App is the main application component containing layout and routes.
   root.render(
     <React.StrictMode>
       <BrowserRouter>
         <AuthProvider>
-          <App />
+          <PreferencesProvider>
+            <OfflineQueueProvider>
+              <ProgressHistoryProvider>
+                <RestTimerProvider>
+                  <App />
+                </RestTimerProvider>
+              </ProgressHistoryProvider>
+            </OfflineQueueProvider>
+          </PreferencesProvider>
         </AuthProvider>
       </BrowserRouter>
     </React.StrictMode>,
@@ -0,0 +1,325 @@
+import React, { useState, useMemo } from 'react';
+import { differenceInCalendarDays, format, parseISO, subMonths, subWeeks } from 'date-fns';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useRecentLogs } from '../hooks/useRecentLogs.js';
+import { useExerciseCatalog } from '../hooks/useExerciseCatalog.js';
+import LineChart from '../components/LineChart.jsx';
+import BarChart from '../components/BarChart.jsx';
+import {
+  aggregateHardSetsByMuscle,
+  aggregateVolumeByPeriod,
+  formatPeriodLabel,
+  getPeriodStart,
+} from '../utils/analytics.js';
+import { MUSCLE_GROUP_LABELS } from '../utils/muscleGroups.js';
+import { getTodayISO } from '../utils/progressLogForm.js';
+import { formatWeight } from '../utils/units.js';
+
+/**
+ * @typedef {import('../utils/analytics.js').AnalyticsPeriod} AnalyticsPeriod
+ */
+
+/**
+ * Number of periods (weeks or months) shown, including the current one.
+ * @type {number}
+ */
+const PERIOD_COUNT = 12;
+
+/**
+ * Labels for the period toggle.
+ * @type {Record<AnalyticsPeriod, string>}
+ */
+const PERIOD_LABELS = {
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+/**
+ * Formats a relative change as a signed percentage, e.g. "+12%".
+ *
+ * @param {number | null} change - The change (0.12 = +12%), or null.
+ * @returns {string} The formatted change, or a dash for null.
+ */
+const formatChange = (change) => {
+  if (change === null) {
+    return '–';
+  }
+  const percent = Math.round(change * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+/**
+ * AnalyticsPage Component
+ *
+ * Protected page with training volume analytics for the last twelve weeks or
+ * months: volume (sets × reps × weight) per period with the change from the
+ * previous period, and hard sets per muscle group. Warm-up sets are excluded.
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function AnalyticsPage() {
+  // --- Context ---
+  const { preferences } = usePreferences();
+  const unit = preferences.weight_unit;
+
+  // --- State ---
+  /** @type {[AnalyticsPeriod, React.Dispatch<React.SetStateAction<AnalyticsPeriod>>]} */
+  const [period, setPeriod] = useState('week');
+  /** @type {[number | null, React.Dispatch<React.SetStateAction<number | null>>]} */
+  const [selectedPeriodIndex, setSelectedPeriodIndex] = useState(null);
+
+  // --- Data ---
+  const today = getTodayISO();
+  const range = useMemo(() => {
+    const shift = period === 'month' ? subMonths : subWeeks;
+    const from = getPeriodStart(
+      format(shift(parseISO(today), PERIOD_COUNT - 1), 'yyyy-MM-dd'),
+      period,
+    );
+    return { from, to: today };
+  }, [period, today]);
+
+  // One extra day of history so the first day of the range is always included
+  const { logs, loading, error } = useRecentLogs(
+    differenceInCalendarDays(parseISO(range.to), parseISO(range.from)) + 1,
+  );
+
+  const volumeRows = useMemo(
+    () => aggregateVolumeByPeriod(logs, unit, period, range),
+    [logs, unit, period, range],
+  );
+  const { catalog } = useExerciseCatalog();
+  const muscleSets = useMemo(
+    () => aggregateHardSetsByMuscle(logs, period, range, catalog),
+    [logs, period, range, catalog],
+  );
+
+  // The muscle group chart shows the latest period unless another one is picked
+  const muscleIndex = selectedPeriodIndex ?? muscleSets.periods.length - 1;
+  const current = volumeRows[volumeRows.length - 1];
+
+  // --- Event Handlers ---
+  const handlePeriodChange = (nextPeriod) => {
+    setPeriod(nextPeriod);
+    setSelectedPeriodIndex(null);
+  };
+
+  // --- Rendering Functions ---
+
+  const renderPeriodToggle = () => (
+    <div
+      role="group"
+      aria-label="Aggregation period"
+      className="inline-flex overflow-hidden rounded-md border border-gray-300 dark:border-gray-600"
+    >
+      {Object.entries(PERIOD_LABELS).map(([value, label]) => {
+        const isActive = period === value;
+        return (
+          <button
+            key={value}
+            type="button"
+            onClick={() => handlePeriodChange(value)}
+            aria-pressed={isActive}
+            className={`px-3 py-1.5 text-sm font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500 ${
+              isActive
+                ? 'bg-indigo-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const renderChange = (change) => (
+    <span
+      className={
+        change === null || change === 0
+          ? 'text-gray-500 dark:text-gray-400'
+          : change > 0
+            ? 'text-green-700 dark:text-green-400'
+            : 'text-red-700 dark:text-red-400'
+      }
+    >
+      {formatChange(change)}
+    </span>
+  );
+
+  const renderSummary = () => (
+    <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+      {[
+        [`Volume this ${period}`, formatWeight(current.volume, unit)],
+        [`Change vs last ${period}`, renderChange(current.change)],
+        ['Sets', current.sets],
+        ['Sessions', current.sessions],
+      ].map(([label, value]) => (
+        <div key={label} className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+          <dt className="text-sm text-gray-500 dark:text-gray-400">{label}</dt>
+          <dd className="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+
+  const renderVolumeSection = () => (
+    <section
+      aria-labelledby="volume-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <h3 id="volume-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+        Training Volume
+      </h3>
+      <LineChart
+        title={`Volume per ${period} (${unit})`}
+        points={volumeRows.map((row) => ({ date: row.start, value: row.volume }))}
+        formatValue={(value) => formatWeight(value, unit)}
+      />
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-left text-sm dark:divide-gray-700">
+          <thead>
+            <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+              <th scope="col" className="py-2 pr-4 font-medium">Period</th>
+              <th scope="col" className="py-2 pr-4 text-right font-medium">Volume</th>
+              <th scope="col" className="py-2 pr-4 text-right font-medium">Sets</th>
+              <th scope="col" className="py-2 pr-4 text-right font-medium">Reps</th>
+              <th scope="col" className="py-2 pr-4 text-right font-medium">Sessions</th>
+              <th scope="col" className="py-2 text-right font-medium">Change</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 text-gray-700 dark:divide-gray-700 dark:text-gray-300">
+            {[...volumeRows].reverse().map((row) => (
+              <tr key={row.start}>
+                <th scope="row" className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                  {formatPeriodLabel(row.start, period)}
+                </th>
+                <td className="py-2 pr-4 text-right">{formatWeight(row.volume, unit)}</td>
+                <td className="py-2 pr-4 text-right">{row.sets}</td>
+                <td className="py-2 pr-4 text-right">{row.reps}</td>
+                <td className="py-2 pr-4 text-right">{row.sessions}</td>
+                <td className="py-2 text-right">{renderChange(row.change)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+
+  const renderMuscleSection = () => {
+    const { periods, groups } = muscleSets;
+    return (
+      <section
+        aria-labelledby="muscle-heading"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 id="muscle-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+            Hard Sets per Muscle Group
+          </h3>
+          <select
+            aria-label="Period shown in the chart"
+            value={muscleIndex}
+            onChange={(event) => setSelectedPeriodIndex(Number(event.target.value))}
+            className="block rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+          >
+            {periods.map((start, index) => (
+              <option key={start} value={index}>
+                {formatPeriodLabel(start, period)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <BarChart
+          title={`Hard sets, ${formatPeriodLabel(periods[muscleIndex], period)}`}
+          items={groups
+            .filter((row) => row.counts[muscleIndex] > 0)
+            .map((row) => ({
+              label: MUSCLE_GROUP_LABELS[row.group],
+              value: row.counts[muscleIndex],
+            }))}
+        />
+        {groups.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-left text-sm dark:divide-gray-700">
+              <thead>
+                <tr className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                  <th scope="col" className="py-2 pr-4 font-medium">Muscle group</th>
+                  {periods.map((start) => (
+                    <th key={start} scope="col" className="whitespace-nowrap py-2 pr-3 text-right font-medium">
+                      {formatPeriodLabel(start, period).replace('Week of ', '')}
+                    </th>
+                  ))}
+                  <th scope="col" className="py-2 text-right font-medium">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-gray-700 dark:divide-gray-700 dark:text-gray-300">
+                {groups.map((row) => (
+                  <tr key={row.group}>
+                    <th scope="row" className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                      {MUSCLE_GROUP_LABELS[row.group]}
+                    </th>
+                    {row.counts.map((count, index) => (
+                      <td key={periods[index]} className="py-2 pr-3 text-right">
+                        {count}
+                      </td>
+                    ))}
+                    <td className="py-2 text-right font-medium">{row.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    );
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center items-center p-8">
+          <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+            Crunching your numbers...
+          </p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">
+            Error loading analytics: {error.message || 'An unknown error occurred.'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {renderSummary()}
+        {renderVolumeSection()}
+        {renderMuscleSection()}
+      </>
+    );
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-white">
+          Training Analytics
+        </h2>
+        {renderPeriodToggle()}
+      </div>
+      {renderBody()}
+    </div>
+  );
+}
+
+export default AnalyticsPage;
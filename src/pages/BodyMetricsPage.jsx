@@ -0,0 +1,473 @@
+import React, { useState, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { deleteBodyMetric, saveBodyMetric } from '../services/bodyMetricsService.js';
+import { useBodyMetrics } from '../hooks/useBodyMetrics.js';
+import LineChart from '../components/LineChart.jsx';
+import { InputField } from '../components/InputField.jsx';
+import Button from '../components/Button.jsx';
+import {
+  BODY_METRIC_LABELS,
+  MEASUREMENT_SITES,
+  MOVING_AVERAGE_DAYS,
+  createEmptyMetricForm,
+  getMetricSeries,
+  getMetricValue,
+  getMovingAverage,
+  metricToFormState,
+  parseMetricForm,
+} from '../utils/bodyMetrics.js';
+import { bodyMetricsToCsv, downloadTextFile } from '../utils/exportData.js';
+import { getTodayISO } from '../utils/progressLogForm.js';
+import { formatWeight, getLengthUnit, roundWeight } from '../utils/units.js';
+
+/**
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetric} BodyMetric
+ * @typedef {import('../utils/bodyMetrics.js').BodyMetricField} BodyMetricField
+ * @typedef {import('../utils/bodyMetrics.js').BodyMetricFormState} BodyMetricFormState
+ */
+
+/**
+ * Charted values in the order of the chart picker.
+ * @type {BodyMetricField[]}
+ */
+const CHART_FIELDS = ['bodyweight', 'body_fat_percent', ...MEASUREMENT_SITES];
+
+/**
+ * BodyMetricsPage Component
+ *
+ * Protected page for logging bodyweight, an estimated body fat percentage and
+ * circumference measurements by date. Each value can be charted over time with its
+ * moving average, past entries can be edited or deleted, and all entries can be
+ * downloaded as CSV. Values are entered and shown in the preferred weight unit and
+ * its matching length unit (cm with kg, in with lb).
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function BodyMetricsPage() {
+  // --- Context ---
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const weightUnit = preferences.weight_unit;
+  const lengthUnit = getLengthUnit(weightUnit);
+
+  // --- State ---
+  const { metrics, setMetrics, loading, error } = useBodyMetrics();
+  /** @type {[BodyMetricFormState, React.Dispatch<React.SetStateAction<BodyMetricFormState>>]} */
+  const [form, setForm] = useState(createEmptyMetricForm);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [formError, setFormError] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [formNotice, setFormNotice] = useState(null);
+  /** @type {[BodyMetricField, React.Dispatch<React.SetStateAction<BodyMetricField>>]} */
+  const [chartField, setChartField] = useState('bodyweight');
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [deleteError, setDeleteError] = useState(null);
+
+  // --- Derived Data ---
+  const existingEntry = metrics.find((metric) => metric.measured_on === form.measured_on) ?? null;
+  const chartedFields = useMemo(
+    () =>
+      CHART_FIELDS.filter((field) =>
+        metrics.some((metric) => getMetricValue(metric, field, weightUnit) !== null),
+      ),
+    [metrics, weightUnit],
+  );
+  const activeChartField = chartedFields.includes(chartField) ? chartField : chartedFields[0] ?? null;
+  const series = useMemo(
+    () => (activeChartField ? getMetricSeries(metrics, activeChartField, weightUnit) : []),
+    [metrics, activeChartField, weightUnit],
+  );
+  const movingAverage = useMemo(() => getMovingAverage(series), [series]);
+
+  /**
+   * Formats a value of a field with its unit.
+   * @param {BodyMetricField} field - The field.
+   * @param {number} value - The value, in the preferred units.
+   * @returns {string} The formatted value.
+   */
+  const formatFieldValue = (field, value) => {
+    if (field === 'bodyweight') return formatWeight(value, weightUnit);
+    if (field === 'body_fat_percent') return `${roundWeight(value)}%`;
+    return `${roundWeight(value)} ${lengthUnit}`;
+  };
+
+  // --- Event Handlers ---
+  const handleFormChange = (event) => {
+    const { name, value } = event.target;
+    setForm((previous) =>
+      MEASUREMENT_SITES.includes(name)
+        ? { ...previous, circumferences: { ...previous.circumferences, [name]: value } }
+        : { ...previous, [name]: value },
+    );
+    setFormError(null);
+    setFormNotice(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const { data: metricData, error: validationError } = parseMetricForm(form, weightUnit);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    const { data, error: saveError } = await saveBodyMetric(user?.id, metricData);
+    setSaving(false);
+    if (saveError) {
+      setFormError(`Could not save your measurements: ${saveError.message || 'unknown error'}`);
+      return;
+    }
+
+    setMetrics((previous) =>
+      [...previous.filter((metric) => metric.measured_on !== data.measured_on), data].sort((a, b) =>
+        a.measured_on.localeCompare(b.measured_on),
+      ),
+    );
+    setForm(createEmptyMetricForm());
+    setFormNotice(`Saved measurements for ${format(parseISO(data.measured_on), 'PP')}.`);
+  };
+
+  const handleEdit = (metric) => {
+    setForm(metricToFormState(metric, weightUnit));
+    setFormError(null);
+    setFormNotice(null);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (metricId) => {
+    setDeleteError(null);
+    const { error: removeError } = await deleteBodyMetric(user?.id, metricId);
+    setConfirmDeleteId(null);
+    if (removeError) {
+      setDeleteError(`Could not delete the entry: ${removeError.message || 'unknown error'}`);
+      return;
+    }
+    setMetrics((previous) => previous.filter((metric) => metric.id !== metricId));
+  };
+
+  const handleExport = () => {
+    downloadTextFile(`body-metrics_${getTodayISO()}.csv`, bodyMetricsToCsv(metrics), 'text/csv');
+  };
+
+  // --- Rendering Functions ---
+
+  const renderForm = () => (
+    <section
+      aria-labelledby="metrics-form-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <h3 id="metrics-form-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+        Log Measurements
+      </h3>
+      <form onSubmit={handleSubmit} noValidate>
+        <fieldset disabled={saving}>
+          <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-3">
+            <InputField
+              id="metric_measured_on"
+              name="measured_on"
+              label="Date"
+              type="date"
+              value={form.measured_on}
+              onChange={handleFormChange}
+              required
+            />
+            <InputField
+              id="metric_bodyweight"
+              name="bodyweight"
+              label={`Bodyweight (${weightUnit})`}
+              type="number"
+              value={form.bodyweight}
+              onChange={handleFormChange}
+              min="0"
+              step="any"
+            />
+            <InputField
+              id="metric_body_fat_percent"
+              name="body_fat_percent"
+              label="Body fat (%)"
+              type="number"
+              value={form.body_fat_percent}
+              onChange={handleFormChange}
+              min="0"
+              max="99"
+              step="any"
+            />
+          </div>
+          <p className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+            Circumferences ({lengthUnit})
+          </p>
+          <div className="grid grid-cols-2 gap-x-4 sm:grid-cols-3">
+            {MEASUREMENT_SITES.map((site) => (
+              <InputField
+                key={site}
+                id={`metric_${site}`}
+                name={site}
+                label={BODY_METRIC_LABELS[site]}
+                type="number"
+                value={form.circumferences[site]}
+                onChange={handleFormChange}
+                min="0"
+                step="any"
+              />
+            ))}
+          </div>
+          <InputField
+            id="metric_notes"
+            name="notes"
+            label="Notes (optional)"
+            value={form.notes}
+            onChange={handleFormChange}
+            placeholder="e.g., morning, before breakfast"
+          />
+
+          {existingEntry && (
+            <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+              You already have an entry for this date; saving replaces it.
+            </p>
+          )}
+          {formError && (
+            <div
+              className="mb-4 rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+              role="alert"
+            >
+              <p className="text-sm font-medium text-red-700 dark:text-red-300">{formError}</p>
+            </div>
+          )}
+          {formNotice && (
+            <div
+              className="mb-4 rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+              role="status"
+            >
+              <p className="text-sm font-medium text-green-800 dark:text-green-300">{formNotice}</p>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <Button
+              variant="secondary"
+              onClick={() => {
+                setForm(createEmptyMetricForm());
+                setFormError(null);
+              }}
+            >
+              Clear
+            </Button>
+            <Button type="submit">{saving ? 'Saving...' : 'Save Measurements'}</Button>
+          </div>
+        </fieldset>
+      </form>
+    </section>
+  );
+
+  const renderTrends = () => (
+    <section
+      aria-labelledby="metrics-trends-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <h3 id="metrics-trends-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+          Trends
+        </h3>
+        {chartedFields.length > 0 && (
+          <div className="w-full sm:w-56">
+            <label
+              htmlFor="metric_chart_field"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Measurement
+            </label>
+            <select
+              id="metric_chart_field"
+              value={activeChartField}
+              onChange={(event) => setChartField(event.target.value)}
+              className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+            >
+              {chartedFields.map((field) => (
+                <option key={field} value={field}>
+                  {BODY_METRIC_LABELS[field]}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      {activeChartField ? (
+        <>
+          <LineChart
+            points={series}
+            trendPoints={movingAverage}
+            trendLabel={`${MOVING_AVERAGE_DAYS}-day average`}
+            title={BODY_METRIC_LABELS[activeChartField]}
+            formatValue={(value) => formatFieldValue(activeChartField, value)}
+          />
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Latest: {formatFieldValue(activeChartField, series[series.length - 1].value)} (
+            {MOVING_AVERAGE_DAYS}-day average{' '}
+            {formatFieldValue(activeChartField, movingAverage[movingAverage.length - 1].value)})
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Log your first measurements to see trends.
+        </p>
+      )}
+    </section>
+  );
+
+  /** @param {BodyMetric} metric */
+  const renderCircumferences = (metric) =>
+    MEASUREMENT_SITES.map((site) => [site, getMetricValue(metric, site, weightUnit)])
+      .filter(([, value]) => value !== null)
+      .map(([site, value]) => `${BODY_METRIC_LABELS[site]} ${formatFieldValue(site, value)}`)
+      .join(', ') || '–';
+
+  const renderHistory = () => (
+    <section
+      aria-labelledby="metrics-history-heading"
+      className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+    >
+      <h3 id="metrics-history-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+        History
+      </h3>
+      {deleteError && (
+        <p className="text-sm font-medium text-red-700 dark:text-red-300" role="alert">
+          {deleteError}
+        </p>
+      )}
+      {metrics.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No measurements logged yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-left text-sm dark:divide-gray-700">
+            <thead className="text-gray-600 dark:text-gray-400">
+              <tr>
+                <th scope="col" className="py-2 pr-4 font-medium">Date</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Bodyweight</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Body fat</th>
+                <th scope="col" className="py-2 pr-4 font-medium">Circumferences</th>
+                <th scope="col" className="py-2 font-medium">
+                  <span className="sr-only">Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-gray-800 dark:divide-gray-700 dark:text-gray-200">
+              {[...metrics].reverse().map((metric) => {
+                const bodyweight = getMetricValue(metric, 'bodyweight', weightUnit);
+                return (
+                  <tr key={metric.id}>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {format(parseISO(metric.measured_on), 'PP')}
+                      {metric.notes && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {metric.notes}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {bodyweight !== null ? formatFieldValue('bodyweight', bodyweight) : '–'}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {metric.body_fat_percent !== null
+                        ? formatFieldValue('body_fat_percent', metric.body_fat_percent)
+                        : '–'}
+                    </td>
+                    <td className="py-2 pr-4">{renderCircumferences(metric)}</td>
+                    <td className="py-2">
+                      <div className="flex justify-end gap-2">
+                        {confirmDeleteId === metric.id ? (
+                          <>
+                            <Button variant="danger" size="sm" onClick={() => handleDelete(metric.id)}>
+                              Confirm
+                            </Button>
+                            <Button variant="secondary" size="sm" onClick={() => setConfirmDeleteId(null)}>
+                              Cancel
+                            </Button>
+                          </>
+                        ) : (
+                          <>
+                            <Button variant="secondary" size="sm" onClick={() => handleEdit(metric)}>
+                              Edit
+                            </Button>
+                            <Button
+                              variant="secondary"
+                              size="sm"
+                              onClick={() => setConfirmDeleteId(metric.id)}
+                              aria-label={`Delete measurements of ${metric.measured_on}`}
+                            >
+                              Delete
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center items-center p-8">
+          <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+            Loading your measurements...
+          </p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">
+            Error loading body metrics: {error.message || 'An unknown error occurred.'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {renderForm()}
+        {renderTrends()}
+        {renderHistory()}
+      </>
+    );
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8 space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-white">
+          Body Metrics
+        </h2>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={handleExport}
+          disabled={loading || metrics.length === 0}
+        >
+          Export CSV
+        </Button>
+      </div>
+      {renderBody()}
+    </div>
+  );
+}
+
+export default BodyMetricsPage;
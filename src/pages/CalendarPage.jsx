@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useRecentLogs } from '../hooks/useRecentLogs.js';
+import TrainingHeatmap from '../components/TrainingHeatmap.jsx';
+import { buildHeatmap, computeStreaks, summarizeTrainingDays } from '../utils/streaks.js';
+import { getTodayISO } from '../utils/progressLogForm.js';
+import { WEEKDAY_LABELS } from '../utils/schedule.js';
+import { SET_TYPE_LABELS, formatSet, getLogSets } from '../utils/setData.js';
+import { getLogWeightUnit } from '../utils/units.js';
+
+/**
+ * Weekdays in display order, Monday first like the heatmap rows.
+ * @type {number[]}
+ */
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * CalendarPage Component
+ *
+ * Protected page with a year-long heatmap of training days and the user's current
+ * and longest daily and weekly streaks. Planned rest weekdays can be set so they do
+ * not break a daily streak. Clicking a day lists the exercises logged on it.
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function CalendarPage() {
+  // --- Context ---
+  const { preferences, updatePreferences } = usePreferences();
+  const unit = preferences.weight_unit;
+  const restWeekdays = preferences.rest_weekdays;
+
+  // --- State ---
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  // --- Data ---
+  // The whole history is needed for the longest streaks
+  const { logs, loading, error } = useRecentLogs(null);
+  const today = getTodayISO();
+
+  const trainingDays = useMemo(() => summarizeTrainingDays(logs), [logs]);
+  const weeks = useMemo(() => buildHeatmap(trainingDays, today), [trainingDays, today]);
+  const streaks = useMemo(
+    () => computeStreaks(trainingDays.keys(), today, restWeekdays),
+    [trainingDays, today, restWeekdays],
+  );
+  const trainedThisYear = weeks.flat().filter((day) => day.level > 0).length;
+  const selectedDay = selectedDate ? trainingDays.get(selectedDate) : null;
+
+  // --- Event Handlers ---
+  const toggleRestDay = (weekday) => {
+    updatePreferences({
+      rest_weekdays: restWeekdays.includes(weekday)
+        ? restWeekdays.filter((day) => day !== weekday)
+        : [...restWeekdays, weekday].sort((a, b) => a - b),
+    });
+  };
+
+  // --- Rendering Functions ---
+
+  const renderStreaks = () => (
+    <dl className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+      {[
+        ['Current daily streak', `${streaks.currentDaily} day(s)`],
+        ['Longest daily streak', `${streaks.longestDaily} day(s)`],
+        ['Current weekly streak', `${streaks.currentWeekly} week(s)`],
+        ['Longest weekly streak', `${streaks.longestWeekly} week(s)`],
+      ].map(([label, value]) => (
+        <div key={label} className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+          <dt className="text-sm text-gray-500 dark:text-gray-400">{label}</dt>
+          <dd className="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+
+  const renderRestDays = () => (
+    <div>
+      <p className="mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">Planned rest days</p>
+      <div role="group" aria-label="Planned rest days" className="flex flex-wrap gap-2">
+        {WEEKDAY_ORDER.map((weekday) => {
+          const isRest = restWeekdays.includes(weekday);
+          // At least one training weekday has to remain
+          const isLastTrainingDay = !isRest && restWeekdays.length >= 6;
+          return (
+            <button
+              key={weekday}
+              type="button"
+              onClick={() => toggleRestDay(weekday)}
+              aria-pressed={isRest}
+              disabled={isLastTrainingDay}
+              className={`rounded-md border px-2.5 py-1 text-sm font-medium transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:cursor-not-allowed disabled:opacity-50 ${
+                isRest
+                  ? 'border-indigo-600 bg-indigo-600 text-white'
+                  : 'border-gray-300 bg-white text-gray-600 hover:bg-gray-100 dark:border-gray-600 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+              }`}
+            >
+              {WEEKDAY_LABELS[weekday]}
+            </button>
+          );
+        })}
+      </div>
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        Rest days keep your daily streak going without counting towards it.
+      </p>
+    </div>
+  );
+
+  const renderSelectedDay = () => {
+    if (!selectedDate) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Select a day to see what you trained.
+        </p>
+      );
+    }
+
+    return (
+      <div>
+        <h4 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">
+          {format(parseISO(selectedDate), 'PPPP')}
+        </h4>
+        {!selectedDay ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {restWeekdays.includes(parseISO(selectedDate).getDay())
+              ? 'Planned rest day.'
+              : 'No training logged.'}
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {selectedDay.logs.map((log) => {
+              const sets = getLogSets(log);
+              const logUnit = getLogWeightUnit(log);
+              return (
+                <li key={log.id} className="py-2">
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {log.workout_name} - {log.exercise_name}
+                  </p>
+                  <p className="text-sm text-gray-700 dark:text-gray-300">
+                    {sets
+                      ? sets
+                          .map((set) =>
+                            set.set_type === 'working'
+                              ? formatSet(set, logUnit, unit)
+                              : `${formatSet(set, logUnit, unit)} (${SET_TYPE_LABELS[set.set_type]})`,
+                          )
+                          .join(', ')
+                      : `${log.sets_completed} set(s), reps ${log.reps_achieved}`}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center items-center p-8">
+          <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+            Loading your training calendar...
+          </p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div
+          className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+          role="alert"
+        >
+          <p className="text-sm font-medium text-red-700 dark:text-red-300">
+            Error loading training history: {error.message || 'An unknown error occurred.'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {renderStreaks()}
+        <section
+          aria-labelledby="heatmap-heading"
+          className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4"
+        >
+          <div className="flex flex-wrap items-baseline justify-between gap-2">
+            <h3 id="heatmap-heading" className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+              Training Days
+            </h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {trainedThisYear} training day(s) in the last year
+            </p>
+          </div>
+          <TrainingHeatmap weeks={weeks} selectedDate={selectedDate} onSelectDate={setSelectedDate} />
+          {renderRestDays()}
+        </section>
+        <section
+          aria-label="Selected day"
+          aria-live="polite"
+          className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+        >
+          {renderSelectedDay()}
+        </section>
+      </>
+    );
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8 space-y-8">
+      <h2 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-white">
+        Training Calendar
+      </h2>
+      {renderBody()}
+    </div>
+  );
+}
+
+export default CalendarPage;
@@ -1,9 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
 import { useAuth } from '../context/AuthContext.jsx';
-import { fetchWorkoutPlan } from '../services/workoutService.js';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import {
+  archiveWorkoutPlan,
+  fetchWorkoutPlans,
+  setActivePlan,
+} from '../services/workoutService.js';
+import { useRecentLogs } from '../hooks/useRecentLogs.js';
+import { formatTargetWeight, getTargetWeight, recommendNextSession } from '../utils/overload.js';
+import { namesMatch } from '../utils/names.js';
+import { getPlanDays, getScheduleOverview, WEEKDAY_LABELS } from '../utils/schedule.js';
+import Button from '../components/Button.jsx';
+import PlanSwitcher from '../components/PlanSwitcher.jsx';
+import GoalsPanel from '../components/GoalsPanel.jsx';
+import RecommendationNote from '../components/RecommendationNote.jsx';
+import WarmupRamp from '../components/WarmupRamp.jsx';
+import WarmupSettings from '../components/WarmupSettings.jsx';
 
 /**
  * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
  * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
  */
 
@@ -11,7 +29,19 @@ import { fetchWorkoutPlan } from '../services/workoutService.js';
  * DashboardPage Component
  *
  * Serves as the main landing page for authenticated users. It displays a personalized
- * welcome message and fetches/renders the user's assigned workout plan.
+ * welcome message and fetches/renders the user's workout plans. The active plan is
+ * shown by default; a switcher lets the user view any other plan, make it active,
+ * or archive it. Archived plans stay viewable but are read-only. Plans are created
+ * and edited in the plan editor (`PlanEditorPage`); returning from it selects the saved plan.
+ * For plans split into training days, it highlights today's session (and whether it has
+ * been logged yet) and the next upcoming session, based on recent progress logs.
+ * "Start Workout" opens `WorkoutSessionPage`, prefilled with the plan's (or day's) exercises.
+ * Each exercise of a current plan shows a progressive overload suggestion for its next session,
+ * with a warm-up ramp up to the suggested weight; the warm-up template is picked in the
+ * warm-up settings, and the sets can be added as warm-ups when logging the workout.
+ * Programs generated from a template (`ProgramGeneratorPage`) prescribe weights, which are
+ * shown instead of the suggestion.
+ * Below the plan, the goals panel tracks the user's goals (`GoalsPanel`).
  * Handles loading and error states during data retrieval.
  * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
  */
@@ -20,17 +50,51 @@ function DashboardPage() {
   // Retrieve the authenticated user object from the global AuthContext.
   // This component assumes it's only rendered when a user is authenticated.
   const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const navigate = useNavigate();
+  // Plan to select after returning from the plan editor, if any.
+  const location = useLocation();
+  const requestedPlanId = location.state?.planId ?? null;
 
   // --- State ---
-  // State to store the fetched workout plan data.
-  /** @type {[WorkoutPlan | null, React.Dispatch<React.SetStateAction<WorkoutPlan | null>>]} */
-  const [planData, setPlanData] = useState(null);
+  // Personal records announced after finishing a workout session, if any. Read once,
+  // because the history entry is cleared of it below.
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [recordNotice] = useState(() => location.state?.recordNotice ?? null);
+  // State to store all of the user's workout plans (active first).
+  /** @type {[WorkoutPlan[], React.Dispatch<React.SetStateAction<WorkoutPlan[]>>]} */
+  const [plans, setPlans] = useState([]);
+  // ID of the plan currently displayed.
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [selectedPlanId, setSelectedPlanId] = useState(null);
   // State to track the loading status of the workout plan fetch. Initialized to true.
   /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
   const [isLoading, setIsLoading] = useState(true);
   // State to store any error encountered during the fetch operation.
   /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
   const [error, setError] = useState(null);
+  // State for plan actions (activate/archive/restore).
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [planActionPending, setPlanActionPending] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [planActionError, setPlanActionError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showWarmupSettings, setShowWarmupSettings] = useState(false);
+
+  // Recent progress logs, used for the schedule position, today's status and suggestions.
+  // Failures only hide the logged status and suggestions; the plan itself is still shown.
+  const { logs: recentLogs, loading: recentLogsLoading, error: recentLogsError } = useRecentLogs();
+
+  // The plan being displayed, derived from the selection.
+  const planData = plans.find((plan) => plan.id === selectedPlanId) ?? null;
+  const isReadOnly = Boolean(planData?.archived_at);
+  const planDays = getPlanDays(planData);
+
+  // Today's and the next session for split plans; null for flat or archived plans.
+  const scheduleOverview = useMemo(
+    () => (planData && !planData.archived_at ? getScheduleOverview(planData, recentLogs) : null),
+    [planData, recentLogs],
+  );
 
   // --- Data Fetching Effect ---
   // useEffect hook to fetch the workout plan when the component mounts or the user ID changes.
@@ -46,29 +110,31 @@ function DashboardPage() {
     }
 
     // Define an async function to perform the data fetching logic.
-    const loadPlan = async () => {
+    const loadPlans = async () => {
       setIsLoading(true); // Set loading state to true before fetch
       setError(null); // Clear any previous errors
 
       try {
-        // Call the service function to fetch the workout plan for the current user.
-        const { data, error: fetchError } = await fetchWorkoutPlan(user.id);
+        // Call the service function to fetch all workout plans for the current user.
+        const { data, error: fetchError } = await fetchWorkoutPlans(user.id);
 
         if (fetchError) {
           // If an error occurs during the fetch, store the error and log it.
-          console.error('DashboardPage: Failed to fetch workout plan:', fetchError);
+          console.error('DashboardPage: Failed to fetch workout plans:', fetchError);
           setError(fetchError);
-          setPlanData(null); // Ensure plan data is cleared on error
+          setPlans([]); // Ensure plan data is cleared on error
+          setSelectedPlanId(null);
         } else {
-          // If the fetch is successful, update the planData state.
-          // `data` will be the plan object or null if no plan was found (handled by maybeSingle).
-          setPlanData(data);
-          // Log success or absence of data for debugging
-          if (data) {
-             console.log('DashboardPage: Workout plan fetched successfully.');
-          } else {
-             console.log('DashboardPage: Fetch successful, but no workout plan found for user.');
-          }
+          // Show the requested plan, else the active plan, falling back to the newest
+          // non-archived plan, then any plan.
+          const initialPlan =
+            data.find((plan) => plan.id === requestedPlanId) ??
+            data.find((plan) => plan.is_active && !plan.archived_at) ??
+            data.find((plan) => !plan.archived_at) ??
+            data[0] ??
+            null;
+          setPlans(data);
+          setSelectedPlanId(initialPlan?.id ?? null);
         }
       } catch (catchError) {
         // Catch unexpected errors during the async operation (e.g., network issues not caught by service).
@@ -78,7 +144,8 @@ function DashboardPage() {
             ? catchError
             : new Error('An unexpected error occurred.'),
         );
-        setPlanData(null);
+        setPlans([]);
+        setSelectedPlanId(null);
       } finally {
         // Ensure loading state is set to false regardless of success or failure.
         setIsLoading(false);
@@ -86,8 +153,69 @@ function DashboardPage() {
     };
 
     // Invoke the data fetching function.
-    loadPlan();
-  }, [user?.id]); // Dependency array: Re-run effect if user.id changes.
+    loadPlans();
+  }, [user?.id, requestedPlanId]); // Dependency array: Re-run effect if user.id changes.
+
+  // The browser keeps history state across reloads and back/forward navigation, so the
+  // record notice is removed from it to be announced only once.
+  useEffect(() => {
+    if (location.state?.recordNotice) {
+      navigate(location.pathname, { replace: true, state: { planId: location.state.planId } });
+    }
+  }, [location.state, location.pathname, navigate]);
+
+  // --- Plan Actions ---
+
+  /**
+   * Makes the displayed plan the user's active plan.
+   */
+  const handleSetActive = async () => {
+    setPlanActionPending(true);
+    setPlanActionError(null);
+
+    const { data, error: activateError } = await setActivePlan(user.id, planData.id);
+    if (data) {
+      // Only one plan can be active; mirror the server state locally
+      setPlans((prevPlans) =>
+        prevPlans.map((plan) => ({ ...plan, is_active: plan.id === data.id })),
+      );
+    }
+    if (activateError) {
+      console.error('DashboardPage: Failed to change active plan:', activateError);
+      setPlanActionError(activateError.message || 'Failed to change the active plan.');
+    }
+    setPlanActionPending(false);
+  };
+
+  /**
+   * Archives or restores the displayed plan.
+   * @param {boolean} archived - True to archive, false to restore.
+   */
+  const handleArchive = async (archived) => {
+    setPlanActionPending(true);
+    setPlanActionError(null);
+
+    const { data, error: archiveError } = await archiveWorkoutPlan(
+      user.id,
+      planData.id,
+      archived,
+    );
+    if (archiveError) {
+      console.error('DashboardPage: Failed to archive workout plan:', archiveError);
+      setPlanActionError(archiveError.message || 'Failed to update the plan.');
+    } else {
+      setPlans((prevPlans) => prevPlans.map((plan) => (plan.id === data.id ? data : plan)));
+    }
+    setPlanActionPending(false);
+  };
+
+  /**
+   * Opens the session logging view for the displayed plan.
+   * @param {string | null} [dayId=null] - Training day to start, for split plans.
+   */
+  const startWorkout = (dayId = null) => {
+    navigate(`/plans/${planData.id}/workout${dayId ? `?day=${encodeURIComponent(dayId)}` : ''}`);
+  };
 
   // --- Rendering Functions ---
 
@@ -113,6 +241,219 @@ function DashboardPage() {
     </div>
   );
 
+  // Renders the active/archived status of the selected plan with its actions.
+  const renderPlanStatus = () => (
+    <div className="flex flex-wrap items-center gap-3">
+      {isReadOnly ? (
+        <span className="rounded-full bg-gray-200 px-2 py-0.5 text-xs font-medium text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+          Archived {format(new Date(planData.archived_at), 'PP')} &middot; read-only
+        </span>
+      ) : (
+        planData.is_active && (
+          <span className="rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-800 dark:bg-green-900/40 dark:text-green-300">
+            Active plan
+          </span>
+        )
+      )}
+      {!isReadOnly && planDays.length === 0 && planData.exercises?.length > 0 && (
+        <Button size="sm" onClick={() => startWorkout()} disabled={planActionPending}>
+          Start Workout
+        </Button>
+      )}
+      {!isReadOnly && (
+        <Button
+          size="sm"
+          variant="secondary"
+          onClick={() => navigate(`/plans/${planData.id}/edit`)}
+          disabled={planActionPending}
+        >
+          Edit Plan
+        </Button>
+      )}
+      {!isReadOnly && !planData.is_active && (
+        <Button size="sm" onClick={handleSetActive} disabled={planActionPending}>
+          Make Active
+        </Button>
+      )}
+      {!isReadOnly && !showWarmupSettings && (
+        <Button size="sm" variant="secondary" onClick={() => setShowWarmupSettings(true)}>
+          Warm-up Settings
+        </Button>
+      )}
+      <Button
+        size="sm"
+        variant="secondary"
+        onClick={() => handleArchive(!isReadOnly)}
+        disabled={planActionPending}
+      >
+        {isReadOnly ? 'Restore' : 'Archive'}
+      </Button>
+      {planActionError && (
+        <p className="text-sm text-red-600 dark:text-red-400" role="alert">
+          {planActionError}
+        </p>
+      )}
+    </div>
+  );
+
+  // Renders the next-session suggestion of an exercise and the warm-up up to its weight.
+  // Prescribed weights replace the suggestion; only the first entry of an exercise warms up.
+  /**
+   * @param {WorkoutPlanExercise} exercise
+   * @param {boolean} isFirstOfExercise
+   */
+  const renderSuggestion = (exercise, isFirstOfExercise) => {
+    const targetWeight = getTargetWeight(exercise, preferences.weight_unit);
+    if (targetWeight !== null) {
+      return isFirstOfExercise ? <WarmupRamp workingWeight={targetWeight} className="mt-2" /> : null;
+    }
+    const recommendation = recommendNextSession(exercise, recentLogs, preferences.weight_unit);
+    return (
+      <>
+        <RecommendationNote recommendation={recommendation} className="mt-2" />
+        <WarmupRamp workingWeight={recommendation?.weight ?? null} className="mt-2" />
+      </>
+    );
+  };
+
+  // Renders a list of plan exercises.
+  /** @param {WorkoutPlanExercise[]} exercises */
+  const renderExerciseList = (exercises) => (
+    <ul className="space-y-4">
+      {exercises.map((exercise, index) => (
+        <li
+          key={exercise.id || exercise.name} // Use unique ID if available, fallback to name
+          className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 transition hover:shadow-md"
+        >
+          <p className="font-medium text-gray-900 dark:text-white">
+            {exercise.name}
+          </p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Sets: {exercise.sets} | Reps: {exercise.reps}
+            {getTargetWeight(exercise, preferences.weight_unit) !== null &&
+              ` | Weight: ${formatTargetWeight(exercise, preferences.weight_unit)}`}
+          </p>
+          {!isReadOnly &&
+            !recentLogsLoading &&
+            !recentLogsError &&
+            renderSuggestion(
+              exercise,
+              exercises.findIndex((item) => namesMatch(item.name, exercise.name)) === index,
+            )}
+        </li>
+      ))}
+    </ul>
+  );
+
+  // Renders today's session, its logged status and the next session of a split plan.
+  const renderScheduleOverview = () => {
+    const { todaySession, nextSession } = scheduleOverview;
+    const { day, logged, loggedExercises } = todaySession;
+
+    let status = null;
+    if (day && !recentLogsError) {
+      status = logged
+        ? {
+            text:
+              loggedExercises.length >= day.exercises.length
+                ? 'Logged'
+                : `${loggedExercises.length} of ${day.exercises.length} exercises logged`,
+            className: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+          }
+        : {
+            text: 'Not logged yet',
+            className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+          };
+    }
+
+    return (
+      <section
+        aria-labelledby="today-session-heading"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 border-l-4 border-indigo-500"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h4
+            id="today-session-heading"
+            className="text-lg font-semibold text-gray-800 dark:text-gray-200"
+          >
+            Today: {day ? day.name : 'Rest day'}
+          </h4>
+          <div className="flex items-center gap-2">
+            {status && (
+              <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${status.className}`}>
+                {status.text}
+              </span>
+            )}
+            {day && (
+              <Button size="sm" onClick={() => startWorkout(day.id)}>
+                {logged ? 'Log More' : 'Start Workout'}
+              </Button>
+            )}
+          </div>
+        </div>
+        {day && (
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            {day.exercises.map((exercise) => exercise.name).join(', ') || 'No exercises'}
+          </p>
+        )}
+        {nextSession && (
+          <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+            Next: <span className="font-medium">{nextSession.day.name}</span>
+            {nextSession.date
+              ? ` on ${format(parseISO(nextSession.date), 'EEEE, PP')}`
+              : ' (next training day)'}
+          </p>
+        )}
+        {recentLogsError && (
+          <p className="mt-2 text-sm text-red-600 dark:text-red-400" role="alert">
+            Could not check your recent logs: {recentLogsError.message}
+          </p>
+        )}
+      </section>
+    );
+  };
+
+  // Renders the training days of a split plan, highlighting today's session.
+  const renderTrainingDays = () => (
+    <div className="space-y-6">
+      {planDays.map((day) => {
+        const isToday = scheduleOverview?.todaySession.day?.id === day.id;
+        return (
+          <section key={day.id} aria-label={day.name}>
+            <h4
+              className={`mb-2 flex flex-wrap items-baseline gap-2 font-semibold ${
+                isToday ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-800 dark:text-gray-200'
+              }`}
+            >
+              {day.name}
+              {planData.schedule_type === 'weekly' && day.weekdays.length > 0 && (
+                <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                  {day.weekdays.map((weekday) => WEEKDAY_LABELS[weekday]).join(', ')}
+                </span>
+              )}
+              {isToday && <span className="text-xs font-medium uppercase">Today</span>}
+            </h4>
+            {!isReadOnly && day.exercises.length > 0 && (
+              <Button
+                size="sm"
+                variant="secondary"
+                className="mb-2"
+                onClick={() => startWorkout(day.id)}
+              >
+                Start {day.name}
+              </Button>
+            )}
+            {day.exercises.length > 0 ? (
+              renderExerciseList(day.exercises)
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No exercises on this day.</p>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+
   // Renders the content when data is loaded successfully.
   const renderPlanContent = () => {
     if (!planData) {
@@ -120,39 +461,62 @@ function DashboardPage() {
       return (
         <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-lg shadow">
           <p className="text-gray-600 dark:text-gray-400">
-            No workout plan is currently assigned to you.
+            {plans.length === 0
+              ? 'No workout plan is currently assigned to you.'
+              : 'Select a plan to view it.'}
           </p>
-          {/* Optionally add a link or button to request/create a plan later */}
+          <div className="mt-4 flex justify-center gap-3">
+            <Button onClick={() => navigate('/plans/new')}>Create a Plan</Button>
+            <Button variant="secondary" onClick={() => navigate('/plans/generate')}>
+              Generate a Program
+            </Button>
+          </div>
         </div>
       );
     }
 
-    // Render the assigned workout plan details.
+    // Render the selected workout plan details.
     return (
       <div className="space-y-6">
-        <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-4 border-b border-gray-200 dark:border-gray-700 pb-2">
-          Your Plan: {planData.name}
-        </h3>
+        <div className="flex flex-wrap items-center justify-between gap-3 border-b border-gray-200 dark:border-gray-700 pb-2 mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+            {planData.is_active ? 'Your Plan' : 'Plan'}: {planData.name}
+          </h3>
+          <div className="flex items-center gap-3">
+            <PlanSwitcher
+              plans={plans}
+              selectedPlanId={selectedPlanId}
+              onSelect={(planId) => {
+                setSelectedPlanId(planId);
+                setPlanActionError(null);
+              }}
+              disabled={planActionPending}
+            />
+            <Button size="sm" onClick={() => navigate('/plans/new')} disabled={planActionPending}>
+              New Plan
+            </Button>
+            <Button
+              size="sm"
+              variant="secondary"
+              onClick={() => navigate('/plans/generate')}
+              disabled={planActionPending}
+            >
+              Generate Program
+            </Button>
+          </div>
+        </div>
+        {renderPlanStatus()}
+        {showWarmupSettings && <WarmupSettings onClose={() => setShowWarmupSettings(false)} />}
         {planData.description && (
            <p className="text-gray-600 dark:text-gray-400 mb-4">{planData.description}</p>
         )}
 
-        {planData.exercises && planData.exercises.length > 0 ? (
-          <ul className="space-y-4">
-            {planData.exercises.map((exercise) => (
-              <li
-                key={exercise.id || exercise.name} // Use unique ID if available, fallback to name
-                className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 transition hover:shadow-md"
-              >
-                <p className="font-medium text-gray-900 dark:text-white">
-                  {exercise.name}
-                </p>
-                <p className="text-sm text-gray-600 dark:text-gray-400">
-                  Sets: {exercise.sets} | Reps: {exercise.reps}
-                </p>
-              </li>
-            ))}
-          </ul>
+        {scheduleOverview && renderScheduleOverview()}
+
+        {planDays.length > 0 ? (
+          renderTrainingDays()
+        ) : planData.exercises && planData.exercises.length > 0 ? (
+          renderExerciseList(planData.exercises)
         ) : (
           <p className="text-center text-gray-500 dark:text-gray-400">
             This plan currently has no exercises assigned.
@@ -170,6 +534,15 @@ function DashboardPage() {
         Welcome back, {user?.email || 'User'}!
       </h2>
 
+      {recordNotice && (
+        <div
+          className="mb-6 rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+          role="status"
+        >
+          <p className="text-sm font-medium text-green-800 dark:text-green-300">{recordNotice}</p>
+        </div>
+      )}
+
       {/* Conditional Rendering: Loading, Error, or Plan Content */}
       <div className="mt-4">
         {isLoading
@@ -179,10 +552,8 @@ function DashboardPage() {
             : renderPlanContent()}
       </div>
 
-      {/* Placeholder for potential future dashboard elements */}
-      {/* <div className="mt-8"> */}
-      {/*   <p>Other dashboard widgets could go here...</p> */}
-      {/* </div> */}
+      {/* Goals with their progress and projected completion */}
+      <GoalsPanel className="mt-8" />
     </div>
   );
 }
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import {
+  createWorkoutPlan,
+  deleteWorkoutPlan,
+  fetchWorkoutPlanById,
+  updateWorkoutPlan,
+} from '../services/workoutService.js';
+import {
+  createEmptyPlanForm,
+  createPlanExerciseRow,
+  createTrainingDayRow,
+  parsePlanForm,
+  planToFormState,
+} from '../utils/planForm.js';
+import { InputField } from '../components/InputField.jsx';
+import Button from '../components/Button.jsx';
+import PlanExerciseRowsInput from '../components/PlanExerciseRowsInput.jsx';
+import TrainingDaysInput from '../components/TrainingDaysInput.jsx';
+
+/**
+ * @typedef {import('../utils/planForm.js').PlanFormState} PlanFormState
+ * @typedef {import('../utils/planForm.js').PlanExerciseFormRow} PlanExerciseFormRow
+ * @typedef {import('../utils/planForm.js').TrainingDayFormRow} TrainingDayFormRow
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * PlanEditorPage Component
+ *
+ * Creates a new workout plan (`/plans/new`) or edits an existing one
+ * (`/plans/:planId/edit`). Users name and describe the plan and add, reorder, edit
+ * and remove its exercises. A plan can be split into named training days, scheduled
+ * on fixed weekdays or in a rotating order, each with its own exercises.
+ * Existing plans can also be deleted from here.
+ * Archived plans are read-only and are only shown with a notice.
+ * After saving or deleting, the user is returned to the dashboard, which shows the saved plan.
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function PlanEditorPage() {
+  // --- Context & Routing ---
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const { planId } = useParams();
+  const navigate = useNavigate();
+  const isNewPlan = !planId;
+
+  // --- State ---
+  /** @type {[PlanFormState, React.Dispatch<React.SetStateAction<PlanFormState>>]} */
+  const [formData, setFormData] = useState(createEmptyPlanForm);
+  // Loading state for fetching an existing plan.
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isLoading, setIsLoading] = useState(!isNewPlan);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [loadError, setLoadError] = useState(null);
+  // True when the loaded plan is archived and therefore read-only.
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isArchived, setIsArchived] = useState(false);
+  // State for saving and deleting.
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [saveError, setSaveError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  // --- Data Fetching Effect ---
+  useEffect(() => {
+    if (isNewPlan || !user?.id) {
+      return undefined;
+    }
+
+    let isMounted = true; // Flag to prevent state updates after unmount or plan change
+
+    const loadPlan = async () => {
+      setIsLoading(true);
+      setLoadError(null);
+
+      const { data, error } = await fetchWorkoutPlanById(user.id, planId);
+      if (!isMounted) return;
+
+      if (error) {
+        console.error('PlanEditorPage: Failed to fetch workout plan:', error);
+        setLoadError(error);
+      } else if (!data) {
+        setLoadError(new Error('This workout plan does not exist.'));
+      } else {
+        setFormData(planToFormState(data));
+        setIsArchived(Boolean(data.archived_at));
+      }
+      setIsLoading(false);
+    };
+
+    loadPlan();
+    return () => {
+      isMounted = false;
+    };
+  }, [user?.id, planId, isNewPlan]);
+
+  // --- Event Handlers ---
+
+  const handleFormChange = (event) => {
+    const { name, value } = event.target;
+    setFormData((prevData) => ({ ...prevData, [name]: value }));
+    setSaveError(null);
+  };
+
+  /**
+   * Updates the exercise rows of the form.
+   * @param {PlanExerciseFormRow[]} exercises - The new exercise rows.
+   */
+  const handleExercisesChange = (exercises) => {
+    setFormData((prevData) => ({ ...prevData, exercises }));
+    setSaveError(null);
+  };
+
+  /**
+   * Updates the training days of the form.
+   * @param {TrainingDayFormRow[]} days - The new day rows.
+   */
+  const handleDaysChange = (days) => {
+    setFormData((prevData) => ({ ...prevData, days }));
+    setSaveError(null);
+  };
+
+  // Turns a flat plan into a split plan; the existing exercises become the first day.
+  const handleSplitIntoDays = () => {
+    setFormData((prevData) => ({
+      ...prevData,
+      days: [
+        createTrainingDayRow({
+          exercises:
+            prevData.exercises.length > 0 ? prevData.exercises : [createPlanExerciseRow()],
+        }),
+      ],
+      exercises: [],
+    }));
+  };
+
+  // Turns a split plan back into a flat plan, keeping every day's exercises in order.
+  const handleRemoveSchedule = () => {
+    setFormData((prevData) => ({
+      ...prevData,
+      exercises: prevData.days.flatMap((day) => day.exercises),
+      days: [],
+    }));
+    setSaveError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const { data: planInput, error: validationError } = parsePlanForm(
+      formData,
+      preferences.weight_unit,
+    );
+    if (validationError) {
+      setSaveError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setSaveError(null);
+
+    const { data, error } = isNewPlan
+      ? await createWorkoutPlan(user.id, planInput)
+      : await updateWorkoutPlan(user.id, planId, planInput);
+
+    setSaving(false);
+    if (error) {
+      console.error('PlanEditorPage: Failed to save workout plan:', error);
+      setSaveError(error.message || 'Failed to save the workout plan.');
+      return;
+    }
+
+    // Return to the dashboard with the saved plan selected
+    navigate('/', { state: { planId: data.id } });
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    setSaveError(null);
+
+    const { error } = await deleteWorkoutPlan(user.id, planId);
+
+    setSaving(false);
+    if (error) {
+      console.error('PlanEditorPage: Failed to delete workout plan:', error);
+      setSaveError(error.message || 'Failed to delete the workout plan.');
+      setConfirmingDelete(false);
+      return;
+    }
+
+    navigate('/');
+  };
+
+  // --- Rendering Functions ---
+
+  // Renders the loading state UI.
+  const renderLoading = () => (
+    <div className="flex justify-center items-center p-8">
+      <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+        Loading workout plan...
+      </p>
+    </div>
+  );
+
+  // Renders an error or notice box.
+  const renderMessage = (message) => (
+    <div
+      className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+      role="alert"
+    >
+      <p className="text-sm font-medium text-red-700 dark:text-red-300">{message}</p>
+    </div>
+  );
+
+  // Renders the save/delete controls, including the delete confirmation.
+  const renderActions = () => {
+    if (confirmingDelete) {
+      return (
+        <div className="flex flex-wrap items-center gap-3">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Delete this plan permanently? Your logged workouts are kept.
+          </p>
+          <Button variant="danger" size="sm" onClick={handleDelete} disabled={saving}>
+            {saving ? 'Deleting...' : 'Delete Plan'}
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setConfirmingDelete(false)}
+            disabled={saving}
+          >
+            Cancel
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex flex-wrap justify-end gap-3">
+        {!isNewPlan && (
+          <Button
+            variant="danger"
+            onClick={() => setConfirmingDelete(true)}
+            disabled={saving}
+            className="mr-auto"
+          >
+            Delete
+          </Button>
+        )}
+        <Button variant="secondary" onClick={() => navigate('/')} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={saving}>
+          {saving ? 'Saving...' : isNewPlan ? 'Create Plan' : 'Save Plan'}
+        </Button>
+      </div>
+    );
+  };
+
+  // Renders the plan form.
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {saveError && renderMessage(saveError)}
+
+      <InputField
+        id="plan_name"
+        name="name"
+        label="Plan Name"
+        value={formData.name}
+        onChange={handleFormChange}
+        placeholder="e.g., Upper/Lower Split"
+        required
+        disabled={saving}
+      />
+
+      <div className="mb-4">
+        <label
+          htmlFor="plan_description"
+          className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+        >
+          Description (Optional)
+        </label>
+        <textarea
+          id="plan_description"
+          name="description"
+          value={formData.description}
+          onChange={handleFormChange}
+          rows={3}
+          placeholder="What is this plan for?"
+          disabled={saving}
+          className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+        />
+      </div>
+
+      {formData.days.length > 0 ? (
+        <>
+          <TrainingDaysInput
+            scheduleType={formData.schedule_type}
+            onScheduleTypeChange={(scheduleType) =>
+              setFormData((prevData) => ({ ...prevData, schedule_type: scheduleType }))
+            }
+            days={formData.days}
+            onChange={handleDaysChange}
+            weightUnit={preferences.weight_unit}
+            disabled={saving}
+          />
+          <Button variant="secondary" size="sm" onClick={handleRemoveSchedule} disabled={saving}>
+            Remove Training Days
+          </Button>
+        </>
+      ) : (
+        <>
+          <PlanExerciseRowsInput
+            rows={formData.exercises}
+            onChange={handleExercisesChange}
+            weightUnit={preferences.weight_unit}
+            disabled={saving}
+          />
+          <Button variant="secondary" size="sm" onClick={handleSplitIntoDays} disabled={saving}>
+            Split into Training Days
+          </Button>
+        </>
+      )}
+
+      {renderActions()}
+    </form>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return renderLoading();
+    }
+    if (loadError) {
+      return renderMessage(`Error loading workout plan: ${loadError.message}`);
+    }
+    if (isArchived) {
+      return (
+        <div className="space-y-4">
+          {renderMessage('This plan is archived and read-only. Restore it from the dashboard to edit it.')}
+          <Button variant="secondary" onClick={() => navigate('/', { state: { planId } })}>
+            Back to Dashboard
+          </Button>
+        </div>
+      );
+    }
+    return renderForm();
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8">
+      <section
+        aria-labelledby="plan-editor-heading"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+      >
+        <h2
+          id="plan-editor-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-6"
+        >
+          {isNewPlan ? 'Create Workout Plan' : 'Edit Workout Plan'}
+        </h2>
+        {renderBody()}
+      </section>
+    </div>
+  );
+}
+
+export default PlanEditorPage;
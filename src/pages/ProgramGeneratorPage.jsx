@@ -0,0 +1,301 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { createWorkoutPlan } from '../services/workoutService.js';
+import { usePersonalRecords } from '../hooks/usePersonalRecords.js';
+import { formatTargetWeight } from '../utils/overload.js';
+import {
+  PROGRAM_LIFTS,
+  PROGRAM_TEMPLATES,
+  PROGRAM_TEMPLATE_IDS,
+  TRAINING_MAX_PERCENT,
+  estimateTrainingMaxes,
+  generateProgram,
+  parseTrainingMaxes,
+} from '../utils/programs.js';
+import { InputField } from '../components/InputField.jsx';
+import Button from '../components/Button.jsx';
+
+/**
+ * @typedef {import('../utils/programs.js').ProgramLiftId} ProgramLiftId
+ * @typedef {import('../utils/programs.js').ProgramTemplateId} ProgramTemplateId
+ */
+
+/**
+ * ProgramGeneratorPage Component
+ *
+ * Generates a multi-week program (`/plans/generate`) from a built-in template and
+ * the user's training maxes for the squat, bench press, deadlift and overhead press.
+ * Training maxes can be filled in from the personal records. The generated weeks,
+ * with their prescribed weights, percentages, rep targets and deloads, are previewed
+ * before the program is saved as a new rotation plan; the user is then returned to
+ * the dashboard, which shows it.
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function ProgramGeneratorPage() {
+  // --- Context & Routing ---
+  const { user } = useAuth();
+  const { preferences } = usePreferences();
+  const navigate = useNavigate();
+  const unit = preferences.weight_unit;
+  const { exercises: records, loading: recordsLoading, error: recordsError } = usePersonalRecords();
+
+  // --- State ---
+  /** @type {[ProgramTemplateId, React.Dispatch<React.SetStateAction<ProgramTemplateId>>]} */
+  const [templateId, setTemplateId] = useState('linear');
+  /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
+  const [name, setName] = useState(PROGRAM_TEMPLATES.linear.label);
+  /** @type {[Record<ProgramLiftId, string>, React.Dispatch<React.SetStateAction<Record<ProgramLiftId, string>>>]} */
+  const [maxInputs, setMaxInputs] = useState(() =>
+    Object.fromEntries(PROGRAM_LIFTS.map((lift) => [lift.id, ''])),
+  );
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [estimateNotice, setEstimateNotice] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [saving, setSaving] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [saveError, setSaveError] = useState(null);
+
+  // --- Derived Data ---
+  const template = PROGRAM_TEMPLATES[templateId];
+  const { data: trainingMaxes, error: maxesError } = useMemo(
+    () => parseTrainingMaxes(maxInputs),
+    [maxInputs],
+  );
+  const inventory = preferences.plate_inventories[unit];
+  // Regenerated only when an input changes, so day and exercise IDs stay stable for the preview
+  const program = useMemo(
+    () =>
+      trainingMaxes
+        ? generateProgram({ templateId, name: name.trim(), trainingMaxes, unit, inventory })
+        : null,
+    [templateId, name, trainingMaxes, unit, inventory],
+  );
+
+  // --- Event Handlers ---
+  const handleTemplateChange = (event) => {
+    const nextId = event.target.value;
+    // Keep a custom name; replace the default name of the previous template
+    if (name.trim() === '' || name === template.label) {
+      setName(PROGRAM_TEMPLATES[nextId].label);
+    }
+    setTemplateId(nextId);
+  };
+
+  const handleMaxChange = (event) => {
+    const { name: liftId, value } = event.target;
+    setMaxInputs((previous) => ({ ...previous, [liftId]: value }));
+    setEstimateNotice(null);
+    setSaveError(null);
+  };
+
+  const handleUseEstimates = () => {
+    const estimates = estimateTrainingMaxes(records);
+    const missing = PROGRAM_LIFTS.filter((lift) => estimates[lift.id] === null);
+    setMaxInputs((previous) =>
+      Object.fromEntries(
+        PROGRAM_LIFTS.map((lift) => [
+          lift.id,
+          estimates[lift.id] !== null ? String(estimates[lift.id]) : previous[lift.id],
+        ]),
+      ),
+    );
+    setEstimateNotice(
+      missing.length > 0
+        ? `No estimated max for ${missing.map((lift) => lift.name).join(', ')} yet; enter ${missing.length === 1 ? 'it' : 'them'} yourself.`
+        : null,
+    );
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setSaveError('Please enter a plan name.');
+      return;
+    }
+    if (!program) {
+      setSaveError(maxesError);
+      return;
+    }
+
+    setSaving(true);
+    setSaveError(null);
+    const { data, error } = await createWorkoutPlan(user.id, program);
+    setSaving(false);
+    if (error) {
+      console.error('ProgramGeneratorPage: Failed to save the program:', error);
+      setSaveError(error.message || 'Failed to save the program.');
+      return;
+    }
+
+    // Return to the dashboard with the new plan selected
+    navigate('/', { state: { planId: data.id } });
+  };
+
+  // --- Rendering Functions ---
+
+  // Renders an error message.
+  const renderMessage = (message) => (
+    <div
+      className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+      role="alert"
+    >
+      <p className="text-sm font-medium text-red-700 dark:text-red-300">{message}</p>
+    </div>
+  );
+
+  // Renders the generated weeks, one collapsible block per week.
+  const renderPreview = () => {
+    if (!program) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Enter all training maxes to preview the program.
+        </p>
+      );
+    }
+
+    const daysPerWeek = template.weeks[0].days.length;
+    return (
+      <div className="space-y-2">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{program.description}</p>
+        {template.weeks.map((week, weekIndex) => (
+          <details
+            key={weekIndex}
+            className="rounded-md border border-gray-200 p-3 dark:border-gray-700"
+            open={weekIndex === 0}
+          >
+            <summary className="cursor-pointer text-sm font-medium text-gray-800 dark:text-gray-200">
+              Week {weekIndex + 1}
+              {week.deload && ' (Deload)'}
+            </summary>
+            <ul className="mt-2 space-y-2">
+              {program.days.slice(weekIndex * daysPerWeek, (weekIndex + 1) * daysPerWeek).map((day) => (
+                <li key={day.id} className="text-sm">
+                  <p className="font-medium text-gray-700 dark:text-gray-300">{day.name}</p>
+                  <ul className="ml-4 list-disc text-gray-600 dark:text-gray-400">
+                    {day.exercises.map((exercise) => (
+                      <li key={exercise.id}>
+                        {exercise.name} {exercise.sets} x {exercise.reps}
+                        {exercise.target_weight !== undefined
+                          ? ` @ ${formatTargetWeight(exercise, unit)}`
+                          : ' (add reps, then weight)'}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          </details>
+        ))}
+      </div>
+    );
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8">
+      <section
+        aria-labelledby="program-generator-heading"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+      >
+        <h2
+          id="program-generator-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-6"
+        >
+          Generate a Program
+        </h2>
+        <form onSubmit={handleSubmit} noValidate className="space-y-6">
+          {saveError && renderMessage(saveError)}
+
+          <div>
+            <label
+              htmlFor="program_template"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Template
+            </label>
+            <select
+              id="program_template"
+              value={templateId}
+              onChange={handleTemplateChange}
+              disabled={saving}
+              className="block w-full rounded-md border border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+            >
+              {PROGRAM_TEMPLATE_IDS.map((id) => (
+                <option key={id} value={id}>
+                  {PROGRAM_TEMPLATES[id].label}
+                </option>
+              ))}
+            </select>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">{template.summary}</p>
+          </div>
+
+          <InputField
+            id="program_name"
+            name="name"
+            label="Plan Name"
+            value={name}
+            onChange={(event) => {
+              setName(event.target.value);
+              setSaveError(null);
+            }}
+            required
+            disabled={saving}
+          />
+
+          <fieldset disabled={saving}>
+            <legend className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Training maxes ({unit})
+            </legend>
+            <div className="mb-4 mt-1 flex flex-wrap items-center gap-3">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={handleUseEstimates}
+                disabled={recordsLoading || Boolean(recordsError)}
+              >
+                Use {TRAINING_MAX_PERCENT}% of Estimated 1RMs
+              </Button>
+              {estimateNotice && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{estimateNotice}</p>
+              )}
+            </div>
+            <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+              {PROGRAM_LIFTS.map((lift) => (
+                <InputField
+                  key={lift.id}
+                  id={`program_max_${lift.id}`}
+                  name={lift.id}
+                  label={lift.name}
+                  type="number"
+                  value={maxInputs[lift.id]}
+                  onChange={handleMaxChange}
+                  min="0"
+                  step="any"
+                  required
+                />
+              ))}
+            </div>
+          </fieldset>
+
+          <div>
+            <h3 className="mb-2 text-lg font-medium text-gray-800 dark:text-gray-200">Preview</h3>
+            {renderPreview()}
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-3">
+            <Button variant="secondary" onClick={() => navigate('/')} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Create Plan'}
+            </Button>
+          </div>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default ProgramGeneratorPage;
@@ -1,40 +1,81 @@
-import React, { useState, useEffect, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from 'react';
 import { useAuth } from '../context/AuthContext.jsx';
+import { useOfflineQueue } from '../context/OfflineQueueContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useRestTimer } from '../context/RestTimerContext.jsx';
 import {
   fetchProgressHistory,
-  logWorkoutProgress,
+  fetchWorkoutPlan,
+  updateProgressLog,
+  deleteProgressLog,
 } from '../services/workoutService.js';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll.js';
+import { useRecentLogs } from '../hooks/useRecentLogs.js';
+import { usePersonalRecords } from '../hooks/usePersonalRecords.js';
+import HistoryFilters, { EMPTY_HISTORY_FILTERS } from '../components/HistoryFilters.jsx';
+import ProgressLogCard from '../components/ProgressLogCard.jsx';
+import SetRowsInput from '../components/SetRowsInput.jsx';
+import LegacyRepsReview from '../components/LegacyRepsReview.jsx';
+import NameMergeTool from '../components/NameMergeTool.jsx';
+import DataExportPanel from '../components/DataExportPanel.jsx';
+import ImportWizard from '../components/ImportWizard.jsx';
+import RecommendationNote from '../components/RecommendationNote.jsx';
+import PersonalRecordsTable from '../components/PersonalRecordsTable.jsx';
+import ExerciseProgressCharts from '../components/ExerciseProgressCharts.jsx';
+import ExerciseCombobox from '../components/ExerciseCombobox.jsx';
+import RestTimerControls from '../components/RestTimerControls.jsx';
+import PlateCalculator from '../components/PlateCalculator.jsx';
+import { createEmptyLogForm, parseLogForm } from '../utils/progressLogForm.js';
+import { recommendNextSession, recommendationToSetRows } from '../utils/overload.js';
+import { findPlanExercise } from '../utils/restTimer.js';
+import { formatNewRecordsMessage } from '../utils/records.js';
 import { InputField } from '../components/InputField.jsx'; // Assuming InputField handles standard input types
 import { Button } from '../components/Button.jsx';
-import { format } from 'date-fns';
 
 /**
  * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
  * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../components/HistoryFilters.jsx').HistoryFilterValues} HistoryFilterValues
  * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
  */
 
 /**
- * @typedef {object} FormDataState
- * @property {string} workout_name
- * @property {string} exercise_name
- * @property {string} sets_completed // Store as string from input, parse on submit
- * @property {string} reps_achieved
- * @property {string} workout_date // YYYY-MM-DD format
- * @property {string} weight_used // Store as string from input, parse on submit (optional)
+ * @typedef {import('../utils/progressLogForm.js').LogFormState} FormDataState
  */
 
+/**
+ * Orders history entries the same way `fetchProgressHistory` does:
+ * newest workout date first, then newest creation time first.
+ *
+ * @param {ProgressLog} a - First log entry.
+ * @param {ProgressLog} b - Second log entry.
+ * @returns {number} Sort comparison result.
+ */
+const compareHistoryEntries = (a, b) =>
+  b.workout_date.localeCompare(a.workout_date) ||
+  (b.created_at ?? '').localeCompare(a.created_at ?? '');
+
 /**
  * ProgressPage Component
  *
  * Protected page where authenticated users can view their workout history
  * and log new workout session details. Handles data fetching, form submission,
- * loading states, and error display.
+ * loading states, and error display. When the exercise being logged is part of the
+ * active plan, the form shows a progressive overload suggestion that can be applied.
+ * Personal records are computed from the whole history: new ones are announced after
+ * logging and flagged on the history cards, and the same history feeds the per-exercise
+ * progress charts. That history is cached and updated with each saved, edited or deleted
+ * log; only imports and name clean-ups download it again.
  * Assumes route protection is handled externally (e.g., via RequireAuth).
  */
 function ProgressPage() {
   // --- Context ---
   const { user } = useAuth();
+  const { queuedLogs, isOnline, lastSyncedAt, submitLog, retryLog, discardLog } =
+    useOfflineQueue();
+  const { preferences } = usePreferences();
+  const { startRest } = useRestTimer();
 
   // --- State ---
   /** @type {[ProgressLog[] | null, React.Dispatch<React.SetStateAction<ProgressLog[] | null>>]} */
@@ -43,26 +84,77 @@ function ProgressPage() {
   const [historyLoading, setHistoryLoading] = useState(true);
   /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
   const [historyError, setHistoryError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [historyHasMore, setHistoryHasMore] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [historyLoadingMore, setHistoryLoadingMore] = useState(false);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  /** @type {[HistoryFilterValues, React.Dispatch<React.SetStateAction<HistoryFilterValues>>]} */
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS);
+  // Incremented on every first-page load so responses for outdated filters are ignored
+  const historyRequestIdRef = useRef(0);
 
-  // Use a simplified default date (today)
-  const todayISO = new Date().toISOString().split('T')[0];
+  // Form starts blank with the date defaulted to today
   /** @type {[FormDataState, React.Dispatch<React.SetStateAction<FormDataState>>]} */
-  const [formData, setFormData] = useState({
-    workout_name: '',
-    exercise_name: '',
-    sets_completed: '',
-    reps_achieved: '',
-    workout_date: todayISO,
-    weight_used: '',
-  });
+  const [formData, setFormData] = useState(createEmptyLogForm);
   /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
   const [logLoading, setLogLoading] = useState(false);
   /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
   const [logError, setLogError] = useState(null);
   /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
   const [localValidationError, setLocalValidationError] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [logNotice, setLogNotice] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showLegacyReview, setShowLegacyReview] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showNameMerge, setShowNameMerge] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showExport, setShowExport] = useState(false);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [showImport, setShowImport] = useState(false);
+  // Each request gets a new id so opening the calculator for another weight starts it afresh
+  /** @type {[{ id: number; weight: number | null } | null, React.Dispatch<React.SetStateAction<{ id: number; weight: number | null } | null>>]} */
+  const [plateRequest, setPlateRequest] = useState(null);
+  const plateCalculatorRef = useRef(null);
+
+  // Active plan and recent logs, used for progression suggestions in the log form
+  /** @type {[WorkoutPlan | null, React.Dispatch<React.SetStateAction<WorkoutPlan | null>>]} */
+  const [activePlan, setActivePlan] = useState(null);
+  const { logs: recentLogs, error: recentLogsError, reload: reloadRecentLogs } = useRecentLogs();
+
+  // Personal records over the whole history
+  const {
+    exercises: recordExercises,
+    newRecordsByLog,
+    logs: allLogs,
+    loading: recordsLoading,
+    error: recordsError,
+    reload: reloadRecords,
+    upsertLogs: upsertRecordLogs,
+    removeLog: removeRecordLog,
+    findNewRecords,
+  } = usePersonalRecords();
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [recordNotice, setRecordNotice] = useState(null);
+
+  // The active plan's entry for the exercise in the log form, if any
+  const planExercise = useMemo(
+    () => findPlanExercise(activePlan?.exercises, formData.exercise_name),
+    [activePlan, formData.exercise_name],
+  );
+
+  const recommendation = useMemo(
+    () =>
+      planExercise && !recentLogsError
+        ? recommendNextSession(planExercise, recentLogs, preferences.weight_unit)
+        : null,
+    [planExercise, recentLogs, recentLogsError, preferences.weight_unit],
+  );
 
   // --- Data Fetching Logic (Wrapped in useCallback) ---
+  // Loads the first page of history for the applied filters, replacing any loaded pages.
   const loadHistory = useCallback(async () => {
     if (!user?.id) {
       console.warn('ProgressPage: Attempted history fetch without user ID.');
@@ -71,12 +163,22 @@ function ProgressPage() {
       return;
     }
 
+    const requestId = ++historyRequestIdRef.current;
     setHistoryLoading(true);
     setHistoryError(null); // Clear previous errors
+    setLoadMoreError(null);
 
     try {
       console.log(`ProgressPage: Fetching history for user ${user.id}...`);
-      const { data, error: fetchError } = await fetchProgressHistory(user.id);
+      const {
+        data,
+        error: fetchError,
+        hasMore,
+      } = await fetchProgressHistory(user.id, { ...historyFilters, offset: 0 });
+
+      if (requestId !== historyRequestIdRef.current) {
+        return; // A newer request (e.g. different filters) superseded this one
+      }
 
       if (fetchError) {
         console.error(
@@ -85,14 +187,19 @@ function ProgressPage() {
         );
         setHistoryError(fetchError);
         setHistoryData(null);
+        setHistoryHasMore(false);
       } else {
         // Data is expected to be an array (possibly empty) if no error
         setHistoryData(data);
+        setHistoryHasMore(hasMore);
         console.log(
           `ProgressPage: Workout history fetched successfully. Found ${data?.length || 0} logs.`,
         );
       }
     } catch (catchError) {
+      if (requestId !== historyRequestIdRef.current) {
+        return;
+      }
       console.error(
         'ProgressPage: Unexpected error fetching workout history:',
         catchError,
@@ -103,16 +210,106 @@ function ProgressPage() {
           : new Error('An unexpected error occurred fetching history.'),
       );
       setHistoryData(null);
+      setHistoryHasMore(false);
     } finally {
-      setHistoryLoading(false);
+      if (requestId === historyRequestIdRef.current) {
+        setHistoryLoading(false);
+      }
     }
-  }, [user?.id]); // Dependency: user ID
+  }, [user?.id, historyFilters]); // Dependencies: user ID and applied filters
+
+  // Appends the next page of history, starting after the entries already loaded.
+  const loadMoreHistory = useCallback(async () => {
+    if (!user?.id || !historyData || historyLoading || historyLoadingMore) {
+      return;
+    }
+
+    const requestId = historyRequestIdRef.current;
+    setHistoryLoadingMore(true);
+    setLoadMoreError(null);
+
+    try {
+      const {
+        data,
+        error: fetchError,
+        hasMore,
+      } = await fetchProgressHistory(user.id, {
+        ...historyFilters,
+        offset: historyData.length,
+      });
+
+      if (requestId !== historyRequestIdRef.current) {
+        return; // Filters changed while this page was loading
+      }
+
+      if (fetchError) {
+        console.error('ProgressPage: Failed to fetch more history:', fetchError);
+        setLoadMoreError(fetchError); // Keep hasMore so the user can retry
+      } else {
+        setHistoryData((prevData) => {
+          // Skip entries already present in case rows shifted between page requests
+          const loadedIds = new Set((prevData ?? []).map((log) => log.id));
+          return [...(prevData ?? []), ...data.filter((log) => !loadedIds.has(log.id))];
+        });
+        setHistoryHasMore(hasMore);
+      }
+    } catch (catchError) {
+      console.error('ProgressPage: Unexpected error fetching more history:', catchError);
+      setLoadMoreError(
+        catchError instanceof Error
+          ? catchError
+          : new Error('An unexpected error occurred fetching more history.'),
+      );
+    } finally {
+      setHistoryLoadingMore(false);
+    }
+  }, [user?.id, historyData, historyFilters, historyLoading, historyLoadingMore]);
+
+  const historySentinelRef = useInfiniteScroll({
+    onLoadMore: loadMoreHistory,
+    hasMore: historyHasMore && !loadMoreError,
+    loading: historyLoading || historyLoadingMore,
+  });
+
+  // Applying new filters changes loadHistory, which the effect below re-runs
+  const handleApplyFilters = useCallback((filters) => {
+    setHistoryFilters(filters);
+  }, []);
 
   // --- Initial Data Fetching Effect ---
   useEffect(() => {
     loadHistory();
   }, [loadHistory]); // Run loadHistory when the component mounts or loadHistory function changes (due to user.id)
 
+  // --- Active Plan Effect ---
+  // Suggestions are optional, so a failed fetch is only logged.
+  useEffect(() => {
+    if (!user?.id) {
+      return undefined;
+    }
+    let isMounted = true;
+    fetchWorkoutPlan(user.id).then(({ data, error }) => {
+      if (!isMounted) return;
+      if (error) {
+        console.error('ProgressPage: Failed to fetch active plan for suggestions:', error);
+      }
+      setActivePlan(data ?? null);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, [user?.id]);
+
+  // --- Offline Queue Sync Effect ---
+  // Reload history once queued logs have been synced so they appear as regular entries.
+  // The records' history receives the synced rows from the offline queue itself.
+  useEffect(() => {
+    if (lastSyncedAt > 0) {
+      loadHistory();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastSyncedAt]); // Only react to completed syncs, not to filter changes
+
   // --- Form Change Handler ---
   const handleFormChange = (event) => {
     const { name, value } = event.target;
@@ -128,6 +325,23 @@ function ProgressPage() {
     if (logError) {
       setLogError(null);
     }
+    if (logNotice) {
+      setLogNotice(null);
+    }
+    if (recordNotice) {
+      setRecordNotice(null);
+    }
+  };
+
+  // --- Set Rows Change Handler ---
+  const handleSetsChange = (sets) => {
+    setFormData((prevData) => ({ ...prevData, sets }));
+    if (localValidationError) {
+      setLocalValidationError(null);
+    }
+    if (logError) {
+      setLogError(null);
+    }
   };
 
   // --- Form Submission Handler ---
@@ -136,46 +350,19 @@ function ProgressPage() {
       event.preventDefault();
       setLocalValidationError(null); // Clear previous validation errors
       setLogError(null); // Clear previous submission errors
+      setLogNotice(null);
+      setRecordNotice(null);
 
       // --- Client-side Validation ---
-      const {
-        workout_name,
-        exercise_name,
-        sets_completed,
-        reps_achieved,
-        workout_date,
-        weight_used,
-      } = formData;
-
-      if (
-        !workout_name.trim() ||
-        !exercise_name.trim() ||
-        !sets_completed.trim() || // Check string before parsing
-        !reps_achieved.trim() ||
-        !workout_date.trim()
-      ) {
-        setLocalValidationError(
-          'Workout Name, Exercise Name, Sets, Reps, and Date are required.',
-        );
+      const { data: logDataPayload, error: validationError } = parseLogForm(
+        formData,
+        preferences.weight_unit,
+      );
+      if (validationError) {
+        setLocalValidationError(validationError);
         return;
       }
 
-      // Validate and parse numeric fields
-      const setsParsed = parseInt(sets_completed, 10);
-      if (isNaN(setsParsed) || setsParsed < 0) {
-         setLocalValidationError('Sets completed must be a non-negative number.');
-         return;
-      }
-
-      let weightParsed = null;
-      if (weight_used.trim() !== '') {
-         weightParsed = parseFloat(weight_used); // Use parseFloat for potential decimal weights
-         if (isNaN(weightParsed) || weightParsed < 0) {
-           setLocalValidationError('Weight used must be a non-negative number if provided.');
-           return;
-         }
-      }
-
       if (!user?.id) {
         setLocalValidationError('Cannot log progress: User not identified.');
         console.error('ProgressPage: Submit failed, user ID missing.');
@@ -184,39 +371,37 @@ function ProgressPage() {
 
       setLogLoading(true);
 
-      /** @type {LogData} */
-      const logDataPayload = {
-        workout_name: workout_name.trim(),
-        exercise_name: exercise_name.trim(),
-        sets_completed: setsParsed,
-        reps_achieved: reps_achieved.trim(),
-        workout_date: workout_date, // Already in YYYY-MM-DD format
-        weight_used: weightParsed, // Use parsed number or null
-      };
-
       console.log('ProgressPage: Submitting new log...', logDataPayload);
 
       try {
-        const { data, error: submitError } = await logWorkoutProgress(
-          user.id,
-          logDataPayload,
-        );
+        // submitLog falls back to the offline queue when Supabase is unreachable
+        const { data, error: submitError, queued } = await submitLog(logDataPayload);
+
+        if (!submitError && preferences.rest_timer_auto_start) {
+          // Saved or queued, the sets are done: time the rest before the next exercise
+          startRest(logDataPayload.exercise_name, planExercise);
+        }
 
         if (submitError) {
           console.error('ProgressPage: Failed to log workout:', submitError);
           setLogError(submitError);
+        } else if (queued) {
+          console.log('ProgressPage: Workout queued for sync while offline.');
+          setFormData(createEmptyLogForm());
+          setLogNotice(
+            'You appear to be offline. The exercise was saved on this device and will sync automatically.',
+          );
         } else {
           console.log('ProgressPage: Workout logged successfully:', data);
           // Reset form to initial state (including date)
-          setFormData({
-            workout_name: '',
-            exercise_name: '',
-            sets_completed: '',
-            reps_achieved: '',
-            workout_date: todayISO,
-            weight_used: '',
-          });
-          // Refetch history to show the new log
+          setFormData(createEmptyLogForm());
+          // Compare the saved row with the history loaded before it to announce new records
+          if (data?.length && !recordsLoading && !recordsError) {
+            setRecordNotice(formatNewRecordsMessage(findNewRecords(data)));
+          }
+          // Refetch history to show the new log and recent logs to include it; records take the row
+          reloadRecentLogs();
+          upsertRecordLogs(data ?? []);
           await loadHistory(); // Await ensures loading state updates correctly if needed
         }
       } catch (catchError) {
@@ -233,9 +418,65 @@ function ProgressPage() {
         setLogLoading(false);
       }
     },
-    [formData, user?.id, loadHistory, todayISO], // Include loadHistory and todayISO
+    [
+      formData,
+      user?.id,
+      loadHistory,
+      submitLog,
+      preferences,
+      reloadRecentLogs,
+      findNewRecords,
+      recordsLoading,
+      recordsError,
+      upsertRecordLogs,
+      startRest,
+      planExercise,
+    ], // Include loadHistory, submitLog, the preferences, the record data and the rest timer inputs
+  );
+
+  // --- History Entry Edit/Delete Handlers ---
+  // Both update the loaded pages in place instead of refetching the whole history.
+  const handleUpdateLog = useCallback(
+    async (logId, logData) => {
+      const { data, error } = await updateProgressLog(user?.id, logId, logData);
+      if (!error && data) {
+        setHistoryData((prevData) =>
+          (prevData ?? [])
+            .map((log) => (log.id === logId ? data : log))
+            .sort(compareHistoryEntries),
+        );
+        upsertRecordLogs([data]);
+      }
+      return { error };
+    },
+    [user?.id, upsertRecordLogs],
+  );
+
+  const handleDeleteLog = useCallback(
+    async (logId) => {
+      const { error } = await deleteProgressLog(user?.id, logId);
+      if (!error) {
+        setHistoryData((prevData) => (prevData ?? []).filter((log) => log.id !== logId));
+        removeRecordLog(logId);
+      }
+      return { error };
+    },
+    [user?.id, removeRecordLog],
   );
 
+  // --- Plate Calculator Handlers ---
+  // Weights come in the preferred unit; the calculator is scrolled into view because
+  // it can be opened from far down the history.
+  const openPlateCalculator = useCallback((weight = null) => {
+    setPlateRequest((previous) => ({ id: (previous?.id ?? 0) + 1, weight }));
+  }, []);
+
+  useEffect(() => {
+    if (plateRequest && plateRequest.weight !== null) {
+      plateCalculatorRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [plateRequest]);
+
   // --- Rendering Functions ---
 
   const renderHistoryLoading = () => (
@@ -259,12 +500,40 @@ function ProgressPage() {
     </div>
   );
 
+  // Renders logs still waiting in the offline queue above the synced history.
+  const renderQueuedLogs = () => {
+    if (queuedLogs.length === 0) {
+      return null;
+    }
+
+    return (
+      <ul className="space-y-4 mb-4" aria-label="Logs waiting to sync">
+        {queuedLogs.map((entry) => (
+          <ProgressLogCard
+            key={entry.clientId}
+            log={{ ...entry.logData, id: entry.clientId, created_at: entry.createdAt }}
+            onSave={handleUpdateLog}
+            onDelete={handleDeleteLog}
+            syncStatus={entry.status}
+            syncError={entry.lastError}
+            onRetry={retryLog}
+            onDiscard={discardLog}
+            onShowPlates={openPlateCalculator}
+          />
+        ))}
+      </ul>
+    );
+  };
+
   const renderHistoryContent = () => {
     if (!historyData || historyData.length === 0) {
+      const isFiltered = Object.values(historyFilters).some((value) => value.trim() !== '');
       return (
         <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-lg shadow">
           <p className="text-gray-600 dark:text-gray-400">
-            No workout logs found. Log your first workout below!
+            {isFiltered
+              ? 'No workout logs match the current filters.'
+              : 'No workout logs found. Log your first workout below!'}
           </p>
         </div>
       );
@@ -274,39 +543,148 @@ function ProgressPage() {
     return (
       <ul className="space-y-4">
         {historyData.map((log) => (
-          <li
+          <ProgressLogCard
             key={log.id}
-            className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 transition hover:shadow-md"
-          >
-            <div className="flex justify-between items-start mb-2">
-              <p className="font-semibold text-lg text-gray-900 dark:text-white">
-                {log.workout_name} - {log.exercise_name}
-              </p>
-              <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
-                {format(new Date(log.workout_date), 'PPP')} {/* More readable format */}
-              </p>
-            </div>
-            <p className="text-gray-700 dark:text-gray-300">
-              <span className="font-medium">Sets:</span> {log.sets_completed} |{' '}
-              <span className="font-medium">Reps:</span> {log.reps_achieved}
-              {log.weight_used !== null && log.weight_used !== undefined && (
-                 <span> | <span className="font-medium">Weight:</span> {log.weight_used}</span>
-               )}
-            </p>
-            {/* Optionally display log.notes if that field exists and is populated */}
-            {/* {log.notes && <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 italic">Notes: {log.notes}</p>} */}
-          </li>
+            log={log}
+            onSave={handleUpdateLog}
+            onDelete={handleDeleteLog}
+            onShowPlates={openPlateCalculator}
+            records={newRecordsByLog.get(log.id)}
+          />
         ))}
       </ul>
     );
   };
 
+  // Renders the infinite scroll sentinel and the state of the next-page fetch.
+  const renderHistoryFooter = () => {
+    if (!historyData || historyData.length === 0) {
+      return null;
+    }
+
+    if (loadMoreError) {
+      return (
+        <div className="mt-4 flex items-center justify-center gap-3" role="alert">
+          <p className="text-sm text-red-700 dark:text-red-300">
+            Could not load more history: {loadMoreError.message}
+          </p>
+          <Button variant="secondary" size="sm" onClick={loadMoreHistory}>
+            Retry
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div ref={historySentinelRef} className="mt-4 text-center">
+        {historyLoadingMore ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 animate-pulse">
+            Loading more...
+          </p>
+        ) : historyHasMore ? (
+          <Button variant="secondary" size="sm" onClick={loadMoreHistory}>
+            Load More
+          </Button>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            You&apos;ve reached the beginning of your history.
+          </p>
+        )}
+      </div>
+    );
+  };
+
   // --- Main Component Render ---
   return (
     <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8 space-y-8">
-      <h2 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-white">
-        Workout Progress
-      </h2>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-white">
+          Workout Progress
+        </h2>
+        <div className="flex flex-wrap gap-2">
+          {!plateRequest && (
+            <Button variant="secondary" size="sm" onClick={() => openPlateCalculator()}>
+              Plate Calculator
+            </Button>
+          )}
+          {!showImport && (
+            <Button variant="secondary" size="sm" onClick={() => setShowImport(true)}>
+              Import Data
+            </Button>
+          )}
+          {!showExport && (
+            <Button variant="secondary" size="sm" onClick={() => setShowExport(true)}>
+              Export Data
+            </Button>
+          )}
+          {!showNameMerge && (
+            <Button variant="secondary" size="sm" onClick={() => setShowNameMerge(true)}>
+              Clean Up Names
+            </Button>
+          )}
+          {!showLegacyReview && (
+            <Button variant="secondary" size="sm" onClick={() => setShowLegacyReview(true)}>
+              Review Legacy Logs
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Plate Calculator: plates per side for a total, from logged or suggested weights */}
+      {plateRequest && (
+        <div ref={plateCalculatorRef} className="scroll-mt-4">
+          <PlateCalculator
+            key={plateRequest.id}
+            initialWeight={plateRequest.weight}
+            onClose={() => setPlateRequest(null)}
+          />
+        </div>
+      )}
+
+      {/* Import Wizard: bring in history from other apps' CSV exports */}
+      {showImport && (
+        <ImportWizard
+          onImported={() => {
+            loadHistory();
+            reloadRecords();
+            reloadRecentLogs();
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {/* Data Export: download logs as CSV/JSON and plans as JSON */}
+      {showExport && <DataExportPanel onClose={() => setShowExport(false)} />}
+
+      {/* Name Merge Tool: rename or alias different spellings of the same name */}
+      {showNameMerge && (
+        <NameMergeTool
+          onChanged={() => {
+            loadHistory();
+            reloadRecords();
+            reloadRecentLogs();
+          }}
+          onClose={() => setShowNameMerge(false)}
+        />
+      )}
+
+      {/* Legacy Reps Review: fix old free-text reps the parser could not read */}
+      {showLegacyReview && (
+        <LegacyRepsReview
+          onSave={handleUpdateLog}
+          onClose={() => setShowLegacyReview(false)}
+        />
+      )}
+
+      {/* Personal Records Section */}
+      <PersonalRecordsTable
+        exercises={recordExercises}
+        loading={recordsLoading}
+        error={recordsError}
+      />
+
+      {/* Progress Charts Section */}
+      <ExerciseProgressCharts logs={allLogs} loading={recordsLoading} error={recordsError} />
 
       {/* History Section */}
       <section aria-labelledby="history-heading">
@@ -316,12 +694,28 @@ function ProgressPage() {
         >
           Workout History
         </h3>
+        {!isOnline && (
+          <p className="mb-4 rounded-md bg-yellow-50 p-3 text-sm text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300" role="status">
+            You are offline. New logs are saved on this device and synced when your connection returns.
+          </p>
+        )}
+        {renderQueuedLogs()}
+        <HistoryFilters
+          filters={historyFilters}
+          onApply={handleApplyFilters}
+          disabled={historyLoading}
+        />
         <div className="mt-4">
           {historyLoading
             ? renderHistoryLoading()
             : historyError
               ? renderHistoryError()
-              : renderHistoryContent()}
+              : (
+                <>
+                  {renderHistoryContent()}
+                  {renderHistoryFooter()}
+                </>
+              )}
         </div>
       </section>
 
@@ -352,6 +746,30 @@ function ProgressPage() {
             </div>
           )}
 
+          {/* Offline Queue Notice */}
+          {logNotice && (
+            <div
+              className="rounded-md border border-yellow-400 bg-yellow-50 p-4 dark:border-yellow-600 dark:bg-yellow-900/30"
+              role="status"
+            >
+              <p className="text-sm font-medium text-yellow-800 dark:text-yellow-300">
+                {logNotice}
+              </p>
+            </div>
+          )}
+
+          {/* New Personal Record Notice */}
+          {recordNotice && (
+            <div
+              className="rounded-md border border-green-400 bg-green-50 p-4 dark:border-green-600 dark:bg-green-900/30"
+              role="status"
+            >
+              <p className="text-sm font-medium text-green-800 dark:text-green-300">
+                {recordNotice}
+              </p>
+            </div>
+          )}
+
           {/* Workout Name */}
           <InputField
             id="workout_name"
@@ -366,61 +784,33 @@ function ProgressPage() {
           />
 
           {/* Exercise Name */}
-           <InputField
-             id="exercise_name"
-             name="exercise_name"
-             label="Exercise Name"
-             type="text"
-             value={formData.exercise_name}
-             onChange={handleFormChange}
-             placeholder="e.g., Bench Press"
-             required
-             disabled={logLoading}
-           />
-
-           <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
-             {/* Sets Completed */}
-             <InputField
-               id="sets_completed"
-               name="sets_completed"
-               label="Sets Completed"
-               type="number"
-               value={formData.sets_completed}
-               onChange={handleFormChange}
-               placeholder="e.g., 3"
-               required
-               min="0" // HTML5 validation attribute
-               disabled={logLoading}
-             />
-
-             {/* Reps Achieved */}
-             <InputField
-               id="reps_achieved"
-               name="reps_achieved"
-               label="Reps Achieved"
-               type="text" // Keep as text to allow formats like "10, 9, 8"
-               value={formData.reps_achieved}
-               onChange={handleFormChange}
-               placeholder="e.g., 10, 9, 8 or 12"
-               required
-               disabled={logLoading}
-             />
-
-             {/* Weight Used (Optional) */}
-              <InputField
-                id="weight_used"
-                name="weight_used"
-                label="Weight Used (Optional)"
-                type="number"
-                value={formData.weight_used}
-                onChange={handleFormChange}
-                placeholder="e.g., 135"
-                min="0"
-                step="any" // Allow decimal weights
-                disabled={logLoading}
-              />
-           </div>
+          <ExerciseCombobox
+            id="exercise_name"
+            name="exercise_name"
+            label="Exercise Name"
+            value={formData.exercise_name}
+            onChange={handleFormChange}
+            placeholder="e.g., Bench Press"
+            required
+            disabled={logLoading}
+          />
 
+          {/* Progressive overload suggestion for exercises in the active plan */}
+          <RecommendationNote
+            recommendation={recommendation}
+            onApply={(suggestion) => handleSetsChange(recommendationToSetRows(suggestion))}
+            onShowPlates={openPlateCalculator}
+            className="-mt-4"
+          />
+
+          {/* Per-Set Details: reps, weight and set type for each set */}
+          <SetRowsInput
+            idPrefix="log"
+            rows={formData.sets}
+            onChange={handleSetsChange}
+            weightUnit={preferences.weight_unit}
+            disabled={logLoading}
+          />
 
           {/* Workout Date */}
           <InputField
@@ -461,6 +851,13 @@ function ProgressPage() {
             </Button>
           </div>
         </form>
+
+        {/* Rest Timer: start a rest and edit the rest lengths (outside the form so Enter does not log) */}
+        <RestTimerControls
+          exerciseName={formData.exercise_name}
+          planExercise={planExercise}
+          className="mt-6"
+        />
       </section>
     </div>
   );
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { useOfflineQueue } from '../context/OfflineQueueContext.jsx';
+import { usePreferences } from '../context/PreferencesContext.jsx';
+import { useRestTimer } from '../context/RestTimerContext.jsx';
+import { fetchWorkoutPlanById } from '../services/workoutService.js';
+import { useRecentLogs } from '../hooks/useRecentLogs.js';
+import { usePersonalRecords } from '../hooks/usePersonalRecords.js';
+import {
+  formatTargetWeight,
+  getTargetWeight,
+  recommendNextSession,
+  recommendationToSetRows,
+} from '../utils/overload.js';
+import { namesMatch } from '../utils/names.js';
+import { getPlanDays } from '../utils/schedule.js';
+import { formatRestTime, getRestDuration } from '../utils/restTimer.js';
+import { warmupToSetRows } from '../utils/warmup.js';
+import {
+  convertSessionWeights,
+  createSessionForm,
+  parseSessionForm,
+} from '../utils/workoutSession.js';
+import { formatNewRecordsMessage } from '../utils/records.js';
+import { InputField } from '../components/InputField.jsx';
+import Button from '../components/Button.jsx';
+import SetRowsInput from '../components/SetRowsInput.jsx';
+import RecommendationNote from '../components/RecommendationNote.jsx';
+import WarmupRamp from '../components/WarmupRamp.jsx';
+
+/**
+ * @typedef {import('../utils/workoutSession.js').SessionFormState} SessionFormState
+ * @typedef {import('../utils/progressLogForm.js').SetFormRow} SetFormRow
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ */
+
+/**
+ * WorkoutSessionPage Component
+ *
+ * Logging view for a whole training session, opened with "Start Workout" on the
+ * dashboard (`/plans/:planId/workout`, optionally `?day=<trainingDayId>`). Every
+ * exercise of the plan or training day is listed with its target sets and reps;
+ * the user fills in what they actually did and submits the session at once.
+ * A progressive overload suggestion from recent logs can prefill an exercise's sets,
+ * a warm-up ramp up to the suggested weight can be added as warm-up sets, and a rest
+ * can be timed after each set with the exercise's configured rest length. Exercises
+ * with a prescribed weight (e.g. from a generated program) start with that weight
+ * filled in and warm up to it instead of showing a suggestion.
+ * Personal records set in the session are announced on the dashboard afterwards.
+ * Each performed exercise is saved as its own progress log through the offline
+ * queue, so a session finished without a connection is synced later.
+ * Route protection is assumed to be handled by a wrapper component (e.g., RequireAuth).
+ */
+function WorkoutSessionPage() {
+  // --- Context & Routing ---
+  const { user } = useAuth();
+  const { submitLog } = useOfflineQueue();
+  const { preferences } = usePreferences();
+  const { startRest } = useRestTimer();
+  const { planId } = useParams();
+  const [searchParams] = useSearchParams();
+  const dayId = searchParams.get('day');
+  const navigate = useNavigate();
+  const { logs: recentLogs, error: recentLogsError } = useRecentLogs();
+  const {
+    loading: recordsLoading,
+    error: recordsError,
+    upsertLogs: upsertRecordLogs,
+    findNewRecords,
+  } = usePersonalRecords();
+  const weightUnit = preferences.weight_unit;
+  // Read by the plan loader, which must not reload the plan when the unit changes
+  const weightUnitRef = useRef(weightUnit);
+  weightUnitRef.current = weightUnit;
+
+  // --- State ---
+  /** @type {[SessionFormState | null, React.Dispatch<React.SetStateAction<SessionFormState | null>>]} */
+  const [session, setSession] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isLoading, setIsLoading] = useState(true);
+  /** @type {[PostgrestError | Error | null, React.Dispatch<React.SetStateAction<PostgrestError | Error | null>>]} */
+  const [loadError, setLoadError] = useState(null);
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [submitting, setSubmitting] = useState(false);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [submitError, setSubmitError] = useState(null);
+
+  // --- Data Fetching Effect ---
+  useEffect(() => {
+    if (!user?.id) {
+      return undefined;
+    }
+
+    let isMounted = true; // Flag to prevent state updates after unmount or plan change
+
+    const loadPlan = async () => {
+      setIsLoading(true);
+      setLoadError(null);
+
+      const { data, error } = await fetchWorkoutPlanById(user.id, planId);
+      if (!isMounted) return;
+
+      if (error) {
+        console.error('WorkoutSessionPage: Failed to fetch workout plan:', error);
+        setLoadError(error);
+      } else if (!data) {
+        setLoadError(new Error('This workout plan does not exist.'));
+      } else if (data.archived_at) {
+        setLoadError(new Error('This plan is archived. Restore it to train with it.'));
+      } else {
+        const day = dayId ? getPlanDays(data).find((planDay) => planDay.id === dayId) : null;
+        if (dayId && !day) {
+          setLoadError(new Error('This training day no longer exists in the plan.'));
+        } else {
+          setSession(createSessionForm(data, day, weightUnitRef.current));
+        }
+      }
+      setIsLoading(false);
+    };
+
+    loadPlan();
+    return () => {
+      isMounted = false;
+    };
+  }, [user?.id, planId, dayId]);
+
+  // Weights already in the form, prefilled or typed, follow a change of the preferred unit
+  useEffect(() => {
+    setSession((prevSession) =>
+      prevSession && prevSession.weight_unit !== weightUnit
+        ? convertSessionWeights(prevSession, weightUnit)
+        : prevSession,
+    );
+  }, [weightUnit]);
+
+  // --- Event Handlers ---
+
+  const handleSessionChange = (event) => {
+    const { name, value } = event.target;
+    setSession((prevSession) => ({ ...prevSession, [name]: value }));
+    setSubmitError(null);
+  };
+
+  /**
+   * Updates the actual sets of one exercise.
+   * @param {string} key - The entry key.
+   * @param {SetFormRow[]} sets - The new set rows.
+   */
+  const handleEntrySetsChange = (key, sets) => {
+    setSession((prevSession) => ({
+      ...prevSession,
+      entries: prevSession.entries.map((entry) => (entry.key === key ? { ...entry, sets } : entry)),
+    }));
+    setSubmitError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const { data: performed, error: validationError } = parseSessionForm(
+      session,
+      session.weight_unit,
+    );
+    if (validationError) {
+      setSubmitError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    setSubmitError(null);
+
+    // Save exercise by exercise; saved ones leave the form so a retry only resends the rest
+    const failures = [];
+    const savedKeys = new Set();
+    const savedRows = [];
+    for (const { key, logData } of performed) {
+      const { data, error } = await submitLog(logData);
+      if (error) {
+        console.error('WorkoutSessionPage: Failed to log exercise:', error);
+        failures.push(`${logData.exercise_name}: ${error.message || 'Failed to save.'}`);
+      } else {
+        savedKeys.add(key);
+        savedRows.push(...(data ?? [])); // Queued logs have no row yet
+      }
+    }
+
+    setSubmitting(false);
+    if (failures.length > 0) {
+      upsertRecordLogs(savedRows);
+      setSession((prevSession) => ({
+        ...prevSession,
+        entries: prevSession.entries.filter((entry) => !savedKeys.has(entry.key)),
+      }));
+      setSubmitError(`Some exercises could not be saved. ${failures.join(' ')}`);
+      return;
+    }
+
+    // Back to the dashboard, which re-checks today's logged status and shows new records
+    const recordNotice =
+      savedRows.length > 0 && !recordsLoading && !recordsError
+        ? formatNewRecordsMessage(findNewRecords(savedRows))
+        : null;
+    upsertRecordLogs(savedRows);
+    navigate('/', { state: { planId, recordNotice } });
+  };
+
+  // --- Rendering Functions ---
+
+  // Renders the loading state UI.
+  const renderLoading = () => (
+    <div className="flex justify-center items-center p-8">
+      <p className="text-center text-gray-500 dark:text-gray-400 animate-pulse">
+        Preparing your workout...
+      </p>
+    </div>
+  );
+
+  // Renders an error box.
+  const renderMessage = (message) => (
+    <div
+      className="rounded-md border border-red-400 bg-red-50 p-4 dark:border-red-600 dark:bg-red-900/30"
+      role="alert"
+    >
+      <p className="text-sm font-medium text-red-700 dark:text-red-300">{message}</p>
+    </div>
+  );
+
+  // Renders an exercise's next-session suggestion and the warm-up up to its weight.
+  // Added warm-ups replace earlier warm-up rows and go before the other sets; applying the
+  // suggestion keeps the warm-ups. Entries with a prescribed weight get no suggestion, and
+  // only the first entry of an exercise gets a warm-up.
+  const renderSuggestion = (entry) => {
+    const targetWeight = getTargetWeight(entry.plan_exercise, weightUnit);
+    if (targetWeight !== null) {
+      const isFirstOfExercise =
+        session.entries.find((item) => namesMatch(item.exercise_name, entry.exercise_name))?.key ===
+        entry.key;
+      return isFirstOfExercise ? (
+        <WarmupRamp
+          workingWeight={targetWeight}
+          className="mb-3"
+          onAdd={(warmupSets) =>
+            handleEntrySetsChange(entry.key, [
+              ...warmupToSetRows(warmupSets),
+              ...entry.sets.filter((set) => set.set_type !== 'warmup'),
+            ])
+          }
+        />
+      ) : null;
+    }
+
+    const recommendation = recommendNextSession(
+      entry.plan_exercise,
+      recentLogs,
+      weightUnit,
+    );
+    return (
+      <div className="mb-3 space-y-2">
+        <RecommendationNote
+          recommendation={recommendation}
+          onApply={(suggestion) =>
+            handleEntrySetsChange(entry.key, [
+              ...entry.sets.filter((set) => set.set_type === 'warmup'),
+              ...recommendationToSetRows(suggestion),
+            ])
+          }
+        />
+        <WarmupRamp
+          workingWeight={recommendation?.weight ?? null}
+          onAdd={(warmupSets) =>
+            handleEntrySetsChange(entry.key, [
+              ...warmupToSetRows(warmupSets),
+              ...entry.sets.filter((set) => set.set_type !== 'warmup'),
+            ])
+          }
+        />
+      </div>
+    );
+  };
+
+  // Renders the session form.
+  const renderForm = () => (
+    // Set rows without reps are allowed (sets not performed), so native validation is off
+    <form onSubmit={handleSubmit} noValidate className="space-y-6">
+      {submitError && renderMessage(submitError)}
+
+      <div className="grid grid-cols-1 gap-x-4 sm:grid-cols-2">
+        <InputField
+          id="session_workout_name"
+          name="workout_name"
+          label="Workout Name"
+          value={session.workout_name}
+          onChange={handleSessionChange}
+          required
+          disabled={submitting}
+        />
+        <InputField
+          id="session_workout_date"
+          name="workout_date"
+          label="Workout Date"
+          type="date"
+          value={session.workout_date}
+          onChange={handleSessionChange}
+          required
+          disabled={submitting}
+        />
+      </div>
+
+      {session.entries.length === 0 ? (
+        <p className="text-center text-gray-500 dark:text-gray-400">
+          This workout has no exercises.
+        </p>
+      ) : (
+        session.entries.map((entry) => (
+          <section
+            key={entry.key}
+            aria-label={entry.exercise_name}
+            className="rounded-md border border-gray-200 p-4 dark:border-gray-700"
+          >
+            <div className="mb-2 flex flex-wrap items-baseline justify-between gap-2">
+              <h3 className="font-medium text-gray-900 dark:text-white">{entry.exercise_name}</h3>
+              <div className="flex items-center gap-3">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Target: {entry.target_sets} x {entry.target_reps}
+                  {getTargetWeight(entry.plan_exercise, weightUnit) !== null &&
+                    ` @ ${formatTargetWeight(entry.plan_exercise, weightUnit)}`}
+                </p>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => startRest(entry.exercise_name, entry.plan_exercise)}
+                  disabled={submitting}
+                >
+                  Rest{' '}
+                  {formatRestTime(
+                    getRestDuration(entry.exercise_name, entry.plan_exercise, preferences).seconds,
+                  )}
+                </Button>
+              </div>
+            </div>
+            {!recentLogsError && renderSuggestion(entry)}
+            <SetRowsInput
+              idPrefix={`session_${entry.key}`}
+              rows={entry.sets}
+              onChange={(sets) => handleEntrySetsChange(entry.key, sets)}
+              weightUnit={weightUnit}
+              disabled={submitting}
+            />
+          </section>
+        ))
+      )}
+
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Sets left without reps are not logged; exercises without any logged set are skipped.
+      </p>
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <Button variant="secondary" onClick={() => navigate('/')} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={submitting || session.entries.length === 0}>
+          {submitting ? 'Saving...' : 'Finish Workout'}
+        </Button>
+      </div>
+    </form>
+  );
+
+  const renderBody = () => {
+    if (isLoading) {
+      return renderLoading();
+    }
+    if (loadError) {
+      return renderMessage(`Cannot start this workout: ${loadError.message}`);
+    }
+    return renderForm();
+  };
+
+  // --- Main Component Render ---
+  return (
+    <div className="max-w-4xl mx-auto p-4 md:p-6 lg:p-8">
+      <section
+        aria-labelledby="workout-session-heading"
+        className="bg-white dark:bg-gray-800 rounded-lg shadow p-6"
+      >
+        <h2
+          id="workout-session-heading"
+          className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-6"
+        >
+          Workout Session
+        </h2>
+        {renderBody()}
+      </section>
+    </div>
+  );
+}
+
+export default WorkoutSessionPage;
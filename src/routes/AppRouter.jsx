@@ -3,6 +3,12 @@ import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import AuthPage from '../pages/AuthPage.jsx';
 import DashboardPage from '../pages/DashboardPage.jsx';
 import ProgressPage from '../pages/ProgressPage.jsx';
+import PlanEditorPage from '../pages/PlanEditorPage.jsx';
+import ProgramGeneratorPage from '../pages/ProgramGeneratorPage.jsx';
+import WorkoutSessionPage from '../pages/WorkoutSessionPage.jsx';
+import AnalyticsPage from '../pages/AnalyticsPage.jsx';
+import CalendarPage from '../pages/CalendarPage.jsx';
+import BodyMetricsPage from '../pages/BodyMetricsPage.jsx';
 import { useAuth } from '../context/AuthContext.jsx'; // Assuming AuthContext exports useAuth
 
 /**
@@ -55,7 +61,7 @@ function RequireAuth({ children }) {
  * component to protect routes that necessitate user authentication.
  *
  * Includes routes for authentication, the main dashboard, progress tracking,
- * and a fallback route for handling undefined paths (404 Not Found).
+ * creating and editing workout plans, generating programs from templates, logging a session from a plan, training analytics, the training calendar, body metrics, and a fallback route for handling undefined paths (404 Not Found).
  */
 function AppRouter() {
   return (
@@ -82,6 +88,71 @@ function AppRouter() {
           </RequireAuth>
         }
       />
+      {/* Workout plan builder routes */}
+      <Route
+        path="/plans/new"
+        element={
+          <RequireAuth>
+            <PlanEditorPage />
+          </RequireAuth>
+        }
+      />
+      {/* Program generator route: builds a plan from a template and training maxes */}
+      <Route
+        path="/plans/generate"
+        element={
+          <RequireAuth>
+            <ProgramGeneratorPage />
+          </RequireAuth>
+        }
+      />
+      <Route
+        path="/plans/:planId/edit"
+        element={
+          <RequireAuth>
+            <PlanEditorPage />
+          </RequireAuth>
+        }
+      />
+      {/* Workout session logging route (optional ?day=<trainingDayId>) */}
+      <Route
+        path="/plans/:planId/workout"
+        element={
+          <RequireAuth>
+            <WorkoutSessionPage />
+          </RequireAuth>
+        }
+      />
+
+      {/* Training volume analytics route */}
+      <Route
+        path="/analytics"
+        element={
+          <RequireAuth>
+            <AnalyticsPage />
+          </RequireAuth>
+        }
+      />
+
+      {/* Training calendar heatmap and streaks route */}
+      <Route
+        path="/calendar"
+        element={
+          <RequireAuth>
+            <CalendarPage />
+          </RequireAuth>
+        }
+      />
+
+      {/* Bodyweight, body fat and measurements route */}
+      <Route
+        path="/body"
+        element={
+          <RequireAuth>
+            <BodyMetricsPage />
+          </RequireAuth>
+        }
+      />
 
       {/* Fallback Route: Catches any undefined paths */}
       <Route
@@ -0,0 +1,236 @@
+import { supabase } from './supabaseClient.js';
+import { validateUserId } from './workoutService.js';
+import { LENGTH_UNITS, WEIGHT_UNITS } from '../utils/units.js';
+import { MEASUREMENT_SITES } from '../utils/bodyMetrics.js';
+
+/**
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ * @typedef {import('../utils/units.js').LengthUnit} LengthUnit
+ * @typedef {import('../utils/bodyMetrics.js').MeasurementSite} MeasurementSite
+ */
+
+/**
+ * @typedef {object} BodyMetricData
+ * @property {string} measured_on - Date of the measurements (YYYY-MM-DD).
+ * @property {number | null} bodyweight - Bodyweight in `weight_unit`, or null if not measured.
+ * @property {WeightUnit} weight_unit - Unit of `bodyweight`.
+ * @property {number | null} body_fat_percent - Estimated body fat percentage, or null.
+ * @property {Partial<Record<MeasurementSite, number>>} circumferences - Circumferences in `length_unit`, by site; sites not measured are left out.
+ * @property {LengthUnit} length_unit - Unit of the circumferences.
+ * @property {string | null} [notes] - Optional free-text notes.
+ */
+
+/**
+ * @typedef {BodyMetricData & { id: string; user_id: string; created_at: string; }} BodyMetric
+ * A stored entry of the `body_metrics` table.
+ */
+
+/**
+ * @typedef {object} BodyMetricsRange
+ * @property {string} [dateFrom] - Inclusive lower bound on `measured_on` (YYYY-MM-DD).
+ * @property {string} [dateTo] - Inclusive upper bound on `measured_on` (YYYY-MM-DD).
+ */
+
+/**
+ * Body Metrics Service Module
+ *
+ * Reads and writes the user's body measurements in the `body_metrics` table:
+ * bodyweight, an estimated body fat percentage and circumference measurements,
+ * one entry per user and date. Saving a date that already has an entry replaces it.
+ * Each entry stores the units it was entered in, like progress logs do.
+ * It relies on the pre-initialized Supabase client instance from './supabaseClient.js'.
+ */
+
+/**
+ * Columns selected for body metric entries.
+ * @type {string}
+ */
+const BODY_METRIC_COLUMNS =
+  'id, user_id, created_at, measured_on, bodyweight, weight_unit, body_fat_percent, circumferences, length_unit, notes';
+
+/**
+ * Checks that a value is a date string in YYYY-MM-DD format.
+ *
+ * @param {unknown} value - The value to check.
+ * @returns {boolean} True for date strings.
+ */
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Checks that a value is a positive number.
+ *
+ * @param {unknown} value - The value to check.
+ * @returns {boolean} True for positive finite numbers.
+ */
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validates body metric data. At least one of bodyweight, body fat or a
+ * circumference must be present.
+ *
+ * @param {BodyMetricData | undefined | null} metricData - The data to validate.
+ * @returns {boolean} True if the data is valid, false otherwise.
+ */
+const validateMetricData = (metricData) => {
+  if (!metricData || typeof metricData !== 'object') {
+    return false;
+  }
+  const { measured_on, bodyweight, weight_unit, body_fat_percent, circumferences, length_unit, notes } =
+    metricData;
+  const hasValidCircumferences =
+    !!circumferences && typeof circumferences === 'object' && !Array.isArray(circumferences) &&
+    Object.entries(circumferences).every(
+      ([site, value]) => MEASUREMENT_SITES.includes(site) && isPositive(value),
+    );
+
+  return (
+    isDateString(measured_on) &&
+    (bodyweight === null || isPositive(bodyweight)) &&
+    WEIGHT_UNITS.includes(weight_unit) &&
+    (body_fat_percent === null ||
+      (typeof body_fat_percent === 'number' && body_fat_percent > 0 && body_fat_percent < 100)) &&
+    hasValidCircumferences &&
+    LENGTH_UNITS.includes(length_unit) &&
+    (notes === undefined || notes === null || typeof notes === 'string') &&
+    (bodyweight !== null || body_fat_percent !== null || Object.keys(circumferences).length > 0)
+  );
+};
+
+/**
+ * Fetches the body metric entries of a user, oldest first.
+ * Assumes RLS is configured on the 'body_metrics' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {BodyMetricsRange} [range={}] - Optional date range.
+ * @returns {Promise<{ data: BodyMetric[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the entries (possibly empty) or an error.
+ * @security Data access relies on Supabase RLS policies for the `body_metrics` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchBodyMetrics = async (userId, { dateFrom, dateTo } = {}) => {
+  if (!validateUserId(userId)) {
+    console.error('Fetch Body Metrics Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if ((dateFrom !== undefined && !isDateString(dateFrom)) || (dateTo !== undefined && !isDateString(dateTo))) {
+    console.error('Fetch Body Metrics Error: Invalid date range provided.', { dateFrom, dateTo });
+    return { data: null, error: new Error('Dates must use the YYYY-MM-DD format.') };
+  }
+
+  try {
+    let query = supabase.from('body_metrics').select(BODY_METRIC_COLUMNS).eq('user_id', userId);
+    if (dateFrom) {
+      query = query.gte('measured_on', dateFrom);
+    }
+    if (dateTo) {
+      query = query.lte('measured_on', dateTo);
+    }
+    const { data, error } = await query.order('measured_on', { ascending: true });
+
+    if (error) {
+      console.error('Supabase Fetch Body Metrics Error:', error.message);
+    }
+
+    return { data: data ?? (error ? null : []), error };
+  } catch (error) {
+    console.error('Unexpected Fetch Body Metrics Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching body metrics.'),
+    };
+  }
+};
+
+/**
+ * Saves the body metrics of a date, replacing any entry already stored for it.
+ * Assumes RLS is configured on the 'body_metrics' table to allow inserts and updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {BodyMetricData} metricData - The measurements to save.
+ * @returns {Promise<{ data: BodyMetric | null; error: PostgrestError | Error | null; }>} - Promise resolving to the stored entry or an error.
+ * @security Data insertion relies on Supabase RLS policies for the `body_metrics` table allowing writes where the `user_id` column matches the authenticated user's ID.
+ */
+export const saveBodyMetric = async (userId, metricData) => {
+  if (!validateUserId(userId)) {
+    console.error('Save Body Metric Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateMetricData(metricData)) {
+    console.error('Save Body Metric Error: Invalid metric data provided.', metricData);
+    return {
+      data: null,
+      error: new Error('A date and at least one valid measurement (positive numbers, body fat below 100%) must be provided.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('body_metrics')
+      .upsert(
+        {
+          user_id: userId,
+          ...metricData,
+          notes: metricData.notes?.trim() || null,
+        },
+        { onConflict: 'user_id,measured_on' },
+      )
+      .select(BODY_METRIC_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Save Body Metric Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Save Body Metric Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while saving body metrics.'),
+    };
+  }
+};
+
+/**
+ * Deletes a body metric entry.
+ * Assumes RLS is configured on the 'body_metrics' table to allow deletes for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {string} metricId - The identifier of the entry to delete.
+ * @returns {Promise<{ error: PostgrestError | Error | null; }>} - Promise resolving to a null error on success, or the error encountered.
+ * @security Data deletion relies on Supabase RLS policies for the `body_metrics` table allowing deletes where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const deleteBodyMetric = async (userId, metricId) => {
+  if (!validateUserId(userId)) {
+    console.error('Delete Body Metric Error: Invalid userId provided.');
+    return { error: new Error('User ID is required and must be a non-empty string.') };
+  }
+  if (!metricId || typeof metricId !== 'string' || metricId.trim() === '') {
+    console.error('Delete Body Metric Error: Invalid metricId provided.');
+    return { error: new Error('Metric ID is required and must be a non-empty string.') };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('body_metrics')
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', metricId);
+
+    if (error) {
+      console.error('Supabase Delete Body Metric Error:', error.message);
+    }
+
+    return { error };
+  } catch (error) {
+    console.error('Unexpected Delete Body Metric Runtime Error:', error);
+    return {
+      error: new Error('An unexpected error occurred while deleting body metrics.'),
+    };
+  }
+};
@@ -0,0 +1,183 @@
+import { supabase } from './supabaseClient.js';
+import { validateUserId } from './workoutService.js';
+import { EQUIPMENT_TYPES } from '../utils/exerciseCatalog.js';
+import { MUSCLE_GROUPS } from '../utils/muscleGroups.js';
+
+/**
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('../utils/exerciseCatalog.js').Equipment} Equipment
+ * @typedef {import('../utils/muscleGroups.js').MuscleGroup} MuscleGroup
+ */
+
+/**
+ * @typedef {object} CustomExercise
+ * @property {string} id - Unique identifier of the custom exercise.
+ * @property {string} user_id - Identifier of the user who added it.
+ * @property {string} created_at - Timestamp when the exercise was added.
+ * @property {string} name - Exercise name, as stored in logs and plans.
+ * @property {string[]} aliases - Other names the exercise is known by.
+ * @property {MuscleGroup[]} primary_muscles - Muscle groups mainly trained.
+ * @property {MuscleGroup[]} secondary_muscles - Muscle groups trained as assistance.
+ * @property {Equipment} equipment - Main equipment used.
+ * @property {boolean} is_unilateral - True if one side is trained at a time.
+ * @property {boolean} is_bodyweight - True if the movement is done with bodyweight.
+ */
+
+/**
+ * @typedef {object} CustomExerciseInput
+ * @property {string} name - Exercise name (required, at most `MAX_EXERCISE_NAME_LENGTH` characters).
+ * @property {string[]} [aliases=[]] - Other names.
+ * @property {MuscleGroup[]} primary_muscles - At least one primary muscle group.
+ * @property {MuscleGroup[]} [secondary_muscles=[]] - Secondary muscle groups.
+ * @property {Equipment} equipment - Main equipment used.
+ * @property {boolean} [is_unilateral=false] - True if one side is trained at a time.
+ * @property {boolean} [is_bodyweight=false] - True if the movement is done with bodyweight.
+ */
+
+/**
+ * Exercise Service Module
+ *
+ * Reads and writes the user's custom exercises in the `custom_exercises` table.
+ * Together with the built-in library in `utils/exerciseCatalog.js` they form the
+ * exercise catalog offered when logging.
+ * It relies on the pre-initialized Supabase client instance from './supabaseClient.js'.
+ */
+
+/**
+ * Maximum length of a custom exercise name.
+ * @type {number}
+ */
+export const MAX_EXERCISE_NAME_LENGTH = 100;
+
+/**
+ * Columns selected for custom exercises.
+ * @type {string}
+ */
+const CUSTOM_EXERCISE_COLUMNS =
+  'id, user_id, created_at, name, aliases, primary_muscles, secondary_muscles, equipment, is_unilateral, is_bodyweight';
+
+/**
+ * Validates a custom exercise before it is stored.
+ *
+ * @param {CustomExerciseInput | undefined | null} input - The exercise to validate.
+ * @returns {boolean} True if the exercise is valid, false otherwise.
+ */
+const validateCustomExerciseInput = (input) => {
+  if (!input || typeof input !== 'object') {
+    return false;
+  }
+  const isMuscleList = (value) =>
+    Array.isArray(value) && value.every((muscle) => MUSCLE_GROUPS.includes(muscle));
+  const { name, aliases = [], primary_muscles, secondary_muscles = [], equipment } = input;
+
+  return (
+    typeof name === 'string' &&
+    name.trim() !== '' &&
+    name.trim().length <= MAX_EXERCISE_NAME_LENGTH &&
+    Array.isArray(aliases) &&
+    aliases.every((alias) => typeof alias === 'string' && alias.trim() !== '') &&
+    isMuscleList(primary_muscles) &&
+    primary_muscles.length > 0 &&
+    isMuscleList(secondary_muscles) &&
+    EQUIPMENT_TYPES.includes(equipment) &&
+    (input.is_unilateral === undefined || typeof input.is_unilateral === 'boolean') &&
+    (input.is_bodyweight === undefined || typeof input.is_bodyweight === 'boolean')
+  );
+};
+
+/**
+ * Fetches the custom exercises of a user, alphabetically.
+ * Assumes RLS is configured on the 'custom_exercises' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @returns {Promise<{ data: CustomExercise[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the user's custom exercises (possibly empty) or an error.
+ * @security Data access relies on Supabase RLS policies for the `custom_exercises` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchCustomExercises = async (userId) => {
+  if (!validateUserId(userId)) {
+    console.error('Fetch Custom Exercises Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .select(CUSTOM_EXERCISE_COLUMNS)
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase Fetch Custom Exercises Error:', error.message);
+    }
+
+    return { data: data ?? (error ? null : []), error };
+  } catch (error) {
+    console.error('Unexpected Fetch Custom Exercises Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching custom exercises.'),
+    };
+  }
+};
+
+/**
+ * Adds a custom exercise for a user. Names and aliases are trimmed.
+ * Assumes RLS is configured on the 'custom_exercises' table to allow inserts for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {CustomExerciseInput} input - The exercise to add.
+ * @returns {Promise<{ data: CustomExercise | null; error: PostgrestError | Error | null; }>} - Promise resolving to the stored exercise or an error.
+ * @security Data insertion relies on Supabase RLS policies for the `custom_exercises` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ */
+export const createCustomExercise = async (userId, input) => {
+  if (!validateUserId(userId)) {
+    console.error('Create Custom Exercise Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateCustomExerciseInput(input)) {
+    console.error('Create Custom Exercise Error: Invalid exercise provided.', input);
+    return {
+      data: null,
+      error: new Error(
+        `A custom exercise needs a name (up to ${MAX_EXERCISE_NAME_LENGTH} characters), at least one primary muscle group and valid equipment.`,
+      ),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .insert([
+        {
+          user_id: userId,
+          name: input.name.trim(),
+          aliases: (input.aliases ?? []).map((alias) => alias.trim()),
+          primary_muscles: input.primary_muscles,
+          secondary_muscles: input.secondary_muscles ?? [],
+          equipment: input.equipment,
+          is_unilateral: input.is_unilateral ?? false,
+          is_bodyweight: input.is_bodyweight ?? false,
+        },
+      ])
+      .select(CUSTOM_EXERCISE_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Create Custom Exercise Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Create Custom Exercise Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while adding the custom exercise.'),
+    };
+  }
+};
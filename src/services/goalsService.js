@@ -0,0 +1,247 @@
+import { supabase } from './supabaseClient.js';
+import { validateUserId } from './workoutService.js';
+import { WEIGHT_UNITS } from '../utils/units.js';
+import { GOAL_STATUSES, GOAL_TYPES, LIFT_GOAL_METRICS, MAX_GOAL_WEEKS } from '../utils/goals.js';
+
+/**
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ * @typedef {import('../utils/goals.js').GoalType} GoalType
+ * @typedef {import('../utils/goals.js').GoalStatus} GoalStatus
+ * @typedef {import('../utils/goals.js').LiftGoalMetric} LiftGoalMetric
+ */
+
+/**
+ * @typedef {object} GoalData
+ * @property {GoalType} goal_type - Kind of goal.
+ * @property {string | null} exercise_name - The exercise of a lift goal; null for other goals.
+ * @property {LiftGoalMetric | null} lift_metric - What a lift goal measures; null for other goals.
+ * @property {number} target_value - Target weight (lift and bodyweight goals) or training days per week (frequency goals).
+ * @property {WeightUnit | null} weight_unit - Unit of a target weight; null for frequency goals.
+ * @property {number | null} duration_weeks - Number of weeks of a frequency goal; null for other goals.
+ * @property {string} start_date - Date the goal starts counting from (YYYY-MM-DD).
+ * @property {string | null} target_date - Date the goal should be met by (YYYY-MM-DD), or null for open-ended goals.
+ */
+
+/**
+ * @typedef {GoalData & { id: string; user_id: string; created_at: string; status: GoalStatus; closed_on: string | null; }} Goal
+ * A stored goal of the `goals` table. `closed_on` is the date it was marked achieved or abandoned.
+ */
+
+/**
+ * Goals Service Module
+ *
+ * Reads and writes the user's goals in the `goals` table. New goals are active;
+ * marking a goal achieved or abandoned closes it and keeps it as goal history.
+ * Progress is not stored; it is computed from the user's logs (see `utils/goals.js`).
+ * It relies on the pre-initialized Supabase client instance from './supabaseClient.js'.
+ */
+
+/**
+ * Columns selected for goals.
+ * @type {string}
+ */
+const GOAL_COLUMNS =
+  'id, user_id, created_at, goal_type, exercise_name, lift_metric, target_value, weight_unit, duration_weeks, start_date, target_date, status, closed_on';
+
+/**
+ * Checks that a value is a date string in YYYY-MM-DD format.
+ *
+ * @param {unknown} value - The value to check.
+ * @returns {boolean} True for date strings.
+ */
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Validates goal data. Frequency goals need whole sessions per week (1–7) and a
+ * number of weeks; lift and bodyweight goals need a positive target weight and its
+ * unit, and lift goals an exercise.
+ *
+ * @param {GoalData | undefined | null} goalData - The data to validate.
+ * @returns {boolean} True if the data is valid, false otherwise.
+ */
+const validateGoalData = (goalData) => {
+  if (!goalData || typeof goalData !== 'object') {
+    return false;
+  }
+  const { goal_type, exercise_name, lift_metric, target_value, weight_unit, duration_weeks, start_date, target_date } =
+    goalData;
+  if (
+    !GOAL_TYPES.includes(goal_type) ||
+    !isDateString(start_date) ||
+    !(target_date === null || (isDateString(target_date) && target_date > start_date))
+  ) {
+    return false;
+  }
+
+  if (goal_type === 'frequency') {
+    return (
+      Number.isInteger(target_value) && target_value >= 1 && target_value <= 7 &&
+      Number.isInteger(duration_weeks) && duration_weeks >= 1 && duration_weeks <= MAX_GOAL_WEEKS &&
+      exercise_name === null && lift_metric === null && weight_unit === null
+    );
+  }
+
+  const hasValidLift =
+    goal_type === 'lift'
+      ? typeof exercise_name === 'string' && exercise_name.trim() !== '' && LIFT_GOAL_METRICS.includes(lift_metric)
+      : exercise_name === null && lift_metric === null;
+  return (
+    hasValidLift &&
+    typeof target_value === 'number' && Number.isFinite(target_value) && target_value > 0 &&
+    WEIGHT_UNITS.includes(weight_unit) &&
+    duration_weeks === null
+  );
+};
+
+/**
+ * Validates if the provided goal ID is a non-empty string.
+ *
+ * @param {string | undefined | null} goalId - The goal ID to validate.
+ * @returns {boolean} True if the goalId is a valid non-empty string, false otherwise.
+ */
+const validateGoalId = (goalId) => {
+  return goalId && typeof goalId === 'string' && goalId.trim() !== '';
+};
+
+/**
+ * Fetches all goals of a user, newest first, including closed ones.
+ * Assumes RLS is configured on the 'goals' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @returns {Promise<{ data: Goal[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the goals (possibly empty) or an error.
+ * @security Data access relies on Supabase RLS policies for the `goals` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchGoals = async (userId) => {
+  if (!validateUserId(userId)) {
+    console.error('Fetch Goals Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('goals')
+      .select(GOAL_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Supabase Fetch Goals Error:', error.message);
+    }
+
+    return { data: data ?? (error ? null : []), error };
+  } catch (error) {
+    console.error('Unexpected Fetch Goals Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching goals.'),
+    };
+  }
+};
+
+/**
+ * Creates an active goal.
+ * Assumes RLS is configured on the 'goals' table to allow inserts for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {GoalData} goalData - The goal to create.
+ * @returns {Promise<{ data: Goal | null; error: PostgrestError | Error | null; }>} - Promise resolving to the stored goal or an error.
+ * @security Data insertion relies on Supabase RLS policies for the `goals` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ */
+export const createGoal = async (userId, goalData) => {
+  if (!validateUserId(userId)) {
+    console.error('Create Goal Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateGoalData(goalData)) {
+    console.error('Create Goal Error: Invalid goal data provided.', goalData);
+    return {
+      data: null,
+      error: new Error('A valid goal type, target and start date must be provided.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('goals')
+      .insert({
+        user_id: userId,
+        ...goalData,
+        exercise_name: goalData.exercise_name?.trim() ?? null,
+        status: 'active',
+        closed_on: null,
+      })
+      .select(GOAL_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Create Goal Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Create Goal Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while creating the goal.'),
+    };
+  }
+};
+
+/**
+ * Changes the status of a goal. Marking it achieved or abandoned records the
+ * closing date; reopening it clears the date.
+ * Assumes RLS is configured on the 'goals' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {string} goalId - The identifier of the goal.
+ * @param {GoalStatus} status - The new status.
+ * @param {string} closedOn - Date the goal is closed on (YYYY-MM-DD); ignored when reopening.
+ * @returns {Promise<{ data: Goal | null; error: PostgrestError | Error | null; }>} - Promise resolving to the updated goal or an error.
+ * @security Data modification relies on Supabase RLS policies for the `goals` table allowing updates where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const updateGoalStatus = async (userId, goalId, status, closedOn) => {
+  if (!validateUserId(userId)) {
+    console.error('Update Goal Status Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateGoalId(goalId)) {
+    console.error('Update Goal Status Error: Invalid goalId provided.');
+    return { data: null, error: new Error('Goal ID is required and must be a non-empty string.') };
+  }
+  if (!GOAL_STATUSES.includes(status) || (status !== 'active' && !isDateString(closedOn))) {
+    console.error('Update Goal Status Error: Invalid status provided.', { status, closedOn });
+    return { data: null, error: new Error('A valid status and closing date must be provided.') };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('goals')
+      .update({ status, closed_on: status === 'active' ? null : closedOn })
+      .eq('user_id', userId)
+      .eq('id', goalId)
+      .select(GOAL_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Update Goal Status Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Update Goal Status Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while updating the goal.'),
+    };
+  }
+};
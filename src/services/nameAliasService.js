@@ -0,0 +1,179 @@
+import { supabase } from './supabaseClient.js';
+import { PROGRESS_LOG_NAME_FIELDS, validateUserId } from './workoutService.js';
+
+/**
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('./workoutService.js').ProgressLogNameField} ProgressLogNameField
+ */
+
+/**
+ * @typedef {object} NameAlias
+ * @property {string} id - Unique identifier of the alias.
+ * @property {string} user_id - Identifier of the user who created it.
+ * @property {string} created_at - Timestamp when the alias was created.
+ * @property {ProgressLogNameField} field - The name column the alias applies to.
+ * @property {string} alias - The spelling that is aliased, as stored in logs.
+ * @property {string} canonical_name - The name the alias is counted as.
+ */
+
+/**
+ * Name Alias Service Module
+ *
+ * Reads and writes the user's name aliases in the `name_aliases` table. An alias
+ * makes logs recorded under one spelling count as another name in records,
+ * charts, analytics and suggestions without changing the stored logs.
+ * It relies on the pre-initialized Supabase client instance from './supabaseClient.js'.
+ */
+
+/**
+ * Columns selected for name aliases.
+ * @type {string}
+ */
+const NAME_ALIAS_COLUMNS = 'id, user_id, created_at, field, alias, canonical_name';
+
+/**
+ * Checks that a value is a non-empty string.
+ *
+ * @param {unknown} value - The value to check.
+ * @returns {boolean} True for non-empty strings.
+ */
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Fetches all name aliases of a user.
+ * Assumes RLS is configured on the 'name_aliases' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @returns {Promise<{ data: NameAlias[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the user's aliases (possibly empty) or an error.
+ * @security Data access relies on Supabase RLS policies for the `name_aliases` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchNameAliases = async (userId) => {
+  if (!validateUserId(userId)) {
+    console.error('Fetch Name Aliases Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('name_aliases')
+      .select(NAME_ALIAS_COLUMNS)
+      .eq('user_id', userId)
+      .order('canonical_name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase Fetch Name Aliases Error:', error.message);
+    }
+
+    return { data: data ?? (error ? null : []), error };
+  } catch (error) {
+    console.error('Unexpected Fetch Name Aliases Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching name aliases.'),
+    };
+  }
+};
+
+/**
+ * Makes several spellings count as one canonical name. An existing alias for the
+ * same spelling is replaced.
+ * Assumes RLS is configured on the 'name_aliases' table to allow inserts and updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {ProgressLogNameField} field - The name column the aliases apply to.
+ * @param {string[]} aliases - The spellings to alias.
+ * @param {string} canonicalName - The name they are counted as (trimmed before saving).
+ * @returns {Promise<{ data: NameAlias[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the stored aliases or an error.
+ * @security Data insertion relies on Supabase RLS policies for the `name_aliases` table allowing writes where the `user_id` column matches the authenticated user's ID.
+ */
+export const createNameAliases = async (userId, field, aliases, canonicalName) => {
+  if (!validateUserId(userId)) {
+    console.error('Create Name Aliases Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (
+    !PROGRESS_LOG_NAME_FIELDS.includes(field) ||
+    !Array.isArray(aliases) ||
+    aliases.length === 0 ||
+    !aliases.every(isNonEmptyString) ||
+    !isNonEmptyString(canonicalName)
+  ) {
+    console.error('Create Name Aliases Error: Invalid aliases provided.', { field, aliases, canonicalName });
+    return {
+      data: null,
+      error: new Error('A name column, at least one alias and a non-empty canonical name must be provided.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('name_aliases')
+      .upsert(
+        aliases.map((alias) => ({
+          user_id: userId,
+          field,
+          alias,
+          canonical_name: canonicalName.trim(),
+        })),
+        { onConflict: 'user_id,field,alias' },
+      )
+      .select(NAME_ALIAS_COLUMNS);
+
+    if (error) {
+      console.error('Supabase Create Name Aliases Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Create Name Aliases Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while saving name aliases.'),
+    };
+  }
+};
+
+/**
+ * Deletes name aliases of a user.
+ * Assumes RLS is configured on the 'name_aliases' table to allow deletes for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {string[]} aliasIds - Identifiers of the aliases to delete.
+ * @returns {Promise<{ error: PostgrestError | Error | null; }>} - Promise resolving to a null error on success, or the error encountered.
+ * @security Data deletion relies on Supabase RLS policies for the `name_aliases` table allowing deletes where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const deleteNameAliases = async (userId, aliasIds) => {
+  if (!validateUserId(userId)) {
+    console.error('Delete Name Aliases Error: Invalid userId provided.');
+    return { error: new Error('User ID is required and must be a non-empty string.') };
+  }
+  if (!Array.isArray(aliasIds) || aliasIds.length === 0 || !aliasIds.every(isNonEmptyString)) {
+    console.error('Delete Name Aliases Error: Invalid alias IDs provided.');
+    return { error: new Error('At least one alias ID must be provided.') };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('name_aliases')
+      .delete()
+      .eq('user_id', userId)
+      .in('id', aliasIds);
+
+    if (error) {
+      console.error('Supabase Delete Name Aliases Error:', error.message);
+    }
+
+    return { error };
+  } catch (error) {
+    console.error('Unexpected Delete Name Aliases Runtime Error:', error);
+    return {
+      error: new Error('An unexpected error occurred while deleting name aliases.'),
+    };
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * @typedef {import('./workoutService.js').LogData} LogData
+ */
+
+/**
+ * @typedef {'pending' | 'failed'} QueuedLogStatus
+ * `pending` entries are replayed automatically; `failed` entries were rejected by the
+ * server or ran out of automatic attempts, and wait for the user to retry or discard them.
+ */
+
+/**
+ * @typedef {object} QueuedLog
+ * @property {string} clientId - Idempotency key, also stored as `logData.client_id`.
+ * @property {string} userId - Identifier of the user who submitted the log.
+ * @property {LogData} logData - The log payload to insert once connectivity returns.
+ * @property {QueuedLogStatus} status - Current sync status of the entry.
+ * @property {number} attempts - Number of failed sync attempts so far.
+ * @property {string | null} lastError - Message of the most recent sync failure, if any.
+ * @property {string} createdAt - ISO timestamp of when the entry was queued.
+ */
+
+/**
+ * Offline Queue Module
+ *
+ * Persists progress log submissions that could not reach Supabase in the browser's
+ * IndexedDB, so they survive reloads and can be replayed when the device is back online.
+ * Like the other services, every function resolves to a `{ data, error }` object
+ * instead of throwing.
+ */
+
+const DB_NAME = 'fitness-tracker-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pending_logs';
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the offline queue database.
+ * The connection is cached for the lifetime of the page.
+ *
+ * @returns {Promise<IDBDatabase>} The open database connection.
+ */
+const openDatabase = () => {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'clientId' });
+      store.createIndex('userId', 'userId', { unique: false });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed (e.g. private browsing restrictions)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the queue object store and resolves with its result.
+ *
+ * @param {IDBTransactionMode} mode - Transaction mode.
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Creates the request to run.
+ * @returns {Promise<any>} The request result, once the transaction has completed.
+ */
+const runStoreRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Generates a random idempotency key for a log submission.
+ *
+ * @returns {string} A UUID (or a random fallback ID where `crypto.randomUUID` is unavailable).
+ */
+export const createClientId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Retrieves all queued log entries for a user, oldest first.
+ *
+ * @param {string} userId - The user whose queued entries are fetched.
+ * @returns {Promise<{ data: QueuedLog[] | null; error: Error | null; }>} The queued entries or an error.
+ */
+export const getQueuedLogs = async (userId) => {
+  try {
+    const entries = await runStoreRequest('readonly', (store) =>
+      store.index('userId').getAll(userId),
+    );
+    entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return { data: entries, error: null };
+  } catch (error) {
+    console.error('Offline Queue Read Error:', error);
+    return {
+      data: null,
+      error: new Error('Could not read the offline log queue.'),
+    };
+  }
+};
+
+/**
+ * Adds a log submission to the queue.
+ * If an entry with the same `client_id` is already queued (for example after a double
+ * submit), the existing entry is returned instead of storing a duplicate. Entries with
+ * identical contents but different `client_id`s are separate logs and are both kept.
+ *
+ * @param {string} userId - The user submitting the log.
+ * @param {LogData} logData - The log payload; must carry a `client_id`.
+ * @returns {Promise<{ data: QueuedLog | null; error: Error | null; }>} The stored (or existing) entry or an error.
+ */
+export const enqueueLog = async (userId, logData) => {
+  if (!logData?.client_id) {
+    return { data: null, error: new Error('Queued logs require a client_id.') };
+  }
+
+  const { data: existing, error: readError } = await getQueuedLogs(userId);
+  if (readError) {
+    return { data: null, error: readError };
+  }
+
+  const duplicate = existing.find((entry) => entry.clientId === logData.client_id);
+  if (duplicate) {
+    return { data: duplicate, error: null };
+  }
+
+  /** @type {QueuedLog} */
+  const entry = {
+    clientId: logData.client_id,
+    userId,
+    logData,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+  return saveQueuedLog(entry);
+};
+
+/**
+ * Inserts or replaces a queued entry (e.g. to record a failed sync attempt).
+ *
+ * @param {QueuedLog} entry - The entry to store.
+ * @returns {Promise<{ data: QueuedLog | null; error: Error | null; }>} The stored entry or an error.
+ */
+export const saveQueuedLog = async (entry) => {
+  try {
+    await runStoreRequest('readwrite', (store) => store.put(entry));
+    return { data: entry, error: null };
+  } catch (error) {
+    console.error('Offline Queue Write Error:', error);
+    return {
+      data: null,
+      error: new Error('Could not save the log to the offline queue.'),
+    };
+  }
+};
+
+/**
+ * Removes an entry from the queue, typically after it synced or the user discarded it.
+ *
+ * @param {string} clientId - The idempotency key of the entry to remove.
+ * @returns {Promise<{ error: Error | null; }>} A null error on success.
+ */
+export const removeQueuedLog = async (clientId) => {
+  try {
+    await runStoreRequest('readwrite', (store) => store.delete(clientId));
+    return { error: null };
+  } catch (error) {
+    console.error('Offline Queue Delete Error:', error);
+    return { error: new Error('Could not remove the log from the offline queue.') };
+  }
+};
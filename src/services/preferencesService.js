@@ -0,0 +1,218 @@
+import { supabase } from './supabaseClient.js';
+import { stampLegacyWeightUnits, validateUserId } from './workoutService.js';
+import { WEIGHT_UNITS, getDefaultWeightUnit } from '../utils/units.js';
+import { E1RM_FORMULAS } from '../utils/records.js';
+import { isValidRestSeconds } from '../utils/restTimer.js';
+import { getDefaultPlateInventories, isValidPlateInventory } from '../utils/plates.js';
+import { WARMUP_TEMPLATES, WARMUP_TEMPLATE_IDS, isValidWarmupSteps } from '../utils/warmup.js';
+
+/**
+ * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
+ * @typedef {import('../utils/records.js').E1rmFormula} E1rmFormula
+ * @typedef {import('../utils/plates.js').PlateInventory} PlateInventory
+ * @typedef {import('../utils/warmup.js').WarmupTemplateId} WarmupTemplateId
+ * @typedef {import('../utils/warmup.js').WarmupStep} WarmupStep
+ */
+
+/**
+ * @typedef {object} UserPreferences
+ * @property {WeightUnit} weight_unit - Unit used to display and enter weights.
+ * @property {E1rmFormula} e1rm_formula - Formula used for estimated one-rep maxes.
+ * @property {number[]} rest_weekdays - Planned rest weekdays (0 = Sunday ... 6 = Saturday) that do not break a daily training streak.
+ * @property {number} rest_timer_seconds - Default rest between sets, in seconds.
+ * @property {Record<string, number>} rest_timer_exercise_seconds - Rest per exercise in seconds, keyed by normalized exercise name; overrides the default.
+ * @property {boolean} rest_timer_auto_start - Whether the rest timer starts when an exercise is logged.
+ * @property {boolean} rest_timer_sound - Whether the rest timer beeps when time is up.
+ * @property {Record<WeightUnit, PlateInventory>} plate_inventories - Bar and plates available, per unit, for the plate calculator.
+ * @property {WarmupTemplateId} warmup_template - Template used for generated warm-up ramps.
+ * @property {WarmupStep[]} warmup_custom_steps - Steps of the 'custom' warm-up template.
+ */
+
+/**
+ * Preferences Service Module
+ *
+ * Reads and writes per-user settings stored in the `user_preferences` table
+ * (one row per user, keyed by `user_id`). Users without a stored row get
+ * `getDefaultPreferences()`; the row is created on the first update.
+ * It relies on the pre-initialized Supabase client instance from './supabaseClient.js'.
+ */
+
+/**
+ * Returns the preferences used when the user has not saved any.
+ * The weight unit defaults to pounds for US English browsers and kilograms elsewhere;
+ * estimated one-rep maxes default to the Epley formula; there are no planned rest days;
+ * the rest timer runs 90 seconds, starts automatically and beeps; the plate calculator
+ * uses a standard bar and plate set in each unit; warm-ups use the standard ramp, which
+ * is also the starting point of the custom one.
+ *
+ * @returns {UserPreferences} The default preferences.
+ */
+export const getDefaultPreferences = () => ({
+  weight_unit: getDefaultWeightUnit(),
+  e1rm_formula: 'epley',
+  rest_weekdays: [],
+  rest_timer_seconds: 90,
+  rest_timer_exercise_seconds: {},
+  rest_timer_auto_start: true,
+  rest_timer_sound: true,
+  plate_inventories: getDefaultPlateInventories(),
+  warmup_template: 'standard',
+  warmup_custom_steps: WARMUP_TEMPLATES.standard.map((step) => ({ ...step })),
+});
+
+/**
+ * Validates a partial preferences object. Only known keys with valid values are allowed.
+ *
+ * @param {Partial<UserPreferences> | undefined | null} changes - The preference changes to validate.
+ * @returns {boolean} True if every provided preference is valid, false otherwise.
+ */
+const validatePreferenceChanges = (changes) => {
+  if (!changes || typeof changes !== 'object') {
+    return false;
+  }
+  const validators = {
+    weight_unit: (value) => WEIGHT_UNITS.includes(value),
+    e1rm_formula: (value) => E1RM_FORMULAS.includes(value),
+    // At least one weekday must remain a training day
+    rest_weekdays: (value) =>
+      Array.isArray(value) &&
+      value.length < 7 &&
+      new Set(value).size === value.length &&
+      value.every((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+    rest_timer_seconds: isValidRestSeconds,
+    rest_timer_exercise_seconds: (value) =>
+      !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(
+        ([name, seconds]) => name.trim() !== '' && isValidRestSeconds(seconds),
+      ),
+    rest_timer_auto_start: (value) => typeof value === 'boolean',
+    rest_timer_sound: (value) => typeof value === 'boolean',
+    plate_inventories: (value) =>
+      !!value && typeof value === 'object' &&
+      Object.keys(value).length === WEIGHT_UNITS.length &&
+      WEIGHT_UNITS.every((unit) => isValidPlateInventory(value[unit])),
+    warmup_template: (value) => WARMUP_TEMPLATE_IDS.includes(value),
+    warmup_custom_steps: isValidWarmupSteps,
+  };
+  return Object.entries(changes).every(
+    ([key, value]) => validators[key] !== undefined && validators[key](value),
+  );
+};
+
+/**
+ * Fetches the preferences of a user, filling in defaults for anything not stored.
+ * Assumes RLS is configured on the 'user_preferences' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @returns {Promise<{ data: UserPreferences | null; error: PostgrestError | Error | null; }>} - Promise resolving to the user's preferences or an error.
+ * @security Data access relies on Supabase RLS policies for the `user_preferences` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchUserPreferences = async (userId) => {
+  if (!validateUserId(userId)) {
+    console.error('Fetch User Preferences Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle(); // No row simply means "use the defaults"
+
+    if (error) {
+      console.error('Supabase Fetch User Preferences Error:', error.message);
+      return { data: null, error };
+    }
+
+    // Stored nulls fall back to the defaults as well
+    const stored = Object.fromEntries(
+      Object.entries(data ?? {}).filter(([, value]) => value !== null),
+    );
+    return { data: { ...getDefaultPreferences(), ...stored }, error: null };
+  } catch (error) {
+    console.error('Unexpected Fetch User Preferences Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching preferences.'),
+    };
+  }
+};
+
+/**
+ * Saves changes to a user's preferences, creating the preferences row if needed.
+ * Legacy logs without a unit are in the unit the user has used so far: the stored one,
+ * or the default before the first save. Before the first save and before any unit
+ * change, they are stamped with that unit, and the first save stores it as well, so
+ * changing the unit later never reinterprets their weights.
+ * Assumes RLS is configured on the 'user_preferences' table to allow inserts/updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user.
+ * @param {Partial<UserPreferences>} changes - The preferences to change.
+ * @returns {Promise<{ data: UserPreferences | null; error: PostgrestError | Error | null; }>} - Promise resolving to the stored preferences row or an error.
+ * @security Data writes rely on Supabase RLS policies for the `user_preferences` table allowing upserts where the `user_id` column matches the authenticated user's ID, and on those for `progress_logs` allowing updates of the user's own logs.
+ */
+export const updateUserPreferences = async (userId, changes) => {
+  if (!validateUserId(userId)) {
+    console.error('Update User Preferences Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validatePreferenceChanges(changes)) {
+    console.error('Update User Preferences Error: Invalid preferences provided.', changes);
+    return {
+      data: null,
+      error: new Error('Preferences contain unknown keys or invalid values.'),
+    };
+  }
+
+  try {
+    const { data: stored, error: readError } = await supabase
+      .from('user_preferences')
+      .select('weight_unit')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (readError) {
+      console.error('Supabase Update User Preferences Error:', readError.message);
+      return { data: null, error: readError };
+    }
+
+    const currentUnit = stored?.weight_unit ?? getDefaultWeightUnit();
+    const isFirstSave = !stored?.weight_unit;
+    if (isFirstSave || (changes.weight_unit && changes.weight_unit !== currentUnit)) {
+      // The preferences are not saved unless the legacy logs keep their unit
+      const { error: stampError } = await stampLegacyWeightUnits(userId, currentUnit);
+      if (stampError) {
+        return { data: null, error: stampError };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .upsert(
+        { user_id: userId, ...(isFirstSave && { weight_unit: currentUnit }), ...changes },
+        { onConflict: 'user_id' },
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase Update User Preferences Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    console.error('Unexpected Update User Preferences Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while saving preferences.'),
+    };
+  }
+};
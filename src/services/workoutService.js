@@ -1,14 +1,37 @@
 import { supabase } from './supabaseClient.js';
+import { WEIGHT_UNITS } from '../utils/units.js';
+import { isValidRepScheme } from '../utils/repScheme.js';
+import { isValidRestSeconds } from '../utils/restTimer.js';
 
 /**
  * @typedef {import('@supabase/supabase-js').PostgrestError} PostgrestError
+ * @typedef {import('../utils/units.js').WeightUnit} WeightUnit
  */
 
 /**
  * @typedef {object} WorkoutPlanExercise
+ * @property {string} [id] - Stable identifier of the exercise within the plan.
  * @property {string} name - Name of the exercise.
  * @property {number} sets - Number of sets to perform.
- * @property {string} reps - Repetition scheme (e.g., "8-12", "5").
+ * @property {string} reps - Repetition scheme (e.g., "8-12", "5", "10+", "AMRAP").
+ * @property {number} [weight_increment] - Weight added when the top of the rep range is reached (defaults to 2.5 kg / 5 lb).
+ * @property {WeightUnit} [weight_increment_unit] - Unit of `weight_increment`; required when it is set.
+ * @property {number} [rest_seconds] - Rest between sets in seconds; overrides the user's rest timer settings for this entry.
+ * @property {number} [target_weight] - Prescribed weight for every set, e.g. from a generated program; the progression suggestion is not shown for prescribed entries.
+ * @property {WeightUnit} [target_weight_unit] - Unit of `target_weight`; required when it is set.
+ * @property {number} [target_percent] - Percentage of the training max `target_weight` was derived from, for display.
+ */
+
+/**
+ * @typedef {'weekly' | 'rotation'} ScheduleType
+ */
+
+/**
+ * @typedef {object} TrainingDay
+ * @property {string} id - Stable identifier of the day within the plan.
+ * @property {string} name - Name of the session (e.g., "Push", "Upper A"). Logs recorded with this workout name count towards the day.
+ * @property {number[]} weekdays - Weekdays the session is trained on (0 = Sunday ... 6 = Saturday). Used by weekly schedules; empty for rotations.
+ * @property {WorkoutPlanExercise[]} exercises - Exercises of the session, in order.
  */
 
 /**
@@ -16,17 +39,45 @@ import { supabase } from './supabaseClient.js';
  * @property {string} id - Unique identifier for the workout plan.
  * @property {string} name - Name of the workout plan.
  * @property {string | null} description - Optional description of the plan.
- * @property {WorkoutPlanExercise[]} exercises - Array of exercises included in the plan.
+ * @property {WorkoutPlanExercise[]} exercises - Array of exercises included in the plan. For split plans this is every day's exercises, in day order.
+ * @property {TrainingDay[] | null} days - Named training days of a split plan, or null for a flat plan.
+ * @property {ScheduleType | null} schedule_type - How `days` are scheduled: pinned to weekdays, or rotated in order. Null for flat plans.
+ * @property {boolean} is_active - Whether this is the user's active plan (at most one per user).
+ * @property {string | null} archived_at - Timestamp when the plan was archived, or null. Archived plans are read-only.
+ * @property {string} created_at - Timestamp when the plan was created.
+ */
+
+/**
+ * @typedef {object} WorkoutPlanInput
+ * @property {string} name - Name of the workout plan.
+ * @property {string | null} [description] - Optional description of the plan.
+ * @property {WorkoutPlanExercise[]} exercises - Exercises in the plan, in order. Ignored (derived from the days) when `days` is non-empty.
+ * @property {TrainingDay[] | null} [days] - Training days of a split plan.
+ * @property {ScheduleType | null} [schedule_type] - Required when `days` is non-empty.
+ */
+
+/**
+ * @typedef {'warmup' | 'working' | 'drop' | 'failure'} SetType
+ */
+
+/**
+ * @typedef {object} LoggedSet
+ * @property {number} reps - Repetitions performed in the set (non-negative integer).
+ * @property {number | null} weight - Weight used for the set, or null for bodyweight/unloaded sets.
+ * @property {SetType} [set_type='working'] - Kind of set performed.
  */
 
 /**
  * @typedef {object} LogData
  * @property {string} workout_name - Name of the workout performed.
  * @property {string} exercise_name - Name of the specific exercise logged.
- * @property {number} sets_completed - Number of sets completed for the exercise.
- * @property {string} reps_achieved - Repetitions achieved (e.g., "10, 9, 8").
- * @property {number | null} [weight_used] - Weight used for the exercise (optional).
+ * @property {LoggedSet[]} [sets] - Per-set details. When provided, `sets_completed`, `reps_achieved` and `weight_used` are derived from it and may be omitted.
+ * @property {number} [sets_completed] - Number of sets completed for the exercise (legacy; required without `sets`).
+ * @property {string} [reps_achieved] - Repetitions achieved (e.g., "10, 9, 8") (legacy; required without `sets`).
+ * @property {number | null} [weight_used] - Weight used for the exercise (optional; the heaviest set's weight when `sets` is provided).
+ * @property {WeightUnit} [weight_unit] - Unit of every weight in the log. Omit only for legacy data.
  * @property {string} workout_date - Date the workout was performed (ISO 8601 format recommended: YYYY-MM-DD).
+ * @property {string} [client_id] - Client-generated idempotency key. Submissions that share a `client_id` are stored only once (requires a unique `client_id` column on `progress_logs`).
  */
 
 /**
@@ -36,10 +87,13 @@ import { supabase } from './supabaseClient.js';
  * @property {string} created_at - Timestamp when the log entry was created.
  * @property {string} workout_name - Name of the workout performed.
  * @property {string} exercise_name - Name of the specific exercise logged.
+ * @property {LoggedSet[] | null} sets - Per-set details, or null for legacy logs recorded before per-set tracking.
  * @property {number} sets_completed - Number of sets completed.
  * @property {string} reps_achieved - Repetitions achieved.
  * @property {number | null} weight_used - Weight used (if applicable).
+ * @property {WeightUnit | null} weight_unit - Unit of the log's weights, or null for legacy logs not yet stamped by `stampLegacyWeightUnits` (read as the default unit).
  * @property {string} workout_date - Date the workout was performed.
+ * @property {string | null} client_id - Idempotency key supplied when the log was submitted, if any.
  */
 
 /**
@@ -54,48 +108,143 @@ import { supabase } from './supabaseClient.js';
 
 /**
  * Validates if the provided user ID is a non-empty string.
+ * Exported so the other service modules validate user IDs the same way.
  *
  * @param {string | undefined | null} userId - The user ID to validate.
  * @returns {boolean} True if the userId is a valid non-empty string, false otherwise.
  */
-const validateUserId = (userId) => {
+export const validateUserId = (userId) => {
   return userId && typeof userId === 'string' && userId.trim() !== '';
 };
 
+/**
+ * Validates if the provided progress log ID is a non-empty string.
+ *
+ * @param {string | undefined | null} logId - The log ID to validate.
+ * @returns {boolean} True if the logId is a valid non-empty string, false otherwise.
+ */
+const validateLogId = (logId) => {
+  return logId && typeof logId === 'string' && logId.trim() !== '';
+};
+
+/**
+ * Set types that can be recorded for a logged set.
+ * @type {SetType[]}
+ */
+export const SET_TYPES = ['warmup', 'working', 'drop', 'failure'];
+
+/**
+ * Validates a single per-set entry.
+ *
+ * @param {LoggedSet | undefined | null} set - The set to validate.
+ * @returns {boolean} True if the set has integer reps, an optional non-negative weight and a known set type.
+ */
+const validateSet = (set) => {
+  return (
+    !!set && typeof set === 'object' &&
+    Number.isInteger(set.reps) && set.reps >= 0 &&
+    (set.weight === undefined || set.weight === null || (typeof set.weight === 'number' && set.weight >= 0)) &&
+    (set.set_type === undefined || SET_TYPES.includes(set.set_type))
+  );
+};
+
 /**
  * Validates if the provided LogData object is valid.
- * Checks for required fields and their basic types.
+ * Checks for required fields and their basic types. Logs must carry either a
+ * non-empty `sets` array or the legacy `sets_completed`/`reps_achieved` summary.
+ * Exported so imports can check rows before submitting them.
  *
  * @param {LogData | undefined | null} logData - The log data object to validate.
  * @returns {boolean} True if logData is a valid object with required fields, false otherwise.
  */
-const validateLogData = (logData) => {
+export const validateLogData = (logData) => {
   if (!logData || typeof logData !== 'object') {
     return false;
   }
   const {
     workout_name,
     exercise_name,
+    sets,
     sets_completed,
     reps_achieved,
     workout_date,
     weight_used,
   } = logData;
 
+  const hasValidSets =
+    sets === undefined
+      ? typeof sets_completed === 'number' && sets_completed >= 0 &&
+        !!reps_achieved && typeof reps_achieved === 'string' && reps_achieved.trim() !== ''
+      : Array.isArray(sets) && sets.length > 0 && sets.every(validateSet);
+
   return (
     workout_name && typeof workout_name === 'string' && workout_name.trim() !== '' &&
     exercise_name && typeof exercise_name === 'string' && exercise_name.trim() !== '' &&
-    typeof sets_completed === 'number' && sets_completed >= 0 &&
-    reps_achieved && typeof reps_achieved === 'string' && reps_achieved.trim() !== '' &&
+    hasValidSets &&
     workout_date && typeof workout_date === 'string' && workout_date.trim() !== '' &&
-    (weight_used === undefined || weight_used === null || typeof weight_used === 'number')
+    (weight_used === undefined || weight_used === null || typeof weight_used === 'number') &&
+    (logData.weight_unit === undefined || WEIGHT_UNITS.includes(logData.weight_unit)) &&
+    (logData.client_id === undefined || (typeof logData.client_id === 'string' && logData.client_id.trim() !== ''))
   );
 };
 
+/**
+ * Prepares validated log data for storage. When per-set details are present, the
+ * legacy summary columns are derived from them so older readers (and filters on
+ * those columns) keep working.
+ *
+ * @param {LogData} logData - Validated log data.
+ * @returns {LogData} The row values to write to `progress_logs`.
+ */
+const toProgressLogRow = (logData) => {
+  if (!logData.sets) {
+    return { ...logData };
+  }
+
+  const sets = logData.sets.map((set) => ({
+    reps: set.reps,
+    weight: set.weight ?? null,
+    set_type: set.set_type ?? 'working',
+  }));
+  const weights = sets.map((set) => set.weight).filter((weight) => weight !== null);
+
+  return {
+    ...logData,
+    sets,
+    sets_completed: sets.length,
+    reps_achieved: sets.map((set) => set.reps).join(', '),
+    weight_used: weights.length > 0 ? Math.max(...weights) : null,
+  };
+};
+
+
+/**
+ * Columns selected for workout plans.
+ * @type {string}
+ */
+const WORKOUT_PLAN_COLUMNS =
+  'id, name, description, exercises, days, schedule_type, is_active, archived_at, created_at';
+
+/**
+ * Supported ways of scheduling the days of a split plan.
+ * @type {ScheduleType[]}
+ */
+export const PLAN_SCHEDULE_TYPES = ['weekly', 'rotation'];
+
+/**
+ * Validates if the provided workout plan ID is a non-empty string.
+ *
+ * @param {string | undefined | null} planId - The plan ID to validate.
+ * @returns {boolean} True if the planId is a valid non-empty string, false otherwise.
+ */
+const validatePlanId = (planId) => {
+  return planId && typeof planId === 'string' && planId.trim() !== '';
+};
 
 /**
- * Fetches the currently assigned workout plan for a specific user.
- * For MVP, this might fetch a default plan or the first plan associated with the user.
+ * Fetches the active workout plan for a specific user.
+ * If no plan is marked active, the most recently created non-archived plan is returned,
+ * so users with several plans still get a dashboard instead of an error.
  * Assumes RLS is configured on the 'workout_plans' table to restrict access based on user_id.
  *
  * @param {string} userId - The unique identifier of the user whose plan is being fetched.
@@ -113,15 +262,16 @@ export const fetchWorkoutPlan = async (userId) => {
   }
 
   try {
-    // Attempt to fetch the workout plan for the user.
-    // maybeSingle() returns null data if no row matches, without it being an error.
-    // MVP Adaptation: If user-specific plans aren't ready, adjust query:
-    // e.g., fetch a default plan: .eq('id', 'YOUR_DEFAULT_PLAN_ID').single();
-    // e.g., fetch the first plan available: .select('*').limit(1).single();
+    // Prefer the active plan, then the newest plan; limit(1) keeps maybeSingle()
+    // from failing when the user has more than one plan.
     const { data, error } = await supabase
       .from('workout_plans')
-      .select('id, name, description, exercises') // Select specific columns
+      .select(WORKOUT_PLAN_COLUMNS)
       .eq('user_id', userId) // Filter by user ID
+      .is('archived_at', null) // Archived plans are never the current plan
+      .order('is_active', { ascending: false })
+      .order('created_at', { ascending: false })
+      .limit(1)
       .maybeSingle(); // Expect 0 or 1 result
 
     // Log potential Supabase-specific errors
@@ -143,101 +293,1097 @@ export const fetchWorkoutPlan = async (userId) => {
 };
 
 /**
- * Saves a new workout progress log entry to the database for the specified user.
- * Assumes RLS is configured on 'progress_logs' table to allow inserts for the matching user_id.
+ * Fetches all workout plans of a user: the active plan first, then the rest
+ * newest first. Archived plans are included unless `includeArchived` is false.
+ * Assumes RLS is configured on the 'workout_plans' table to restrict access based on user_id.
  *
- * @param {string} userId - The unique identifier of the user logging progress.
- * @param {LogData} logData - An object containing the details of the workout session/exercise to log.
- * @returns {Promise<{ data: ProgressLog[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to an array containing the newly inserted log entry(s) or an error. Supabase insert returns an array.
- * @security Data insertion relies on Supabase RLS policies for the `progress_logs` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ * @param {string} userId - The unique identifier of the user whose plans are being fetched.
+ * @param {{ includeArchived?: boolean }} [options={}] - Listing options.
+ * @returns {Promise<{ data: WorkoutPlan[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the user's plans (possibly empty) or an error.
+ * @security Data access relies on Supabase RLS policies for the `workout_plans` table allowing reads based on the authenticated user's `user_id`.
  */
-export const logWorkoutProgress = async (userId, logData) => {
+export const fetchWorkoutPlans = async (userId, { includeArchived = true } = {}) => {
   // Input validation
   if (!validateUserId(userId)) {
-    console.error('Log Workout Progress Error: Invalid userId provided.');
+    console.error('Fetch Workout Plans Error: Invalid userId provided.');
     return {
       data: null,
       error: new Error('User ID is required and must be a non-empty string.'),
     };
   }
-  if (!validateLogData(logData)) {
-     console.error('Log Workout Progress Error: Invalid logData provided.', logData);
-     return {
-       data: null,
-       error: new Error('Valid log data with required fields (workout_name, exercise_name, sets_completed, reps_achieved, workout_date) must be provided.'),
-     };
-   }
 
   try {
-    // Attempt to insert the new progress log entry
-    const { data, error } = await supabase
-      .from('progress_logs')
-      .insert([{ user_id: userId, ...logData }])
-      .select(); // Return the inserted record(s)
+    let query = supabase
+      .from('workout_plans')
+      .select(WORKOUT_PLAN_COLUMNS)
+      .eq('user_id', userId);
+
+    if (!includeArchived) {
+      query = query.is('archived_at', null);
+    }
+
+    const { data, error } = await query
+      .order('is_active', { ascending: false })
+      .order('created_at', { ascending: false });
 
     // Log potential Supabase-specific errors
     if (error) {
-      console.error('Supabase Log Workout Progress Error:', error.message);
+      console.error('Supabase Fetch Workout Plans Error:', error.message);
+    }
+
+    return { data: data ?? (error ? null : []), error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Fetch Workout Plans Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while fetching workout plans.'),
+    };
+  }
+};
+
+/**
+ * Marks a plan as the user's active plan and clears the marker on all other plans.
+ * Archived plans cannot be activated.
+ * Assumes RLS is configured on the 'workout_plans' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the plan.
+ * @param {string} planId - The unique identifier of the plan to activate.
+ * @returns {Promise<{ data: WorkoutPlan | null; error: PostgrestError | Error | null; }>} - Promise resolving to the activated plan or an error.
+ * @security Data updates rely on Supabase RLS policies for the `workout_plans` table allowing updates where the `user_id` column matches the authenticated user's ID.
+ */
+export const setActivePlan = async (userId, planId) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Set Active Plan Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validatePlanId(planId)) {
+    console.error('Set Active Plan Error: Invalid planId provided.');
+    return {
+      data: null,
+      error: new Error('Plan ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    // Activate the target first, so a failure never leaves the user without an active plan
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .update({ is_active: true })
+      .eq('id', planId)
+      .eq('user_id', userId)
+      .is('archived_at', null)
+      .select(WORKOUT_PLAN_COLUMNS)
+      .single(); // Errors if the plan is missing, not owned, or archived
+
+    if (error) {
+      console.error('Supabase Set Active Plan Error:', error.message);
+      return { data: null, error };
+    }
+
+    const { error: clearError } = await supabase
+      .from('workout_plans')
+      .update({ is_active: false })
+      .eq('user_id', userId)
+      .neq('id', planId)
+      .eq('is_active', true);
+
+    if (clearError) {
+      console.error('Supabase Clear Active Plans Error:', clearError.message);
+    }
+
+    return { data, error: clearError };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Set Active Plan Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while changing the active plan.'),
+    };
+  }
+};
+
+/**
+ * Archives or restores a workout plan. Archiving also clears the active marker;
+ * archived plans remain readable but are treated as read-only by the UI.
+ * Assumes RLS is configured on the 'workout_plans' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the plan.
+ * @param {string} planId - The unique identifier of the plan.
+ * @param {boolean} [archived=true] - True to archive the plan, false to restore it.
+ * @returns {Promise<{ data: WorkoutPlan | null; error: PostgrestError | Error | null; }>} - Promise resolving to the updated plan or an error.
+ * @security Data updates rely on Supabase RLS policies for the `workout_plans` table allowing updates where the `user_id` column matches the authenticated user's ID.
+ */
+export const archiveWorkoutPlan = async (userId, planId, archived = true) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Archive Workout Plan Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validatePlanId(planId)) {
+    console.error('Archive Workout Plan Error: Invalid planId provided.');
+    return {
+      data: null,
+      error: new Error('Plan ID is required and must be a non-empty string.'),
+    };
+  }
+
+  try {
+    const changes = archived
+      ? { archived_at: new Date().toISOString(), is_active: false }
+      : { archived_at: null };
+
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .update(changes)
+      .eq('id', planId)
+      .eq('user_id', userId)
+      .select(WORKOUT_PLAN_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Archive Workout Plan Error:', error.message);
     }
 
-    // Return the Supabase response object ({ data, error })
-    // `data` will be an array containing the inserted log(s) or null on error.
     return { data, error };
   } catch (error) {
     // Catch unexpected runtime errors
-    console.error('Unexpected Log Workout Progress Runtime Error:', error);
+    console.error('Unexpected Archive Workout Plan Runtime Error:', error);
     return {
       data: null,
-      error: new Error('An unexpected error occurred while logging workout progress.'),
+      error: new Error('An unexpected error occurred while archiving the workout plan.'),
     };
   }
 };
 
 /**
- * Retrieves a list of historical workout progress log entries for the specified user.
- * Assumes RLS is configured on the 'progress_logs' table to restrict access based on user_id.
- * Orders results by workout date (descending), then creation date (descending).
+ * Validates a single plan exercise.
  *
- * @param {string} userId - The unique identifier of the user whose history is being fetched.
- * @returns {Promise<{ data: ProgressLog[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to an array of progress log entries or an error. Returns `{ data: [], error: null }` if no logs are found but no error occurred.
- * @security Data access relies on Supabase RLS policies for the `progress_logs` table allowing reads based on the authenticated user's `user_id`.
- * @performance For applications with large amounts of history data, pagination using `.range(from, to)` should be implemented in future versions to improve performance.
+ * @param {WorkoutPlanExercise | undefined | null} exercise - The exercise to validate.
+ * @returns {boolean} True if the exercise has a name, a positive integer set count, a valid rep scheme, an optional positive increment with its unit, an optional rest length and an optional positive target weight with its unit and percentage.
+ */
+const validateWorkoutPlanExercise = (exercise) => {
+  return (
+    !!exercise && typeof exercise === 'object' &&
+    (exercise.id === undefined || (typeof exercise.id === 'string' && exercise.id.trim() !== '')) &&
+    typeof exercise.name === 'string' && exercise.name.trim() !== '' &&
+    Number.isInteger(exercise.sets) && exercise.sets > 0 &&
+    isValidRepScheme(exercise.reps) &&
+    (exercise.weight_increment === undefined ||
+      (typeof exercise.weight_increment === 'number' && exercise.weight_increment > 0 &&
+        WEIGHT_UNITS.includes(exercise.weight_increment_unit))) &&
+    (exercise.rest_seconds === undefined || isValidRestSeconds(exercise.rest_seconds)) &&
+    (exercise.target_weight === undefined ||
+      (typeof exercise.target_weight === 'number' && exercise.target_weight > 0 &&
+        WEIGHT_UNITS.includes(exercise.target_weight_unit))) &&
+    (exercise.target_percent === undefined ||
+      (typeof exercise.target_percent === 'number' && exercise.target_percent > 0))
+  );
+};
+
+/**
+ * Validates a single training day of a split plan.
+ *
+ * @param {TrainingDay | undefined | null} day - The day to validate.
+ * @returns {boolean} True if the day has an ID, a name, valid weekdays and valid exercises.
+ */
+const validateTrainingDay = (day) => {
+  return (
+    !!day && typeof day === 'object' &&
+    typeof day.id === 'string' && day.id.trim() !== '' &&
+    typeof day.name === 'string' && day.name.trim() !== '' &&
+    Array.isArray(day.weekdays) &&
+    day.weekdays.every((weekday) => Number.isInteger(weekday) && weekday >= 0 && weekday <= 6) &&
+    Array.isArray(day.exercises) && day.exercises.every(validateWorkoutPlanExercise)
+  );
+};
+
+/**
+ * Validates the user-editable fields of a workout plan.
+ * Split plans need a schedule type, and in weekly schedules no weekday may hold two sessions.
+ *
+ * @param {WorkoutPlanInput | undefined | null} plan - The plan to validate.
+ * @returns {boolean} True if the plan has a name, an optional string description and valid exercises or days.
+ */
+const validateWorkoutPlanInput = (plan) => {
+  if (!plan || typeof plan !== 'object') {
+    return false;
+  }
+  const days = plan.days ?? [];
+  const hasValidDays =
+    Array.isArray(days) &&
+    (days.length === 0 ||
+      (PLAN_SCHEDULE_TYPES.includes(plan.schedule_type) &&
+        days.every(validateTrainingDay) &&
+        (plan.schedule_type !== 'weekly' ||
+          new Set(days.flatMap((day) => day.weekdays)).size ===
+            days.flatMap((day) => day.weekdays).length)));
+
+  return (
+    typeof plan.name === 'string' && plan.name.trim() !== '' &&
+    (plan.description === undefined || plan.description === null || typeof plan.description === 'string') &&
+    Array.isArray(plan.exercises) && plan.exercises.every(validateWorkoutPlanExercise) &&
+    hasValidDays
+  );
+};
+
+/**
+ * Trims the text fields of a plan exercise.
+ *
+ * @param {WorkoutPlanExercise} exercise - A validated exercise.
+ * @returns {WorkoutPlanExercise} The exercise as stored.
+ */
+const toPlanExerciseRow = (exercise) => ({
+  ...exercise,
+  name: exercise.name.trim(),
+  reps: exercise.reps.trim(),
+});
+
+/**
+ * Prepares a validated plan for storage, trimming text and normalizing an empty description to null.
+ * For split plans, `exercises` is derived from the days so flat readers keep working;
+ * flat plans store null days and schedule type.
+ *
+ * @param {WorkoutPlanInput} plan - Validated plan input.
+ * @returns {WorkoutPlanInput} The row values to write to `workout_plans`.
+ */
+const toWorkoutPlanRow = (plan) => {
+  const days = (plan.days ?? []).map((day) => ({
+    ...day,
+    name: day.name.trim(),
+    weekdays: plan.schedule_type === 'weekly' ? [...day.weekdays].sort((a, b) => a - b) : [],
+    exercises: day.exercises.map(toPlanExerciseRow),
+  }));
+
+  return {
+    name: plan.name.trim(),
+    description: plan.description?.trim() || null,
+    exercises:
+      days.length > 0
+        ? days.flatMap((day) => day.exercises)
+        : plan.exercises.map(toPlanExerciseRow),
+    days: days.length > 0 ? days : null,
+    schedule_type: days.length > 0 ? plan.schedule_type : null,
+  };
+};
+
+/**
+ * Fetches a single workout plan of a user by its ID, archived or not.
+ * Assumes RLS is configured on the 'workout_plans' table to restrict access based on user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the plan.
+ * @param {string} planId - The unique identifier of the plan.
+ * @returns {Promise<{ data: WorkoutPlan | null; error: PostgrestError | Error | null; }>} - Promise resolving to the plan, null if it does not exist, or an error.
+ * @security Data access relies on Supabase RLS policies for the `workout_plans` table allowing reads based on the authenticated user's `user_id`.
  */
-export const fetchProgressHistory = async (userId) => {
+export const fetchWorkoutPlanById = async (userId, planId) => {
   // Input validation
   if (!validateUserId(userId)) {
-    console.error('Fetch Progress History Error: Invalid userId provided.');
+    console.error('Fetch Workout Plan By ID Error: Invalid userId provided.');
     return {
       data: null,
       error: new Error('User ID is required and must be a non-empty string.'),
     };
   }
+  if (!validatePlanId(planId)) {
+    console.error('Fetch Workout Plan By ID Error: Invalid planId provided.');
+    return {
+      data: null,
+      error: new Error('Plan ID is required and must be a non-empty string.'),
+    };
+  }
 
   try {
-    // Attempt to fetch all progress logs for the user
     const { data, error } = await supabase
-      .from('progress_logs')
-      .select('*') // Select all columns
-      .eq('user_id', userId) // Filter by user ID
-      .order('workout_date', { ascending: false }) // Primary sort: newest workout first
-      .order('created_at', { ascending: false }); // Secondary sort: newest log first for same day
+      .from('workout_plans')
+      .select(WORKOUT_PLAN_COLUMNS)
+      .eq('id', planId)
+      .eq('user_id', userId)
+      .maybeSingle();
 
-    // Log potential Supabase-specific errors
     if (error) {
-      console.error('Supabase Fetch Progress History Error:', error.message);
+      console.error('Supabase Fetch Workout Plan By ID Error:', error.message);
     }
 
-    // Return the Supabase response object ({ data, error })
-    // `data` will be an array of logs (potentially empty) or null on error.
-    // Supabase returns an empty array [] if the query is successful but finds no rows,
-    // so we don't need to treat empty data as null explicitly unless an error occurred.
-    return { data: data ?? [], error }; // Ensure data is always an array if no error
+    return { data, error };
   } catch (error) {
     // Catch unexpected runtime errors
-    console.error('Unexpected Fetch Progress History Runtime Error:', error);
+    console.error('Unexpected Fetch Workout Plan By ID Runtime Error:', error);
     return {
-      data: null, // Return null for data on unexpected errors
-      error: new Error('An unexpected error occurred while fetching progress history.'),
+      data: null,
+      error: new Error('An unexpected error occurred while fetching the workout plan.'),
+    };
+  }
+};
+
+/**
+ * Creates a new workout plan for the specified user. New plans are not active;
+ * the user activates them explicitly (see `setActivePlan`).
+ * Assumes RLS is configured on the 'workout_plans' table to allow inserts for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user creating the plan.
+ * @param {WorkoutPlanInput} plan - The plan's name, description and exercises.
+ * @returns {Promise<{ data: WorkoutPlan | null; error: PostgrestError | Error | null; }>} - Promise resolving to the created plan or an error.
+ * @security Data insertion relies on Supabase RLS policies for the `workout_plans` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ */
+export const createWorkoutPlan = async (userId, plan) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Create Workout Plan Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateWorkoutPlanInput(plan)) {
+    console.error('Create Workout Plan Error: Invalid plan provided.', plan);
+    return {
+      data: null,
+      error: new Error('A plan name, exercises with a name, a positive whole number of sets and a valid rep scheme, and valid training days must be provided.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .insert([{ user_id: userId, is_active: false, ...toWorkoutPlanRow(plan) }])
+      .select(WORKOUT_PLAN_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Create Workout Plan Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Create Workout Plan Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while creating the workout plan.'),
+    };
+  }
+};
+
+/**
+ * Replaces the name, description and exercises of a workout plan.
+ * Archived plans are read-only and cannot be updated.
+ * Assumes RLS is configured on the 'workout_plans' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the plan.
+ * @param {string} planId - The unique identifier of the plan to update.
+ * @param {WorkoutPlanInput} plan - The complete replacement values for the plan.
+ * @returns {Promise<{ data: WorkoutPlan | null; error: PostgrestError | Error | null; }>} - Promise resolving to the updated plan or an error.
+ * @security Data updates rely on Supabase RLS policies for the `workout_plans` table allowing updates where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const updateWorkoutPlan = async (userId, planId, plan) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Update Workout Plan Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validatePlanId(planId)) {
+    console.error('Update Workout Plan Error: Invalid planId provided.');
+    return {
+      data: null,
+      error: new Error('Plan ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateWorkoutPlanInput(plan)) {
+    console.error('Update Workout Plan Error: Invalid plan provided.', plan);
+    return {
+      data: null,
+      error: new Error('A plan name, exercises with a name, a positive whole number of sets and a valid rep scheme, and valid training days must be provided.'),
     };
   }
-};
\ No newline at end of file
+
+  try {
+    // single() errors if no row matched (missing, not owned, or archived)
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .update(toWorkoutPlanRow(plan))
+      .eq('id', planId)
+      .eq('user_id', userId)
+      .is('archived_at', null)
+      .select(WORKOUT_PLAN_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Supabase Update Workout Plan Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Update Workout Plan Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while updating the workout plan.'),
+    };
+  }
+};
+
+/**
+ * Permanently deletes a workout plan. Progress logs are not affected.
+ * Assumes RLS is configured on the 'workout_plans' table to allow deletes for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the plan.
+ * @param {string} planId - The unique identifier of the plan to delete.
+ * @returns {Promise<{ error: PostgrestError | Error | null; }>} - Promise resolving to a null error on success, or the error encountered.
+ * @security Data deletion relies on Supabase RLS policies for the `workout_plans` table allowing deletes where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const deleteWorkoutPlan = async (userId, planId) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Delete Workout Plan Error: Invalid userId provided.');
+    return { error: new Error('User ID is required and must be a non-empty string.') };
+  }
+  if (!validatePlanId(planId)) {
+    console.error('Delete Workout Plan Error: Invalid planId provided.');
+    return { error: new Error('Plan ID is required and must be a non-empty string.') };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('workout_plans')
+      .delete()
+      .eq('id', planId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Supabase Delete Workout Plan Error:', error.message);
+    }
+
+    return { error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Delete Workout Plan Runtime Error:', error);
+    return {
+      error: new Error('An unexpected error occurred while deleting the workout plan.'),
+    };
+  }
+};
+
+/**
+ * Saves a new workout progress log entry to the database for the specified user.
+ * Assumes RLS is configured on 'progress_logs' table to allow inserts for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user logging progress.
+ * @param {LogData} logData - An object containing the details of the workout session/exercise to log.
+ * @returns {Promise<{ data: ProgressLog[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to an array containing the newly inserted log entry(s) or an error. Supabase insert returns an array, which is empty when a `client_id` duplicate was skipped.
+ * @security Data insertion relies on Supabase RLS policies for the `progress_logs` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ */
+export const logWorkoutProgress = async (userId, logData) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Log Workout Progress Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateLogData(logData)) {
+     console.error('Log Workout Progress Error: Invalid logData provided.', logData);
+     return {
+       data: null,
+       error: new Error('Valid log data with required fields (workout_name, exercise_name, sets or sets_completed/reps_achieved, workout_date) must be provided.'),
+     };
+   }
+
+  try {
+    // Attempt to insert the new progress log entry.
+    // With a client_id the insert is idempotent: a replayed submission that already
+    // reached the database is ignored instead of creating a duplicate row.
+    const table = supabase.from('progress_logs');
+    const row = { user_id: userId, ...toProgressLogRow(logData) };
+    const { data, error } = await (logData.client_id
+      ? table.upsert([row], { onConflict: 'client_id', ignoreDuplicates: true })
+      : table.insert([row])
+    ).select(); // Return the inserted record(s); empty if the submission was a duplicate
+
+    // Log potential Supabase-specific errors
+    if (error) {
+      console.error('Supabase Log Workout Progress Error:', error.message);
+    }
+
+    // Return the Supabase response object ({ data, error })
+    // `data` will be an array containing the inserted log(s) or null on error.
+    return { data, error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Log Workout Progress Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while logging workout progress.'),
+    };
+  }
+};
+
+/**
+ * Number of rows written per request by `importProgressLogs`.
+ * @type {number}
+ */
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Saves many progress log entries at once, e.g. history imported from another app.
+ * Every entry is validated before anything is written. Rows are inserted in
+ * batches of `IMPORT_BATCH_SIZE`; if a batch fails, earlier batches stay saved and
+ * `data` reports how many rows were written before the error.
+ *
+ * @param {string} userId - The unique identifier of the user the logs belong to.
+ * @param {LogData[]} logDataList - The log entries to save.
+ * @returns {Promise<{ data: { inserted: number } | null; error: PostgrestError | Error | null; }>} - Promise resolving to the number of inserted rows, and the first error encountered, if any.
+ * @security Data insertion relies on Supabase RLS policies for the `progress_logs` table allowing inserts where the `user_id` column matches the authenticated user's ID.
+ */
+export const importProgressLogs = async (userId, logDataList) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Import Progress Logs Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!Array.isArray(logDataList) || logDataList.length === 0) {
+    console.error('Import Progress Logs Error: No log data provided.');
+    return {
+      data: null,
+      error: new Error('At least one log entry must be provided.'),
+    };
+  }
+  const invalidIndex = logDataList.findIndex((logData) => !validateLogData(logData));
+  if (invalidIndex !== -1) {
+    console.error('Import Progress Logs Error: Invalid logData provided.', logDataList[invalidIndex]);
+    return {
+      data: null,
+      error: new Error(`Log entry ${invalidIndex + 1} is missing required fields (workout_name, exercise_name, sets or sets_completed/reps_achieved, workout_date).`),
+    };
+  }
+
+  let inserted = 0;
+  try {
+    for (let start = 0; start < logDataList.length; start += IMPORT_BATCH_SIZE) {
+      const rows = logDataList
+        .slice(start, start + IMPORT_BATCH_SIZE)
+        .map((logData) => ({ user_id: userId, ...toProgressLogRow(logData) }));
+      const { error } = await supabase.from('progress_logs').insert(rows);
+
+      // Stop at the first failed batch so the caller can report what was saved
+      if (error) {
+        console.error('Supabase Import Progress Logs Error:', error.message);
+        return { data: { inserted }, error };
+      }
+      inserted += rows.length;
+    }
+
+    return { data: { inserted }, error: null };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Import Progress Logs Runtime Error:', error);
+    return {
+      data: { inserted },
+      error: new Error('An unexpected error occurred while importing progress logs.'),
+    };
+  }
+};
+
+/**
+ * Updates an existing workout progress log entry for the specified user.
+ * The new values are checked with the same rules as `logWorkoutProgress`.
+ * Assumes RLS is configured on the 'progress_logs' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the log entry.
+ * @param {string} logId - The unique identifier of the progress log entry to update.
+ * @param {LogData} logData - The complete replacement values for the log entry.
+ * @returns {Promise<{ data: ProgressLog | null; error: PostgrestError | Error | null; }>} - Promise resolving to the updated log entry or an error.
+ * @security Data updates rely on Supabase RLS policies for the `progress_logs` table allowing updates where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const updateProgressLog = async (userId, logId, logData) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Update Progress Log Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateLogId(logId)) {
+    console.error('Update Progress Log Error: Invalid logId provided.');
+    return {
+      data: null,
+      error: new Error('Log ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!validateLogData(logData)) {
+    console.error('Update Progress Log Error: Invalid logData provided.', logData);
+    return {
+      data: null,
+      error: new Error('Valid log data with required fields (workout_name, exercise_name, sets or sets_completed/reps_achieved, workout_date) must be provided.'),
+    };
+  }
+
+  try {
+    // Attempt to update the log entry. single() errors if no row matched (missing or not owned).
+    const { data, error } = await supabase
+      .from('progress_logs')
+      .update(toProgressLogRow(logData))
+      .eq('id', logId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    // Log potential Supabase-specific errors
+    if (error) {
+      console.error('Supabase Update Progress Log Error:', error.message);
+    }
+
+    return { data, error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Update Progress Log Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while updating the progress log.'),
+    };
+  }
+};
+
+/**
+ * Permanently deletes a workout progress log entry for the specified user.
+ * Assumes RLS is configured on the 'progress_logs' table to allow deletes for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the log entry.
+ * @param {string} logId - The unique identifier of the progress log entry to delete.
+ * @returns {Promise<{ error: PostgrestError | Error | null; }>} - Promise resolving to a null error on success, or the error encountered.
+ * @security Data deletion relies on Supabase RLS policies for the `progress_logs` table allowing deletes where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const deleteProgressLog = async (userId, logId) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Delete Progress Log Error: Invalid userId provided.');
+    return { error: new Error('User ID is required and must be a non-empty string.') };
+  }
+  if (!validateLogId(logId)) {
+    console.error('Delete Progress Log Error: Invalid logId provided.');
+    return { error: new Error('Log ID is required and must be a non-empty string.') };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('progress_logs')
+      .delete()
+      .eq('id', logId)
+      .eq('user_id', userId);
+
+    // Log potential Supabase-specific errors
+    if (error) {
+      console.error('Supabase Delete Progress Log Error:', error.message);
+    }
+
+    return { error };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Delete Progress Log Runtime Error:', error);
+    return {
+      error: new Error('An unexpected error occurred while deleting the progress log.'),
+    };
+  }
+};
+
+/**
+ * Stores a unit on every progress log entry of a user that has none (legacy logs),
+ * so their weights keep their meaning when the preferred unit changes.
+ * Assumes RLS is configured on the 'progress_logs' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the log entries.
+ * @param {WeightUnit} unit - The unit the legacy logs were entered in.
+ * @returns {Promise<{ data: number | null; error: PostgrestError | Error | null; }>} - Promise resolving to the number of stamped entries or an error.
+ * @security Data updates rely on Supabase RLS policies for the `progress_logs` table allowing updates where the `user_id` column matches the authenticated user's ID. The query is additionally scoped to `userId`.
+ */
+export const stampLegacyWeightUnits = async (userId, unit) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Stamp Legacy Weight Units Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (!WEIGHT_UNITS.includes(unit)) {
+    console.error('Stamp Legacy Weight Units Error: Invalid unit provided.', unit);
+    return {
+      data: null,
+      error: new Error('A valid weight unit must be provided.'),
+    };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('progress_logs')
+      .update({ weight_unit: unit })
+      .eq('user_id', userId)
+      .is('weight_unit', null)
+      .select('id');
+
+    if (error) {
+      console.error('Supabase Stamp Legacy Weight Units Error:', error.message);
+      return { data: null, error };
+    }
+
+    return { data: data.length, error: null };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Stamp Legacy Weight Units Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while stamping weight units.'),
+    };
+  }
+};
+
+/**
+ * @typedef {'exercise_name' | 'workout_name'} ProgressLogNameField
+ */
+
+/**
+ * @typedef {object} RenamedProgressLog
+ * @property {string} id - Identifier of the renamed log entry.
+ * @property {string} previous_name - The name the entry had before the rename.
+ */
+
+/**
+ * Name columns of progress logs that can be renamed in bulk.
+ * @type {ProgressLogNameField[]}
+ */
+export const PROGRESS_LOG_NAME_FIELDS = ['exercise_name', 'workout_name'];
+
+/**
+ * Renames every progress log entry of a user whose name column exactly matches one of
+ * `fromNames`, with one update per name. The renamed entries are returned with their
+ * previous names so the rename can be undone with `restoreProgressLogNames`.
+ * Assumes RLS is configured on the 'progress_logs' table to allow reads and updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the log entries.
+ * @param {ProgressLogNameField} field - The name column to rename.
+ * @param {string[]} fromNames - The exact names to replace.
+ * @param {string} toName - The new name (trimmed before saving).
+ * @returns {Promise<{ data: RenamedProgressLog[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to the renamed entries with their previous names (possibly empty). On a failed update, `data` holds the entries renamed before it.
+ * @security Data updates rely on Supabase RLS policies for the `progress_logs` table allowing updates where the `user_id` column matches the authenticated user's ID. The queries are additionally scoped to `userId`.
+ */
+export const renameProgressLogNames = async (userId, field, fromNames, toName) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Rename Progress Log Names Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+    };
+  }
+  if (
+    !PROGRESS_LOG_NAME_FIELDS.includes(field) ||
+    !Array.isArray(fromNames) ||
+    fromNames.length === 0 ||
+    !fromNames.every((name) => typeof name === 'string') ||
+    typeof toName !== 'string' ||
+    toName.trim() === ''
+  ) {
+    console.error('Rename Progress Log Names Error: Invalid rename provided.', { field, fromNames, toName });
+    return {
+      data: null,
+      error: new Error('A name column, at least one name to replace and a non-empty new name must be provided.'),
+    };
+  }
+
+  const newName = toName.trim();
+  try {
+    // One update per previous name, so every returned row's previous name is known
+    // without reading the rows first
+    /** @type {RenamedProgressLog[]} */
+    const renamed = [];
+    for (const name of new Set(fromNames)) {
+      if (name === newName) {
+        continue;
+      }
+      const { data, error } = await supabase
+        .from('progress_logs')
+        .update({ [field]: newName })
+        .eq('user_id', userId)
+        .eq(field, name)
+        .select('id');
+
+      // Names renamed before the error stay renamed; report them so they can be undone
+      if (error) {
+        console.error('Supabase Rename Progress Log Names Error:', error.message);
+        return { data: renamed, error };
+      }
+      renamed.push(...data.map((row) => ({ id: row.id, previous_name: name })));
+    }
+
+    return { data: renamed, error: null };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Rename Progress Log Names Runtime Error:', error);
+    return {
+      data: null,
+      error: new Error('An unexpected error occurred while renaming progress logs.'),
+    };
+  }
+};
+
+/**
+ * Number of log IDs sent per request by `restoreProgressLogNames`. The IDs travel in
+ * the request URL, which servers and proxies limit to a few kilobytes.
+ * @type {number}
+ */
+const RESTORE_BATCH_SIZE = 100;
+
+/**
+ * Gives renamed progress log entries their previous names back, undoing
+ * `renameProgressLogNames`.
+ * Assumes RLS is configured on the 'progress_logs' table to allow updates for the matching user_id.
+ *
+ * @param {string} userId - The unique identifier of the user who owns the log entries.
+ * @param {ProgressLogNameField} field - The name column that was renamed.
+ * @param {RenamedProgressLog[]} renamedLogs - The entries returned by the rename.
+ * @returns {Promise<{ error: PostgrestError | Error | null; }>} - Promise resolving to a null error on success, or the first error encountered.
+ * @security Data updates rely on Supabase RLS policies for the `progress_logs` table allowing updates where the `user_id` column matches the authenticated user's ID. The queries are additionally scoped to `userId`.
+ */
+export const restoreProgressLogNames = async (userId, field, renamedLogs) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Restore Progress Log Names Error: Invalid userId provided.');
+    return { error: new Error('User ID is required and must be a non-empty string.') };
+  }
+  if (!PROGRESS_LOG_NAME_FIELDS.includes(field) || !Array.isArray(renamedLogs)) {
+    console.error('Restore Progress Log Names Error: Invalid restore provided.', { field });
+    return { error: new Error('A name column and the renamed log entries must be provided.') };
+  }
+
+  /** @type {Map<string, string[]>} */
+  const idsByName = new Map();
+  renamedLogs.forEach(({ id, previous_name }) => {
+    idsByName.set(previous_name, [...(idsByName.get(previous_name) ?? []), id]);
+  });
+
+  try {
+    // One update per previous name and batch of IDs, keeping the request URLs short
+    for (const [name, ids] of idsByName) {
+      for (let start = 0; start < ids.length; start += RESTORE_BATCH_SIZE) {
+        const { error } = await supabase
+          .from('progress_logs')
+          .update({ [field]: name })
+          .eq('user_id', userId)
+          .in('id', ids.slice(start, start + RESTORE_BATCH_SIZE));
+
+        if (error) {
+          console.error('Supabase Restore Progress Log Names Error:', error.message);
+          return { error };
+        }
+      }
+    }
+
+    return { error: null };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Restore Progress Log Names Runtime Error:', error);
+    return {
+      error: new Error('An unexpected error occurred while restoring progress log names.'),
+    };
+  }
+};
+
+/**
+ * Default number of progress log entries fetched per history page.
+ * @type {number}
+ */
+export const HISTORY_PAGE_SIZE = 20;
+
+/**
+ * @typedef {object} ProgressHistoryOptions
+ * @property {number} [offset=0] - Zero-based index of the first entry to return (range start).
+ * @property {number} [limit=HISTORY_PAGE_SIZE] - Maximum number of entries to return.
+ * @property {string} [exerciseName] - Case-insensitive substring filter on `exercise_name`.
+ * @property {string} [workoutName] - Case-insensitive substring filter on `workout_name`.
+ * @property {string} [dateFrom] - Inclusive lower bound on `workout_date` (YYYY-MM-DD).
+ * @property {string} [dateTo] - Inclusive upper bound on `workout_date` (YYYY-MM-DD).
+ * @property {boolean} [legacyOnly=false] - Only return legacy logs recorded without per-set details.
+ */
+
+/**
+ * Validates the pagination and filter options passed to `fetchProgressHistory`.
+ *
+ * @param {ProgressHistoryOptions} options - The options object to validate.
+ * @returns {boolean} True if all provided options have the expected types and ranges, false otherwise.
+ */
+const validateHistoryOptions = (options) => {
+  if (!options || typeof options !== 'object') {
+    return false;
+  }
+  const { offset, limit, exerciseName, workoutName, dateFrom, dateTo, legacyOnly } = options;
+  const isOptionalString = (value) =>
+    value === undefined || value === null || typeof value === 'string';
+
+  return (
+    (offset === undefined || (Number.isInteger(offset) && offset >= 0)) &&
+    (limit === undefined || (Number.isInteger(limit) && limit > 0)) &&
+    isOptionalString(exerciseName) &&
+    isOptionalString(workoutName) &&
+    isOptionalString(dateFrom) &&
+    isOptionalString(dateTo) &&
+    (legacyOnly === undefined || typeof legacyOnly === 'boolean')
+  );
+};
+
+/**
+ * Escapes the wildcard characters of a Postgres `ILIKE` pattern so user input
+ * is matched literally.
+ *
+ * @param {string} value - Raw search text.
+ * @returns {string} The escaped text, safe to wrap in `%...%`.
+ */
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Retrieves one page of historical workout progress log entries for the specified user.
+ * Assumes RLS is configured on the 'progress_logs' table to restrict access based on user_id.
+ * Orders results by workout date (descending), then creation date (descending).
+ *
+ * Pagination is range-based: pass `offset` (the number of entries already loaded)
+ * and `limit` to fetch the next page. One extra row is requested to determine
+ * whether more entries exist beyond the current page.
+ *
+ * @param {string} userId - The unique identifier of the user whose history is being fetched.
+ * @param {ProgressHistoryOptions} [options={}] - Pagination and filter options.
+ * @returns {Promise<{ data: ProgressLog[] | null; error: PostgrestError | Error | null; hasMore: boolean; }>} - Promise resolving to a page of progress log entries or an error. Returns `{ data: [], error: null, hasMore: false }` if no logs are found but no error occurred.
+ * @security Data access relies on Supabase RLS policies for the `progress_logs` table allowing reads based on the authenticated user's `user_id`.
+ */
+export const fetchProgressHistory = async (userId, options = {}) => {
+  // Input validation
+  if (!validateUserId(userId)) {
+    console.error('Fetch Progress History Error: Invalid userId provided.');
+    return {
+      data: null,
+      error: new Error('User ID is required and must be a non-empty string.'),
+      hasMore: false,
+    };
+  }
+  if (!validateHistoryOptions(options)) {
+    console.error('Fetch Progress History Error: Invalid options provided.', options);
+    return {
+      data: null,
+      error: new Error('History options must use a non-negative integer offset, a positive integer limit and string filters.'),
+      hasMore: false,
+    };
+  }
+
+  const {
+    offset = 0,
+    limit = HISTORY_PAGE_SIZE,
+    exerciseName,
+    workoutName,
+    dateFrom,
+    dateTo,
+    legacyOnly = false,
+  } = options;
+
+  try {
+    // Build the filtered query for the user's progress logs
+    let query = supabase
+      .from('progress_logs')
+      .select('*') // Select all columns
+      .eq('user_id', userId); // Filter by user ID
+
+    if (exerciseName?.trim()) {
+      query = query.ilike('exercise_name', `%${escapeLikePattern(exerciseName.trim())}%`);
+    }
+    if (workoutName?.trim()) {
+      query = query.ilike('workout_name', `%${escapeLikePattern(workoutName.trim())}%`);
+    }
+    if (dateFrom?.trim()) {
+      query = query.gte('workout_date', dateFrom.trim());
+    }
+    if (dateTo?.trim()) {
+      query = query.lte('workout_date', dateTo.trim());
+    }
+    if (legacyOnly) {
+      query = query.is('sets', null);
+    }
+
+    // Request one row beyond the page to detect whether another page exists
+    const { data, error } = await query
+      .order('workout_date', { ascending: false }) // Primary sort: newest workout first
+      .order('created_at', { ascending: false }) // Secondary sort: newest log first for same day
+      .range(offset, offset + limit); // Inclusive range: limit + 1 rows
+
+    // Log potential Supabase-specific errors
+    if (error) {
+      console.error('Supabase Fetch Progress History Error:', error.message);
+      return { data: null, error, hasMore: false };
+    }
+
+    // Supabase returns an empty array [] if the query is successful but finds no rows.
+    const rows = data ?? [];
+    return {
+      data: rows.slice(0, limit),
+      error: null,
+      hasMore: rows.length > limit,
+    };
+  } catch (error) {
+    // Catch unexpected runtime errors
+    console.error('Unexpected Fetch Progress History Runtime Error:', error);
+    return {
+      data: null, // Return null for data on unexpected errors
+      error: new Error('An unexpected error occurred while fetching progress history.'),
+      hasMore: false,
+    };
+  }
+};
+
+/**
+ * Page size used when reading a user's complete history in batches.
+ * `fetchProgressHistory` requests one extra row per page, so this stays one below
+ * Supabase's default maximum of 1000 rows per request.
+ * @type {number}
+ */
+const FULL_HISTORY_BATCH_SIZE = 999;
+
+/**
+ * Retrieves every progress log entry matching the filters by requesting
+ * consecutive pages from `fetchProgressHistory`. Intended for calculations that
+ * need the complete history (e.g. legacy data review), not for rendering lists.
+ *
+ * @param {string} userId - The unique identifier of the user whose history is being fetched.
+ * @param {Omit<ProgressHistoryOptions, 'offset' | 'limit'>} [filters={}] - Filter options applied to every page.
+ * @returns {Promise<{ data: ProgressLog[] | null; error: PostgrestError | Error | null; }>} - Promise resolving to all matching entries, newest first, or the first error encountered.
+ */
+export const fetchAllProgressHistory = async (userId, filters = {}) => {
+  /** @type {ProgressLog[]} */
+  const allLogs = [];
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error, hasMore: more } = await fetchProgressHistory(userId, {
+      ...filters,
+      offset: allLogs.length,
+      limit: FULL_HISTORY_BATCH_SIZE,
+    });
+    if (error) {
+      return { data: null, error };
+    }
+    allLogs.push(...data);
+    hasMore = more;
+  }
+
+  return { data: allLogs, error: null };
+};
@@ -0,0 +1,214 @@
+import { addMonths, addWeeks, format, parseISO, startOfISOWeek, startOfMonth } from 'date-fns';
+import { getNormalizedSets } from './setData.js';
+import { MUSCLE_GROUPS, getMuscleGroup } from './muscleGroups.js';
+import { BUILT_IN_EXERCISES } from './exerciseCatalog.js';
+import { convertWeight, getLogWeightUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('./muscleGroups.js').MuscleGroup} MuscleGroup
+ * @typedef {import('./exerciseCatalog.js').CatalogExercise} CatalogExercise
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'week' | 'month'} AnalyticsPeriod
+ */
+
+/**
+ * @typedef {object} PeriodRange
+ * @property {string} from - First date included (YYYY-MM-DD).
+ * @property {string} to - Last date included (YYYY-MM-DD).
+ */
+
+/**
+ * @typedef {object} PeriodVolume
+ * @property {string} start - First day of the period (YYYY-MM-DD); weeks start on Monday.
+ * @property {number} volume - Sum of reps × weight over the period's sets, in the requested unit.
+ * @property {number} sets - Number of sets.
+ * @property {number} reps - Total reps.
+ * @property {number} sessions - Number of distinct workout dates.
+ * @property {number | null} change - Relative volume change from the previous period (0.1 = +10%), or null without a previous volume.
+ */
+
+/**
+ * @typedef {object} MuscleGroupSets
+ * @property {MuscleGroup} group - The muscle group.
+ * @property {number[]} counts - Hard sets per period, in the order of `periods`.
+ * @property {number} total - Hard sets over all periods.
+ */
+
+/**
+ * Training Analytics Helpers
+ *
+ * Aggregates progress logs into training volume per week or month and hard sets
+ * per muscle group. Warm-up sets are left out of both; every other set type counts.
+ * Legacy logs are included when their reps string can be read; unreadable ones are
+ * skipped. Periods without training are included with zero values so trends are
+ * not distorted.
+ */
+
+/**
+ * Supported aggregation periods.
+ * @type {AnalyticsPeriod[]}
+ */
+export const ANALYTICS_PERIODS = ['week', 'month'];
+
+/**
+ * Returns the first day of the period containing a date.
+ *
+ * @param {string} date - A date (YYYY-MM-DD, optionally with a time part).
+ * @param {AnalyticsPeriod} period - The period length.
+ * @returns {string} The period start (YYYY-MM-DD).
+ */
+export const getPeriodStart = (date, period) => {
+  const day = parseISO(date.split('T')[0]);
+  return format(period === 'month' ? startOfMonth(day) : startOfISOWeek(day), 'yyyy-MM-dd');
+};
+
+/**
+ * Lists the start dates of every period overlapping a date range, oldest first.
+ *
+ * @param {PeriodRange} range - The date range.
+ * @param {AnalyticsPeriod} period - The period length.
+ * @returns {string[]} The period starts.
+ */
+export const listPeriods = ({ from, to }, period) => {
+  const last = getPeriodStart(to, period);
+  const periods = [];
+  let current = parseISO(getPeriodStart(from, period));
+  while (format(current, 'yyyy-MM-dd') <= last) {
+    periods.push(format(current, 'yyyy-MM-dd'));
+    current = period === 'month' ? addMonths(current, 1) : addWeeks(current, 1);
+  }
+  return periods;
+};
+
+/**
+ * Formats a period start for display, e.g. "Week of Mar 4" or "Mar 2024".
+ *
+ * @param {string} start - The period start (YYYY-MM-DD).
+ * @param {AnalyticsPeriod} period - The period length.
+ * @returns {string} The label.
+ */
+export const formatPeriodLabel = (start, period) =>
+  period === 'month'
+    ? format(parseISO(start), 'MMM yyyy')
+    : `Week of ${format(parseISO(start), 'MMM d')}`;
+
+/**
+ * Returns the sets of a log that count toward analytics, weights in the requested unit.
+ *
+ * @param {ProgressLog} log - A progress log entry.
+ * @param {WeightUnit} unit - Unit to convert weights to.
+ * @returns {{ reps: number; weight: number | null }[]} The counted sets (empty for unreadable legacy logs).
+ */
+const getCountedSets = (log, unit) => {
+  const sets = getNormalizedSets(log);
+  if (!sets) {
+    return [];
+  }
+  const logUnit = getLogWeightUnit(log);
+  return sets
+    .filter((set) => set.set_type !== 'warmup')
+    .map((set) => ({ reps: set.reps, weight: convertWeight(set.weight, logUnit, unit) }));
+};
+
+/**
+ * Keeps the logs whose workout date lies inside a range.
+ *
+ * @param {ProgressLog[]} logs - Log entries.
+ * @param {PeriodRange} range - The date range.
+ * @returns {ProgressLog[]} The logs in the range.
+ */
+const filterRange = (logs, { from, to }) =>
+  logs.filter((log) => {
+    const date = log.workout_date.split('T')[0];
+    return date >= from && date <= to;
+  });
+
+/**
+ * Aggregates training volume per period, with the change from the previous period.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {WeightUnit} unit - Unit for the volume.
+ * @param {AnalyticsPeriod} period - The period length.
+ * @param {PeriodRange} range - Dates to include; every period in it gets a row.
+ * @returns {PeriodVolume[]} One row per period, oldest first.
+ */
+export const aggregateVolumeByPeriod = (logs, unit, period, range) => {
+  /** @type {Map<string, { volume: number; sets: number; reps: number; dates: Set<string> }>} */
+  const totals = new Map(
+    listPeriods(range, period).map((start) => [
+      start,
+      { volume: 0, sets: 0, reps: 0, dates: new Set() },
+    ]),
+  );
+
+  filterRange(logs, range).forEach((log) => {
+    const sets = getCountedSets(log, unit);
+    const total = totals.get(getPeriodStart(log.workout_date, period));
+    if (!total || sets.length === 0) {
+      return;
+    }
+    sets.forEach((set) => {
+      total.volume += set.reps * (set.weight ?? 0);
+      total.sets += 1;
+      total.reps += set.reps;
+    });
+    total.dates.add(log.workout_date.split('T')[0]);
+  });
+
+  let previousVolume = null;
+  return [...totals.entries()].map(([start, total]) => {
+    const volume = roundWeight(total.volume, 1);
+    const change = previousVolume ? roundWeight((volume - previousVolume) / previousVolume, 3) : null;
+    previousVolume = volume;
+    return {
+      start,
+      volume,
+      sets: total.sets,
+      reps: total.reps,
+      sessions: total.dates.size,
+      change,
+    };
+  });
+};
+
+/**
+ * Counts hard sets per muscle group and period. Each set counts for the main muscle
+ * group of its exercise.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {AnalyticsPeriod} period - The period length.
+ * @param {PeriodRange} range - Dates to include.
+ * @param {CatalogExercise[]} [catalog=BUILT_IN_EXERCISES] - Exercise catalog used to find muscle groups.
+ * @returns {{ periods: string[]; groups: MuscleGroupSets[] }} Period starts (oldest first) and the trained muscle groups in display order.
+ */
+export const aggregateHardSetsByMuscle = (logs, period, range, catalog = BUILT_IN_EXERCISES) => {
+  const periods = listPeriods(range, period);
+  const periodIndex = new Map(periods.map((start, index) => [start, index]));
+  /** @type {Map<MuscleGroup, number[]>} */
+  const counts = new Map();
+
+  filterRange(logs, range).forEach((log) => {
+    // Units do not matter for set counts
+    const setCount = getCountedSets(log, 'kg').length;
+    const index = periodIndex.get(getPeriodStart(log.workout_date, period));
+    if (index === undefined || setCount === 0) {
+      return;
+    }
+    const group = getMuscleGroup(log.exercise_name, catalog);
+    if (!counts.has(group)) {
+      counts.set(group, periods.map(() => 0));
+    }
+    counts.get(group)[index] += setCount;
+  });
+
+  const groups = MUSCLE_GROUPS.filter((group) => counts.has(group)).map((group) => ({
+    group,
+    counts: counts.get(group),
+    total: counts.get(group).reduce((sum, count) => sum + count, 0),
+  }));
+  return { periods, groups };
+};
@@ -0,0 +1,220 @@
+import { parseISO } from 'date-fns';
+import { getTodayISO } from './progressLogForm.js';
+import { convertLength, convertWeight, getLengthUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetric} BodyMetric
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetricData} BodyMetricData
+ * @typedef {import('../components/LineChart.jsx').ChartPoint} ChartPoint
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'neck' | 'chest' | 'waist' | 'hips' | 'arm' | 'thigh'} MeasurementSite
+ */
+
+/**
+ * @typedef {'bodyweight' | 'body_fat_percent' | MeasurementSite} BodyMetricField
+ * A value that can be charted: bodyweight, body fat or one circumference.
+ */
+
+/**
+ * @typedef {object} BodyMetricFormState
+ * @property {string} measured_on - Date input (YYYY-MM-DD).
+ * @property {string} bodyweight - Bodyweight input, in the preferred weight unit.
+ * @property {string} body_fat_percent - Body fat input.
+ * @property {Record<MeasurementSite, string>} circumferences - Circumference inputs, in the matching length unit.
+ * @property {string} notes - Notes input.
+ */
+
+/**
+ * Body Metrics Helpers
+ *
+ * Converts between the body metrics form and the `BodyMetricData` payload of
+ * `bodyMetricsService.js`, and builds chart series with moving averages. Values
+ * are entered and shown in the user's preferred weight unit and its matching
+ * length unit (cm with kg, in with lb); entries keep the units they were saved in.
+ */
+
+/**
+ * Sites where circumferences can be measured, in display order.
+ * @type {MeasurementSite[]}
+ */
+export const MEASUREMENT_SITES = ['neck', 'chest', 'waist', 'hips', 'arm', 'thigh'];
+
+/**
+ * Labels for the charted values.
+ * @type {Record<BodyMetricField, string>}
+ */
+export const BODY_METRIC_LABELS = {
+  bodyweight: 'Bodyweight',
+  body_fat_percent: 'Body fat',
+  neck: 'Neck',
+  chest: 'Chest',
+  waist: 'Waist',
+  hips: 'Hips',
+  arm: 'Arm',
+  thigh: 'Thigh',
+};
+
+/**
+ * Number of days averaged by the trend lines.
+ * @type {number}
+ */
+export const MOVING_AVERAGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an empty form dated today.
+ *
+ * @returns {BodyMetricFormState} A blank form state.
+ */
+export const createEmptyMetricForm = () => ({
+  measured_on: getTodayISO(),
+  bodyweight: '',
+  body_fat_percent: '',
+  circumferences: Object.fromEntries(MEASUREMENT_SITES.map((site) => [site, ''])),
+  notes: '',
+});
+
+/**
+ * Fills the form with a stored entry, converted to the preferred units.
+ *
+ * @param {BodyMetric} metric - The stored entry.
+ * @param {WeightUnit} weightUnit - The preferred weight unit.
+ * @returns {BodyMetricFormState} The form state.
+ */
+export const metricToFormState = (metric, weightUnit) => {
+  const lengthUnit = getLengthUnit(weightUnit);
+  const toInput = (value) => (value === null || value === undefined ? '' : String(roundWeight(value, 2)));
+  return {
+    measured_on: metric.measured_on,
+    bodyweight: toInput(convertWeight(metric.bodyweight, metric.weight_unit, weightUnit)),
+    body_fat_percent: toInput(metric.body_fat_percent),
+    circumferences: Object.fromEntries(
+      MEASUREMENT_SITES.map((site) => [
+        site,
+        toInput(convertLength(metric.circumferences?.[site], metric.length_unit, lengthUnit)),
+      ]),
+    ),
+    notes: metric.notes ?? '',
+  };
+};
+
+/**
+ * Parses the form into data for `saveBodyMetric`. Empty fields are not measured.
+ *
+ * @param {BodyMetricFormState} form - The form state.
+ * @param {WeightUnit} weightUnit - The unit bodyweight was entered in.
+ * @returns {{ data: BodyMetricData | null; error: string | null; }} The data, or a message describing the first problem.
+ */
+export const parseMetricForm = (form, weightUnit) => {
+  if (!form.measured_on) {
+    return { data: null, error: 'Please choose a date.' };
+  }
+
+  /**
+   * Parses an optional positive number.
+   * @param {string} value - The input.
+   * @returns {number | null | undefined} The number, null when empty, undefined when invalid.
+   */
+  const parseOptional = (value) => {
+    if (value.trim() === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+  };
+
+  const bodyweight = parseOptional(form.bodyweight);
+  if (bodyweight === undefined) {
+    return { data: null, error: 'Bodyweight must be a positive number.' };
+  }
+  const bodyFat = parseOptional(form.body_fat_percent);
+  if (bodyFat === undefined || (bodyFat !== null && bodyFat >= 100)) {
+    return { data: null, error: 'Body fat must be a percentage between 0 and 100.' };
+  }
+  /** @type {Partial<Record<MeasurementSite, number>>} */
+  const circumferences = {};
+  for (const site of MEASUREMENT_SITES) {
+    const value = parseOptional(form.circumferences[site]);
+    if (value === undefined) {
+      return { data: null, error: `${BODY_METRIC_LABELS[site]} must be a positive number.` };
+    }
+    if (value !== null) {
+      circumferences[site] = value;
+    }
+  }
+  if (bodyweight === null && bodyFat === null && Object.keys(circumferences).length === 0) {
+    return { data: null, error: 'Enter at least one measurement.' };
+  }
+
+  return {
+    data: {
+      measured_on: form.measured_on,
+      bodyweight,
+      weight_unit: weightUnit,
+      body_fat_percent: bodyFat,
+      circumferences,
+      length_unit: getLengthUnit(weightUnit),
+      notes: form.notes.trim() || null,
+    },
+    error: null,
+  };
+};
+
+/**
+ * Reads one value of an entry in the preferred units.
+ *
+ * @param {BodyMetric} metric - The entry.
+ * @param {BodyMetricField} field - The value to read.
+ * @param {WeightUnit} weightUnit - The preferred weight unit.
+ * @returns {number | null} The value, or null when it was not measured.
+ */
+export const getMetricValue = (metric, field, weightUnit) => {
+  if (field === 'bodyweight') {
+    return convertWeight(metric.bodyweight, metric.weight_unit, weightUnit);
+  }
+  if (field === 'body_fat_percent') {
+    return metric.body_fat_percent ?? null;
+  }
+  return convertLength(metric.circumferences?.[field], metric.length_unit, getLengthUnit(weightUnit));
+};
+
+/**
+ * Builds the chart points of one value, oldest first.
+ *
+ * @param {BodyMetric[]} metrics - The entries, any order.
+ * @param {BodyMetricField} field - The value to chart.
+ * @param {WeightUnit} weightUnit - The preferred weight unit.
+ * @returns {ChartPoint[]} Points for the dates the value was measured.
+ */
+export const getMetricSeries = (metrics, field, weightUnit) =>
+  metrics
+    .map((metric) => ({ date: metric.measured_on, value: getMetricValue(metric, field, weightUnit) }))
+    .filter((point) => point.value !== null)
+    .map((point) => ({ ...point, value: roundWeight(point.value, 2) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Averages each point with the points of the preceding days, so irregular
+ * measurement days still average over the same span of time.
+ *
+ * @param {ChartPoint[]} points - The points, oldest first.
+ * @param {number} [days=MOVING_AVERAGE_DAYS] - Days covered by each average, including the point's own day.
+ * @returns {ChartPoint[]} One averaged point per input point.
+ */
+export const getMovingAverage = (points, days = MOVING_AVERAGE_DAYS) => {
+  const times = points.map((point) => parseISO(point.date).getTime());
+  let start = 0;
+  let sum = 0;
+  return points.map((point, index) => {
+    sum += point.value;
+    while (times[index] - times[start] >= days * DAY_MS) {
+      sum -= points[start].value;
+      start += 1;
+    }
+    return { date: point.date, value: roundWeight(sum / (index - start + 1), 2) };
+  });
+};
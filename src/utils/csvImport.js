@@ -0,0 +1,547 @@
+import { getNameKey } from './nameMerge.js';
+import { getNormalizedSets } from './setData.js';
+import { convertWeight, getLogWeightUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../services/workoutService.js').LoggedSet} LoggedSet
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').SetType} SetType
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'workout_date' | 'workout_name' | 'exercise_name' | 'reps' | 'weight' | 'weight_unit' | 'set_type' | 'entry_id'} ImportField
+ */
+
+/**
+ * @typedef {Record<ImportField, number | null>} ColumnMapping
+ * Index of the CSV column read for each field, or null when the field is not mapped.
+ */
+
+/**
+ * @typedef {'iso' | 'mdy' | 'dmy' | 'text'} ImportDateFormat
+ */
+
+/**
+ * @typedef {object} ImportOptions
+ * @property {ImportDateFormat} dateFormat - How the date column is written.
+ * @property {WeightUnit} weightUnit - Unit of the weights when no unit column is mapped and the weight header does not name one.
+ * @property {string} defaultWorkoutName - Workout name used when no workout column is mapped or a row leaves it empty.
+ */
+
+/**
+ * @typedef {object} ImportPreset
+ * @property {string} id - Stable identifier.
+ * @property {string} label - Name shown in the preset select.
+ * @property {Partial<Record<ImportField, string[]>>} columns - Accepted header names per field; the first one present is used.
+ * @property {ImportDateFormat} dateFormat - How the app writes dates.
+ */
+
+/**
+ * @typedef {object} ImportRowError
+ * @property {number} row - Row number in the file, counting the header as row 1.
+ * @property {string} message - What is wrong with the row.
+ */
+
+/**
+ * @typedef {object} ImportedLog
+ * @property {LogData} logData - The log entry built from the rows.
+ * @property {number[]} rows - Row numbers the sets were read from.
+ */
+
+/**
+ * @typedef {object} ImportBuildResult
+ * @property {ImportedLog[]} logs - Log entries, in the order they first appear in the file.
+ * @property {ImportRowError[]} errors - Rows that could not be read.
+ * @property {number} skipped - Rows without reps (e.g. cardio or rest timer rows), ignored.
+ */
+
+/**
+ * CSV Import Helpers
+ *
+ * Reads CSV exports of other tracking apps in the browser and turns them into
+ * `LogData` entries. Every CSV row is one set; rows that share a date, workout,
+ * exercise, weight unit and (when mapped) entry ID are grouped into one log entry,
+ * with sets in file order. Columns are mapped onto fields either by a preset for a
+ * known app or manually. Weights are read in the unit named by the unit column,
+ * the weight header (e.g. "weight_kg", "Weight (lbs)") or the import options, in
+ * that order.
+ */
+
+/**
+ * Fields a column can be mapped to, in the order the mapping form shows them.
+ * @type {ImportField[]}
+ */
+export const IMPORT_FIELDS = [
+  'workout_date',
+  'exercise_name',
+  'reps',
+  'weight',
+  'workout_name',
+  'set_type',
+  'weight_unit',
+  'entry_id',
+];
+
+/**
+ * Fields that have to be mapped before rows can be read.
+ * @type {ImportField[]}
+ */
+export const REQUIRED_IMPORT_FIELDS = ['workout_date', 'exercise_name', 'reps'];
+
+/**
+ * Human-readable labels for each field.
+ * @type {Record<ImportField, string>}
+ */
+export const IMPORT_FIELD_LABELS = {
+  workout_date: 'Date',
+  exercise_name: 'Exercise',
+  reps: 'Reps',
+  weight: 'Weight',
+  workout_name: 'Workout name',
+  set_type: 'Set type',
+  weight_unit: 'Weight unit',
+  entry_id: 'Entry ID (keeps separate entries apart)',
+};
+
+/**
+ * Supported date layouts.
+ * @type {ImportDateFormat[]}
+ */
+export const IMPORT_DATE_FORMATS = ['iso', 'mdy', 'dmy', 'text'];
+
+/**
+ * Human-readable labels for each date layout.
+ * @type {Record<ImportDateFormat, string>}
+ */
+export const IMPORT_DATE_FORMAT_LABELS = {
+  iso: 'Year-month-day (2024-03-18)',
+  mdy: 'Month/day/year (03/18/2024)',
+  dmy: 'Day/month/year (18/03/2024)',
+  text: 'Day and month name (18 Mar 2024)',
+};
+
+/**
+ * Presets for common tracker exports, most specific first.
+ * @type {ImportPreset[]}
+ */
+export const IMPORT_PRESETS = [
+  {
+    id: 'fitwise',
+    label: 'FitWise (this app)',
+    columns: {
+      workout_date: ['workout_date'],
+      exercise_name: ['exercise_name'],
+      reps: ['reps'],
+      weight: ['weight'],
+      workout_name: ['workout_name'],
+      set_type: ['set_type'],
+      weight_unit: ['weight_unit'],
+      entry_id: ['log_id'],
+    },
+    dateFormat: 'iso',
+  },
+  {
+    id: 'strong',
+    label: 'Strong',
+    columns: {
+      workout_date: ['Date'],
+      exercise_name: ['Exercise Name'],
+      reps: ['Reps'],
+      weight: ['Weight'],
+      workout_name: ['Workout Name'],
+      set_type: ['Set Order'],
+    },
+    dateFormat: 'iso',
+  },
+  {
+    id: 'hevy',
+    label: 'Hevy',
+    columns: {
+      workout_date: ['start_time'],
+      exercise_name: ['exercise_title'],
+      reps: ['reps'],
+      weight: ['weight_kg', 'weight_lbs'],
+      workout_name: ['title'],
+      set_type: ['set_type'],
+    },
+    dateFormat: 'text',
+  },
+  {
+    id: 'fitnotes',
+    label: 'FitNotes',
+    columns: {
+      workout_date: ['Date'],
+      exercise_name: ['Exercise'],
+      reps: ['Reps'],
+      weight: ['Weight (kgs)', 'Weight (kg)', 'Weight (lbs)', 'Weight (lb)'],
+    },
+    dateFormat: 'iso',
+  },
+];
+
+/**
+ * Set type spellings used by other apps. Plain numbers (Strong's set order) are
+ * working sets.
+ * @type {Record<string, SetType>}
+ */
+const SET_TYPE_ALIASES = {
+  '': 'working',
+  normal: 'working',
+  working: 'working',
+  work: 'working',
+  warmup: 'warmup',
+  'warm-up': 'warmup',
+  'warm up': 'warmup',
+  w: 'warmup',
+  drop: 'drop',
+  dropset: 'drop',
+  'drop set': 'drop',
+  d: 'drop',
+  failure: 'failure',
+  f: 'failure',
+};
+
+/**
+ * Month abbreviations for text dates.
+ * @type {string[]}
+ */
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Picks the delimiter used most often in the first line: comma, semicolon or tab.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string} The delimiter.
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+  return counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain delimiters, doubled quotes
+ * and line breaks). The delimiter is detected from the header line, a leading byte
+ * order mark is dropped and blank lines are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, header first, each an array of field values.
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+/**
+ * Returns a mapping with no field mapped.
+ *
+ * @returns {ColumnMapping} The empty mapping.
+ */
+export const createEmptyMapping = () =>
+  Object.fromEntries(IMPORT_FIELDS.map((field) => [field, null]));
+
+/**
+ * Maps a preset's header names onto the column indexes of a file.
+ *
+ * @param {ImportPreset} preset - The preset.
+ * @param {string[]} headers - The file's header row.
+ * @returns {ColumnMapping} The mapping; fields whose header is missing stay unmapped.
+ */
+export const getPresetMapping = (preset, headers) => {
+  const keys = headers.map((header) => header.trim().toLowerCase());
+  const mapping = createEmptyMapping();
+  Object.entries(preset.columns).forEach(([field, names]) => {
+    const index = names
+      .map((name) => keys.indexOf(name.toLowerCase()))
+      .find((candidate) => candidate !== -1);
+    mapping[field] = index ?? null;
+  });
+  return mapping;
+};
+
+/**
+ * Finds the first preset whose columns are all present in the header row.
+ *
+ * @param {string[]} headers - The file's header row.
+ * @returns {ImportPreset | null} The matching preset, or null.
+ */
+export const detectPreset = (headers) =>
+  IMPORT_PRESETS.find((preset) => {
+    const mapping = getPresetMapping(preset, headers);
+    return Object.keys(preset.columns).every((field) => mapping[field] !== null);
+  }) ?? null;
+
+/**
+ * Lists the required fields a mapping leaves unmapped.
+ *
+ * @param {ColumnMapping} mapping - The mapping.
+ * @returns {ImportField[]} The missing fields.
+ */
+export const getMissingFields = (mapping) =>
+  REQUIRED_IMPORT_FIELDS.filter((field) => mapping[field] === null);
+
+/**
+ * Reads a weight unit from a unit cell or a column header, e.g. "lbs" or "weight_kg".
+ *
+ * @param {string} text - The text.
+ * @returns {WeightUnit | null} The unit, or null when the text names none.
+ */
+const readWeightUnit = (text) => {
+  const value = text.trim().toLowerCase();
+  if (/(^|[^a-z])(kg|kgs|kilograms?)([^a-z]|$)/.test(value)) {
+    return 'kg';
+  }
+  if (/(^|[^a-z])(lb|lbs|pounds?)([^a-z]|$)/.test(value)) {
+    return 'lb';
+  }
+  return null;
+};
+
+/**
+ * Builds an ISO date after checking the day exists.
+ *
+ * @param {number} year - Four-digit year.
+ * @param {number} month - Month, 1-12.
+ * @param {number} day - Day of the month.
+ * @returns {string | null} The date (YYYY-MM-DD), or null if it does not exist.
+ */
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Reads the date part of a date or timestamp cell; any time of day is ignored.
+ *
+ * @param {string} value - The cell value.
+ * @param {ImportDateFormat} dateFormat - How the date is written.
+ * @returns {string | null} The date (YYYY-MM-DD), or null if it cannot be read.
+ */
+export const parseImportDate = (value, dateFormat) => {
+  const text = value.trim();
+  if (dateFormat === 'iso') {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    return match ? toIsoDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+  }
+  if (dateFormat === 'mdy' || dateFormat === 'dmy') {
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/.exec(text);
+    if (!match) {
+      return null;
+    }
+    const [first, second, year] = match.slice(1).map(Number);
+    return dateFormat === 'mdy' ? toIsoDate(year, first, second) : toIsoDate(year, second, first);
+  }
+  // Text dates: "18 Mar 2024, 08:00" or "Mar 18, 2024"
+  const dayFirst = /^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})/i.exec(text);
+  const monthFirst = /^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/i.exec(text);
+  const [day, monthName, year] = dayFirst
+    ? [dayFirst[1], dayFirst[2], dayFirst[3]]
+    : monthFirst
+      ? [monthFirst[2], monthFirst[1], monthFirst[3]]
+      : [];
+  const month = MONTH_NAMES.indexOf(monthName?.toLowerCase()) + 1;
+  return month > 0 ? toIsoDate(Number(year), month, Number(day)) : null;
+};
+
+/**
+ * Reads a number cell, accepting a decimal comma ("62,5").
+ *
+ * @param {string} value - The cell value.
+ * @returns {number | null} The number, or null for empty cells and NaN for unreadable ones.
+ */
+const readNumber = (value) => {
+  const text = value.trim().replace(',', '.');
+  return text === '' ? null : Number(text);
+};
+
+/**
+ * Turns data rows into log entries. Rows with an empty reps cell are skipped;
+ * rows that cannot be read are reported with their row number.
+ *
+ * @param {string[][]} rows - Data rows, without the header.
+ * @param {string[]} headers - The header row, used to read weight units from the weight header.
+ * @param {ColumnMapping} mapping - The column mapping.
+ * @param {ImportOptions} options - Import options.
+ * @returns {ImportBuildResult} The entries, errors and skipped row count.
+ */
+export const buildImportLogs = (rows, headers, mapping, options) => {
+  /** @type {Map<string, ImportedLog>} */
+  const entries = new Map();
+  /** @type {ImportRowError[]} */
+  const errors = [];
+  let skipped = 0;
+  const headerUnit = mapping.weight !== null ? readWeightUnit(headers[mapping.weight] ?? '') : null;
+  const cell = (row, field) => (mapping[field] === null ? '' : (row[mapping[field]] ?? '').trim());
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const fail = (message) => errors.push({ row: rowNumber, message });
+
+    const repsText = cell(row, 'reps');
+    if (repsText === '') {
+      skipped += 1;
+      return;
+    }
+    const reps = readNumber(repsText);
+    if (!Number.isInteger(reps) || reps < 0) {
+      fail(`Reps "${repsText}" is not a whole number.`);
+      return;
+    }
+    const workoutDate = parseImportDate(cell(row, 'workout_date'), options.dateFormat);
+    if (!workoutDate) {
+      fail(`Date "${cell(row, 'workout_date')}" does not match the selected date format.`);
+      return;
+    }
+    const exerciseName = cell(row, 'exercise_name');
+    if (exerciseName === '') {
+      fail('The exercise name is empty.');
+      return;
+    }
+    const weight = readNumber(cell(row, 'weight'));
+    if (weight !== null && (Number.isNaN(weight) || weight < 0)) {
+      fail(`Weight "${cell(row, 'weight')}" is not a valid weight.`);
+      return;
+    }
+    const setTypeText = cell(row, 'set_type').toLowerCase();
+    const setType = /^\d+$/.test(setTypeText) ? 'working' : SET_TYPE_ALIASES[setTypeText];
+    if (!setType) {
+      fail(`Set type "${cell(row, 'set_type')}" is not recognized.`);
+      return;
+    }
+    const unitText = cell(row, 'weight_unit');
+    const weightUnit = (unitText && readWeightUnit(unitText)) || headerUnit || options.weightUnit;
+    const workoutName = cell(row, 'workout_name') || options.defaultWorkoutName.trim();
+
+    const key = [workoutDate, workoutName, exerciseName, weightUnit, cell(row, 'entry_id')].join('\u0000');
+    if (!entries.has(key)) {
+      entries.set(key, {
+        logData: {
+          workout_name: workoutName,
+          exercise_name: exerciseName,
+          workout_date: workoutDate,
+          weight_unit: weightUnit,
+          sets: [],
+        },
+        rows: [],
+      });
+    }
+    const entry = entries.get(key);
+    entry.logData.sets.push({ reps, weight, set_type: setType });
+    entry.rows.push(rowNumber);
+  });
+
+  return { logs: [...entries.values()], errors, skipped };
+};
+
+/**
+ * Builds the key used to recognize the same entry in the imported file and the
+ * user's history: date, exercise name key and every set's reps and weight in kg.
+ *
+ * @param {string} date - Workout date (YYYY-MM-DD).
+ * @param {string} exerciseName - Exercise name.
+ * @param {LoggedSet[]} sets - The sets.
+ * @param {WeightUnit} unit - Unit of the sets' weights.
+ * @returns {string} The fingerprint.
+ */
+const getFingerprint = (date, exerciseName, sets, unit) =>
+  [
+    date,
+    getNameKey(exerciseName),
+    sets
+      .map((set) =>
+        set.weight === null || set.weight === undefined
+          ? `${set.reps}`
+          : `${set.reps}x${roundWeight(convertWeight(set.weight, unit, 'kg'))}`,
+      )
+      .join(','),
+  ].join('|');
+
+/**
+ * Flags imported entries that are already in the history, or repeat an earlier
+ * entry of the same file. Entries match when date, exercise (ignoring case, spacing
+ * and plurals) and all sets' reps and weights are equal.
+ *
+ * @param {ImportedLog[]} logs - Imported entries.
+ * @param {ProgressLog[]} existingLogs - The user's history for the imported dates.
+ * @returns {boolean[]} For each imported entry, true when it is a duplicate.
+ */
+export const findDuplicateImports = (logs, existingLogs) => {
+  const seen = new Set();
+  existingLogs.forEach((log) => {
+    const sets = getNormalizedSets(log);
+    if (sets) {
+      seen.add(
+        getFingerprint(
+          log.workout_date.split('T')[0],
+          log.exercise_name,
+          sets,
+          getLogWeightUnit(log),
+        ),
+      );
+    }
+  });
+
+  return logs.map(({ logData }) => {
+    const fingerprint = getFingerprint(
+      logData.workout_date,
+      logData.exercise_name,
+      logData.sets,
+      logData.weight_unit,
+    );
+    if (seen.has(fingerprint)) {
+      return true;
+    }
+    seen.add(fingerprint);
+    return false;
+  });
+};
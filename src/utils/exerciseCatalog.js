@@ -0,0 +1,186 @@
+import { normalizeName } from './names.js';
+
+/**
+ * @typedef {import('./muscleGroups.js').MuscleGroup} MuscleGroup
+ */
+
+/**
+ * @typedef {'barbell' | 'dumbbell' | 'machine' | 'cable' | 'kettlebell' | 'band' | 'bodyweight' | 'other'} Equipment
+ */
+
+/**
+ * @typedef {object} CatalogExercise
+ * @property {string} id - Stable identifier ("builtin:<slug>" for built-in exercises, the row ID for custom ones).
+ * @property {string} name - Canonical exercise name, as stored in logs and plans.
+ * @property {string[]} aliases - Other names and abbreviations the exercise is known by.
+ * @property {MuscleGroup[]} primary_muscles - Muscle groups mainly trained; the first one is used for analytics.
+ * @property {MuscleGroup[]} secondary_muscles - Muscle groups trained as assistance.
+ * @property {Equipment} equipment - Main equipment used.
+ * @property {boolean} is_unilateral - True if one side is trained at a time.
+ * @property {boolean} is_bodyweight - True if the movement is done with bodyweight (weight is optional).
+ * @property {boolean} is_custom - True for exercises added by the user.
+ */
+
+/**
+ * Exercise Catalog Helpers
+ *
+ * The built-in exercise library and lookups over a catalog (built-in exercises
+ * plus the user's custom ones). Matching ignores case and spacing and includes
+ * aliases, so "BP" and "bench" both find "Bench Press".
+ */
+
+/**
+ * Supported equipment values, in display order.
+ * @type {Equipment[]}
+ */
+export const EQUIPMENT_TYPES = [
+  'barbell',
+  'dumbbell',
+  'machine',
+  'cable',
+  'kettlebell',
+  'band',
+  'bodyweight',
+  'other',
+];
+
+/**
+ * Display labels for each equipment value.
+ * @type {Record<Equipment, string>}
+ */
+export const EQUIPMENT_LABELS = {
+  barbell: 'Barbell',
+  dumbbell: 'Dumbbell',
+  machine: 'Machine',
+  cable: 'Cable',
+  kettlebell: 'Kettlebell',
+  band: 'Band',
+  bodyweight: 'Bodyweight',
+  other: 'Other',
+};
+
+/**
+ * Creates a built-in catalog entry.
+ *
+ * @param {string} name - Canonical name.
+ * @param {string[]} aliases - Alternative names.
+ * @param {MuscleGroup[]} primary - Primary muscle groups.
+ * @param {MuscleGroup[]} secondary - Secondary muscle groups.
+ * @param {Equipment} equipment - Main equipment.
+ * @param {{ unilateral?: boolean; bodyweight?: boolean }} [flags={}] - Movement flags.
+ * @returns {CatalogExercise} The entry.
+ */
+const builtIn = (name, aliases, primary, secondary, equipment, flags = {}) => ({
+  id: `builtin:${normalizeName(name).replace(/[^a-z0-9]+/g, '-')}`,
+  name,
+  aliases,
+  primary_muscles: primary,
+  secondary_muscles: secondary,
+  equipment,
+  is_unilateral: flags.unilateral ?? false,
+  is_bodyweight: flags.bodyweight ?? false,
+  is_custom: false,
+});
+
+/**
+ * The built-in exercise library, alphabetically.
+ * @type {CatalogExercise[]}
+ */
+export const BUILT_IN_EXERCISES = [
+  builtIn('Ab Wheel Rollout', ['Ab Rollout', 'Rollout'], ['core'], [], 'other'),
+  builtIn('Arnold Press', [], ['shoulders'], ['triceps'], 'dumbbell'),
+  builtIn('Back Squat', ['Squat', 'Barbell Squat', 'BS'], ['quads'], ['glutes', 'back'], 'barbell'),
+  builtIn('Barbell Curl', ['Curl', 'BB Curl'], ['biceps'], [], 'barbell'),
+  builtIn('Barbell Row', ['Bent Over Row', 'BB Row', 'Row'], ['back'], ['biceps'], 'barbell'),
+  builtIn('Bench Press', ['Bench', 'BP', 'Barbell Bench Press', 'Flat Bench'], ['chest'], ['triceps', 'shoulders'], 'barbell'),
+  builtIn('Bulgarian Split Squat', ['BSS', 'Rear Foot Elevated Split Squat'], ['quads'], ['glutes'], 'dumbbell', { unilateral: true }),
+  builtIn('Cable Fly', ['Cable Crossover', 'Cable Flye'], ['chest'], [], 'cable'),
+  builtIn('Calf Raise', ['Standing Calf Raise'], ['calves'], [], 'machine'),
+  builtIn('Chin-Up', ['Chinup', 'Chin Up'], ['back'], ['biceps'], 'bodyweight', { bodyweight: true }),
+  builtIn('Close-Grip Bench Press', ['CGBP', 'Close Grip Bench'], ['triceps'], ['chest'], 'barbell'),
+  builtIn('Deadlift', ['DL', 'Conventional Deadlift'], ['back'], ['hamstrings', 'glutes'], 'barbell'),
+  builtIn('Dip', ['Dips', 'Parallel Bar Dip'], ['triceps'], ['chest', 'shoulders'], 'bodyweight', { bodyweight: true }),
+  builtIn('Dumbbell Bench Press', ['DB Bench', 'DB Bench Press'], ['chest'], ['triceps', 'shoulders'], 'dumbbell'),
+  builtIn('Dumbbell Row', ['DB Row', 'One-Arm Row', 'Single Arm Row'], ['back'], ['biceps'], 'dumbbell', { unilateral: true }),
+  builtIn('Face Pull', [], ['shoulders'], ['back'], 'cable'),
+  builtIn('Front Squat', ['FS'], ['quads'], ['glutes', 'core'], 'barbell'),
+  builtIn('Goblet Squat', [], ['quads'], ['glutes'], 'kettlebell'),
+  builtIn('Hammer Curl', [], ['biceps'], [], 'dumbbell'),
+  builtIn('Hanging Leg Raise', ['Leg Raise', 'HLR'], ['core'], [], 'bodyweight', { bodyweight: true }),
+  builtIn('Hip Thrust', ['Barbell Hip Thrust'], ['glutes'], ['hamstrings'], 'barbell'),
+  builtIn('Incline Bench Press', ['Incline Bench', 'Incline BP'], ['chest'], ['shoulders', 'triceps'], 'barbell'),
+  builtIn('Incline Dumbbell Press', ['Incline DB Press'], ['chest'], ['shoulders', 'triceps'], 'dumbbell'),
+  builtIn('Lat Pulldown', ['Pulldown', 'Lat Pull-Down'], ['back'], ['biceps'], 'cable'),
+  builtIn('Lateral Raise', ['Side Raise', 'Side Lateral Raise', 'DB Lateral Raise'], ['shoulders'], [], 'dumbbell'),
+  builtIn('Leg Curl', ['Hamstring Curl', 'Lying Leg Curl', 'Seated Leg Curl'], ['hamstrings'], [], 'machine'),
+  builtIn('Leg Extension', [], ['quads'], [], 'machine'),
+  builtIn('Leg Press', [], ['quads'], ['glutes'], 'machine'),
+  builtIn('Overhead Press', ['OHP', 'Military Press', 'Press', 'Standing Press', 'Shoulder Press'], ['shoulders'], ['triceps'], 'barbell'),
+  builtIn('Overhead Triceps Extension', ['Overhead Extension', 'French Press'], ['triceps'], [], 'dumbbell'),
+  builtIn('Plank', [], ['core'], [], 'bodyweight', { bodyweight: true }),
+  builtIn('Pull-Up', ['Pullup', 'Pull Up'], ['back'], ['biceps'], 'bodyweight', { bodyweight: true }),
+  builtIn('Push-Up', ['Pushup', 'Push Up'], ['chest'], ['triceps', 'shoulders'], 'bodyweight', { bodyweight: true }),
+  builtIn('Rear Delt Fly', ['Reverse Fly', 'Rear Delt Raise'], ['shoulders'], ['back'], 'dumbbell'),
+  builtIn('Romanian Deadlift', ['RDL', 'Stiff-Leg Deadlift'], ['hamstrings'], ['glutes', 'back'], 'barbell'),
+  builtIn('Seated Cable Row', ['Cable Row', 'Seated Row'], ['back'], ['biceps'], 'cable'),
+  builtIn('Shrug', ['Barbell Shrug', 'Shrugs'], ['back'], [], 'barbell'),
+  builtIn('Skull Crusher', ['Lying Triceps Extension', 'Skullcrusher'], ['triceps'], [], 'barbell'),
+  builtIn('Triceps Pushdown', ['Pushdown', 'Cable Pushdown', 'Tricep Pushdown'], ['triceps'], [], 'cable'),
+  builtIn('Walking Lunge', ['Lunge', 'Lunges'], ['quads'], ['glutes'], 'dumbbell', { unilateral: true }),
+];
+
+/**
+ * Finds the catalog entry for a name, matching names and aliases.
+ * Canonical names win over aliases when both match.
+ *
+ * @param {CatalogExercise[]} catalog - The catalog to search.
+ * @param {string | null | undefined} name - The name to look up, any case.
+ * @returns {CatalogExercise | null} The entry, or null if the name is unknown.
+ */
+export const findCatalogExercise = (catalog, name) => {
+  const key = normalizeName(name);
+  if (!key) {
+    return null;
+  }
+  return (
+    catalog.find((exercise) => normalizeName(exercise.name) === key) ??
+    catalog.find((exercise) => exercise.aliases.some((alias) => normalizeName(alias) === key)) ??
+    null
+  );
+};
+
+/**
+ * Searches the catalog by name and alias. Results are ranked: exact matches, then
+ * names starting with the query, then names containing it, then alias matches.
+ * Custom exercises come before built-in ones within a rank.
+ *
+ * @param {CatalogExercise[]} catalog - The catalog to search.
+ * @param {string} query - The search text; an empty query lists the whole catalog.
+ * @param {number} [limit=8] - Maximum number of results.
+ * @returns {CatalogExercise[]} The matching entries, best first.
+ */
+export const searchExercises = (catalog, query, limit = 8) => {
+  const key = normalizeName(query);
+  const rank = (exercise) => {
+    if (!key) return 0;
+    const name = normalizeName(exercise.name);
+    const aliases = exercise.aliases.map(normalizeName);
+    if (name === key || aliases.includes(key)) return 0;
+    if (name.startsWith(key)) return 1;
+    if (name.includes(key)) return 2;
+    if (aliases.some((alias) => alias.includes(key))) return 3;
+    return null;
+  };
+
+  return catalog
+    .map((exercise) => ({ exercise, rank: rank(exercise) }))
+    .filter(({ rank: value }) => value !== null)
+    .sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        Number(b.exercise.is_custom) - Number(a.exercise.is_custom) ||
+        a.exercise.name.localeCompare(b.exercise.name),
+    )
+    .slice(0, limit)
+    .map(({ exercise }) => exercise);
+};
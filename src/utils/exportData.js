@@ -0,0 +1,326 @@
+import { getLogSets } from './setData.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetric} BodyMetric
+ */
+
+/**
+ * @typedef {'csv' | 'json'} ExportFormat
+ */
+
+/**
+ * @typedef {object} ExportDateRange
+ * @property {string} [dateFrom] - First workout date included (YYYY-MM-DD).
+ * @property {string} [dateTo] - Last workout date included (YYYY-MM-DD).
+ */
+
+/**
+ * Data Export Helpers
+ *
+ * Serializes progress logs, workout plans and body metrics for download. The layouts below are
+ * a stable contract for notebooks and backups: columns and keys are only ever
+ * added at the end, never renamed, reordered or removed without raising
+ * `EXPORT_FORMAT_VERSION`.
+ *
+ * Progress CSV: one row per logged set, ordered by workout date then log and set.
+ * Legacy logs recorded before per-set tracking have a single row with the set
+ * columns empty and the `legacy_*` columns filled. Columns, in order:
+ *
+ * - `log_id` - Identifier of the log entry; shared by all sets of one entry.
+ * - `workout_date` - Date of the workout (YYYY-MM-DD).
+ * - `workout_name` - Workout name as stored.
+ * - `exercise_name` - Exercise name as stored.
+ * - `set_number` - 1-based position of the set within the entry.
+ * - `set_type` - `warmup`, `working`, `drop` or `failure`.
+ * - `reps` - Repetitions in the set.
+ * - `weight` - Weight of the set; empty for bodyweight sets.
+ * - `weight_unit` - `kg` or `lb`; empty for legacy logs (recorded in the user's preferred unit).
+ * - `legacy_sets_completed` - Sets recorded by a legacy log.
+ * - `legacy_reps_achieved` - Free-text reps recorded by a legacy log.
+ * - `legacy_weight_used` - Weight recorded by a legacy log.
+ * - `created_at` - When the entry was saved (ISO 8601 timestamp).
+ *
+ * Progress JSON: `{ format_version, type: "progress_logs", exported_at, date_from,
+ * date_to, logs }`, where each log has the keys of `PROGRESS_JSON_KEYS` and `sets`
+ * is an array of `{ reps, weight, set_type }` (null for legacy logs).
+ *
+ * Plans JSON: `{ format_version, type: "workout_plans", exported_at, plans }`,
+ * where each plan has the keys of `PLAN_JSON_KEYS` in the format the plan editor
+ * saves.
+ *
+ * Body metrics CSV: one row per measurement date, oldest first, with values in the
+ * units they were entered in. Columns, in order:
+ *
+ * - `measured_on` - Date of the measurements (YYYY-MM-DD).
+ * - `bodyweight` - Bodyweight; empty if not measured.
+ * - `weight_unit` - `kg` or `lb`.
+ * - `body_fat_percent` - Estimated body fat percentage; empty if not measured.
+ * - `neck`, `chest`, `waist`, `hips`, `arm`, `thigh` - Circumferences; empty if not measured.
+ * - `length_unit` - `cm` or `in`.
+ * - `notes` - Free-text notes.
+ * - `created_at` - When the entry was saved (ISO 8601 timestamp).
+ */
+
+/**
+ * Version of the export layouts; raised on any incompatible change.
+ * @type {number}
+ */
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Supported export formats for progress logs.
+ * @type {ExportFormat[]}
+ */
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Columns of the progress CSV export, in order.
+ * @type {string[]}
+ */
+export const PROGRESS_CSV_COLUMNS = [
+  'log_id',
+  'workout_date',
+  'workout_name',
+  'exercise_name',
+  'set_number',
+  'set_type',
+  'reps',
+  'weight',
+  'weight_unit',
+  'legacy_sets_completed',
+  'legacy_reps_achieved',
+  'legacy_weight_used',
+  'created_at',
+];
+
+/**
+ * Keys of each log in the progress JSON export, in order.
+ * @type {string[]}
+ */
+export const PROGRESS_JSON_KEYS = [
+  'id',
+  'workout_date',
+  'workout_name',
+  'exercise_name',
+  'weight_unit',
+  'sets',
+  'sets_completed',
+  'reps_achieved',
+  'weight_used',
+  'created_at',
+];
+
+/**
+ * Keys of each plan in the plans JSON export, in order.
+ * @type {string[]}
+ */
+export const PLAN_JSON_KEYS = [
+  'id',
+  'name',
+  'description',
+  'schedule_type',
+  'days',
+  'exercises',
+  'is_active',
+  'archived_at',
+  'created_at',
+];
+
+/**
+ * Columns of the body metrics CSV export, in order.
+ * @type {string[]}
+ */
+export const BODY_METRICS_CSV_COLUMNS = [
+  'measured_on',
+  'bodyweight',
+  'weight_unit',
+  'body_fat_percent',
+  'neck',
+  'chest',
+  'waist',
+  'hips',
+  'arm',
+  'thigh',
+  'length_unit',
+  'notes',
+  'created_at',
+];
+
+/**
+ * Quotes a CSV value when it contains a delimiter, quote or line break (RFC 4180).
+ *
+ * @param {string | number | null | undefined} value - The value.
+ * @returns {string} The CSV field; null and undefined become empty.
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document with a header row.
+ *
+ * @param {string[]} columns - Column names, in order.
+ * @param {Record<string, string | number | null | undefined>[]} rows - Rows keyed by column.
+ * @returns {string} The CSV text, lines separated by CRLF.
+ */
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(escapeCsvValue).join(','))
+    .join('\r\n');
+
+/**
+ * Picks keys in a fixed order, filling missing ones with null.
+ *
+ * @param {object} source - The object to read.
+ * @param {string[]} keys - The keys to keep, in order.
+ * @returns {Record<string, unknown>} The picked object.
+ */
+const pickKeys = (source, keys) =>
+  Object.fromEntries(keys.map((key) => [key, source[key] ?? null]));
+
+/**
+ * Sorts logs oldest first, keeping entries of one day in the order they were saved.
+ *
+ * @param {ProgressLog[]} logs - Log entries.
+ * @returns {ProgressLog[]} The sorted copy.
+ */
+const sortChronologically = (logs) =>
+  [...logs].sort(
+    (a, b) =>
+      a.workout_date.localeCompare(b.workout_date) ||
+      (a.created_at ?? '').localeCompare(b.created_at ?? ''),
+  );
+
+/**
+ * Serializes progress logs as CSV, one row per set.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @returns {string} The CSV text.
+ */
+export const progressLogsToCsv = (logs) => {
+  const rows = sortChronologically(logs).flatMap((log) => {
+    const base = {
+      log_id: log.id,
+      workout_date: log.workout_date.split('T')[0],
+      workout_name: log.workout_name,
+      exercise_name: log.exercise_name,
+      weight_unit: log.weight_unit,
+      created_at: log.created_at,
+    };
+    const sets = getLogSets(log);
+    if (!sets) {
+      return [
+        {
+          ...base,
+          legacy_sets_completed: log.sets_completed,
+          legacy_reps_achieved: log.reps_achieved,
+          legacy_weight_used: log.weight_used,
+        },
+      ];
+    }
+    return sets.map((set, index) => ({
+      ...base,
+      set_number: index + 1,
+      set_type: set.set_type ?? 'working',
+      reps: set.reps,
+      weight: set.weight,
+    }));
+  });
+  return toCsv(PROGRESS_CSV_COLUMNS, rows);
+};
+
+/**
+ * Serializes progress logs as JSON.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {ExportDateRange} [range={}] - The date filter the logs were loaded with, recorded in the file.
+ * @param {Date} [exportedAt=new Date()] - Export time recorded in the file.
+ * @returns {string} The JSON text.
+ */
+export const progressLogsToJson = (logs, { dateFrom, dateTo } = {}, exportedAt = new Date()) =>
+  JSON.stringify(
+    {
+      format_version: EXPORT_FORMAT_VERSION,
+      type: 'progress_logs',
+      exported_at: exportedAt.toISOString(),
+      date_from: dateFrom || null,
+      date_to: dateTo || null,
+      logs: sortChronologically(logs).map((log) => {
+        const sets = getLogSets(log);
+        return pickKeys(
+          {
+            ...log,
+            workout_date: log.workout_date.split('T')[0],
+            sets: sets
+              ? sets.map((set) => ({
+                  reps: set.reps,
+                  weight: set.weight ?? null,
+                  set_type: set.set_type ?? 'working',
+                }))
+              : null,
+          },
+          PROGRESS_JSON_KEYS,
+        );
+      }),
+    },
+    null,
+    2,
+  );
+
+/**
+ * Serializes workout plans as JSON.
+ *
+ * @param {WorkoutPlan[]} plans - The plans.
+ * @param {Date} [exportedAt=new Date()] - Export time recorded in the file.
+ * @returns {string} The JSON text.
+ */
+export const plansToJson = (plans, exportedAt = new Date()) =>
+  JSON.stringify(
+    {
+      format_version: EXPORT_FORMAT_VERSION,
+      type: 'workout_plans',
+      exported_at: exportedAt.toISOString(),
+      plans: plans.map((plan) => pickKeys(plan, PLAN_JSON_KEYS)),
+    },
+    null,
+    2,
+  );
+
+/**
+ * Serializes body metric entries as CSV, one row per date.
+ *
+ * @param {BodyMetric[]} metrics - The entries, any order.
+ * @returns {string} The CSV text.
+ */
+export const bodyMetricsToCsv = (metrics) =>
+  toCsv(
+    BODY_METRICS_CSV_COLUMNS,
+    [...metrics]
+      .sort((a, b) => a.measured_on.localeCompare(b.measured_on))
+      .map((metric) => ({ ...metric.circumferences, ...metric })),
+  );
+
+/**
+ * Starts a browser download of a text file.
+ *
+ * @param {string} filename - Name of the downloaded file.
+ * @param {string} content - File contents.
+ * @param {string} mimeType - MIME type, e.g. "text/csv".
+ * @returns {void}
+ */
+export const downloadTextFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,463 @@
+import { addDays, differenceInCalendarDays, format, parseISO, subDays } from 'date-fns';
+import { getMetricSeries } from './bodyMetrics.js';
+import { getTodayISO } from './progressLogForm.js';
+import { summarizeTrainingDays } from './streaks.js';
+import { getExerciseTrend } from './trends.js';
+import { convertWeight, formatWeight, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/goalsService.js').Goal} Goal
+ * @typedef {import('../services/goalsService.js').GoalData} GoalData
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/bodyMetricsService.js').BodyMetric} BodyMetric
+ * @typedef {import('../components/LineChart.jsx').ChartPoint} ChartPoint
+ * @typedef {import('./records.js').E1rmFormula} E1rmFormula
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'lift' | 'frequency' | 'bodyweight'} GoalType
+ */
+
+/**
+ * @typedef {'active' | 'achieved' | 'abandoned'} GoalStatus
+ */
+
+/**
+ * @typedef {'weight' | 'e1rm'} LiftGoalMetric
+ * What a lift goal measures: the heaviest working set, or the best estimated one-rep max.
+ */
+
+/**
+ * @typedef {'reached' | 'projected' | 'stalled' | 'insufficient-data'} GoalProjection
+ */
+
+/**
+ * @typedef {object} GoalProgress
+ * @property {number | null} current - Current value in the display units (best lift, latest bodyweight or weeks completed), or null without data.
+ * @property {number | null} baseline - Value the goal started from, or null without data.
+ * @property {number} target - Target value in the display units.
+ * @property {number} percent - Share of the way from the baseline to the target, 0–100.
+ * @property {boolean} reached - True once the target is met.
+ * @property {GoalProjection} projection - Outcome of projecting the recent trend.
+ * @property {string | null} projectedDate - Projected completion date (YYYY-MM-DD), when the trend leads to the target.
+ * @property {boolean | null} onTrack - Whether the projected date is on or before the target date; null without either.
+ * @property {number | null} weekSessions - Training days in the current week (frequency goals only).
+ * @property {string} summary - One-sentence explanation for the user.
+ */
+
+/**
+ * @typedef {object} GoalFormState
+ * @property {GoalType} goal_type - Selected goal type.
+ * @property {string} exercise_name - Exercise input (lift goals).
+ * @property {LiftGoalMetric} lift_metric - Measured value (lift goals).
+ * @property {string} target_value - Target weight, bodyweight or sessions per week.
+ * @property {string} duration_weeks - Number of weeks (frequency goals).
+ * @property {string} target_date - Optional target date input (YYYY-MM-DD).
+ */
+
+/**
+ * @typedef {object} GoalProgressSources
+ * @property {ProgressLog[]} logs - The user's progress logs, any order; at least those from `getGoalLogsStartDate` on.
+ * @property {BodyMetric[]} metrics - The user's body metric entries, any order.
+ * @property {WeightUnit} unit - Unit to express weights in.
+ * @property {E1rmFormula} [formula='epley'] - Formula for estimated one-rep maxes.
+ * @property {string} [today] - Today's date (YYYY-MM-DD); defaults to the current date.
+ */
+
+/**
+ * Goal Helpers
+ *
+ * Parses the goal form and computes the progress of goals from the user's history.
+ * Lift goals track the heaviest working set or the best estimated one-rep max of an
+ * exercise, bodyweight goals the latest logged bodyweight, and frequency goals the
+ * number of weeks with enough training days. Weeks of a frequency goal are counted
+ * in blocks of seven days from its start date and do not have to be consecutive.
+ * Completion is projected from the recent trend: a straight-line fit over the last
+ * `PROJECTION_DAYS` for lifts and bodyweight, and the share of recent weeks that met
+ * the target for frequency goals.
+ */
+
+/**
+ * Supported goal types.
+ * @type {GoalType[]}
+ */
+export const GOAL_TYPES = ['lift', 'frequency', 'bodyweight'];
+
+/**
+ * Labels of the goal types.
+ * @type {Record<GoalType, string>}
+ */
+export const GOAL_TYPE_LABELS = {
+  lift: 'Lift target',
+  frequency: 'Training frequency',
+  bodyweight: 'Bodyweight',
+};
+
+/**
+ * Goal statuses. Only active goals are tracked; the others form the goal history.
+ * @type {GoalStatus[]}
+ */
+export const GOAL_STATUSES = ['active', 'achieved', 'abandoned'];
+
+/**
+ * Values a lift goal can measure.
+ * @type {LiftGoalMetric[]}
+ */
+export const LIFT_GOAL_METRICS = ['weight', 'e1rm'];
+
+/**
+ * Labels of the lift goal values.
+ * @type {Record<LiftGoalMetric, string>}
+ */
+export const LIFT_GOAL_METRIC_LABELS = {
+  weight: 'Heaviest set',
+  e1rm: 'Estimated 1RM',
+};
+
+/**
+ * Upper limit on the weeks of a frequency goal.
+ * @type {number}
+ */
+export const MAX_GOAL_WEEKS = 52;
+
+/**
+ * Days of history the lift and bodyweight projections are fitted to.
+ * @type {number}
+ */
+export const PROJECTION_DAYS = 56;
+
+// Fewer points give too noisy a trend to project from
+const MIN_PROJECTION_POINTS = 3;
+// Projections further out than this are reported as stalled
+const MAX_PROJECTION_DAYS = 730;
+// Finished weeks that set the recent pace of a frequency goal
+const FREQUENCY_PACE_WEEKS = 4;
+
+/**
+ * Creates an empty goal form.
+ *
+ * @returns {GoalFormState} A blank form state for a lift goal.
+ */
+export const createEmptyGoalForm = () => ({
+  goal_type: 'lift',
+  exercise_name: '',
+  lift_metric: 'weight',
+  target_value: '',
+  duration_weeks: '',
+  target_date: '',
+});
+
+/**
+ * Parses the goal form into data for `createGoal`. Goals start today; frequency
+ * goals end after their number of weeks.
+ *
+ * @param {GoalFormState} form - The form state.
+ * @param {WeightUnit} weightUnit - The unit target weights were entered in.
+ * @param {string} [today] - Today's date (YYYY-MM-DD); defaults to the current date.
+ * @returns {{ data: GoalData | null; error: string | null; }} The data, or a message describing the first problem.
+ */
+export const parseGoalForm = (form, weightUnit, today = getTodayISO()) => {
+  const target = Number(form.target_value);
+
+  if (form.goal_type === 'frequency') {
+    const weeks = Number(form.duration_weeks);
+    if (!Number.isInteger(target) || target < 1 || target > 7) {
+      return { data: null, error: 'Sessions per week must be a whole number from 1 to 7.' };
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_GOAL_WEEKS) {
+      return { data: null, error: `Weeks must be a whole number from 1 to ${MAX_GOAL_WEEKS}.` };
+    }
+    return {
+      data: {
+        goal_type: 'frequency',
+        exercise_name: null,
+        lift_metric: null,
+        target_value: target,
+        weight_unit: null,
+        duration_weeks: weeks,
+        start_date: today,
+        target_date: format(addDays(parseISO(today), weeks * 7 - 1), 'yyyy-MM-dd'),
+      },
+      error: null,
+    };
+  }
+
+  const exerciseName = form.exercise_name.trim();
+  if (form.goal_type === 'lift' && !exerciseName) {
+    return { data: null, error: 'Please choose an exercise.' };
+  }
+  if (form.target_value.trim() === '' || !Number.isFinite(target) || target <= 0) {
+    return { data: null, error: 'The target must be a positive number.' };
+  }
+  if (form.target_date && form.target_date <= today) {
+    return { data: null, error: 'The target date must be in the future.' };
+  }
+
+  return {
+    data: {
+      goal_type: form.goal_type,
+      exercise_name: form.goal_type === 'lift' ? exerciseName : null,
+      lift_metric: form.goal_type === 'lift' ? form.lift_metric : null,
+      target_value: target,
+      weight_unit: weightUnit,
+      duration_weeks: null,
+      start_date: today,
+      target_date: form.target_date || null,
+    },
+    error: null,
+  };
+};
+
+/**
+ * Describes a goal in a few words, with weights in the display unit.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {WeightUnit} unit - Unit to show weights in.
+ * @returns {string} E.g. "Squat 140 kg (estimated 1RM)" or "Train 4×/week for 8 weeks".
+ */
+export const describeGoal = (goal, unit) => {
+  if (goal.goal_type === 'frequency') {
+    return `Train ${goal.target_value}×/week for ${goal.duration_weeks} ${goal.duration_weeks === 1 ? 'week' : 'weeks'}`;
+  }
+  const target = formatWeight(roundWeight(convertWeight(goal.target_value, goal.weight_unit, unit)), unit);
+  if (goal.goal_type === 'bodyweight') {
+    return `Reach ${target} bodyweight`;
+  }
+  return goal.lift_metric === 'e1rm'
+    ? `${goal.exercise_name} ${target} (estimated 1RM)`
+    : `${goal.exercise_name} ${target}`;
+};
+
+/**
+ * Formats a progress value of a goal.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {number} value - A value from its `GoalProgress`.
+ * @param {WeightUnit} unit - Unit the value is expressed in.
+ * @returns {string} The formatted value.
+ */
+export const formatGoalValue = (goal, value, unit) =>
+  goal.goal_type === 'frequency'
+    ? `${value} ${value === 1 ? 'week' : 'weeks'}`
+    : formatWeight(roundWeight(value), unit);
+
+/**
+ * Projects when a trend reaches a target, from a straight-line fit over the
+ * points of the last `PROJECTION_DAYS`.
+ *
+ * @param {ChartPoint[]} points - The points, any order.
+ * @param {number} target - The target value.
+ * @param {1 | -1} direction - 1 if the value should rise, -1 if it should fall.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {{ projection: GoalProjection; projectedDate: string | null; }} The projection.
+ */
+const projectTrend = (points, target, direction, today) => {
+  const todayDate = parseISO(today);
+  const from = format(subDays(todayDate, PROJECTION_DAYS), 'yyyy-MM-dd');
+  const recent = points.filter((point) => point.date >= from && point.date <= today);
+  if (recent.length < MIN_PROJECTION_POINTS) {
+    return { projection: 'insufficient-data', projectedDate: null };
+  }
+
+  // Days relative to today, so the intercept is the trend value today
+  const xs = recent.map((point) => differenceInCalendarDays(parseISO(point.date), todayDate));
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = recent.reduce((sum, point) => sum + point.value, 0) / recent.length;
+  const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  if (spread === 0) {
+    return { projection: 'insufficient-data', projectedDate: null };
+  }
+  const slope =
+    xs.reduce((sum, x, index) => sum + (x - meanX) * (recent[index].value - meanY), 0) / spread;
+  if (slope * direction <= 0) {
+    return { projection: 'stalled', projectedDate: null };
+  }
+
+  const daysLeft = Math.max(0, Math.ceil((target - (meanY - slope * meanX)) / slope));
+  if (daysLeft > MAX_PROJECTION_DAYS) {
+    return { projection: 'stalled', projectedDate: null };
+  }
+  return { projection: 'projected', projectedDate: format(addDays(todayDate, daysLeft), 'yyyy-MM-dd') };
+};
+
+/**
+ * Builds the summary sentence of a projection.
+ *
+ * @param {GoalProjection} projection - The projection outcome.
+ * @param {string | null} projectedDate - The projected date.
+ * @param {string | null} targetDate - The goal's target date.
+ * @returns {string} The summary.
+ */
+const summarizeProjection = (projection, projectedDate, targetDate) => {
+  if (projection === 'reached') {
+    return 'Target reached. Mark the goal as achieved when you are ready.';
+  }
+  if (projection === 'insufficient-data') {
+    return 'Not enough recent data for a projection yet.';
+  }
+  if (projection === 'stalled') {
+    return 'The recent trend is not heading toward the target.';
+  }
+  const projected = format(parseISO(projectedDate), 'PP');
+  if (!targetDate) {
+    return `At the recent pace, you will get there around ${projected}.`;
+  }
+  return projectedDate <= targetDate
+    ? `At the recent pace, you will get there around ${projected}, on track for the target date.`
+    : `At the recent pace, you will get there around ${projected}, after the target date.`;
+};
+
+/**
+ * Computes the progress of a lift or bodyweight goal.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {ChartPoint[]} points - Its values over time, oldest first, in `unit`.
+ * @param {number | null} current - The current value, or null without data.
+ * @param {WeightUnit} unit - Unit of the points.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {GoalProgress} The progress.
+ */
+const getValueGoalProgress = (goal, points, current, unit, today) => {
+  const target = roundWeight(convertWeight(goal.target_value, goal.weight_unit, unit), 2);
+  const before = points.filter((point) => point.date <= goal.start_date);
+  const baseline =
+    goal.goal_type === 'lift'
+      ? (before.length > 0 ? Math.max(...before.map((point) => point.value)) : points[0]?.value ?? null)
+      : (before[before.length - 1] ?? points[0])?.value ?? null;
+  // Lifts go up; bodyweight goals head from the starting weight toward the target
+  const direction = goal.goal_type === 'lift' || baseline === null || baseline <= target ? 1 : -1;
+  const reached = current !== null && (current - target) * direction >= 0;
+
+  let percent = 0;
+  if (reached) {
+    percent = 100;
+  } else if (current !== null && baseline !== target) {
+    percent = Math.min(100, Math.max(0, Math.round(((current - baseline) / (target - baseline)) * 100)));
+  }
+
+  const { projection, projectedDate } = reached
+    ? { projection: 'reached', projectedDate: null }
+    : projectTrend(points, target, direction, today);
+  return {
+    current,
+    baseline,
+    target,
+    percent,
+    reached,
+    projection,
+    projectedDate,
+    onTrack: projectedDate && goal.target_date ? projectedDate <= goal.target_date : null,
+    weekSessions: null,
+    summary:
+      current === null
+        ? goal.goal_type === 'lift'
+          ? `Log ${goal.exercise_name} to start tracking this goal.`
+          : 'Log your bodyweight on the Body page to start tracking this goal.'
+        : summarizeProjection(projection, projectedDate, goal.target_date),
+  };
+};
+
+/**
+ * Computes the progress of a frequency goal.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {ProgressLog[]} logs - The user's progress logs.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {GoalProgress} The progress.
+ */
+const getFrequencyGoalProgress = (goal, logs, today) => {
+  const startDate = parseISO(goal.start_date);
+  const currentWeek = Math.max(0, Math.floor(differenceInCalendarDays(parseISO(today), startDate) / 7));
+  const weekCounts = Array.from({ length: currentWeek + 1 }, () => 0);
+  summarizeTrainingDays(logs).forEach((_, date) => {
+    if (date >= goal.start_date && date <= today) {
+      weekCounts[Math.floor(differenceInCalendarDays(parseISO(date), startDate) / 7)] += 1;
+    }
+  });
+
+  const isMet = (count) => count >= goal.target_value;
+  const weeksMet = weekCounts.filter(isMet).length;
+  const weekSessions = weekCounts[currentWeek];
+  const reached = weeksMet >= goal.duration_weeks;
+  const percent = Math.min(100, Math.round((weeksMet / goal.duration_weeks) * 100));
+
+  let projection = 'reached';
+  let projectedDate = null;
+  if (!reached) {
+    // The first week is assumed to go to plan until a week has finished
+    const recentWeeks = weekCounts.slice(0, currentWeek).slice(-FREQUENCY_PACE_WEEKS);
+    const pace = recentWeeks.length > 0 ? recentWeeks.filter(isMet).length / recentWeeks.length : 1;
+    if (pace === 0) {
+      projection = 'stalled';
+    } else {
+      const weeksNeeded = Math.ceil((goal.duration_weeks - weeksMet) / pace);
+      // The current week can still count if its target has not been met yet
+      const lastWeek = currentWeek + weeksNeeded - (isMet(weekSessions) ? 0 : 1);
+      projection = 'projected';
+      projectedDate = format(addDays(startDate, lastWeek * 7 + 6), 'yyyy-MM-dd');
+    }
+  }
+
+  const weekText = reached
+    ? ''
+    : ` This week: ${weekSessions} of ${goal.target_value} ${goal.target_value === 1 ? 'session' : 'sessions'}.`;
+  return {
+    current: weeksMet,
+    baseline: 0,
+    target: goal.duration_weeks,
+    percent,
+    reached,
+    projection,
+    projectedDate,
+    onTrack: projectedDate && goal.target_date ? projectedDate <= goal.target_date : null,
+    weekSessions,
+    summary: `${summarizeProjection(projection, projectedDate, goal.target_date)}${weekText}`,
+  };
+};
+
+/**
+ * Returns the first date of the logs a goal's progress is computed from: the start
+ * date of a frequency goal, and for a lift goal its start date or the start of the
+ * projection window, whichever is earlier, so a new goal has a baseline and a trend.
+ * Bodyweight goals use body metrics only.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {string} [today] - Today's date (YYYY-MM-DD); defaults to the current date.
+ * @returns {string | null} The date (YYYY-MM-DD), or null when the goal needs no logs.
+ */
+export const getGoalLogsStartDate = (goal, today = getTodayISO()) => {
+  if (goal.goal_type === 'bodyweight') {
+    return null;
+  }
+  if (goal.goal_type === 'frequency') {
+    return goal.start_date;
+  }
+  const projectionStart = format(subDays(parseISO(today), PROJECTION_DAYS), 'yyyy-MM-dd');
+  return projectionStart < goal.start_date ? projectionStart : goal.start_date;
+};
+
+/**
+ * Computes the progress of a goal from the user's history.
+ *
+ * @param {Goal} goal - The goal.
+ * @param {GoalProgressSources} sources - History and display settings.
+ * @returns {GoalProgress} The progress.
+ */
+export const getGoalProgress = (goal, { logs, metrics, unit, formula = 'epley', today = getTodayISO() }) => {
+  if (goal.goal_type === 'frequency') {
+    return getFrequencyGoalProgress(goal, logs, today);
+  }
+
+  if (goal.goal_type === 'bodyweight') {
+    const points = getMetricSeries(metrics, 'bodyweight', unit).filter((point) => point.date <= today);
+    return getValueGoalProgress(goal, points, points[points.length - 1]?.value ?? null, unit, today);
+  }
+
+  const points = getExerciseTrend(logs, goal.exercise_name, unit, formula)
+    .filter((point) => point.date <= today)
+    .map((point) => ({ date: point.date, value: goal.lift_metric === 'e1rm' ? point.e1rm : point.topWeight }))
+    .filter((point) => point.value !== null);
+  const current = points.length > 0 ? Math.max(...points.map((point) => point.value)) : null;
+  return getValueGoalProgress(goal, points, current, unit, today);
+};
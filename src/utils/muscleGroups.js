@@ -0,0 +1,90 @@
+import { BUILT_IN_EXERCISES, findCatalogExercise } from './exerciseCatalog.js';
+
+/**
+ * @typedef {import('./exerciseCatalog.js').CatalogExercise} CatalogExercise
+ */
+
+/**
+ * @typedef {'chest' | 'back' | 'shoulders' | 'biceps' | 'triceps' | 'quads' | 'hamstrings' | 'glutes' | 'calves' | 'core' | 'other'} MuscleGroup
+ */
+
+/**
+ * Muscle Group Helpers
+ *
+ * Maps free-text exercise names to the muscle group they mainly train. Exercises
+ * in the catalog use their first primary muscle; other names fall back to keyword
+ * rules for common exercises. Names that match no rule count as "other".
+ */
+
+/**
+ * Muscle groups in display order.
+ * @type {MuscleGroup[]}
+ */
+export const MUSCLE_GROUPS = [
+  'chest',
+  'back',
+  'shoulders',
+  'biceps',
+  'triceps',
+  'quads',
+  'hamstrings',
+  'glutes',
+  'calves',
+  'core',
+  'other',
+];
+
+/**
+ * Display labels for each muscle group.
+ * @type {Record<MuscleGroup, string>}
+ */
+export const MUSCLE_GROUP_LABELS = {
+  chest: 'Chest',
+  back: 'Back',
+  shoulders: 'Shoulders',
+  biceps: 'Biceps',
+  triceps: 'Triceps',
+  quads: 'Quads',
+  hamstrings: 'Hamstrings',
+  glutes: 'Glutes',
+  calves: 'Calves',
+  core: 'Core',
+  other: 'Other',
+};
+
+/**
+ * Keyword rules, checked in order; the first match wins. More specific rules come
+ * first, e.g. "leg curl" (hamstrings) before "curl" (biceps) and "lateral raise"
+ * (shoulders) before "lat" (back).
+ * @type {{ pattern: RegExp; group: MuscleGroup }[]}
+ */
+const MUSCLE_GROUP_RULES = [
+  { pattern: /\bcalf|\bcalves/, group: 'calves' },
+  { pattern: /leg curl|hamstring|romanian|\brdl\b|stiff[- ]?leg|good ?morning|nordic/, group: 'hamstrings' },
+  { pattern: /hip thrust|glute|bridge|kickback|abduct/, group: 'glutes' },
+  { pattern: /tricep|pushdown|push-down|skull ?crusher|close[- ]grip bench|extension.*(overhead|french)|(overhead|french).*extension|\bdips?\b/, group: 'triceps' },
+  { pattern: /curl|bicep/, group: 'biceps' },
+  { pattern: /overhead press|\bohp\b|military|shoulder|lateral raise|side raise|front raise|rear delt|face pull|arnold|upright row/, group: 'shoulders' },
+  { pattern: /bench|chest|\bfly|flye|\bpec|push[- ]?up/, group: 'chest' },
+  { pattern: /\brows?\b|rowing|pull[- ]?up|chin[- ]?up|pulldown|pull-down|\blats?\b|deadlift|shrug|back extension|hyperextension/, group: 'back' },
+  { pattern: /squat|leg press|lunge|leg extension|step[- ]?up|hack/, group: 'quads' },
+  // Remaining presses (incline, decline, machine) are chest presses
+  { pattern: /\bpress\b/, group: 'chest' },
+  { pattern: /plank|crunch|sit[- ]?up|\babs?\b|core|leg raise|knee raise|russian twist|ab wheel|rollout|pallof/, group: 'core' },
+];
+
+/**
+ * Returns the muscle group an exercise mainly trains.
+ *
+ * @param {string | null | undefined} exerciseName - The exercise name, any case.
+ * @param {CatalogExercise[]} [catalog=BUILT_IN_EXERCISES] - Catalog to look the name up in first.
+ * @returns {MuscleGroup} The muscle group, or "other" if the name is not recognized.
+ */
+export const getMuscleGroup = (exerciseName, catalog = BUILT_IN_EXERCISES) => {
+  const entry = findCatalogExercise(catalog, exerciseName);
+  if (entry && entry.primary_muscles.length > 0) {
+    return entry.primary_muscles[0];
+  }
+  const name = (exerciseName ?? '').toLowerCase();
+  return MUSCLE_GROUP_RULES.find(({ pattern }) => pattern.test(name))?.group ?? 'other';
+};
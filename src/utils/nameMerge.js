@@ -0,0 +1,212 @@
+import { findCatalogExercise } from './exerciseCatalog.js';
+import { normalizeName } from './names.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').ProgressLogNameField} ProgressLogNameField
+ * @typedef {import('../services/nameAliasService.js').NameAlias} NameAlias
+ * @typedef {import('./exerciseCatalog.js').CatalogExercise} CatalogExercise
+ */
+
+/**
+ * @typedef {object} NameCount
+ * @property {string} name - A name exactly as stored.
+ * @property {number} count - Number of log entries using it.
+ */
+
+/**
+ * @typedef {object} DuplicateNameGroup
+ * @property {NameCount[]} names - The spellings in the group, most used first.
+ * @property {number} total - Number of log entries over all spellings.
+ * @property {string} suggested - Suggested name to merge into: the catalog name if one of the spellings is a known exercise, otherwise the most used spelling.
+ */
+
+/**
+ * Name Merge Helpers
+ *
+ * Finds spellings of the same workout or exercise name in the progress logs, e.g.
+ * "Pull-Up", "pullups" and "Pull up", so they can be renamed or aliased together.
+ * Names are compared on a compact key without case, punctuation, spacing or plural
+ * "s", and small typos also match: one edit, or two for names of twenty or more
+ * characters.
+ * Exercise names that resolve to the same catalog entry are grouped too, which
+ * catches abbreviations like "BP" for "Bench Press".
+ */
+
+/**
+ * Builds the compact comparison key of a name, e.g. "Pull-Ups " → "pullup".
+ *
+ * @param {string} name - The name.
+ * @returns {string} The key.
+ */
+export const getNameKey = (name) =>
+  normalizeName(name)
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    // Drop plural "s" but keep words like "press"
+    .map((word) => (word.length > 2 && /[^s]s$/.test(word) ? word.slice(0, -1) : word))
+    .join('');
+
+/**
+ * Counts edits (insertions, deletions, substitutions and swaps of neighbouring
+ * characters) needed to turn one string into another.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ */
+const editDistance = (a, b) => {
+  /** @type {number[][]} */
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (__, j) => (i === 0 ? j : j === 0 ? i : 0)),
+  );
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+};
+
+/**
+ * Checks whether two names are likely spellings of the same thing.
+ *
+ * @param {string} a - The first name.
+ * @param {string} b - The second name.
+ * @returns {boolean} True if the names probably mean the same.
+ */
+export const areSimilarNames = (a, b) => {
+  const keyA = getNameKey(a);
+  const keyB = getNameKey(b);
+  if (keyA === keyB) {
+    return keyA !== '';
+  }
+  const shorter = Math.min(keyA.length, keyB.length);
+  // Very short names ("A", "B2") differ in meaning with a single character
+  if (shorter < 5) {
+    return false;
+  }
+  return editDistance(keyA, keyB) <= (shorter >= 20 ? 2 : 1);
+};
+
+/**
+ * Counts the log entries per distinct stored name.
+ *
+ * @param {ProgressLog[]} logs - Log entries.
+ * @param {ProgressLogNameField} field - The name column to count.
+ * @returns {NameCount[]} One entry per exact spelling, most used first.
+ */
+export const countNames = (logs, field) => {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  logs.forEach((log) => {
+    const name = log[field];
+    if (name) {
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+  });
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Groups names that are likely spellings of the same thing. Similarity is
+ * transitive: if A matches B and B matches C, all three are one group.
+ *
+ * @param {NameCount[]} names - Distinct names with their counts.
+ * @param {CatalogExercise[] | null} [catalog=null] - Exercise catalog for exercise names, or null for workout names.
+ * @returns {DuplicateNameGroup[]} Groups with at least two spellings, largest first.
+ */
+export const groupSimilarNames = (names, catalog = null) => {
+  const parents = names.map((_, index) => index);
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const entries = names.map(({ name }) => (catalog ? findCatalogExercise(catalog, name) : null));
+
+  for (let i = 0; i < names.length; i += 1) {
+    for (let j = i + 1; j < names.length; j += 1) {
+      const sameEntry = entries[i] && entries[j] && entries[i].id === entries[j].id;
+      if (sameEntry || areSimilarNames(names[i].name, names[j].name)) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+
+  /** @type {Map<number, number[]>} */
+  const members = new Map();
+  names.forEach((_, index) => {
+    const root = find(index);
+    members.set(root, [...(members.get(root) ?? []), index]);
+  });
+
+  return [...members.values()]
+    .filter((indexes) => indexes.length > 1)
+    .map((indexes) => {
+      // Indexes keep the input order, so the most used spelling comes first
+      const groupNames = indexes.map((index) => names[index]);
+      const entry = indexes.map((index) => entries[index]).find(Boolean);
+      return {
+        names: groupNames,
+        total: groupNames.reduce((sum, { count }) => sum + count, 0),
+        suggested: entry ? entry.name : groupNames[0].name,
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Replaces aliased names in logs by their canonical names. Logs without an
+ * aliased name are returned unchanged.
+ *
+ * @param {ProgressLog[]} logs - Log entries.
+ * @param {NameAlias[]} aliases - The user's aliases.
+ * @returns {ProgressLog[]} The logs with canonical names.
+ */
+export const applyNameAliases = (logs, aliases) => {
+  if (aliases.length === 0) {
+    return logs;
+  }
+  /** @type {Map<string, string>} */
+  const canonicalNames = new Map(
+    aliases.map((alias) => [`${alias.field}:${normalizeName(alias.alias)}`, alias.canonical_name]),
+  );
+  const resolve = (field, name) => canonicalNames.get(`${field}:${normalizeName(name)}`) ?? name;
+
+  return logs.map((log) => {
+    const exerciseName = resolve('exercise_name', log.exercise_name);
+    const workoutName = resolve('workout_name', log.workout_name);
+    return exerciseName === log.exercise_name && workoutName === log.workout_name
+      ? log
+      : { ...log, exercise_name: exerciseName, workout_name: workoutName };
+  });
+};
+
+/**
+ * Lists the stored spellings that count as a name: the name itself and every
+ * spelling aliased to it, e.g. to query the logs of one exercise.
+ *
+ * @param {string} name - The canonical name.
+ * @param {NameAlias[]} aliases - The user's aliases.
+ * @param {ProgressLogNameField} field - The name column.
+ * @returns {string[]} The spellings, the name first.
+ */
+export const getAliasedSpellings = (name, aliases, field) => [
+  name,
+  ...aliases
+    .filter((alias) => alias.field === field && normalizeName(alias.canonical_name) === normalizeName(name))
+    .map((alias) => alias.alias),
+];
@@ -0,0 +1,24 @@
+/**
+ * Name Helpers
+ *
+ * Workout and exercise names are free text typed by the user, so the same
+ * exercise can appear as "Bench Press", "bench press" or "Bench  Press ".
+ * These helpers compare names without caring about case or spacing.
+ */
+
+/**
+ * Normalizes a name for case- and whitespace-insensitive comparison.
+ *
+ * @param {string | null | undefined} name - The name to normalize.
+ * @returns {string} The normalized name.
+ */
+export const normalizeName = (name) => (name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Checks whether two names refer to the same thing.
+ *
+ * @param {string | null | undefined} a - The first name.
+ * @param {string | null | undefined} b - The second name.
+ * @returns {boolean} True if the names are equal after normalization.
+ */
+export const namesMatch = (a, b) => normalizeName(a) === normalizeName(b);
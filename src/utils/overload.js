@@ -0,0 +1,304 @@
+import { getNormalizedSets } from './setData.js';
+import { createSetRow } from './progressLogForm.js';
+import { parseRepScheme } from './repScheme.js';
+import { namesMatch } from './names.js';
+import { convertWeight, formatWeight, getLogWeightUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').LoggedSet} LoggedSet
+ * @typedef {import('./progressLogForm.js').SetFormRow} SetFormRow
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} ExerciseSession
+ * @property {string} date - Workout date (YYYY-MM-DD).
+ * @property {LoggedSet[]} sets - Working sets of the exercise that day, weights in the requested unit.
+ */
+
+/**
+ * @typedef {'increase' | 'repeat' | 'deload' | 'no-history'} RecommendationStatus
+ */
+
+/**
+ * @typedef {object} Recommendation
+ * @property {RecommendationStatus} status - What the lifter should do next session.
+ * @property {number | null} weight - Suggested weight in `unit`, or null (no history, or bodyweight).
+ * @property {number} reps - Suggested reps per set.
+ * @property {number} sets - Suggested number of working sets (the plan's target).
+ * @property {WeightUnit} unit - Unit of `weight` and `increment`.
+ * @property {number} increment - Weight step used for the suggestion.
+ * @property {ExerciseSession | null} basis - The session the suggestion is based on.
+ * @property {string} summary - One-sentence explanation for the user.
+ */
+
+/**
+ * Progressive Overload Helpers
+ *
+ * Double progression against the plan's rep scheme: stay at a weight until every
+ * working set reaches the top of the rep range, then add the exercise's increment
+ * and restart at the bottom of the range. Open-ended schemes have no top: "10+" moves
+ * up once every working set beats the minimum by `OPEN_SCHEME_EXTRA_REPS` reps, and
+ * "AMRAP" never adds weight on its own. Two sessions in a row that miss the bottom
+ * of the range at the same weight trigger a deload of about 10%, unless that would
+ * leave less than one increment.
+ * Warm-up and drop sets are ignored; failure sets count as working sets.
+ */
+
+/**
+ * Weight added per progression step when an exercise has no increment of its own.
+ * @type {Record<WeightUnit, number>}
+ */
+export const DEFAULT_WEIGHT_INCREMENTS = { kg: 2.5, lb: 5 };
+
+/**
+ * Fraction of the working weight kept after a deload.
+ * @type {number}
+ */
+const DELOAD_FACTOR = 0.9;
+
+/**
+ * Reps beyond the minimum of an open-ended scheme ("10+") that every working set
+ * must reach before the weight goes up.
+ * @type {number}
+ */
+export const OPEN_SCHEME_EXTRA_REPS = 3;
+
+/**
+ * Returns the reps every working set must reach before the weight goes up.
+ * AMRAP (parsed like "1+") sets no minimum worth progressing from, so it has none.
+ *
+ * @param {import('./repScheme.js').RepScheme} scheme - The plan's rep scheme.
+ * @returns {number | null} The reps to reach, or null if the scheme never adds weight by itself.
+ */
+const getProgressionReps = (scheme) => {
+  if (!scheme.open) {
+    return scheme.max;
+  }
+  return scheme.min > 1 ? scheme.min + OPEN_SCHEME_EXTRA_REPS : null;
+};
+
+/**
+ * Returns the weight increment of a plan exercise in the requested unit.
+ *
+ * @param {WorkoutPlanExercise} exercise - The plan exercise.
+ * @param {WeightUnit} unit - Unit to express the increment in.
+ * @returns {number} The increment.
+ */
+export const getExerciseIncrement = (exercise, unit) => {
+  if (typeof exercise?.weight_increment === 'number' && exercise.weight_increment > 0) {
+    const converted = convertWeight(
+      exercise.weight_increment,
+      exercise.weight_increment_unit ?? unit,
+      unit,
+    );
+    return roundWeight(converted, 2);
+  }
+  return DEFAULT_WEIGHT_INCREMENTS[unit];
+};
+
+/**
+ * Returns the prescribed weight of a plan exercise in the requested unit.
+ *
+ * @param {WorkoutPlanExercise} exercise - The plan exercise.
+ * @param {WeightUnit} unit - Unit to express the weight in.
+ * @returns {number | null} The weight, or null if the exercise has no prescribed weight.
+ */
+export const getTargetWeight = (exercise, unit) => {
+  if (typeof exercise?.target_weight === 'number' && exercise.target_weight > 0) {
+    return roundWeight(convertWeight(exercise.target_weight, exercise.target_weight_unit ?? unit, unit), 2);
+  }
+  return null;
+};
+
+/**
+ * Formats the prescribed weight of a plan exercise with its percentage, if any.
+ *
+ * @param {WorkoutPlanExercise} exercise - The plan exercise.
+ * @param {WeightUnit} unit - Unit to show the weight in.
+ * @returns {string} E.g. "100 kg (85%)", or an empty string without a prescribed weight.
+ */
+export const formatTargetWeight = (exercise, unit) => {
+  const weight = getTargetWeight(exercise, unit);
+  if (weight === null) {
+    return '';
+  }
+  const text = formatWeight(weight, unit);
+  return typeof exercise.target_percent === 'number' ? `${text} (${exercise.target_percent}%)` : text;
+};
+
+/**
+ * Groups the logs of one exercise into sessions (one per date), newest first.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {string} exerciseName - The exercise to collect.
+ * @param {WeightUnit} unit - Unit to convert weights to.
+ * @returns {ExerciseSession[]} Sessions with at least one working set.
+ */
+export const getExerciseSessions = (logs, exerciseName, unit) => {
+  /** @type {Map<string, LoggedSet[]>} */
+  const byDate = new Map();
+
+  logs
+    .filter((log) => namesMatch(log.exercise_name, exerciseName))
+    .forEach((log) => {
+      const sets = getNormalizedSets(log);
+      if (!sets) {
+        return;
+      }
+      const logUnit = getLogWeightUnit(log);
+      const workingSets = sets
+        .filter((set) => (set.set_type ?? 'working') === 'working' || set.set_type === 'failure')
+        .map((set) => ({ ...set, weight: convertWeight(set.weight, logUnit, unit) }));
+      if (workingSets.length === 0) {
+        return;
+      }
+      const date = log.workout_date.split('T')[0];
+      byDate.set(date, [...(byDate.get(date) ?? []), ...workingSets]);
+    });
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => (a < b ? 1 : a > b ? -1 : 0))
+    .map(([date, sets]) => ({ date, sets }));
+};
+
+/**
+ * Returns the heaviest weight of a session and the sets performed with it.
+ *
+ * @param {ExerciseSession} session - The session.
+ * @returns {{ weight: number | null; sets: LoggedSet[] }} The top weight (null for bodyweight-only sessions) and its sets.
+ */
+const getTopSets = (session) => {
+  const weights = session.sets.map((set) => set.weight).filter((weight) => weight !== null);
+  if (weights.length === 0) {
+    return { weight: null, sets: session.sets };
+  }
+  const weight = Math.max(...weights);
+  return { weight, sets: session.sets.filter((set) => set.weight === weight) };
+};
+
+/**
+ * Suggests the weight and reps for the next session of a plan exercise.
+ *
+ * @param {WorkoutPlanExercise} exercise - The plan exercise (name, target sets, rep scheme, optional increment).
+ * @param {ProgressLog[]} logs - Recent log entries; only those for this exercise are used.
+ * @param {WeightUnit} unit - Unit for the suggestion.
+ * @returns {Recommendation | null} The suggestion, or null if the plan's rep scheme is invalid.
+ */
+export const recommendNextSession = (exercise, logs, unit) => {
+  const scheme = parseRepScheme(exercise.reps);
+  if (!scheme) {
+    return null;
+  }
+
+  const increment = getExerciseIncrement(exercise, unit);
+  const base = { sets: exercise.sets, unit, increment };
+  const [latest, previous] = getExerciseSessions(logs, exercise.name, unit);
+
+  if (!latest) {
+    return {
+      ...base,
+      status: 'no-history',
+      weight: null,
+      reps: scheme.min,
+      basis: null,
+      summary: `No recent logs. Pick a weight you can lift for ${exercise.reps} reps.`,
+    };
+  }
+
+  const top = getTopSets(latest);
+  const topReps = top.sets.map((set) => set.reps);
+  const basis = { date: latest.date, sets: top.sets };
+  const progressionReps = getProgressionReps(scheme);
+  const hitTop =
+    progressionReps !== null &&
+    top.sets.length >= exercise.sets &&
+    topReps.every((reps) => reps >= progressionReps);
+  // Rep targets stop at the progression point; AMRAP keeps aiming one rep higher
+  const maxTargetReps = progressionReps ?? Infinity;
+
+  if (top.weight === null) {
+    // Bodyweight exercise: progress reps, then suggest adding load
+    const bestReps = Math.max(...topReps);
+    return {
+      ...base,
+      status: hitTop ? 'increase' : 'repeat',
+      weight: null,
+      reps: hitTop ? scheme.min : Math.min(bestReps + 1, maxTargetReps),
+      basis,
+      summary: hitTop
+        ? `${progressionReps} reps reached on every set. Add weight or a harder variation.`
+        : `Aim for ${Math.min(bestReps + 1, maxTargetReps)} reps per set.`,
+    };
+  }
+
+  const current = formatWeight(top.weight, unit);
+
+  if (hitTop) {
+    const weight = roundWeight(top.weight + increment, 2);
+    return {
+      ...base,
+      status: 'increase',
+      weight,
+      reps: scheme.min,
+      basis,
+      summary: `All sets reached ${progressionReps} reps at ${current}. Go up to ${formatWeight(weight, unit)} for ${scheme.min} reps.`,
+    };
+  }
+
+  const missedBottom = (session) => getTopSets(session).sets.some((set) => set.reps < scheme.min);
+  if (
+    previous &&
+    missedBottom(latest) &&
+    missedBottom(previous) &&
+    getTopSets(previous).weight === top.weight
+  ) {
+    // Round the deloaded weight down to a loadable step
+    const weight = roundWeight(Math.floor((top.weight * DELOAD_FACTOR) / increment) * increment, 2);
+    // Below one step there is nothing lighter to load, so the weight stays
+    if (weight < increment) {
+      return {
+        ...base,
+        status: 'repeat',
+        weight: top.weight,
+        reps: scheme.min,
+        basis,
+        summary: `Missed ${scheme.min} reps twice at ${current}, too light to deload. Stay there and aim for ${scheme.min} reps on every set.`,
+      };
+    }
+    return {
+      ...base,
+      status: 'deload',
+      weight,
+      reps: scheme.min,
+      basis,
+      summary: `Missed ${scheme.min} reps twice at ${current}. Drop to ${formatWeight(weight, unit)} and build back up.`,
+    };
+  }
+
+  const targetReps = Math.min(Math.max(Math.min(...topReps) + 1, scheme.min), maxTargetReps);
+  return {
+    ...base,
+    status: 'repeat',
+    weight: top.weight,
+    reps: targetReps,
+    basis,
+    summary: `Stay at ${current} and aim for ${targetReps} reps on every set.`,
+  };
+};
+
+/**
+ * Builds log form set rows that follow a recommendation, one row per suggested set.
+ *
+ * @param {Recommendation} recommendation - The suggestion to apply; its weight must be in the form's unit.
+ * @returns {SetFormRow[]} The prefilled set rows.
+ */
+export const recommendationToSetRows = (recommendation) =>
+  Array.from({ length: Math.max(1, recommendation.sets) }, () =>
+    createSetRow({
+      reps: String(recommendation.reps),
+      weight: recommendation.weight !== null ? String(recommendation.weight) : '',
+    }),
+  );
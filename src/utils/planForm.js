@@ -0,0 +1,301 @@
+import { createClientId } from '../services/offlineQueue.js';
+import { isValidRepScheme } from './repScheme.js';
+import { MAX_REST_SECONDS, MIN_REST_SECONDS, isValidRestSeconds } from './restTimer.js';
+import { WEEKDAY_LABELS } from './schedule.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../services/workoutService.js').WorkoutPlanInput} WorkoutPlanInput
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ * @typedef {import('../services/workoutService.js').TrainingDay} TrainingDay
+ * @typedef {import('../services/workoutService.js').ScheduleType} ScheduleType
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} PlanExerciseFormRow
+ * @property {string} id // Stable key for reordering; stored with the exercise
+ * @property {string} name
+ * @property {string} sets // Store as string from input, parse on submit
+ * @property {string} reps // Rep scheme, e.g. "8-12"
+ * @property {string} weight_increment // Optional progression step; empty for the default
+ * @property {WeightUnit} [weight_increment_unit] // Unit of a stored increment; new increments use the form's unit
+ * @property {string} rest_seconds // Optional rest between sets; empty to use the rest timer settings
+ */
+
+/**
+ * @typedef {object} TrainingDayFormRow
+ * @property {string} id
+ * @property {string} name
+ * @property {number[]} weekdays // Only used by weekly schedules
+ * @property {PlanExerciseFormRow[]} exercises
+ */
+
+/**
+ * @typedef {object} PlanFormState
+ * @property {string} name
+ * @property {string} description
+ * @property {PlanExerciseFormRow[]} exercises // Used while the plan has no days
+ * @property {ScheduleType} schedule_type
+ * @property {TrainingDayFormRow[]} days
+ */
+
+/**
+ * Workout Plan Form Helpers
+ *
+ * Converts between the string-based state of the plan editor and the
+ * `WorkoutPlanInput` payload expected by `workoutService.js`.
+ */
+
+/**
+ * Creates a blank exercise row with a fresh ID.
+ *
+ * @param {Partial<PlanExerciseFormRow>} [defaults] - Values to prefill.
+ * @returns {PlanExerciseFormRow} An exercise row.
+ */
+export const createPlanExerciseRow = (defaults = {}) => ({
+  id: createClientId(),
+  name: '',
+  sets: '3',
+  reps: '',
+  weight_increment: '',
+  rest_seconds: '',
+  ...defaults,
+});
+
+/**
+ * Creates a training day row with a fresh ID.
+ *
+ * @param {Partial<TrainingDayFormRow>} [defaults] - Values to prefill.
+ * @returns {TrainingDayFormRow} A training day row with one empty exercise unless exercises are given.
+ */
+export const createTrainingDayRow = (defaults = {}) => ({
+  id: createClientId(),
+  name: '',
+  weekdays: [],
+  exercises: [createPlanExerciseRow()],
+  ...defaults,
+});
+
+/**
+ * Creates the form state for a new plan with a single empty exercise row.
+ *
+ * @returns {PlanFormState} A blank form state.
+ */
+export const createEmptyPlanForm = () => ({
+  name: '',
+  description: '',
+  exercises: [createPlanExerciseRow()],
+  schedule_type: 'weekly',
+  days: [],
+});
+
+/**
+ * Converts a stored plan exercise into an exercise row.
+ *
+ * @param {WorkoutPlanExercise} exercise - The stored exercise.
+ * @returns {PlanExerciseFormRow} The editable row.
+ */
+const exerciseToFormRow = (exercise) => ({
+  ...exercise,
+  id: exercise.id || createClientId(),
+  name: exercise.name ?? '',
+  sets: exercise.sets !== undefined && exercise.sets !== null ? String(exercise.sets) : '',
+  reps: exercise.reps !== undefined && exercise.reps !== null ? String(exercise.reps) : '',
+  weight_increment:
+    exercise.weight_increment !== undefined && exercise.weight_increment !== null
+      ? String(exercise.weight_increment)
+      : '',
+  rest_seconds:
+    exercise.rest_seconds !== undefined && exercise.rest_seconds !== null
+      ? String(exercise.rest_seconds)
+      : '',
+});
+
+/**
+ * Creates a form state pre-populated from an existing plan. Exercises stored
+ * without an ID get one, so they can be reordered and referenced later.
+ *
+ * @param {WorkoutPlan} plan - The plan to edit.
+ * @returns {PlanFormState} The form state representing the plan.
+ */
+export const planToFormState = (plan) => {
+  const days = (plan.days ?? []).map((day) => ({
+    ...day,
+    weekdays: day.weekdays ?? [],
+    exercises: (day.exercises ?? []).map(exerciseToFormRow),
+  }));
+  return {
+    name: plan.name ?? '',
+    description: plan.description ?? '',
+    // Split plans edit their exercises per day; the flat list is derived on save
+    exercises: days.length > 0 ? [] : (plan.exercises ?? []).map(exerciseToFormRow),
+    schedule_type: plan.schedule_type ?? 'weekly',
+    days,
+  };
+};
+
+/**
+ * Validates exercise rows and converts them into plan exercises.
+ *
+ * @param {PlanExerciseFormRow[]} rows - The exercise rows.
+ * @param {WeightUnit} weightUnit - Unit of newly entered increments.
+ * @param {string} [context=''] - Prefix for error messages, e.g. the day name.
+ * @returns {{ data: WorkoutPlanExercise[] | null; error: string | null; }} The parsed exercises, or a user-facing validation message.
+ */
+const parseExerciseRows = (rows, weightUnit, context = '') => {
+  /** @type {WorkoutPlanExercise[]} */
+  const parsedExercises = [];
+  for (let index = 0; index < rows.length; index += 1) {
+    const exercise = rows[index];
+    const label = `${context}Exercise ${index + 1}`;
+
+    if (!exercise.name.trim()) {
+      return { data: null, error: `${label}: name is required.` };
+    }
+    if (!/^\d+$/.test(exercise.sets.trim()) || parseInt(exercise.sets, 10) < 1) {
+      return {
+        data: null,
+        error: `${label}: sets must be a whole number of at least 1.`,
+      };
+    }
+    if (!isValidRepScheme(exercise.reps)) {
+      return {
+        data: null,
+        error: `${label}: reps must be a number, a range like "8-12", "10+" or "AMRAP".`,
+      };
+    }
+
+    const { weight_increment, weight_increment_unit, rest_seconds, ...rest } = exercise;
+    /** @type {WorkoutPlanExercise} */
+    const parsed = {
+      ...rest,
+      name: exercise.name.trim(),
+      sets: parseInt(exercise.sets, 10),
+      reps: exercise.reps.trim(),
+    };
+    if (weight_increment.trim() !== '') {
+      const increment = parseFloat(weight_increment);
+      if (isNaN(increment) || increment <= 0) {
+        return { data: null, error: `${label}: increment must be a positive number if provided.` };
+      }
+      parsed.weight_increment = increment;
+      parsed.weight_increment_unit = weight_increment_unit ?? weightUnit;
+    }
+    if ((rest_seconds ?? '').trim() !== '') {
+      const restSeconds = Number(rest_seconds);
+      if (!isValidRestSeconds(restSeconds)) {
+        return {
+          data: null,
+          error: `${label}: rest must be a whole number of seconds from ${MIN_REST_SECONDS} to ${MAX_REST_SECONDS} if provided.`,
+        };
+      }
+      parsed.rest_seconds = restSeconds;
+    }
+    parsedExercises.push(parsed);
+  }
+  return { data: parsedExercises, error: null };
+};
+
+/**
+ * Validates training day rows and converts them into training days.
+ * In weekly schedules every day needs at least one weekday and no weekday may be used twice.
+ *
+ * @param {TrainingDayFormRow[]} rows - The day rows.
+ * @param {ScheduleType} scheduleType - How the days are scheduled.
+ * @param {WeightUnit} weightUnit - Unit of newly entered increments.
+ * @returns {{ data: TrainingDay[] | null; error: string | null; }} The parsed days, or a user-facing validation message.
+ */
+const parseTrainingDays = (rows, scheduleType, weightUnit) => {
+  /** @type {TrainingDay[]} */
+  const parsedDays = [];
+  /** @type {Map<number, string>} */
+  const usedWeekdays = new Map();
+
+  for (let index = 0; index < rows.length; index += 1) {
+    const day = rows[index];
+    const dayName = day.name.trim();
+    if (!dayName) {
+      return { data: null, error: `Day ${index + 1}: name is required.` };
+    }
+
+    if (scheduleType === 'weekly') {
+      if (day.weekdays.length === 0) {
+        return { data: null, error: `${dayName}: pick at least one weekday.` };
+      }
+      const clash = day.weekdays.find((weekday) => usedWeekdays.has(weekday));
+      if (clash !== undefined) {
+        return {
+          data: null,
+          error: `${dayName}: ${WEEKDAY_LABELS[clash]} is already used by ${usedWeekdays.get(clash)}.`,
+        };
+      }
+      day.weekdays.forEach((weekday) => usedWeekdays.set(weekday, dayName));
+    }
+
+    const { data: exercises, error } = parseExerciseRows(
+      day.exercises,
+      weightUnit,
+      `${dayName}, `,
+    );
+    if (error) {
+      return { data: null, error };
+    }
+    parsedDays.push({
+      ...day,
+      name: dayName,
+      weekdays: scheduleType === 'weekly' ? day.weekdays : [],
+      exercises,
+    });
+  }
+  return { data: parsedDays, error: null };
+};
+
+/**
+ * Validates a plan form state and converts it into a `WorkoutPlanInput` payload.
+ * Extra fields on exercise rows are kept, so data added by other features survives an edit.
+ *
+ * @param {PlanFormState} formState - The current form values.
+ * @param {WeightUnit} weightUnit - The unit newly entered weight increments are in.
+ * @returns {{ data: WorkoutPlanInput | null; error: string | null; }} The parsed payload, or a user-facing validation message.
+ */
+export const parsePlanForm = (formState, weightUnit) => {
+  const { name, description, exercises, schedule_type, days } = formState;
+
+  if (!name.trim()) {
+    return { data: null, error: 'Plan Name is required.' };
+  }
+
+  if (days.length > 0) {
+    const { data: parsedDays, error } = parseTrainingDays(days, schedule_type, weightUnit);
+    if (error) {
+      return { data: null, error };
+    }
+    return {
+      data: {
+        name: name.trim(),
+        description: description.trim() || null,
+        exercises: [], // Derived from the days by the service
+        schedule_type,
+        days: parsedDays,
+      },
+      error: null,
+    };
+  }
+
+  const { data: parsedExercises, error } = parseExerciseRows(exercises, weightUnit);
+  if (error) {
+    return { data: null, error };
+  }
+
+  return {
+    data: {
+      name: name.trim(),
+      description: description.trim() || null,
+      exercises: parsedExercises,
+      schedule_type: null,
+      days: null,
+    },
+    error: null,
+  };
+};
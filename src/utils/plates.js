@@ -0,0 +1,266 @@
+/**
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} PlateStock
+ * @property {number} weight - Weight of one plate.
+ * @property {number} pairs - Number of pairs available (one plate per side each).
+ */
+
+/**
+ * @typedef {object} PlateInventory
+ * @property {number} bar_weight - Weight of the empty bar.
+ * @property {PlateStock[]} plates - Available plates, any order.
+ */
+
+/**
+ * @typedef {object} PlateCount
+ * @property {number} weight - Weight of one plate.
+ * @property {number} count - Plates of this weight on each side.
+ */
+
+/**
+ * @typedef {object} PlateLoad
+ * @property {number} total - Total weight of the loaded bar.
+ * @property {PlateCount[]} perSide - Plates on each side, heaviest first; empty for the bare bar.
+ */
+
+/**
+ * @typedef {object} PlateCalculation
+ * @property {number} target - The requested total.
+ * @property {PlateLoad | null} load - The plates for the target when it can be loaded exactly, otherwise null.
+ * @property {PlateLoad | null} below - The heaviest loadable total below the target, when it cannot be loaded exactly.
+ * @property {PlateLoad | null} above - The lightest loadable total above the target, when it cannot be loaded exactly.
+ */
+
+/**
+ * Plate Loading Helpers
+ *
+ * Works out which plates to put on each side of a barbell for a total weight,
+ * using the plates the user actually owns. Both sides are loaded identically, so
+ * every plate is used in pairs. Among the ways to load a weight, the one with
+ * the fewest plates is chosen. Weights are in whatever unit the inventory is in.
+ */
+
+/**
+ * Largest number of plate types an inventory may hold.
+ * @type {number}
+ */
+export const MAX_PLATE_TYPES = 20;
+
+/**
+ * Largest number of pairs of one plate type.
+ * @type {number}
+ */
+export const MAX_PLATE_PAIRS = 20;
+
+/**
+ * Weights are compared in thousandths, which covers fractional plates like 1.25 or 0.25.
+ * @type {number}
+ */
+const SCALE = 1000;
+
+/**
+ * Returns the default inventories: a 20 kg bar with standard metric plates, and a
+ * 45 lb bar with standard imperial plates.
+ *
+ * @returns {Record<WeightUnit, PlateInventory>} The default inventory per unit.
+ */
+export const getDefaultPlateInventories = () => ({
+  kg: {
+    bar_weight: 20,
+    plates: [
+      { weight: 25, pairs: 4 },
+      { weight: 20, pairs: 2 },
+      { weight: 15, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+      { weight: 1.25, pairs: 2 },
+    ],
+  },
+  lb: {
+    bar_weight: 45,
+    plates: [
+      { weight: 45, pairs: 4 },
+      { weight: 35, pairs: 2 },
+      { weight: 25, pairs: 2 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 2 },
+      { weight: 2.5, pairs: 2 },
+    ],
+  },
+});
+
+/**
+ * Checks whether a value is a valid plate inventory: a non-negative bar weight and
+ * at most `MAX_PLATE_TYPES` distinct positive plate weights with whole pair counts.
+ *
+ * @param {unknown} inventory - The value to check.
+ * @returns {boolean} True if the inventory is valid.
+ */
+export const isValidPlateInventory = (inventory) =>
+  !!inventory && typeof inventory === 'object' &&
+  typeof inventory.bar_weight === 'number' && inventory.bar_weight >= 0 &&
+  Array.isArray(inventory.plates) && inventory.plates.length <= MAX_PLATE_TYPES &&
+  new Set(inventory.plates.map((plate) => plate?.weight)).size === inventory.plates.length &&
+  inventory.plates.every(
+    (plate) =>
+      !!plate && typeof plate.weight === 'number' && plate.weight > 0 &&
+      Number.isInteger(plate.pairs) && plate.pairs >= 0 && plate.pairs <= MAX_PLATE_PAIRS,
+  );
+
+/**
+ * Greatest common divisor of two non-negative integers.
+ *
+ * @param {number} a - The first number.
+ * @param {number} b - The second number.
+ * @returns {number} The divisor.
+ */
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Finds the fewest-plates way to load every reachable weight per side.
+ * Weights are counted in steps of the greatest common divisor of the plate
+ * weights, so the table stays small.
+ *
+ * @param {PlateInventory} inventory - The inventory.
+ * @returns {{ step: number, types: PlateStock[], choices: number[][], reachable: boolean[] }} The table: `choices[type][steps]` is the number of plates of that type used for a per-side weight of `steps`, and `reachable[steps]` marks loadable per-side weights.
+ */
+const buildLoadTable = (inventory) => {
+  const types = inventory.plates
+    .filter((plate) => plate.pairs > 0)
+    .map((plate) => ({ weight: Math.round(plate.weight * SCALE), pairs: plate.pairs }))
+    .sort((a, b) => a.weight - b.weight);
+  const step = types.reduce((divisor, plate) => gcd(divisor, plate.weight), 0) || 1;
+  const maxSteps = types.reduce((sum, plate) => sum + (plate.weight / step) * plate.pairs, 0);
+
+  // plates[s] = fewest plates per side reaching s steps with the types processed so far.
+  // Types go lightest first and ties favour more of the current type, so heavier plates win ties.
+  let plates = Array.from({ length: maxSteps + 1 }, (_, s) => (s === 0 ? 0 : Infinity));
+  /** @type {number[][]} */
+  const choices = [];
+  types.forEach((plate) => {
+    const size = plate.weight / step;
+    const next = Array(maxSteps + 1).fill(Infinity);
+    const choice = Array(maxSteps + 1).fill(0);
+    for (let s = 0; s <= maxSteps; s += 1) {
+      for (let count = 0; count <= plate.pairs && count * size <= s; count += 1) {
+        const candidate = plates[s - count * size] + count;
+        if (candidate <= next[s]) {
+          next[s] = candidate;
+          choice[s] = count;
+        }
+      }
+    }
+    plates = next;
+    choices.push(choice);
+  });
+
+  return { step, types, choices, reachable: plates.map((count) => count !== Infinity) };
+};
+
+/**
+ * Load tables already built, per inventory object. Inventories are never mutated
+ * (edits produce a new object), so a table stays valid for as long as its
+ * inventory exists, and rounding a whole program or warm-up builds it only once.
+ * @type {WeakMap<PlateInventory, ReturnType<typeof buildLoadTable>>}
+ */
+const loadTables = new WeakMap();
+
+/**
+ * Returns the load table of an inventory, building it on first use.
+ *
+ * @param {PlateInventory} inventory - The inventory.
+ * @returns {ReturnType<typeof buildLoadTable>} The load table.
+ */
+const getLoadTable = (inventory) => {
+  let table = loadTables.get(inventory);
+  if (!table) {
+    table = buildLoadTable(inventory);
+    loadTables.set(inventory, table);
+  }
+  return table;
+};
+
+/**
+ * Reads the plates used for a per-side weight from the table.
+ *
+ * @param {ReturnType<typeof buildLoadTable>} table - The load table.
+ * @param {number} steps - The per-side weight in table steps.
+ * @param {number} barWeight - Weight of the bar.
+ * @returns {PlateLoad} The load.
+ */
+const readLoad = (table, steps, barWeight) => {
+  /** @type {PlateCount[]} */
+  const perSide = [];
+  let remaining = steps;
+  for (let type = table.types.length - 1; type >= 0; type -= 1) {
+    const count = table.choices[type][remaining];
+    if (count > 0) {
+      perSide.push({ weight: table.types[type].weight / SCALE, count });
+      remaining -= (count * table.types[type].weight) / table.step;
+    }
+  }
+  return {
+    total: Math.round((barWeight + (2 * steps * table.step) / SCALE) * SCALE) / SCALE,
+    perSide,
+  };
+};
+
+/**
+ * Works out the plates for a total weight. When the total cannot be loaded
+ * exactly, the nearest loadable totals below and above it are returned instead.
+ *
+ * @param {number} target - The total weight, bar included.
+ * @param {PlateInventory} inventory - The bar and plates available.
+ * @returns {PlateCalculation} The result.
+ */
+export const calculatePlates = (target, inventory) => {
+  const table = getLoadTable(inventory);
+  const perSide = ((target - inventory.bar_weight) / 2) * SCALE / table.step;
+  const exactSteps = Math.round(perSide);
+
+  if (Math.abs(perSide - exactSteps) < 1e-6 && table.reachable[exactSteps]) {
+    return { target, load: readLoad(table, exactSteps, inventory.bar_weight), below: null, above: null };
+  }
+
+  let below = null;
+  let above = null;
+  table.reachable.forEach((isReachable, steps) => {
+    if (!isReachable) {
+      return;
+    }
+    if (steps < perSide) {
+      below = steps;
+    } else if (above === null) {
+      above = steps;
+    }
+  });
+  return {
+    target,
+    load: null,
+    below: below === null ? null : readLoad(table, below, inventory.bar_weight),
+    above: above === null ? null : readLoad(table, above, inventory.bar_weight),
+  };
+};
+
+/**
+ * Rounds a weight to the nearest total that can be loaded; ties go to the lighter one.
+ * Weights below the bar round up to the bare bar.
+ *
+ * @param {number} weight - The weight, bar included.
+ * @param {PlateInventory} inventory - The bar and plates available.
+ * @returns {number} The nearest loadable total.
+ */
+export const roundToLoadable = (weight, inventory) => {
+  const { load, below, above } = calculatePlates(weight, inventory);
+  if (load) {
+    return load.total;
+  }
+  if (!below || !above) {
+    return (below ?? above ?? { total: inventory.bar_weight }).total;
+  }
+  return weight - below.total <= above.total - weight ? below.total : above.total;
+};
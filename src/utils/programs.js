@@ -0,0 +1,310 @@
+import { createClientId } from '../services/offlineQueue.js';
+import { BUILT_IN_EXERCISES, findCatalogExercise } from './exerciseCatalog.js';
+import { roundToLoadable } from './plates.js';
+import { formatWeight, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlanInput} WorkoutPlanInput
+ * @typedef {import('../services/workoutService.js').TrainingDay} TrainingDay
+ * @typedef {import('./records.js').ExerciseRecords} ExerciseRecords
+ * @typedef {import('./plates.js').PlateInventory} PlateInventory
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'squat' | 'bench' | 'deadlift' | 'press'} ProgramLiftId
+ */
+
+/**
+ * @typedef {'linear' | '531' | 'hypertrophy'} ProgramTemplateId
+ */
+
+/**
+ * @typedef {object} ProgramSlot
+ * @property {ProgramLiftId} lift - The lift.
+ * @property {number} sets - Number of sets.
+ * @property {string} reps - Rep scheme, e.g. "5", "5+" or "8-12".
+ * @property {number | null} percent - Percentage of the lift's training max, or null to leave the weight to the progression suggestions.
+ */
+
+/**
+ * @typedef {object} ProgramDay
+ * @property {string} label - Short name of the session, e.g. "Squat" or "Workout A".
+ * @property {ProgramSlot[]} slots - The prescribed exercises, in order.
+ */
+
+/**
+ * @typedef {object} ProgramWeek
+ * @property {boolean} deload - True for deload weeks.
+ * @property {ProgramDay[]} days - Sessions of the week, in order.
+ */
+
+/**
+ * @typedef {object} ProgramTemplate
+ * @property {string} label - Display name.
+ * @property {string} summary - One-sentence description for the template picker.
+ * @property {string} notes - What to do after the program, added to the plan description.
+ * @property {ProgramWeek[]} weeks - The weeks, in order.
+ */
+
+/**
+ * Periodized Program Helpers
+ *
+ * Generates multi-week programs for the four main barbell lifts from built-in
+ * templates and the user's training maxes. Each week's sessions become training
+ * days of a rotation plan ("Week 2, Day 1: Squat"), trained in order, so the plan
+ * is shown, started and logged like any other split plan. Prescribed weights are
+ * a percentage of the training max, rounded to what the user's bar and plates can
+ * load, and stored on the plan exercises with their percentage. Slots without a
+ * percentage are left to the double progression suggestions of `overload.js`.
+ */
+
+/**
+ * The lifts programs are built from, with their catalog names.
+ * @type {{ id: ProgramLiftId; name: string }[]}
+ */
+export const PROGRAM_LIFTS = [
+  { id: 'squat', name: 'Back Squat' },
+  { id: 'bench', name: 'Bench Press' },
+  { id: 'deadlift', name: 'Deadlift' },
+  { id: 'press', name: 'Overhead Press' },
+];
+
+/**
+ * Template ids in display order.
+ * @type {ProgramTemplateId[]}
+ */
+export const PROGRAM_TEMPLATE_IDS = ['linear', '531', 'hypertrophy'];
+
+/**
+ * Share of an estimated one-rep max used as the training max.
+ * @type {number}
+ */
+export const TRAINING_MAX_PERCENT = 90;
+
+/**
+ * Creates a slot.
+ *
+ * @param {ProgramLiftId} lift - The lift.
+ * @param {number} sets - Number of sets.
+ * @param {string} reps - Rep scheme.
+ * @param {number | null} percent - Percentage of the training max, or null.
+ * @returns {ProgramSlot} The slot.
+ */
+const slot = (lift, sets, reps, percent) => ({ lift, sets, reps, percent });
+
+/**
+ * Three full-body sessions of fives; the percentage rises every week.
+ *
+ * @param {number} percent - Percentage of the training max for the week.
+ * @param {number} sets - Sets of squats, bench and press.
+ * @returns {ProgramDay[]} The week's sessions.
+ */
+const linearWeek = (percent, sets) => {
+  const workoutA = {
+    label: 'Workout A',
+    slots: [slot('squat', sets, '5', percent), slot('bench', sets, '5', percent), slot('deadlift', 1, '5', percent)],
+  };
+  const workoutB = {
+    label: 'Workout B',
+    slots: [slot('squat', sets, '5', percent), slot('press', sets, '5', percent), slot('deadlift', 1, '5', percent)],
+  };
+  return [workoutA, workoutB, workoutA];
+};
+
+/**
+ * Main sets of the 5/3/1 weeks as [percent, reps]; the last set of a week is done for as many reps as possible.
+ * @type {[number, string][][]}
+ */
+const WENDLER_SETS = [
+  [[65, '5'], [75, '5'], [85, '5+']],
+  [[70, '3'], [80, '3'], [90, '3+']],
+  [[75, '5'], [85, '3'], [95, '1+']],
+  [[40, '5'], [50, '5'], [60, '5']],
+];
+
+/**
+ * One session per lift: the main sets, then 5×10 at 50% ("Boring But Big") outside the deload.
+ *
+ * @param {[number, string][]} sets - The week's main sets.
+ * @param {boolean} deload - True for the deload week.
+ * @returns {ProgramDay[]} The week's sessions.
+ */
+const wendlerWeek = (sets, deload) =>
+  [
+    ['press', 'Press'],
+    ['deadlift', 'Deadlift'],
+    ['bench', 'Bench'],
+    ['squat', 'Squat'],
+  ].map(([lift, label]) => ({
+    label,
+    slots: [
+      ...sets.map(([percent, reps]) => slot(lift, 1, reps, percent)),
+      ...(deload ? [] : [slot(lift, 5, '10', 50)]),
+    ],
+  }));
+
+/**
+ * Upper/lower sessions twice a week in rep ranges: at the week's weight the lifter
+ * adds reps toward the top of the range (double progression).
+ *
+ * @param {number} sets - Sets per exercise.
+ * @param {number} percent - Percentage of the training max for the week.
+ * @returns {ProgramDay[]} The week's sessions.
+ */
+const hypertrophyWeek = (sets, percent) => {
+  const lower = { label: 'Lower', slots: [slot('squat', sets, '8-12', percent), slot('deadlift', sets, '6-10', percent)] };
+  const upper = { label: 'Upper', slots: [slot('bench', sets, '8-12', percent), slot('press', sets, '8-12', percent)] };
+  return [lower, upper, lower, upper];
+};
+
+/**
+ * The built-in templates.
+ * @type {Record<ProgramTemplateId, ProgramTemplate>}
+ */
+export const PROGRAM_TEMPLATES = {
+  linear: {
+    label: 'Linear progression',
+    summary: 'Three full-body sessions of 3×5 a week, heavier every week, with a deload in week 6.',
+    notes: 'After the deload, raise the training maxes to what you lifted in week 5 and generate the next block.',
+    weeks: [
+      ...[75, 77.5, 80, 82.5, 85].map((percent) => ({ deload: false, days: linearWeek(percent, 3) })),
+      { deload: true, days: linearWeek(65, 2) },
+    ],
+  },
+  531: {
+    label: '5/3/1',
+    summary: 'Four sessions a week, one per lift, in waves of 5s, 3s and 5/3/1 with a deload in week 4.',
+    notes:
+      'Take the last set of each main lift for as many reps as you can. After the cycle, add 2.5 kg (5 lb) to the bench and press training maxes and 5 kg (10 lb) to the squat and deadlift ones.',
+    weeks: WENDLER_SETS.map((sets, index) => ({
+      deload: index === WENDLER_SETS.length - 1,
+      days: wendlerWeek(sets, index === WENDLER_SETS.length - 1),
+    })),
+  },
+  hypertrophy: {
+    label: 'Hypertrophy block (double progression)',
+    summary:
+      'Upper/lower sessions four times a week, adding sets and weight over five weeks (60% to 70%), with a deload in week 6.',
+    notes:
+      'Add reps at each prescribed weight until every set reaches the top of the range. After the deload, raise the training maxes if week 5 reached the top of the ranges and generate the next block.',
+    weeks: [
+      ...[
+        [3, 60],
+        [3, 62.5],
+        [4, 65],
+        [4, 67.5],
+        [5, 70],
+      ].map(([sets, percent]) => ({ deload: false, days: hypertrophyWeek(sets, percent) })),
+      { deload: true, days: hypertrophyWeek(2, 50) },
+    ],
+  },
+};
+
+/**
+ * Parses training max inputs.
+ *
+ * @param {Record<ProgramLiftId, string>} form - Training max inputs by lift.
+ * @returns {{ data: Record<ProgramLiftId, number> | null; error: string | null; }} The training maxes, or a message describing the first problem.
+ */
+export const parseTrainingMaxes = (form) => {
+  /** @type {Partial<Record<ProgramLiftId, number>>} */
+  const trainingMaxes = {};
+  for (const { id, name } of PROGRAM_LIFTS) {
+    const value = Number(form[id]);
+    if ((form[id] ?? '').trim() === '' || !Number.isFinite(value) || value <= 0) {
+      return { data: null, error: `Enter a positive training max for ${name}.` };
+    }
+    trainingMaxes[id] = value;
+  }
+  return { data: trainingMaxes, error: null };
+};
+
+/**
+ * Suggests training maxes from personal records: `TRAINING_MAX_PERCENT` of each
+ * lift's best estimated one-rep max. Logged names are matched through the catalog,
+ * so "Squat" counts for the back squat.
+ *
+ * @param {ExerciseRecords[]} exercises - Personal records per exercise, in the display unit.
+ * @returns {Record<ProgramLiftId, number | null>} The suggestions, null for lifts without an estimate.
+ */
+export const estimateTrainingMaxes = (exercises) =>
+  Object.fromEntries(
+    PROGRAM_LIFTS.map(({ id, name }) => {
+      const estimates = exercises
+        .filter((exercise) => findCatalogExercise(BUILT_IN_EXERCISES, exercise.exercise_name)?.name === name)
+        .map((exercise) => exercise.e1rm?.value)
+        .filter((value) => value !== null && value !== undefined);
+      return [
+        id,
+        estimates.length > 0 ? roundWeight((Math.max(...estimates) * TRAINING_MAX_PERCENT) / 100, 1) : null,
+      ];
+    }),
+  );
+
+/**
+ * Names a training day of a program.
+ *
+ * @param {number} weekIndex - Zero-based week.
+ * @param {ProgramWeek} week - The week.
+ * @param {number} dayIndex - Zero-based session within the week.
+ * @param {ProgramDay} day - The session.
+ * @returns {string} E.g. "Week 4 (Deload), Day 1: Press".
+ */
+const getProgramDayName = (weekIndex, week, dayIndex, day) =>
+  `Week ${weekIndex + 1}${week.deload ? ' (Deload)' : ''}, Day ${dayIndex + 1}: ${day.label}`;
+
+/**
+ * Generates a program as a rotation plan.
+ *
+ * @param {object} options - Generation options.
+ * @param {ProgramTemplateId} options.templateId - The template.
+ * @param {string} options.name - Name of the plan.
+ * @param {Record<ProgramLiftId, number>} options.trainingMaxes - Training maxes in `unit`.
+ * @param {WeightUnit} options.unit - Unit of the training maxes and generated weights.
+ * @param {PlateInventory} options.inventory - The bar and plates weights are rounded to.
+ * @returns {WorkoutPlanInput} The plan, ready for `createWorkoutPlan`.
+ */
+export const generateProgram = ({ templateId, name, trainingMaxes, unit, inventory }) => {
+  const template = PROGRAM_TEMPLATES[templateId];
+  const liftNames = Object.fromEntries(PROGRAM_LIFTS.map((lift) => [lift.id, lift.name]));
+
+  /** @type {TrainingDay[]} */
+  const days = template.weeks.flatMap((week, weekIndex) =>
+    week.days.map((day, dayIndex) => ({
+      id: createClientId(),
+      name: getProgramDayName(weekIndex, week, dayIndex, day),
+      weekdays: [],
+      exercises: day.slots.map((programSlot) => ({
+        id: createClientId(),
+        name: liftNames[programSlot.lift],
+        sets: programSlot.sets,
+        reps: programSlot.reps,
+        ...(programSlot.percent !== null && {
+          target_weight: roundToLoadable((trainingMaxes[programSlot.lift] * programSlot.percent) / 100, inventory),
+          target_weight_unit: unit,
+          target_percent: programSlot.percent,
+        }),
+      })),
+    })),
+  );
+
+  const deloadWeeks = template.weeks
+    .map((week, index) => (week.deload ? index + 1 : null))
+    .filter((week) => week !== null);
+  const maxes = PROGRAM_LIFTS.map((lift) => `${lift.name} ${formatWeight(trainingMaxes[lift.id], unit)}`).join(', ');
+  return {
+    name,
+    description: [
+      `${template.label}: ${template.weeks.length} weeks of ${template.weeks[0].days.length} sessions, trained in order.`,
+      deloadWeeks.length > 0 ? `Deload in week ${deloadWeeks.join(', ')}.` : '',
+      `Training maxes: ${maxes}.`,
+      template.notes,
+    ]
+      .filter(Boolean)
+      .join(' '),
+    exercises: [],
+    days,
+    schedule_type: 'rotation',
+  };
+};
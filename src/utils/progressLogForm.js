@@ -0,0 +1,210 @@
+import { format } from 'date-fns';
+import { getLogSets } from './setData.js';
+import { parseRepsString } from './repsParser.js';
+import { convertWeight, getLogWeightUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('../services/workoutService.js').LoggedSet} LoggedSet
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').SetType} SetType
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} SetFormRow
+ * @property {string} reps // Store as string from input, parse on submit
+ * @property {string} weight // Store as string from input, parse on submit (optional)
+ * @property {SetType} set_type
+ */
+
+/**
+ * @typedef {object} LogFormState
+ * @property {string} workout_name
+ * @property {string} exercise_name
+ * @property {SetFormRow[]} sets
+ * @property {string} workout_date // YYYY-MM-DD format
+ */
+
+/**
+ * Progress Log Form Helpers
+ *
+ * Converts between the string-based state of the progress logging forms and the
+ * `LogData` payload expected by `workoutService.js`. Shared by the "log new exercise"
+ * form and the inline history edit form so both apply identical validation.
+ */
+
+/**
+ * Returns today's date in the user's time zone as a YYYY-MM-DD string.
+ * The UTC date would already be tomorrow in the evening west of Greenwich.
+ *
+ * @returns {string} Today's local date in ISO (date-only) format.
+ */
+export const getTodayISO = () => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * Creates a blank set row.
+ *
+ * @param {Partial<SetFormRow>} [defaults] - Values to prefill, e.g. the previous row's weight.
+ * @returns {SetFormRow} A set row.
+ */
+export const createSetRow = (defaults = {}) => ({
+  reps: '',
+  weight: '',
+  set_type: 'working',
+  ...defaults,
+});
+
+/**
+ * Creates an empty form state with a single set row, defaulting the workout date to today.
+ *
+ * @returns {LogFormState} A blank form state.
+ */
+export const createEmptyLogForm = () => ({
+  workout_name: '',
+  exercise_name: '',
+  sets: [createSetRow()],
+  workout_date: getTodayISO(),
+});
+
+/**
+ * Converts a stored weight into its input string in the form's unit.
+ *
+ * @param {number | null | undefined} weight - The stored weight.
+ * @param {WeightUnit} fromUnit - Unit the weight is stored in.
+ * @param {WeightUnit} toUnit - Unit the form edits weights in.
+ * @returns {string} The weight as an input value, or an empty string.
+ */
+const weightToInput = (weight, fromUnit, toUnit) => {
+  const converted = convertWeight(weight, fromUnit, toUnit);
+  return converted !== null ? String(roundWeight(converted, 2)) : '';
+};
+
+/**
+ * Builds set rows for a legacy log that only has the string summary.
+ * Reps strings the parser understands become one prefilled row per set; otherwise
+ * `sets_completed` empty rows are created for the user to fill in.
+ *
+ * @param {ProgressLog} log - A legacy log entry.
+ * @param {WeightUnit} fromUnit - Unit the log's weight is stored in.
+ * @param {WeightUnit} toUnit - Unit the form edits weights in.
+ * @returns {SetFormRow[]} Editable set rows (at least one).
+ */
+const legacyLogToSetRows = (log, fromUnit, toUnit) => {
+  const weight = weightToInput(log.weight_used, fromUnit, toUnit);
+  const { status, reps } = parseRepsString(log.reps_achieved, log.sets_completed ?? null);
+
+  if (status === 'parsed') {
+    return reps.map((count) => createSetRow({ reps: String(count), weight }));
+  }
+
+  const count = Math.max(1, log.sets_completed || 0);
+  return Array.from({ length: count }, () => createSetRow({ weight }));
+};
+
+/**
+ * Expands a quick reps entry (e.g. "5x5" or "10, 9, 8") into set rows.
+ * Weight and set type are taken from the first existing row.
+ *
+ * @param {string} repsText - The reps text to parse.
+ * @param {SetFormRow[]} currentRows - The rows being replaced.
+ * @returns {{ rows: SetFormRow[] | null; error: string | null; }} The generated rows, or the parser's explanation.
+ */
+export const repsTextToSetRows = (repsText, currentRows) => {
+  const { status, reps, reason } = parseRepsString(repsText);
+  if (status !== 'parsed') {
+    return { rows: null, error: reason };
+  }
+  const template = currentRows[0] ?? createSetRow();
+  return {
+    rows: reps.map((count) =>
+      createSetRow({ reps: String(count), weight: template.weight, set_type: template.set_type }),
+    ),
+    error: null,
+  };
+};
+
+/**
+ * Creates a form state pre-populated from an existing progress log entry.
+ * Weights are converted to the unit the form is edited in.
+ *
+ * @param {ProgressLog} log - The log entry to edit.
+ * @param {WeightUnit} formUnit - The user's preferred unit, used by the form.
+ * @returns {LogFormState} The form state representing the log entry.
+ */
+export const logToFormState = (log, formUnit) => {
+  const sets = getLogSets(log);
+  const logUnit = getLogWeightUnit(log);
+  return {
+    workout_name: log.workout_name ?? '',
+    exercise_name: log.exercise_name ?? '',
+    sets: sets
+      ? sets.map((set) =>
+          createSetRow({
+            reps: String(set.reps),
+            weight: weightToInput(set.weight, logUnit, formUnit),
+            set_type: set.set_type ?? 'working',
+          }),
+        )
+      : legacyLogToSetRows(log, logUnit, formUnit),
+    workout_date: log.workout_date ? log.workout_date.split('T')[0] : getTodayISO(),
+  };
+};
+
+/**
+ * Validates a form state and converts it into a `LogData` payload.
+ *
+ * @param {LogFormState} formState - The current form values.
+ * @param {WeightUnit} weightUnit - The unit the form's weights were entered in; stored with the log.
+ * @returns {{ data: LogData | null; error: string | null; }} The parsed payload, or a user-facing validation message.
+ */
+export const parseLogForm = (formState, weightUnit) => {
+  const { workout_name, exercise_name, sets, workout_date } = formState;
+
+  if (!workout_name.trim() || !exercise_name.trim() || !workout_date.trim()) {
+    return {
+      data: null,
+      error: 'Workout Name, Exercise Name, and Date are required.',
+    };
+  }
+
+  if (!sets || sets.length === 0) {
+    return { data: null, error: 'Add at least one set.' };
+  }
+
+  /** @type {LoggedSet[]} */
+  const parsedSets = [];
+  for (let index = 0; index < sets.length; index += 1) {
+    const { reps, weight, set_type } = sets[index];
+    const setNumber = index + 1;
+
+    // Validate and parse numeric fields
+    if (!/^\d+$/.test(reps.trim())) {
+      return { data: null, error: `Set ${setNumber}: reps must be a whole number.` };
+    }
+
+    let weightParsed = null;
+    if (weight.trim() !== '') {
+      weightParsed = parseFloat(weight); // Use parseFloat for potential decimal weights
+      if (isNaN(weightParsed) || weightParsed < 0) {
+        return {
+          data: null,
+          error: `Set ${setNumber}: weight must be a non-negative number if provided.`,
+        };
+      }
+    }
+
+    parsedSets.push({ reps: parseInt(reps, 10), weight: weightParsed, set_type });
+  }
+
+  return {
+    data: {
+      workout_name: workout_name.trim(),
+      exercise_name: exercise_name.trim(),
+      sets: parsedSets,
+      weight_unit: weightUnit,
+      workout_date: workout_date, // Already in YYYY-MM-DD format
+    },
+    error: null,
+  };
+};
@@ -0,0 +1,331 @@
+import { getNormalizedSets } from './setData.js';
+import { normalizeName } from './names.js';
+import { convertWeight, getLogWeightUnit, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').LoggedSet} LoggedSet
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {'epley' | 'brzycki'} E1rmFormula
+ */
+
+/**
+ * @typedef {'weight' | 'reps' | 'e1rm' | 'volume'} RecordType
+ */
+
+/**
+ * @typedef {object} PersonalRecord
+ * @property {RecordType} type - Kind of record.
+ * @property {number} value - The record value: weight, reps, estimated 1RM or session volume.
+ * @property {number | null} weight - Weight of the record set (null for bodyweight sets and volume records).
+ * @property {number | null} reps - Reps of the record set (null for volume records).
+ * @property {string} date - Workout date of the record (YYYY-MM-DD).
+ * @property {string} logId - The log entry the record was set in.
+ */
+
+/**
+ * @typedef {object} ExerciseRecords
+ * @property {string} exercise_name - The exercise, as named in its most recent log.
+ * @property {PersonalRecord | null} weight - Heaviest weight lifted.
+ * @property {PersonalRecord | null} e1rm - Best estimated one-rep max.
+ * @property {PersonalRecord | null} volume - Best session volume (sum of reps × weight on one date).
+ * @property {PersonalRecord[]} reps - Most reps at each weight, heaviest first. Weights where a heavier set has at least as many reps are left out.
+ * @property {string} lastDate - Date of the most recent session.
+ */
+
+/**
+ * @typedef {object} PersonalRecordSummary
+ * @property {ExerciseRecords[]} exercises - Records per exercise, alphabetically.
+ * @property {Map<string, RecordType[]>} newRecordsByLog - Record types each log entry set when it was logged, by log ID.
+ */
+
+/**
+ * Personal Record Helpers
+ *
+ * Computes personal records from progress logs: heaviest weight, most reps at a
+ * weight (or any heavier weight), best estimated one-rep max, and best session
+ * volume. Only working and failure sets count; warm-up and drop sets are ignored.
+ * History is replayed in the order it was logged so every log entry can be flagged
+ * with the records it set at the time. The first session of an exercise sets the
+ * baseline and is not flagged.
+ */
+
+/**
+ * Supported one-rep max formulas.
+ * @type {E1rmFormula[]}
+ */
+export const E1RM_FORMULAS = ['epley', 'brzycki'];
+
+/**
+ * Display labels for the one-rep max formulas.
+ * @type {Record<E1rmFormula, string>}
+ */
+export const E1RM_FORMULA_LABELS = {
+  epley: 'Epley',
+  brzycki: 'Brzycki',
+};
+
+/**
+ * Display labels for each record type.
+ * @type {Record<RecordType, string>}
+ */
+export const RECORD_TYPE_LABELS = {
+  weight: 'Heaviest weight',
+  reps: 'Most reps',
+  e1rm: 'Best e1RM',
+  volume: 'Best volume',
+};
+
+/**
+ * Sets with more reps than this are too far from a single to estimate a 1RM from.
+ * @type {number}
+ */
+export const MAX_E1RM_REPS = 12;
+
+/**
+ * Estimates a one-rep max from a set.
+ * Epley: weight × (1 + reps / 30). Brzycki: weight × 36 / (37 − reps).
+ * A single is its own one-rep max with either formula.
+ *
+ * @param {number | null} weight - Weight of the set.
+ * @param {number} reps - Reps of the set.
+ * @param {E1rmFormula} [formula='epley'] - Formula to use.
+ * @returns {number | null} The estimate, or null for bodyweight sets, zero reps or more than `MAX_E1RM_REPS` reps.
+ */
+export const estimateOneRepMax = (weight, reps, formula = 'epley') => {
+  if (weight === null || weight === undefined || weight <= 0 || reps < 1 || reps > MAX_E1RM_REPS) {
+    return null;
+  }
+  if (reps === 1) {
+    return weight;
+  }
+  return formula === 'brzycki' ? (weight * 36) / (37 - reps) : weight * (1 + reps / 30);
+};
+
+/**
+ * Orders logs the way they were recorded: by workout date, then creation time.
+ *
+ * @param {ProgressLog} a - First log entry.
+ * @param {ProgressLog} b - Second log entry.
+ * @returns {number} Sort comparison result.
+ */
+const compareChronologically = (a, b) =>
+  a.workout_date.localeCompare(b.workout_date) ||
+  (a.created_at ?? '').localeCompare(b.created_at ?? '');
+
+/**
+ * @typedef {object} RecordState
+ * @property {PersonalRecord | null} weight
+ * @property {PersonalRecord | null} e1rm
+ * @property {PersonalRecord | null} volume
+ * @property {Map<string, PersonalRecord>} repsByWeight - Best reps per weight; bodyweight sets use the key "bw".
+ */
+
+/**
+ * Copies a record state so it can be updated without changing the original.
+ *
+ * @param {RecordState} [state] - The state to copy; omit for an empty state.
+ * @returns {RecordState} The copy.
+ */
+const copyRecordState = (state) => ({
+  weight: state?.weight ?? null,
+  e1rm: state?.e1rm ?? null,
+  volume: state?.volume ?? null,
+  repsByWeight: new Map(state?.repsByWeight ?? []),
+});
+
+/**
+ * Returns the most reps done at a weight or any heavier weight.
+ *
+ * @param {Map<string, PersonalRecord>} repsByWeight - Best reps per weight.
+ * @param {number | null} weight - The weight (null for bodyweight).
+ * @returns {number | null} The best reps, or null if nothing that heavy was lifted yet.
+ */
+const getBestRepsAtOrAbove = (repsByWeight, weight) => {
+  let best = null;
+  repsByWeight.forEach((record) => {
+    const comparable =
+      weight === null ? record.weight === null : record.weight !== null && record.weight >= weight;
+    if (comparable && (best === null || record.reps > best)) {
+      best = record.reps;
+    }
+  });
+  return best;
+};
+
+/**
+ * Computes personal records per exercise and the records each log entry set.
+ * Exercise names are grouped case- and whitespace-insensitively.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {WeightUnit} unit - Unit to express weights and volume in.
+ * @param {E1rmFormula} [formula='epley'] - Formula for estimated one-rep maxes.
+ * @returns {PersonalRecordSummary} The records.
+ */
+export const computePersonalRecords = (logs, unit, formula = 'epley') => {
+  /**
+   * Per exercise: records from earlier dates (`previous`, what a log is compared to)
+   * and records including the current date (`current`).
+   * @type {Map<string, { name: string; date: string; volume: number; previous: RecordState; current: RecordState }>}
+   */
+  const byExercise = new Map();
+  /** @type {Map<string, RecordType[]>} */
+  const newRecordsByLog = new Map();
+
+  [...logs].sort(compareChronologically).forEach((log) => {
+    const sets = getNormalizedSets(log);
+    if (!sets) {
+      return;
+    }
+    const logUnit = getLogWeightUnit(log);
+    const counted = sets
+      .filter((set) => (set.set_type ?? 'working') === 'working' || set.set_type === 'failure')
+      .map((set) => {
+        const weight = convertWeight(set.weight, logUnit, unit);
+        return { reps: set.reps, weight: weight === null ? null : roundWeight(weight, 2) };
+      })
+      .filter((set) => set.reps > 0);
+    if (counted.length === 0) {
+      return;
+    }
+
+    const key = normalizeName(log.exercise_name);
+    const date = log.workout_date.split('T')[0];
+    let state = byExercise.get(key);
+    if (!state) {
+      state = {
+        name: log.exercise_name,
+        date,
+        volume: 0,
+        previous: copyRecordState(),
+        current: copyRecordState(),
+      };
+      byExercise.set(key, state);
+    } else if (date !== state.date) {
+      // A new session: everything so far becomes the history to beat
+      state.previous = copyRecordState(state.current);
+      state.name = log.exercise_name;
+      state.date = date;
+      state.volume = 0;
+    }
+
+    const { previous, current } = state;
+    /** @type {Set<RecordType>} */
+    const newRecords = new Set();
+    const makeRecord = (type, value, set) => ({
+      type,
+      value,
+      weight: set ? set.weight : null,
+      reps: set ? set.reps : null,
+      date,
+      logId: log.id,
+    });
+
+    counted.forEach((set) => {
+      if (set.weight !== null) {
+        if (previous.weight && set.weight > previous.weight.value) newRecords.add('weight');
+        if (!current.weight || set.weight > current.weight.value) {
+          current.weight = makeRecord('weight', set.weight, set);
+        }
+      }
+
+      const e1rm = estimateOneRepMax(set.weight, set.reps, formula);
+      if (e1rm !== null) {
+        if (previous.e1rm && e1rm > previous.e1rm.value) newRecords.add('e1rm');
+        if (!current.e1rm || e1rm > current.e1rm.value) {
+          current.e1rm = makeRecord('e1rm', roundWeight(e1rm, 1), set);
+        }
+      }
+
+      const previousReps = getBestRepsAtOrAbove(previous.repsByWeight, set.weight);
+      if (previousReps !== null && set.reps > previousReps) newRecords.add('reps');
+      const currentReps = getBestRepsAtOrAbove(current.repsByWeight, set.weight);
+      if (currentReps === null || set.reps > currentReps) {
+        current.repsByWeight.set(
+          set.weight === null ? 'bw' : String(set.weight),
+          makeRecord('reps', set.reps, set),
+        );
+      }
+    });
+
+    // Several logs of the same exercise on one date add up to one session
+    state.volume = roundWeight(
+      state.volume + counted.reduce((sum, set) => sum + set.reps * (set.weight ?? 0), 0),
+      1,
+    );
+    if (state.volume > 0) {
+      if (previous.volume && state.volume > previous.volume.value) newRecords.add('volume');
+      if (!current.volume || state.volume > current.volume.value) {
+        current.volume = makeRecord('volume', state.volume, null);
+      }
+    }
+
+    if (newRecords.size > 0) {
+      newRecordsByLog.set(log.id, [...newRecords]);
+    }
+  });
+
+  /** @type {ExerciseRecords[]} */
+  const exercises = [...byExercise.values()]
+    .map(({ name, date, current }) => ({
+      exercise_name: name,
+      weight: current.weight,
+      e1rm: current.e1rm,
+      volume: current.volume,
+      // Keep only rep records not matched by a heavier set
+      reps: [...current.repsByWeight.values()]
+        .sort((a, b) => (b.weight ?? -1) - (a.weight ?? -1))
+        .filter((record, index, sorted) =>
+          sorted.slice(0, index).every((heavier) => heavier.reps < record.reps),
+        ),
+      lastDate: date,
+    }))
+    .sort((a, b) => a.exercise_name.localeCompare(b.exercise_name));
+
+  return { exercises, newRecordsByLog };
+};
+
+/**
+ * Finds the records set by newly saved logs, compared with the existing history.
+ *
+ * @param {ProgressLog[]} history - The history before the new logs were saved.
+ * @param {ProgressLog[]} newLogs - The saved log rows.
+ * @param {WeightUnit} unit - The user's weight unit.
+ * @param {E1rmFormula} [formula='epley'] - Formula for estimated one-rep maxes.
+ * @returns {{ log: ProgressLog; records: RecordType[] }[]} New logs that set at least one record.
+ */
+export const detectNewRecords = (history, newLogs, unit, formula = 'epley') => {
+  const newIds = new Set(newLogs.map((log) => log.id));
+  const { newRecordsByLog } = computePersonalRecords(
+    [...history.filter((log) => !newIds.has(log.id)), ...newLogs],
+    unit,
+    formula,
+  );
+  return newLogs
+    .map((log) => ({ log, records: newRecordsByLog.get(log.id) ?? [] }))
+    .filter(({ records }) => records.length > 0);
+};
+
+/**
+ * Describes newly set records in one sentence, e.g.
+ * "New personal record! Bench Press: Heaviest weight, Best e1RM."
+ *
+ * @param {{ log: ProgressLog; records: RecordType[] }[]} newRecords - Result of `detectNewRecords`.
+ * @returns {string | null} The message, or null if no record was set.
+ */
+export const formatNewRecordsMessage = (newRecords) => {
+  if (newRecords.length === 0) {
+    return null;
+  }
+  const details = newRecords
+    .map(
+      ({ log, records }) =>
+        `${log.exercise_name}: ${records.map((type) => RECORD_TYPE_LABELS[type]).join(', ')}`,
+    )
+    .join('; ');
+  const count = newRecords.reduce((total, { records }) => total + records.length, 0);
+  return `New personal record${count > 1 ? 's' : ''}! ${details}.`;
+};
@@ -0,0 +1,53 @@
+/**
+ * @typedef {object} RepScheme
+ * @property {number} min - Lowest target reps per set.
+ * @property {number} max - Highest target reps per set (equal to `min` for a fixed target).
+ * @property {boolean} open - True when the set may go beyond `max` ("10+", "AMRAP").
+ */
+
+/**
+ * Rep Scheme Helpers
+ *
+ * Plans describe the reps of an exercise as a short string: a fixed target ("5"),
+ * a range ("8-12"), a minimum ("10+") or "AMRAP" (as many reps as possible).
+ * These helpers validate and interpret that string.
+ */
+
+const REP_SCHEME_PATTERN = /^(?:(\d+)\s*(?:-|–|to)\s*(\d+)|(\d+)(\+)?|amrap)$/i;
+
+/**
+ * Parses a rep scheme string.
+ *
+ * @param {string | null | undefined} text - The rep scheme, e.g. "8-12".
+ * @returns {RepScheme | null} The parsed scheme, or null if the text is not a valid scheme.
+ */
+export const parseRepScheme = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = text.trim().match(REP_SCHEME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, rangeLow, rangeHigh, single, plus] = match;
+  if (rangeLow !== undefined) {
+    const min = parseInt(rangeLow, 10);
+    const max = parseInt(rangeHigh, 10);
+    return min > 0 && max >= min ? { min, max, open: false } : null;
+  }
+  if (single !== undefined) {
+    const reps = parseInt(single, 10);
+    return reps > 0 ? { min: reps, max: reps, open: Boolean(plus) } : null;
+  }
+  // AMRAP: at least one rep, no upper bound
+  return { min: 1, max: 1, open: true };
+};
+
+/**
+ * Checks whether a string is a valid rep scheme.
+ *
+ * @param {string | null | undefined} text - The rep scheme to check.
+ * @returns {boolean} True if `parseRepScheme` accepts the text.
+ */
+export const isValidRepScheme = (text) => parseRepScheme(text) !== null;
@@ -0,0 +1,156 @@
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ */
+
+/**
+ * @typedef {'parsed' | 'ambiguous' | 'invalid'} RepsParseStatus
+ * `parsed` strings map to exact per-set rep counts. `ambiguous` strings are
+ * understood but do not pin down what was performed (rep ranges, or a set count
+ * that contradicts `sets_completed`). `invalid` strings could not be read at all.
+ */
+
+/**
+ * @typedef {object} RepsParseResult
+ * @property {RepsParseStatus} status - Outcome of the parse.
+ * @property {number[] | null} reps - Rep count per set when `status` is 'parsed', otherwise null.
+ * @property {string | null} reason - Human-readable explanation when `status` is not 'parsed'.
+ */
+
+/**
+ * @typedef {object} LegacyLogAnalysis
+ * @property {{ log: ProgressLog, reps: number[] }[]} parsed - Logs whose reps string was normalized.
+ * @property {{ log: ProgressLog, status: RepsParseStatus, reason: string }[]} unresolved - Logs that need manual review.
+ */
+
+/**
+ * Reps String Parser
+ *
+ * Normalizes the free-text `reps_achieved` values of legacy progress logs into
+ * per-set rep counts. Supported formats:
+ * - Lists: "10, 9, 8", "10 9 8", "10/9/8"
+ * - Sets × reps: "5x5", "5 x 5", "3×10", "3*10"
+ * - Grouped: "3x10, 2x8" (expands to 10, 10, 10, 8, 8)
+ * - Single count: "12" (repeated `sets_completed` times)
+ * Rep ranges such as "3x8-12" or "8-12" are recognized but reported as ambiguous,
+ * since the string does not say how many reps were actually achieved.
+ */
+
+const RANGE_PATTERN = /^(\d+)\s*-\s*(\d+)$/;
+const SETS_BY_REPS_PATTERN = /^(\d+)\s*[x×*]\s*(\d+(?:\s*-\s*\d+)?)$/i;
+const NUMBER_PATTERN = /^\d+$/;
+
+/**
+ * Builds a result object.
+ *
+ * @param {RepsParseStatus} status - Outcome of the parse.
+ * @param {number[] | null} [reps=null] - Parsed rep counts.
+ * @param {string | null} [reason=null] - Explanation for unresolved results.
+ * @returns {RepsParseResult} The parse result.
+ */
+const result = (status, reps = null, reason = null) => ({ status, reps, reason });
+
+/**
+ * Parses a single comma-separated group: a plain number, a range, or a sets × reps term.
+ *
+ * @param {string} group - The trimmed group text.
+ * @returns {RepsParseResult} The parse result for the group.
+ */
+const parseGroup = (group) => {
+  if (NUMBER_PATTERN.test(group)) {
+    return result('parsed', [parseInt(group, 10)]);
+  }
+
+  if (RANGE_PATTERN.test(group)) {
+    return result('ambiguous', null, `"${group}" is a rep range, not the reps achieved.`);
+  }
+
+  const setsByReps = group.match(SETS_BY_REPS_PATTERN);
+  if (setsByReps) {
+    const sets = parseInt(setsByReps[1], 10);
+    if (sets === 0) {
+      return result('invalid', null, `"${group}" has zero sets.`);
+    }
+    if (RANGE_PATTERN.test(setsByReps[2])) {
+      return result(
+        'ambiguous',
+        null,
+        `"${group}" gives a rep range, not the reps achieved in each set.`,
+      );
+    }
+    return result('parsed', Array(sets).fill(parseInt(setsByReps[2], 10)));
+  }
+
+  return result('invalid', null, `"${group}" is not a recognized reps format.`);
+};
+
+/**
+ * Parses a reps string into per-set rep counts.
+ *
+ * @param {string | null | undefined} repsText - The raw reps text (e.g. "10, 9, 8", "5x5").
+ * @param {number | null} [setsCompleted=null] - The recorded number of sets, used to expand a single
+ *   count and to cross-check the parsed set count. Pass null when unknown (e.g. while typing).
+ * @returns {RepsParseResult} The parse result.
+ */
+export const parseRepsString = (repsText, setsCompleted = null) => {
+  const text = (repsText ?? '').trim();
+  if (text === '') {
+    return result('invalid', null, 'No reps were entered.');
+  }
+
+  const hasSetCount = Number.isInteger(setsCompleted) && setsCompleted > 0;
+
+  // A lone number means "this many reps in every set"
+  if (NUMBER_PATTERN.test(text)) {
+    const reps = parseInt(text, 10);
+    return result('parsed', Array(hasSetCount ? setsCompleted : 1).fill(reps));
+  }
+
+  // Commas and slashes always separate groups; whitespace does too, unless it sits inside
+  // an "N x M" or "N-M" term ("5 x 5", "8 - 12")
+  const groups = text
+    .replace(/\s*([x×*-])\s*/gi, '$1')
+    .split(/[\s,/]+/)
+    .filter(Boolean);
+
+  const reps = [];
+  for (const group of groups) {
+    const groupResult = parseGroup(group);
+    if (groupResult.status !== 'parsed') {
+      return groupResult;
+    }
+    reps.push(...groupResult.reps);
+  }
+
+  if (hasSetCount && reps.length !== setsCompleted) {
+    return result(
+      'ambiguous',
+      null,
+      `"${text}" describes ${reps.length} set(s), but ${setsCompleted} set(s) were recorded.`,
+    );
+  }
+
+  return result('parsed', reps);
+};
+
+/**
+ * Runs the parser over legacy logs (logs without structured sets) and splits them into
+ * normalized logs and logs that need manual review.
+ *
+ * @param {ProgressLog[]} logs - Legacy progress log entries.
+ * @returns {LegacyLogAnalysis} Parsed and unresolved logs.
+ */
+export const analyzeLegacyLogs = (logs) => {
+  /** @type {LegacyLogAnalysis} */
+  const analysis = { parsed: [], unresolved: [] };
+
+  for (const log of logs) {
+    const { status, reps, reason } = parseRepsString(log.reps_achieved, log.sets_completed);
+    if (status === 'parsed') {
+      analysis.parsed.push({ log, reps });
+    } else {
+      analysis.unresolved.push({ log, status, reason });
+    }
+  }
+
+  return analysis;
+};
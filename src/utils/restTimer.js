@@ -0,0 +1,101 @@
+import { namesMatch, normalizeName } from './names.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ * @typedef {import('../services/preferencesService.js').UserPreferences} UserPreferences
+ */
+
+/**
+ * @typedef {'plan' | 'exercise' | 'default'} RestDurationSource
+ * Where a rest duration came from: the plan entry, the user's per-exercise
+ * setting, or the user's general default.
+ */
+
+/**
+ * @typedef {object} RestDuration
+ * @property {number} seconds - Rest length in seconds.
+ * @property {RestDurationSource} source - Where the length came from.
+ */
+
+/**
+ * Rest Timer Helpers
+ *
+ * Resolves how long to rest after an exercise's sets and formats countdowns.
+ * A rest length set on the plan entry wins over the user's per-exercise setting,
+ * which wins over the general default from the preferences.
+ */
+
+/**
+ * Shortest rest that can be configured, in seconds.
+ * @type {number}
+ */
+export const MIN_REST_SECONDS = 5;
+
+/**
+ * Longest rest that can be configured, in seconds.
+ * @type {number}
+ */
+export const MAX_REST_SECONDS = 3600;
+
+/**
+ * Seconds added or removed by the timer's adjust buttons.
+ * @type {number}
+ */
+export const REST_ADJUST_SECONDS = 15;
+
+/**
+ * Checks whether a value is a valid rest length.
+ *
+ * @param {unknown} value - The value to check.
+ * @returns {boolean} True for whole seconds between `MIN_REST_SECONDS` and `MAX_REST_SECONDS`.
+ */
+export const isValidRestSeconds = (value) =>
+  Number.isInteger(value) && value >= MIN_REST_SECONDS && value <= MAX_REST_SECONDS;
+
+/**
+ * Builds the key under which a per-exercise rest length is stored.
+ *
+ * @param {string} exerciseName - The exercise name.
+ * @returns {string} The key (the normalized name).
+ */
+export const getRestExerciseKey = (exerciseName) => normalizeName(exerciseName);
+
+/**
+ * Finds the entry of an exercise in a plan's exercise list.
+ *
+ * @param {WorkoutPlanExercise[] | null | undefined} planExercises - The plan's exercises.
+ * @param {string} exerciseName - The exercise name.
+ * @returns {WorkoutPlanExercise | null} The plan entry, or null.
+ */
+export const findPlanExercise = (planExercises, exerciseName) =>
+  (planExercises ?? []).find((exercise) => namesMatch(exercise.name, exerciseName)) ?? null;
+
+/**
+ * Resolves the rest length for an exercise.
+ *
+ * @param {string} exerciseName - The exercise name; may be empty.
+ * @param {WorkoutPlanExercise | null} planExercise - The exercise's plan entry, if any.
+ * @param {UserPreferences} preferences - The user's preferences.
+ * @returns {RestDuration} The rest length and where it came from.
+ */
+export const getRestDuration = (exerciseName, planExercise, preferences) => {
+  if (isValidRestSeconds(planExercise?.rest_seconds)) {
+    return { seconds: planExercise.rest_seconds, source: 'plan' };
+  }
+  const exerciseSeconds = preferences.rest_timer_exercise_seconds?.[getRestExerciseKey(exerciseName)];
+  if (exerciseName.trim() !== '' && isValidRestSeconds(exerciseSeconds)) {
+    return { seconds: exerciseSeconds, source: 'exercise' };
+  }
+  return { seconds: preferences.rest_timer_seconds, source: 'default' };
+};
+
+/**
+ * Formats a number of seconds as a countdown, e.g. 90 → "1:30".
+ *
+ * @param {number} seconds - Whole seconds, not negative.
+ * @returns {string} The formatted time.
+ */
+export const formatRestTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,166 @@
+import { addDays, format, parseISO } from 'date-fns';
+import { getTodayISO } from './progressLogForm.js';
+import { normalizeName } from './names.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../services/workoutService.js').TrainingDay} TrainingDay
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ */
+
+/**
+ * @typedef {object} TodaySession
+ * @property {TrainingDay | null} day - The training day scheduled for today, or null on a rest day.
+ * @property {boolean} logged - True if logs dated today match the session.
+ * @property {string[]} loggedExercises - Names of the session's exercises logged today.
+ */
+
+/**
+ * @typedef {object} NextSession
+ * @property {TrainingDay} day - The next training day after today.
+ * @property {string | null} date - Date of the next session (YYYY-MM-DD) for weekly schedules; null for rotations, which continue whenever the user trains next.
+ */
+
+/**
+ * @typedef {object} ScheduleOverview
+ * @property {string} today - Today's date (YYYY-MM-DD), as used for new logs.
+ * @property {TodaySession} todaySession - Today's session and whether it is logged.
+ * @property {NextSession | null} nextSession - The upcoming session, or null if the plan has no days.
+ */
+
+/**
+ * Training Schedule Helpers
+ *
+ * Works out which training day of a split plan is due today and next. Weekly
+ * schedules map days to weekdays; rotations cycle through the days in order,
+ * continuing after the last day that was logged. Logs belong to a day when their
+ * workout name matches the day name, or their exercise is one of the day's exercises.
+ * "Today" is the same date the log form defaults to, so a freshly logged session
+ * always counts.
+ */
+
+/**
+ * Short weekday labels indexed like `Date#getDay()` (0 = Sunday).
+ * @type {string[]}
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Returns the training days of a plan.
+ *
+ * @param {WorkoutPlan | null | undefined} plan - The plan.
+ * @returns {TrainingDay[]} The plan's days; empty for flat plans without a schedule.
+ */
+export const getPlanDays = (plan) => (Array.isArray(plan?.days) ? plan.days : []);
+
+/**
+ * Checks whether a log belongs to a training day.
+ *
+ * @param {ProgressLog} log - The log entry.
+ * @param {TrainingDay} day - The training day.
+ * @returns {boolean} True if the log's workout name or exercise matches the day.
+ */
+export const logMatchesDay = (log, day) => {
+  if (normalizeName(log.workout_name) === normalizeName(day.name)) {
+    return true;
+  }
+  const exerciseName = normalizeName(log.exercise_name);
+  return day.exercises.some((exercise) => normalizeName(exercise.name) === exerciseName);
+};
+
+/**
+ * Finds the day a log was recorded for, preferring a workout name match over an exercise match.
+ *
+ * @param {ProgressLog} log - The log entry.
+ * @param {TrainingDay[]} days - The plan's days.
+ * @returns {number} Index of the matching day, or -1.
+ */
+const findDayIndexForLog = (log, days) => {
+  const byName = days.findIndex(
+    (day) => normalizeName(day.name) === normalizeName(log.workout_name),
+  );
+  return byName !== -1 ? byName : days.findIndex((day) => logMatchesDay(log, day));
+};
+
+/**
+ * Returns the day's exercises that were logged on a date.
+ *
+ * @param {TrainingDay} day - The training day.
+ * @param {ProgressLog[]} logs - Log entries to search.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {string[]} Names of the day's exercises logged that date.
+ */
+const getLoggedExercises = (day, logs, date) => {
+  const loggedNames = new Set(
+    logs
+      .filter((log) => log.workout_date?.split('T')[0] === date && logMatchesDay(log, day))
+      .map((log) => normalizeName(log.exercise_name)),
+  );
+  return day.exercises
+    .filter((exercise) => loggedNames.has(normalizeName(exercise.name)))
+    .map((exercise) => exercise.name);
+};
+
+/**
+ * Works out today's session and the next session of a split plan.
+ *
+ * @param {WorkoutPlan} plan - A plan with training days.
+ * @param {ProgressLog[]} logs - Recent log entries, newest first (used for rotation position and logged status).
+ * @param {string} [today=getTodayISO()] - Today's date (YYYY-MM-DD).
+ * @returns {ScheduleOverview | null} The overview, or null if the plan has no days.
+ */
+export const getScheduleOverview = (plan, logs, today = getTodayISO()) => {
+  const days = getPlanDays(plan);
+  if (days.length === 0) {
+    return null;
+  }
+
+  const buildTodaySession = (day) => {
+    if (!day) {
+      return { day: null, logged: false, loggedExercises: [] };
+    }
+    const loggedExercises = getLoggedExercises(day, logs, today);
+    const logged = logs.some(
+      (log) => log.workout_date?.split('T')[0] === today && logMatchesDay(log, day),
+    );
+    return { day, logged, loggedExercises };
+  };
+
+  if (plan.schedule_type === 'rotation') {
+    // Position in the rotation comes from the most recent log that matches a day
+    const lastLog = logs.find(
+      (log) => log.workout_date?.split('T')[0] <= today && findDayIndexForLog(log, days) !== -1,
+    );
+    let todayIndex = 0;
+    if (lastLog) {
+      const lastIndex = findDayIndexForLog(lastLog, days);
+      // A day logged today is today's session; otherwise the rotation moves on
+      todayIndex =
+        lastLog.workout_date.split('T')[0] === today ? lastIndex : (lastIndex + 1) % days.length;
+    }
+    return {
+      today,
+      todaySession: buildTodaySession(days[todayIndex]),
+      nextSession: { day: days[(todayIndex + 1) % days.length], date: null },
+    };
+  }
+
+  // Weekly schedule: days are pinned to weekdays
+  const todayDate = parseISO(today);
+  const dayForWeekday = (weekday) => days.find((day) => (day.weekdays ?? []).includes(weekday));
+
+  let nextSession = null;
+  for (let offset = 1; offset <= 7 && !nextSession; offset += 1) {
+    const date = addDays(todayDate, offset);
+    const day = dayForWeekday(date.getDay());
+    if (day) {
+      nextSession = { day, date: format(date, 'yyyy-MM-dd') };
+    }
+  }
+
+  return {
+    today,
+    todaySession: buildTodaySession(dayForWeekday(todayDate.getDay()) ?? null),
+    nextSession,
+  };
+};
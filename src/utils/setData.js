@@ -0,0 +1,80 @@
+import { parseRepsString } from './repsParser.js';
+import { convertWeight, formatWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').LoggedSet} LoggedSet
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('../services/workoutService.js').SetType} SetType
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * Per-Set Data Helpers
+ *
+ * Read-side helpers for the per-set log structure. Logs recorded before per-set
+ * tracking only have the `sets_completed`/`reps_achieved`/`weight_used` summary,
+ * so every reader goes through `getLogSets` and falls back to the summary when it
+ * returns null. Calculations that need numbers use `getNormalizedSets`, which also
+ * converts legacy logs whose reps string can be parsed unambiguously.
+ */
+
+/**
+ * Human-readable labels for each set type.
+ * @type {Record<SetType, string>}
+ */
+export const SET_TYPE_LABELS = {
+  warmup: 'Warm-up',
+  working: 'Working',
+  drop: 'Drop',
+  failure: 'Failure',
+};
+
+/**
+ * Returns the structured sets of a log entry.
+ *
+ * @param {ProgressLog} log - A progress log entry.
+ * @returns {LoggedSet[] | null} The per-set details, or null for legacy string-based logs.
+ */
+export const getLogSets = (log) => {
+  if (Array.isArray(log?.sets) && log.sets.length > 0) {
+    return log.sets;
+  }
+  return null;
+};
+
+/**
+ * Returns per-set details for any log, converting legacy logs with the reps parser.
+ * Legacy sets all use the log's single `weight_used` and count as working sets.
+ *
+ * @param {ProgressLog} log - A progress log entry.
+ * @returns {LoggedSet[] | null} The sets, or null if a legacy reps string is ambiguous or unreadable.
+ */
+export const getNormalizedSets = (log) => {
+  const sets = getLogSets(log);
+  if (sets) {
+    return sets;
+  }
+
+  const { status, reps } = parseRepsString(log?.reps_achieved, log?.sets_completed ?? null);
+  if (status !== 'parsed') {
+    return null;
+  }
+  return reps.map((count) => ({
+    reps: count,
+    weight: log.weight_used ?? null,
+    set_type: 'working',
+  }));
+};
+
+/**
+ * Formats a set for display in the user's unit, e.g. "10 × 61.2 kg" or "12 reps".
+ *
+ * @param {LoggedSet} set - The set to format.
+ * @param {WeightUnit} fromUnit - Unit the set's weight is stored in.
+ * @param {WeightUnit} toUnit - Unit to display the weight in.
+ * @returns {string} The formatted set.
+ */
+export const formatSet = (set, fromUnit, toUnit) =>
+  set.weight !== null && set.weight !== undefined
+    ? `${set.reps} × ${formatWeight(convertWeight(set.weight, fromUnit, toUnit), toUnit)}`
+    : `${set.reps} reps`;
@@ -0,0 +1,163 @@
+import {
+  addDays,
+  addWeeks,
+  differenceInCalendarDays,
+  format,
+  parseISO,
+  startOfISOWeek,
+} from 'date-fns';
+import { getNormalizedSets } from './setData.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ */
+
+/**
+ * @typedef {object} TrainingDaySummary
+ * @property {string} date - The day (YYYY-MM-DD).
+ * @property {ProgressLog[]} logs - Log entries of the day.
+ * @property {number} sets - Sets logged that day, warm-ups excluded.
+ */
+
+/**
+ * @typedef {object} HeatmapDay
+ * @property {string} date - The day (YYYY-MM-DD).
+ * @property {number} sets - Sets logged that day, warm-ups excluded.
+ * @property {number} exercises - Number of log entries that day.
+ * @property {0 | 1 | 2 | 3 | 4} level - Intensity bucket for colouring; 0 means no training.
+ * @property {boolean} isFuture - True for days after today (shown empty).
+ */
+
+/**
+ * @typedef {object} StreakSummary
+ * @property {number} currentDaily - Training days in the current daily streak.
+ * @property {number} longestDaily - Training days in the longest daily streak.
+ * @property {number} currentWeekly - Weeks in the current weekly streak.
+ * @property {number} longestWeekly - Weeks in the longest weekly streak.
+ */
+
+/**
+ * Training Calendar and Streak Helpers
+ *
+ * Summarizes progress logs per calendar day for the training heatmap and computes
+ * streaks. A daily streak is a run of days on which the user either trained or had
+ * a planned rest day; rest days keep the streak alive but only training days are
+ * counted. A weekly streak is a run of weeks (Monday to Sunday) with at least one
+ * training day. Today and the current week never break a streak, since they are
+ * not over yet.
+ */
+
+/**
+ * Number of weeks shown in the heatmap: a full year plus the current week.
+ * @type {number}
+ */
+export const HEATMAP_WEEKS = 53;
+
+/**
+ * Groups log entries by workout date.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @returns {Map<string, TrainingDaySummary>} Summaries keyed by date (YYYY-MM-DD).
+ */
+export const summarizeTrainingDays = (logs) => {
+  /** @type {Map<string, TrainingDaySummary>} */
+  const days = new Map();
+  logs.forEach((log) => {
+    const date = log.workout_date.split('T')[0];
+    if (!days.has(date)) {
+      days.set(date, { date, logs: [], sets: 0 });
+    }
+    const day = days.get(date);
+    const sets = getNormalizedSets(log);
+    day.logs.push(log);
+    // Unreadable legacy logs still count with their recorded number of sets
+    day.sets += sets
+      ? sets.filter((set) => set.set_type !== 'warmup').length
+      : (log.sets_completed ?? 0);
+  });
+  return days;
+};
+
+/**
+ * Builds the heatmap grid: one column per week (Monday first), ending with the
+ * week containing `today`. Intensity levels split the busiest day's set count into
+ * four equal steps.
+ *
+ * @param {Map<string, TrainingDaySummary>} days - Training day summaries.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @param {number} [weekCount=HEATMAP_WEEKS] - Number of weeks to show.
+ * @returns {HeatmapDay[][]} Weeks, oldest first, each with seven days from Monday to Sunday.
+ */
+export const buildHeatmap = (days, today, weekCount = HEATMAP_WEEKS) => {
+  const firstDay = addWeeks(startOfISOWeek(parseISO(today)), -(weekCount - 1));
+  const maxSets = Math.max(1, ...[...days.values()].map((day) => day.sets));
+
+  return Array.from({ length: weekCount }, (_, week) =>
+    Array.from({ length: 7 }, (__, weekday) => {
+      const date = format(addDays(firstDay, week * 7 + weekday), 'yyyy-MM-dd');
+      const summary = days.get(date);
+      const sets = summary?.sets ?? 0;
+      return {
+        date,
+        sets,
+        exercises: summary?.logs.length ?? 0,
+        // A day with logs but no readable sets still shows as trained
+        level: summary ? Math.max(1, Math.ceil((sets / maxSets) * 4)) : 0,
+        isFuture: date > today,
+      };
+    }),
+  );
+};
+
+/**
+ * Computes daily and weekly training streaks.
+ *
+ * @param {Iterable<string>} trainingDates - Dates with training (YYYY-MM-DD), any order.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @param {number[]} [restWeekdays=[]] - Planned rest weekdays (0 = Sunday ... 6 = Saturday).
+ * @returns {StreakSummary} The streaks.
+ */
+export const computeStreaks = (trainingDates, today, restWeekdays = []) => {
+  const trained = new Set([...trainingDates].filter((date) => date <= today));
+  if (trained.size === 0) {
+    return { currentDaily: 0, longestDaily: 0, currentWeekly: 0, longestWeekly: 0 };
+  }
+  const first = parseISO([...trained].sort()[0]);
+  const last = parseISO(today);
+  const isRestDay = (day) => restWeekdays.includes(day.getDay());
+
+  // Daily streaks: walk every day from the first training day to today
+  let longestDaily = 0;
+  let run = 0;
+  const totalDays = differenceInCalendarDays(last, first);
+  for (let offset = 0; offset <= totalDays; offset += 1) {
+    const day = addDays(first, offset);
+    if (trained.has(format(day, 'yyyy-MM-dd'))) {
+      run += 1;
+      longestDaily = Math.max(longestDaily, run);
+    } else if (!isRestDay(day) && offset < totalDays) {
+      run = 0;
+    }
+  }
+  // The loop ends at today, which cannot break the streak, so `run` is the current streak
+  const currentDaily = run;
+
+  // Weekly streaks: walk every week from the first training week to the current one
+  const trainedWeeks = new Set(
+    [...trained].map((date) => format(startOfISOWeek(parseISO(date)), 'yyyy-MM-dd')),
+  );
+  const currentWeek = format(startOfISOWeek(last), 'yyyy-MM-dd');
+  let longestWeekly = 0;
+  let weekRun = 0;
+  for (let week = startOfISOWeek(first); format(week, 'yyyy-MM-dd') <= currentWeek; week = addWeeks(week, 1)) {
+    const key = format(week, 'yyyy-MM-dd');
+    if (trainedWeeks.has(key)) {
+      weekRun += 1;
+      longestWeekly = Math.max(longestWeekly, weekRun);
+    } else if (key !== currentWeek) {
+      weekRun = 0;
+    }
+  }
+
+  return { currentDaily, longestDaily, currentWeekly: weekRun, longestWeekly };
+};
@@ -0,0 +1,109 @@
+import { format, subDays } from 'date-fns';
+import { getExerciseSessions } from './overload.js';
+import { estimateOneRepMax } from './records.js';
+import { normalizeName } from './names.js';
+import { roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').ProgressLog} ProgressLog
+ * @typedef {import('./records.js').E1rmFormula} E1rmFormula
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} TrendPoint
+ * @property {string} date - Workout date (YYYY-MM-DD).
+ * @property {number | null} topWeight - Heaviest working set weight, or null for bodyweight-only sessions.
+ * @property {number | null} e1rm - Best estimated one-rep max of the session, or null if no set allows an estimate.
+ * @property {number} volume - Sum of reps × weight over the working sets.
+ */
+
+/**
+ * @typedef {'1m' | '3m' | '6m' | '1y' | 'all'} TrendWindow
+ */
+
+/**
+ * Exercise Trend Helpers
+ *
+ * Turns progress logs into one data point per session of an exercise for the
+ * progress charts. Like the records, only working and failure sets count.
+ */
+
+/**
+ * Selectable chart time windows, shortest first. `days` is null for the whole history.
+ * @type {{ id: TrendWindow; label: string; days: number | null }[]}
+ */
+export const TREND_WINDOWS = [
+  { id: '1m', label: '1M', days: 30 },
+  { id: '3m', label: '3M', days: 91 },
+  { id: '6m', label: '6M', days: 182 },
+  { id: '1y', label: '1Y', days: 365 },
+  { id: 'all', label: 'All', days: null },
+];
+
+/**
+ * Lists the exercises found in the logs, most recently trained first.
+ * Names are grouped case- and whitespace-insensitively; the latest spelling is used.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @returns {string[]} The exercise names.
+ */
+export const listLoggedExercises = (logs) => {
+  /** @type {Map<string, { name: string; date: string }>} */
+  const latest = new Map();
+  logs.forEach((log) => {
+    const key = normalizeName(log.exercise_name);
+    const current = latest.get(key);
+    if (!current || log.workout_date > current.date) {
+      latest.set(key, { name: log.exercise_name, date: log.workout_date });
+    }
+  });
+  return [...latest.values()]
+    .sort((a, b) => b.date.localeCompare(a.date) || a.name.localeCompare(b.name))
+    .map(({ name }) => name);
+};
+
+/**
+ * Builds the chart points of one exercise, oldest first.
+ *
+ * @param {ProgressLog[]} logs - Log entries, any order.
+ * @param {string} exerciseName - The exercise to chart.
+ * @param {WeightUnit} unit - Unit for weights and volume.
+ * @param {E1rmFormula} [formula='epley'] - Formula for estimated one-rep maxes.
+ * @returns {TrendPoint[]} One point per session.
+ */
+export const getExerciseTrend = (logs, exerciseName, unit, formula = 'epley') =>
+  getExerciseSessions(logs, exerciseName, unit)
+    .reverse()
+    .map(({ date, sets }) => {
+      const weights = sets.map((set) => set.weight).filter((weight) => weight !== null);
+      const estimates = sets
+        .map((set) => estimateOneRepMax(set.weight, set.reps, formula))
+        .filter((estimate) => estimate !== null);
+      return {
+        date,
+        topWeight: weights.length > 0 ? roundWeight(Math.max(...weights), 2) : null,
+        e1rm: estimates.length > 0 ? roundWeight(Math.max(...estimates), 1) : null,
+        volume: roundWeight(
+          sets.reduce((sum, set) => sum + set.reps * (set.weight ?? 0), 0),
+          1,
+        ),
+      };
+    });
+
+/**
+ * Keeps the points inside a time window ending today.
+ *
+ * @param {TrendPoint[]} points - Chart points.
+ * @param {TrendWindow} windowId - The selected window.
+ * @param {Date} [today=new Date()] - End of the window.
+ * @returns {TrendPoint[]} The points in the window.
+ */
+export const filterTrendWindow = (points, windowId, today = new Date()) => {
+  const days = TREND_WINDOWS.find((window) => window.id === windowId)?.days ?? null;
+  if (days === null) {
+    return points;
+  }
+  const from = format(subDays(today, days), 'yyyy-MM-dd');
+  return points.filter((point) => point.date >= from);
+};
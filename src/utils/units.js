@@ -0,0 +1,124 @@
+/**
+ * @typedef {'kg' | 'lb'} WeightUnit
+ * @typedef {'cm' | 'in'} LengthUnit
+ */
+
+/**
+ * Weight Unit Helpers
+ *
+ * Conversion and formatting for weights stored in kilograms or pounds. Logs store
+ * the unit they were entered in; everything shown to the user is converted to the
+ * user's preferred unit. Legacy logs without a unit are stamped with the user's unit
+ * when the preferences are first saved (see `updateUserPreferences`); until then they
+ * are in the default unit. Body measurements use centimeters with kilograms and inches
+ * with pounds.
+ */
+
+/**
+ * Supported weight units.
+ * @type {WeightUnit[]}
+ */
+export const WEIGHT_UNITS = ['kg', 'lb'];
+
+/**
+ * Exact number of kilograms in one pound.
+ * @type {number}
+ */
+export const KG_PER_LB = 0.45359237;
+
+/**
+ * Rounds a weight for display or storage, avoiding floating point noise from conversion.
+ *
+ * @param {number} value - The weight to round.
+ * @param {number} [decimals=1] - Number of decimal places to keep.
+ * @returns {number} The rounded weight.
+ */
+export const roundWeight = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Converts a weight between units. Null weights (bodyweight sets) stay null.
+ *
+ * @param {number | null | undefined} value - The weight to convert.
+ * @param {WeightUnit} fromUnit - Unit the weight is expressed in.
+ * @param {WeightUnit} toUnit - Unit to convert to.
+ * @returns {number | null} The converted (unrounded) weight, or null.
+ */
+export const convertWeight = (value, fromUnit, toUnit) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (fromUnit === toUnit) {
+    return value;
+  }
+  return fromUnit === 'lb' ? value * KG_PER_LB : value / KG_PER_LB;
+};
+
+/**
+ * Returns the unit used until the user saves one: pounds for US English browsers
+ * and kilograms elsewhere.
+ *
+ * @returns {WeightUnit} The default unit.
+ */
+export const getDefaultWeightUnit = () =>
+  typeof navigator !== 'undefined' && navigator.language === 'en-US' ? 'lb' : 'kg';
+
+/**
+ * Returns the unit a log's weights are stored in. Legacy logs that have not been
+ * stamped yet belong to a user who never saved a unit, so they are in the default one.
+ *
+ * @param {{ weight_unit?: WeightUnit | null }} log - A progress log entry.
+ * @returns {WeightUnit} The log's weight unit.
+ */
+export const getLogWeightUnit = (log) =>
+  WEIGHT_UNITS.includes(log?.weight_unit) ? log.weight_unit : getDefaultWeightUnit();
+
+/**
+ * Formats a weight with its unit, e.g. "61.2 kg".
+ *
+ * @param {number | null | undefined} value - The weight, already in `unit`.
+ * @param {WeightUnit} unit - The unit to display.
+ * @returns {string} The formatted weight, or an empty string for null weights.
+ */
+export const formatWeight = (value, unit) =>
+  value === null || value === undefined ? '' : `${roundWeight(value)} ${unit}`;
+
+/**
+ * Supported length units for body measurements.
+ * @type {LengthUnit[]}
+ */
+export const LENGTH_UNITS = ['cm', 'in'];
+
+/**
+ * Exact number of centimeters in one inch.
+ * @type {number}
+ */
+export const CM_PER_IN = 2.54;
+
+/**
+ * Returns the length unit that goes with a weight unit: cm for kg, in for lb.
+ *
+ * @param {WeightUnit} weightUnit - The weight unit.
+ * @returns {LengthUnit} The matching length unit.
+ */
+export const getLengthUnit = (weightUnit) => (weightUnit === 'lb' ? 'in' : 'cm');
+
+/**
+ * Converts a length between units. Null lengths stay null.
+ *
+ * @param {number | null | undefined} value - The length to convert.
+ * @param {LengthUnit} fromUnit - Unit the length is expressed in.
+ * @param {LengthUnit} toUnit - Unit to convert to.
+ * @returns {number | null} The converted (unrounded) length, or null.
+ */
+export const convertLength = (value, fromUnit, toUnit) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (fromUnit === toUnit) {
+    return value;
+  }
+  return fromUnit === 'in' ? value * CM_PER_IN : value / CM_PER_IN;
+};
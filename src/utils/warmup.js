@@ -0,0 +1,158 @@
+import { createSetRow } from './progressLogForm.js';
+import { roundToLoadable } from './plates.js';
+
+/**
+ * @typedef {import('./plates.js').PlateInventory} PlateInventory
+ * @typedef {import('./progressLogForm.js').SetFormRow} SetFormRow
+ * @typedef {import('../services/preferencesService.js').UserPreferences} UserPreferences
+ */
+
+/**
+ * @typedef {'standard' | 'heavy' | 'quick' | 'custom'} WarmupTemplateId
+ */
+
+/**
+ * @typedef {object} WarmupStep
+ * @property {number} percent - Share of the working weight, 0 to below 100; 0 means the empty bar.
+ * @property {number} reps - Reps for the step.
+ */
+
+/**
+ * @typedef {object} WarmupSet
+ * @property {number} percent - The step's share of the working weight.
+ * @property {number} reps - Reps for the set.
+ * @property {number} weight - Loadable weight for the set, in the inventory's unit.
+ */
+
+/**
+ * Warm-up Ramp Helpers
+ *
+ * Builds a ramp of warm-up sets leading up to a working weight from a template of
+ * percentage steps. Each weight is rounded to the nearest total the user's bar and
+ * plates can load. Steps that round to the same weight as the step before, or up
+ * to the working weight itself, are left out.
+ */
+
+/**
+ * Template ids in display order; 'custom' uses the steps saved in the preferences.
+ * @type {WarmupTemplateId[]}
+ */
+export const WARMUP_TEMPLATE_IDS = ['standard', 'heavy', 'quick', 'custom'];
+
+/**
+ * Most steps a custom template may have.
+ * @type {number}
+ */
+export const MAX_WARMUP_STEPS = 8;
+
+/**
+ * Most reps in one warm-up step.
+ * @type {number}
+ */
+export const MAX_WARMUP_REPS = 20;
+
+/**
+ * Labels for the template picker.
+ * @type {Record<WarmupTemplateId, string>}
+ */
+export const WARMUP_TEMPLATE_LABELS = {
+  standard: 'Standard (bar, 40%, 60%, 80%)',
+  heavy: 'Heavy day (bar, 40%, 55%, 70%, 85%)',
+  quick: 'Quick (50%, 75%)',
+  custom: 'Custom',
+};
+
+/**
+ * Steps of the built-in templates.
+ * @type {Record<Exclude<WarmupTemplateId, 'custom'>, WarmupStep[]>}
+ */
+export const WARMUP_TEMPLATES = {
+  standard: [
+    { percent: 0, reps: 10 },
+    { percent: 40, reps: 5 },
+    { percent: 60, reps: 3 },
+    { percent: 80, reps: 2 },
+  ],
+  heavy: [
+    { percent: 0, reps: 10 },
+    { percent: 40, reps: 5 },
+    { percent: 55, reps: 3 },
+    { percent: 70, reps: 2 },
+    { percent: 85, reps: 1 },
+  ],
+  quick: [
+    { percent: 50, reps: 5 },
+    { percent: 75, reps: 3 },
+  ],
+};
+
+/**
+ * Checks whether a value is a valid list of warm-up steps: 1 to `MAX_WARMUP_STEPS`
+ * steps with a percentage from 0 to below 100 and 1 to `MAX_WARMUP_REPS` reps.
+ *
+ * @param {unknown} steps - The value to check.
+ * @returns {boolean} True if the steps are valid.
+ */
+export const isValidWarmupSteps = (steps) =>
+  Array.isArray(steps) &&
+  steps.length > 0 &&
+  steps.length <= MAX_WARMUP_STEPS &&
+  steps.every(
+    (step) =>
+      !!step && typeof step.percent === 'number' && step.percent >= 0 && step.percent < 100 &&
+      Number.isInteger(step.reps) && step.reps >= 1 && step.reps <= MAX_WARMUP_REPS,
+  );
+
+/**
+ * Returns the steps of the user's selected warm-up template.
+ *
+ * @param {UserPreferences} preferences - The user's preferences.
+ * @returns {WarmupStep[]} The steps.
+ */
+export const getWarmupSteps = (preferences) =>
+  preferences.warmup_template === 'custom'
+    ? preferences.warmup_custom_steps
+    : (WARMUP_TEMPLATES[preferences.warmup_template] ?? WARMUP_TEMPLATES.standard);
+
+/**
+ * Formats a step's share of the working weight, e.g. "60%", or "Bar" for 0.
+ *
+ * @param {number} percent - The percentage.
+ * @returns {string} The label.
+ */
+export const formatWarmupPercent = (percent) => (percent === 0 ? 'Bar' : `${percent}%`);
+
+/**
+ * Builds the warm-up sets for a working weight. Working weights the bar alone
+ * already reaches get no warm-up.
+ *
+ * @param {number} workingWeight - The working weight, in the inventory's unit.
+ * @param {WarmupStep[]} steps - The template steps, any order.
+ * @param {PlateInventory} inventory - The bar and plates used for rounding.
+ * @returns {WarmupSet[]} The warm-up sets, lightest first.
+ */
+export const buildWarmupSets = (workingWeight, steps, inventory) => {
+  /** @type {WarmupSet[]} */
+  const sets = [];
+  [...steps]
+    .sort((a, b) => a.percent - b.percent)
+    .forEach((step) => {
+      const weight = roundToLoadable((workingWeight * step.percent) / 100, inventory);
+      const previous = sets[sets.length - 1];
+      if (weight < workingWeight && (!previous || weight > previous.weight)) {
+        sets.push({ percent: step.percent, reps: step.reps, weight });
+      }
+    });
+  return sets;
+};
+
+/**
+ * Builds log form set rows for warm-up sets, typed as warm-ups.
+ *
+ * @param {WarmupSet[]} sets - The warm-up sets; weights must be in the form's unit.
+ * @returns {SetFormRow[]} The prefilled set rows.
+ */
+export const warmupToSetRows = (sets) =>
+  sets.map((set) =>
+    createSetRow({ reps: String(set.reps), weight: String(set.weight), set_type: 'warmup' }),
+  );
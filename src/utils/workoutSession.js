@@ -0,0 +1,146 @@
+import { getTargetWeight } from './overload.js';
+import { createSetRow, getTodayISO, parseLogForm } from './progressLogForm.js';
+import { parseRepScheme } from './repScheme.js';
+import { convertWeight, roundWeight } from './units.js';
+
+/**
+ * @typedef {import('../services/workoutService.js').WorkoutPlan} WorkoutPlan
+ * @typedef {import('../services/workoutService.js').WorkoutPlanExercise} WorkoutPlanExercise
+ * @typedef {import('../services/workoutService.js').TrainingDay} TrainingDay
+ * @typedef {import('../services/workoutService.js').LogData} LogData
+ * @typedef {import('./progressLogForm.js').SetFormRow} SetFormRow
+ * @typedef {import('./units.js').WeightUnit} WeightUnit
+ */
+
+/**
+ * @typedef {object} SessionExerciseEntry
+ * @property {string} key // Unique within the session
+ * @property {string} exercise_name
+ * @property {number} target_sets
+ * @property {string} target_reps // Rep scheme from the plan, e.g. "8-12"
+ * @property {WorkoutPlanExercise} plan_exercise // The planned exercise, for progression suggestions
+ * @property {SetFormRow[]} sets // Actuals; rows left without reps were not performed
+ */
+
+/**
+ * @typedef {object} SessionFormState
+ * @property {string} workout_name
+ * @property {string} workout_date // YYYY-MM-DD format
+ * @property {WeightUnit} weight_unit // Unit the set weights are entered in
+ * @property {SessionExerciseEntry[]} entries
+ */
+
+/**
+ * Workout Session Helpers
+ *
+ * Builds the "start workout" form from a plan (or one of its training days) and
+ * turns the filled-in session into one `LogData` payload per performed exercise.
+ */
+
+/**
+ * Creates a session entry for a plan exercise, with one set row per target set.
+ * Fixed rep targets and prescribed weights are prefilled; ranges are left for the
+ * user to fill in.
+ *
+ * @param {WorkoutPlanExercise} exercise - The planned exercise.
+ * @param {number} index - Position of the exercise in the session.
+ * @param {WeightUnit} weightUnit - The unit weights are entered in.
+ * @returns {SessionExerciseEntry} The session entry.
+ */
+const createSessionEntry = (exercise, index, weightUnit) => {
+  const scheme = parseRepScheme(exercise.reps);
+  const prefilledReps = scheme && scheme.min === scheme.max && !scheme.open ? String(scheme.min) : '';
+  const targetWeight = getTargetWeight(exercise, weightUnit);
+  return {
+    key: exercise.id || `${index}-${exercise.name}`,
+    exercise_name: exercise.name,
+    target_sets: exercise.sets,
+    target_reps: exercise.reps,
+    plan_exercise: exercise,
+    sets: Array.from({ length: Math.max(1, exercise.sets) }, () =>
+      createSetRow({ reps: prefilledReps, weight: targetWeight !== null ? String(targetWeight) : '' }),
+    ),
+  };
+};
+
+/**
+ * Creates a session form for a plan. With a training day, the session contains the
+ * day's exercises and is named after the day, so the dashboard can recognize it as logged.
+ *
+ * @param {WorkoutPlan} plan - The plan being trained.
+ * @param {TrainingDay | null} [day=null] - The training day, for split plans.
+ * @param {WeightUnit} [weightUnit='kg'] - The unit weights are entered in, for prescribed weights.
+ * @returns {SessionFormState} The prefilled session form.
+ */
+export const createSessionForm = (plan, day = null, weightUnit = 'kg') => ({
+  workout_name: day ? day.name : plan.name,
+  workout_date: getTodayISO(),
+  weight_unit: weightUnit,
+  entries: (day ? day.exercises : plan.exercises ?? []).map((exercise, index) =>
+    createSessionEntry(exercise, index, weightUnit),
+  ),
+});
+
+/**
+ * Converts every weight entered in a session form, prefilled or typed, to another
+ * unit, e.g. after the user switched units mid-session. Weights that are not numbers
+ * are left as typed.
+ *
+ * @param {SessionFormState} session - The session form.
+ * @param {WeightUnit} toUnit - The unit to enter weights in from now on.
+ * @returns {SessionFormState} The session form in `toUnit`.
+ */
+export const convertSessionWeights = (session, toUnit) => {
+  const convertInput = (weight) => {
+    const value = Number(weight);
+    return weight.trim() === '' || !Number.isFinite(value)
+      ? weight
+      : String(roundWeight(convertWeight(value, session.weight_unit, toUnit), 2));
+  };
+  return {
+    ...session,
+    weight_unit: toUnit,
+    entries: session.entries.map((entry) => ({
+      ...entry,
+      sets: entry.sets.map((set) => ({ ...set, weight: convertInput(set.weight) })),
+    })),
+  };
+};
+
+/**
+ * Validates a session form and converts every performed exercise into a log payload.
+ * Set rows without reps are treated as not performed; exercises without any performed
+ * set are skipped.
+ *
+ * @param {SessionFormState} session - The filled-in session.
+ * @param {WeightUnit} weightUnit - The unit the weights were entered in.
+ * @returns {{ data: Array<{ key: string; logData: LogData }> | null; error: string | null; }} The payloads keyed by entry, or a user-facing validation message.
+ */
+export const parseSessionForm = (session, weightUnit) => {
+  const performed = [];
+  for (const entry of session.entries) {
+    const sets = entry.sets.filter((set) => set.reps.trim() !== '');
+    if (sets.length === 0) {
+      continue;
+    }
+
+    const { data, error } = parseLogForm(
+      {
+        workout_name: session.workout_name,
+        exercise_name: entry.exercise_name,
+        sets,
+        workout_date: session.workout_date,
+      },
+      weightUnit,
+    );
+    if (error) {
+      return { data: null, error: `${entry.exercise_name}: ${error}` };
+    }
+    performed.push({ key: entry.key, logData: data });
+  }
+
+  if (performed.length === 0) {
+    return { data: null, error: 'Enter the reps of at least one set before finishing.' };
+  }
+  return { data: performed, error: null };
+};
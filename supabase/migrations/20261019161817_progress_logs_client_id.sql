@@ -0,0 +1,10 @@
+-- Idempotency key for progress log submissions (offline queue).
+-- `logWorkoutProgress` upserts with `onConflict: 'client_id'`, which needs a unique
+-- index on the column. Logs saved without a key keep a null `client_id`; nulls never
+-- conflict with each other.
+
+alter table public.progress_logs
+  add column if not exists client_id text;
+
+create unique index if not exists progress_logs_client_id_key
+  on public.progress_logs (client_id);
@@ -0,0 +1,9 @@
+-- Per-set details of progress logs: a JSON array of { reps, weight, set_type }.
+-- Null for legacy logs recorded with only `sets_completed` / `reps_achieved`.
+
+alter table public.progress_logs
+  add column if not exists sets jsonb;
+
+alter table public.progress_logs
+  add constraint progress_logs_sets_is_array
+  check (sets is null or jsonb_typeof(sets) = 'array');
@@ -0,0 +1,22 @@
+-- Weight unit of each progress log, and per-user preferences (one row per user).
+-- Legacy logs keep a null `weight_unit` (read as the default unit) until the app
+-- stamps them with the user's unit on the first preferences save, before any unit change.
+-- Preference columns are nullable: a null value falls back to the app default, so
+-- later migrations can add preferences without backfilling existing rows.
+
+alter table public.progress_logs
+  add column if not exists weight_unit text
+  check (weight_unit in ('kg', 'lb'));
+
+create table if not exists public.user_preferences (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  weight_unit text check (weight_unit in ('kg', 'lb'))
+);
+
+alter table public.user_preferences enable row level security;
+
+create policy "Users manage their own preferences"
+  on public.user_preferences
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,10 @@
+-- Multiple plans per user: one active plan and archived (read-only) plans.
+-- `setActivePlan` marks the new plan before clearing the old one, so two plans can
+-- briefly be active; the index is therefore not unique.
+
+alter table public.workout_plans
+  add column if not exists is_active boolean not null default false,
+  add column if not exists archived_at timestamptz;
+
+create index if not exists workout_plans_user_id_is_active_idx
+  on public.workout_plans (user_id, is_active);
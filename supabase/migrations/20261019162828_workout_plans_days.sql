@@ -0,0 +1,8 @@
+-- Training days of split plans (a JSON array of { id, name, weekdays, exercises })
+-- and how they are scheduled. Both are null for flat plans.
+
+alter table public.workout_plans
+  add column if not exists days jsonb
+    check (days is null or jsonb_typeof(days) = 'array'),
+  add column if not exists schedule_type text
+    check (schedule_type in ('weekly', 'rotation'));
@@ -0,0 +1,5 @@
+-- Preferred one-rep max formula for personal records.
+
+alter table public.user_preferences
+  add column if not exists e1rm_formula text
+  check (e1rm_formula in ('epley', 'brzycki'));
@@ -0,0 +1,25 @@
+-- Exercises users add to the built-in catalog.
+
+create table if not exists public.custom_exercises (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  name text not null check (char_length(btrim(name)) between 1 and 100),
+  aliases text[] not null default '{}',
+  primary_muscles text[] not null check (cardinality(primary_muscles) > 0),
+  secondary_muscles text[] not null default '{}',
+  equipment text not null,
+  is_unilateral boolean not null default false,
+  is_bodyweight boolean not null default false
+);
+
+create index if not exists custom_exercises_user_id_idx
+  on public.custom_exercises (user_id);
+
+alter table public.custom_exercises enable row level security;
+
+create policy "Users manage their own custom exercises"
+  on public.custom_exercises
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
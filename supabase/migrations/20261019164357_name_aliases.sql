@@ -0,0 +1,20 @@
+-- Aliases created by the name clean-up tool: logs stored under `alias` are counted
+-- as `canonical_name`. `createNameAliases` upserts on (user_id, field, alias).
+
+create table if not exists public.name_aliases (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  field text not null check (field in ('exercise_name', 'workout_name')),
+  alias text not null,
+  canonical_name text not null check (btrim(canonical_name) <> ''),
+  unique (user_id, field, alias)
+);
+
+alter table public.name_aliases enable row level security;
+
+create policy "Users manage their own name aliases"
+  on public.name_aliases
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
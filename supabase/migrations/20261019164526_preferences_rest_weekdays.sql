@@ -0,0 +1,5 @@
+-- Planned rest weekdays (0 = Sunday ... 6 = Saturday) that do not break a daily streak.
+
+alter table public.user_preferences
+  add column if not exists rest_weekdays smallint[]
+  check (rest_weekdays <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[]);
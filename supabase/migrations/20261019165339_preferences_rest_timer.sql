@@ -0,0 +1,9 @@
+-- Rest timer settings. Per-exercise rest is a JSON object of seconds keyed by
+-- normalized exercise name; per-plan-exercise rest lives in the plan's JSON.
+
+alter table public.user_preferences
+  add column if not exists rest_timer_seconds integer check (rest_timer_seconds > 0),
+  add column if not exists rest_timer_exercise_seconds jsonb
+    check (jsonb_typeof(rest_timer_exercise_seconds) = 'object'),
+  add column if not exists rest_timer_auto_start boolean,
+  add column if not exists rest_timer_sound boolean;
@@ -0,0 +1,6 @@
+-- Bar and plate inventory per weight unit for the plate calculator:
+-- { "kg": { bar_weight, plates: [{ weight, pairs }] }, "lb": { ... } }.
+
+alter table public.user_preferences
+  add column if not exists plate_inventories jsonb
+  check (jsonb_typeof(plate_inventories) = 'object');
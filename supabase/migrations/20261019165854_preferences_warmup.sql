@@ -0,0 +1,8 @@
+-- Warm-up ramp template, and the steps of the custom template:
+-- a JSON array of { percent, reps }.
+
+alter table public.user_preferences
+  add column if not exists warmup_template text
+    check (warmup_template in ('standard', 'heavy', 'quick', 'custom')),
+  add column if not exists warmup_custom_steps jsonb
+    check (jsonb_typeof(warmup_custom_steps) = 'array');
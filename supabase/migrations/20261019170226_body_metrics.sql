@@ -0,0 +1,25 @@
+-- Bodyweight, body fat and circumferences, at most one entry per user and date
+-- (`saveBodyMetric` upserts on (user_id, measured_on)). Circumferences are a JSON
+-- object of positive numbers keyed by measurement site, in `length_unit`.
+
+create table if not exists public.body_metrics (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  measured_on date not null,
+  bodyweight numeric check (bodyweight > 0),
+  weight_unit text not null check (weight_unit in ('kg', 'lb')),
+  body_fat_percent numeric check (body_fat_percent > 0 and body_fat_percent < 100),
+  circumferences jsonb not null default '{}' check (jsonb_typeof(circumferences) = 'object'),
+  length_unit text not null check (length_unit in ('cm', 'in')),
+  notes text,
+  unique (user_id, measured_on)
+);
+
+alter table public.body_metrics enable row level security;
+
+create policy "Users manage their own body metrics"
+  on public.body_metrics
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
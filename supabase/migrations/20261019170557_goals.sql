@@ -0,0 +1,29 @@
+-- Goals: a lift target, a training frequency kept up for a number of weeks, or a
+-- target bodyweight. Progress is computed from the logs and is not stored.
+
+create table if not exists public.goals (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  goal_type text not null check (goal_type in ('lift', 'frequency', 'bodyweight')),
+  exercise_name text,
+  lift_metric text check (lift_metric in ('weight', 'e1rm')),
+  target_value numeric not null check (target_value > 0),
+  weight_unit text check (weight_unit in ('kg', 'lb')),
+  duration_weeks integer check (duration_weeks between 1 and 52),
+  start_date date not null,
+  target_date date check (target_date > start_date),
+  status text not null default 'active' check (status in ('active', 'achieved', 'abandoned')),
+  closed_on date
+);
+
+create index if not exists goals_user_id_idx
+  on public.goals (user_id);
+
+alter table public.goals enable row level security;
+
+create policy "Users manage their own goals"
+  on public.goals
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);